@@ -0,0 +1,202 @@
+/**
+ * Garbage Collector - Applies the retention settings to stored data
+ * One pass removes the chat sessions, SERP sessions and research entries
+ * lib/retention.js selects, session/research files the registry no longer
+ * knows about, and SERP cache entries past their lifetime. A dry run builds
+ * the same report without deleting anything
+ */
+
+import * as storage from '../lib/storage.js';
+import * as serpCache from '../lib/serp-cache.js';
+import { indexFilename } from '../lib/inverted-index.js';
+import { loadRetentionConfig, planRetention } from '../lib/retention.js';
+import * as registry from './registry.js';
+import * as sessionManager from './session-manager.js';
+
+const REPORT_FILE = 'gc-report.json';
+
+// Unregistered files this recent may belong to a session being created
+const ORPHAN_GRACE = 60 * 60 * 1000;
+
+// Files per item kind; chat sessions also own their retrieval index
+const ITEM_FILES = {
+  session: id => [`session_${id}.json`, indexFilename(id)],
+  serpSession: id => [`serp_session_${id}.json`],
+  research: id => [`research_${id}.json`]
+};
+
+async function sizeOfFiles(files) {
+  let bytes = 0;
+  for (const file of files) {
+    bytes += await storage.sizeOf(file).catch(() => 0);
+  }
+  return bytes;
+}
+
+/**
+ * Every history item with its age, size and pin state
+ * @param {Set} inUse - Chat sessions open in a tab
+ */
+async function collectItems(inUse) {
+  const items = [];
+  
+  for (const id of await registry.listSessionIds()) {
+    const entry = registry.getSession(id);
+    items.push({
+      kind: 'session',
+      id,
+      title: entry.title || entry.url || '',
+      lastActive: entry.lastActive || entry.createdAt || 0,
+      pinned: !!entry.pinned,
+      inUse: inUse.has(id)
+    });
+  }
+  
+  for (const id of await registry.listSerpSessionIds()) {
+    const entry = registry.getSerpSession(id);
+    items.push({
+      kind: 'serpSession',
+      id,
+      title: entry.searchQuery || '',
+      lastActive: entry.timestamp || 0,
+      pinned: !!entry.pinned,
+      inUse: false
+    });
+  }
+  
+  for (const entry of await registry.listResearchEntries()) {
+    items.push({
+      kind: 'research',
+      id: entry.id,
+      title: entry.query || '',
+      lastActive: entry.timestamp || 0,
+      pinned: !!entry.pinned,
+      inUse: false
+    });
+  }
+  
+  for (const item of items) {
+    item.bytes = await sizeOfFiles(ITEM_FILES[item.kind](item.id));
+  }
+  return items;
+}
+
+/**
+ * Session, SERP session, research and index files with no registry entry
+ */
+async function findOrphans(now) {
+  const orphans = [];
+  
+  for (const file of await storage.listFiles()) {
+    const match = file.match(/^(session|serp_session|research|index)_(.+)\.json$/);
+    if (!match) continue;
+    
+    const [, prefix, id] = match;
+    const known = prefix === 'serp_session' ? registry.getSerpSession(id)
+      : prefix === 'research' ? registry.getResearchEntry(id)
+        : registry.getSession(id);
+    if (known) continue;
+    
+    if (prefix !== 'index') {
+      const doc = await storage.read(file).catch(() => null);
+      const touched = doc?.lastActive || doc?.timestamp || doc?.metadata?.createdAt || 0;
+      if (now - touched < ORPHAN_GRACE) continue;
+    }
+    
+    orphans.push({ file, bytes: await storage.sizeOf(file).catch(() => 0) });
+  }
+  return orphans;
+}
+
+async function removeItem(item) {
+  if (item.kind === 'session') {
+    if (!await sessionManager.deleteSession(item.id)) {
+      throw new Error('Failed to delete session');
+    }
+  } else if (item.kind === 'serpSession') {
+    await sessionManager.deleteSerpSession(item.id);
+  } else {
+    await storage.deleteFile(`research_${item.id}.json`);
+    await registry.removeResearchEntry(item.id);
+  }
+}
+
+let running = null;
+
+/**
+ * Run a collection pass (passes that delete run one at a time)
+ * @param {Object} options - { dryRun, inUse: chat session IDs open in a tab }
+ * @returns {Promise<Object>} - Report: { dryRun, ranAt, items, orphans,
+ *   cacheEntries, freedBytes, keptItems, failed, usage }
+ */
+export function collectGarbage(options = {}) {
+  if (options.dryRun) return runPass(options);
+  if (!running) {
+    running = runPass(options).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function runPass({ dryRun = false, inUse = [] } = {}) {
+  await registry.initialize();
+  const now = Date.now();
+  const config = await loadRetentionConfig();
+  
+  const items = await collectItems(new Set(inUse));
+  const expired = planRetention(items, config, now);
+  const orphans = await findOrphans(now);
+  const cacheEntries = await serpCache.pruneExpired(await serpCache.loadCacheConfig(), { dryRun });
+  
+  let failed = 0;
+  if (!dryRun) {
+    for (const item of expired) {
+      try {
+        await removeItem(item);
+      } catch (error) {
+        failed++;
+        item.failed = true;
+        console.warn('[GC] Failed to remove:', item.kind, item.id, error);
+      }
+    }
+    for (const orphan of orphans) {
+      try {
+        await storage.deleteFile(orphan.file);
+      } catch (error) {
+        failed++;
+        orphan.failed = true;
+        console.warn('[GC] Failed to remove orphan:', orphan.file, error);
+      }
+    }
+  }
+  
+  const freed = [...expired, ...orphans, ...cacheEntries].filter(entry => !entry.failed);
+  const report = {
+    dryRun,
+    ranAt: now,
+    items: expired.map(({ pinned, inUse, ...item }) => item),
+    orphans,
+    cacheEntries,
+    freedBytes: freed.reduce((sum, entry) => sum + entry.bytes, 0),
+    keptItems: items.length - expired.length,
+    failed,
+    usage: await storage.getStorageStats()
+  };
+  
+  if (!dryRun) {
+    await storage.write(REPORT_FILE, report).catch(error => {
+      console.warn('[GC] Failed to save report:', error);
+    });
+  }
+  
+  // console.log('[GC]', dryRun ? 'Dry run' : 'Pass', report);
+  return report;
+}
+
+/**
+ * Report of the last pass that deleted (null if none ran yet)
+ */
+export async function getLastReport() {
+  return storage.read(REPORT_FILE).catch(() => null);
+}
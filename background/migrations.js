@@ -0,0 +1,238 @@
+/**
+ * Storage Migrations - Upgrades persisted files to the current SCHEMA_VERSION
+ * Runs once from sessionManager.initialize(). Each step upgrades a file from
+ * the previous version; files are rewritten under their storage lock, one at
+ * a time, and a marker file skips the scan once everything is current
+ */
+
+import * as storage from '../lib/storage.js';
+import * as registry from './registry.js';
+import { INDEX_FORMAT_VERSION } from '../lib/inverted-index.js';
+import {
+  SCHEMA_VERSION,
+  MULTI_PAGE_URL,
+  normalizeSections,
+  normalizePage,
+  normalizeResult
+} from '../lib/schema.js';
+
+const MARKER_FILE = 'schema.json';
+
+/**
+ * Version 1 → 2: one session shape for single- and multi-page chats, one
+ * section shape, extractedContent objects on pages and SERP results
+ */
+export function sessionV2(session, filename) {
+  const sessionId = session.sessionId || filename.slice('session_'.length, -'.json'.length);
+  const multiPage = session.type === 'multiPageChat' || Array.isArray(session.content?.pages);
+  const metadata = session.metadata || {};
+  const content = session.content || {};
+  const searchQuery = metadata.searchQuery ?? content.searchQuery ?? null;
+
+  // Research-mode chats were saved with top-level createdAt/lastAccessed and no metadata
+  const { createdAt, lastAccessed, title, pageTitle, ...rest } = session;
+  const created = metadata.createdAt || createdAt || Date.now();
+  const lastActive = session.lastActive || lastAccessed || metadata.updatedAt || created;
+  const url = session.url || (multiPage ? MULTI_PAGE_URL : '');
+  const pages = multiPage ? (content.pages || []).map(normalizePage) : null;
+  const { searchQuery: _searchQuery, ...contentRest } = content;
+
+  // @mention conversions started with a null question/answer pair
+  const chatHistory = (session.chatHistory || []).filter(message => message && message.content != null);
+
+  return {
+    ...rest,
+    sessionId,
+    type: multiPage ? 'multiPageChat' : 'page',
+    tabId: session.tabId ?? null,
+    url,
+    currentUrl: session.currentUrl || url,
+    content: {
+      ...contentRest,
+      sections: normalizeSections(content.sections),
+      summary: content.summary || null,
+      statistics: content.statistics || {},
+      ...(pages ? { pages } : {})
+    },
+    chatHistory,
+    chatHistorySummary: session.chatHistorySummary || null,
+    navigationHistory: session.navigationHistory || [],
+    recentPages: (session.recentPages || []).map(page => ({
+      ...page,
+      sections: normalizeSections(page.sections)
+    })),
+    metadata: {
+      ...metadata,
+      title: metadata.title || title || pageTitle || (multiPage ? `Multi-Page Chat: ${searchQuery || ''}` : url),
+      createdAt: created,
+      updatedAt: metadata.updatedAt || lastActive,
+      messageCount: chatHistory.length,
+      pageCount: pages ? pages.length : (metadata.pageCount || 1),
+      isActive: metadata.isActive ?? false,
+      ...(searchQuery !== null ? { searchQuery } : {})
+    },
+    isActive: session.isActive ?? false,
+    lastActive
+  };
+}
+
+export function resultsV2(key) {
+  return data => ({ ...data, [key]: (data[key] || []).map(normalizeResult) });
+}
+
+/**
+ * Migration steps per file kind; a step returning null deletes the file
+ */
+const FILE_KINDS = [
+  {
+    match: name => name.startsWith('session_'),
+    steps: { 2: sessionV2 }
+  },
+  {
+    match: name => name.startsWith('serp_session_'),
+    steps: { 2: resultsV2('results') }
+  },
+  {
+    match: name => name.startsWith('research_'),
+    steps: { 2: resultsV2('sources') }
+  },
+  {
+    match: name => name.startsWith('serp_job_'),
+    steps: {
+      2: job => ({
+        ...job,
+        items: (job.items || []).map(item => ({ ...item, result: normalizeResult(item.result) }))
+      })
+    }
+  },
+  {
+    match: name => name.startsWith('serp-cache_'),
+    steps: { 2: record => ({ ...record, data: normalizeResult(record.data) }) }
+  },
+  {
+    // Retrieval indexes are derived data: stale formats are rebuilt, not converted
+    match: name => name.startsWith('index_'),
+    steps: { 2: index => (index.version === INDEX_FORMAT_VERSION ? index : null) }
+  },
+  {
+    match: name => name === 'registry.json' || name === 'serp-cache-index.json',
+    steps: { 2: data => data }
+  }
+];
+
+/**
+ * Apply the steps a file is missing
+ * @returns {Promise<string>} - 'current' | 'migrated' | 'deleted'
+ */
+async function migrateFile(filename, steps) {
+  let outcome = 'current';
+
+  await storage.update(filename, data => {
+    if (!data || typeof data !== 'object') return undefined;
+
+    const from = data.schemaVersion || 1;
+    if (from >= SCHEMA_VERSION) return undefined;
+
+    let migrated = data;
+    for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+      const step = steps[version];
+      if (!step) continue;
+      migrated = step(migrated, filename);
+      if (!migrated) {
+        outcome = 'deleted';
+        return undefined;
+      }
+    }
+
+    outcome = 'migrated';
+    return { ...migrated, schemaVersion: SCHEMA_VERSION };
+  });
+
+  if (outcome === 'deleted') {
+    await storage.deleteFile(filename);
+  }
+  return outcome;
+}
+
+/**
+ * Put sessions the registry lost track of back into it (research-mode chats
+ * used to be registered in a copy of the registry that got overwritten)
+ */
+async function reregisterSessions(sessionFiles) {
+  await registry.initialize();
+
+  for (const filename of sessionFiles) {
+    const sessionId = filename.slice('session_'.length, -'.json'.length);
+    if (registry.getSession(sessionId)) continue;
+
+    const session = await storage.read(filename).catch(() => null);
+    if (!session) continue;
+
+    await registry.putSession(sessionId, {
+      url: session.url,
+      title: session.metadata.title,
+      isActive: false,
+      currentTabId: null,
+      createdAt: session.metadata.createdAt,
+      lastActive: session.lastActive,
+      messageCount: session.chatHistory.length,
+      pageCount: session.metadata.pageCount,
+      ...(session.type === 'multiPageChat' ? { type: 'multiPageChat' } : {})
+    });
+  }
+}
+
+let running = null;
+
+/**
+ * Upgrade every persisted file to SCHEMA_VERSION (no-op once done)
+ * A file that fails to migrate is retried on the next start
+ */
+export function runMigrations() {
+  if (!running) {
+    running = migrateAll().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function migrateAll() {
+  const marker = await storage.read(MARKER_FILE).catch(() => null);
+  if (marker?.schemaVersion >= SCHEMA_VERSION) {
+    return { migrated: 0, deleted: 0, failed: 0 };
+  }
+
+  const counts = { migrated: 0, deleted: 0, failed: 0 };
+  const migratedSessions = [];
+
+  for (const filename of await storage.listFiles()) {
+    const kind = FILE_KINDS.find(fileKind => fileKind.match(filename));
+    if (!kind || !filename.endsWith('.json')) continue;
+
+    try {
+      const outcome = await migrateFile(filename, kind.steps);
+      if (outcome !== 'current') counts[outcome]++;
+      if (outcome === 'migrated' && filename.startsWith('session_')) {
+        migratedSessions.push(filename);
+      }
+    } catch (error) {
+      counts.failed++;
+      console.warn('[Migrations] Failed to migrate:', filename, error);
+    }
+  }
+
+  try {
+    await reregisterSessions(migratedSessions);
+  } catch (error) {
+    counts.failed++;
+    console.warn('[Migrations] Failed to re-register sessions:', error);
+  }
+
+  if (counts.failed === 0) {
+    await storage.write(MARKER_FILE, { schemaVersion: SCHEMA_VERSION, migratedAt: Date.now() });
+  }
+
+  // console.log('[Migrations] Schema', SCHEMA_VERSION, counts);
+  return counts;
+}
@@ -0,0 +1,64 @@
+/**
+ * Offscreen Client - Creates and talks to the offscreen document
+ * Used by the service worker for work that needs a DOM
+ */
+
+const OFFSCREEN_PATH = 'offscreen/offscreen.html';
+
+let creating = null;
+
+/**
+ * Ensure the offscreen document exists (only one is allowed per extension)
+ */
+export async function ensureOffscreenDocument() {
+  if (!chrome.offscreen) {
+    throw new Error('Offscreen API not available');
+  }
+
+  const url = chrome.runtime.getURL(OFFSCREEN_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url]
+  });
+  if (contexts.length > 0) return;
+
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse fetched search result pages and web pages'
+    }).finally(() => {
+      creating = null;
+    });
+  }
+  await creating;
+}
+
+/**
+ * Send a message to the offscreen document
+ */
+export async function sendToOffscreen(type, data) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', type, data });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+  return response;
+}
+
+/**
+ * Parse a fetched search results page with a provider's adapter in the offscreen document
+ * @returns {Promise<Array>} - Normalized results (throws if the document is unavailable)
+ */
+export async function parseSerpOffscreen(provider, html, count) {
+  const { results } = await sendToOffscreen('PARSE_SERP', { provider, html, count });
+  return results;
+}
+
+/**
+ * Run the page section extractors on fetched HTML in the offscreen document
+ * @returns {Promise<Object>} - Same shape as the content script's EXTRACT_CONTENT response
+ */
+export async function extractPageOffscreen(html, url) {
+  return sendToOffscreen('EXTRACT_PAGE', { html, url });
+}
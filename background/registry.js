@@ -0,0 +1,320 @@
+/**
+ * Session Registry - The one owner of registry.json
+ * Indexes chat sessions, SERP sessions and research history, plus the
+ * tab → session and URL → sessions maps. Everything in the service worker
+ * reads and changes the registry through these functions, so changes never
+ * overwrite each other, and listeners hear about each change once it's saved
+ */
+
+import * as storage from '../lib/storage.js';
+import { SCHEMA_VERSION } from '../lib/schema.js';
+
+const REGISTRY_FILE = 'registry.json';
+
+let registry = null;
+let loading = null;
+let saveChain = Promise.resolve();
+const listeners = new Set();
+
+function emptyRegistry() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    sessions: {},
+    tabToSession: {},
+    urlToSessions: {},
+    serpSessions: {},
+    researchHistory: {}
+  };
+}
+
+/**
+ * Load the registry (once per service worker)
+ */
+export function initialize() {
+  if (registry) return Promise.resolve(registry);
+  if (!loading) {
+    loading = loadRegistry().then(loaded => {
+      registry = loaded;
+      loading = null;
+      return registry;
+    });
+  }
+  return loading;
+}
+
+async function loadRegistry() {
+  try {
+    const data = await storage.read(REGISTRY_FILE);
+    if (data) {
+      // ✅ Fill in sections older registries don't have
+      return { ...emptyRegistry(), ...data };
+    }
+  } catch (error) {
+    console.warn('[Registry] Failed to load registry:', error);
+  }
+  return emptyRegistry();
+}
+
+/**
+ * Save the registry and tell listeners what changed
+ * Saves are chained, so the file always ends up with the latest state
+ */
+async function commit(change) {
+  const save = saveChain.then(() => storage.write(REGISTRY_FILE, registry));
+  saveChain = save.catch(() => {});
+  
+  try {
+    await save;
+  } catch (error) {
+    console.error('[Registry] Failed to save registry:', error);
+    return false;
+  }
+  
+  for (const listener of listeners) {
+    try {
+      listener(change);
+    } catch (error) {
+      console.warn('[Registry] Change listener failed:', error);
+    }
+  }
+  return true;
+}
+
+/**
+ * Listen for registry changes
+ * @param {Function} listener - ({ section, action, id, entry }) where section is
+ *   'sessions' | 'tabs' | 'serpSessions' | 'researchHistory' and action is
+ *   'put' | 'update' | 'remove'
+ * @returns {Function} - Removes the listener
+ */
+export function onRegistryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ============================================================================
+// Chat sessions
+// ============================================================================
+
+/**
+ * Registry entry for a chat session (null if unknown or not loaded yet)
+ */
+export function getSession(sessionId) {
+  return registry?.sessions[sessionId] || null;
+}
+
+/**
+ * IDs of every chat session
+ */
+export async function listSessionIds() {
+  await initialize();
+  return Object.keys(registry.sessions);
+}
+
+/**
+ * Session open in a tab
+ */
+export function findSessionByTab(tabId) {
+  return registry?.tabToSession[tabId] || null;
+}
+
+/**
+ * Sessions open in any of the given tabs (by tab mapping or entry.currentTabId)
+ */
+export async function findSessionsInTabs(tabIds) {
+  await initialize();
+  const open = new Set(tabIds.map(String));
+  const sessionIds = new Set();
+  
+  for (const [tabId, sessionId] of Object.entries(registry.tabToSession)) {
+    if (open.has(tabId)) sessionIds.add(sessionId);
+  }
+  for (const [sessionId, entry] of Object.entries(registry.sessions)) {
+    if (entry.currentTabId != null && open.has(String(entry.currentTabId))) sessionIds.add(sessionId);
+  }
+  return [...sessionIds];
+}
+
+/**
+ * Sessions started on a (normalized) URL
+ */
+export function findSessionsByURL(url) {
+  return registry?.urlToSessions[url] || [];
+}
+
+/**
+ * Add a chat session
+ * @param {Object} entry - Registry entry; entry.url is indexed unless it's a
+ *   pseudo URL (multipage://), entry.currentTabId is bound to the session
+ */
+export async function putSession(sessionId, entry) {
+  await initialize();
+  registry.sessions[sessionId] = { sessionId, ...entry };
+  
+  if (entry.currentTabId != null) {
+    registry.tabToSession[entry.currentTabId] = sessionId;
+  }
+  
+  if (entry.url && !entry.url.startsWith('multipage://')) {
+    const ids = registry.urlToSessions[entry.url] || [];
+    if (!ids.includes(sessionId)) ids.push(sessionId);
+    registry.urlToSessions[entry.url] = ids;
+  }
+  
+  return commit({ section: 'sessions', action: 'put', id: sessionId, entry: registry.sessions[sessionId] });
+}
+
+/**
+ * Merge fields into a chat session's entry (ignored for unknown sessions)
+ */
+export async function updateSession(sessionId, patch) {
+  await initialize();
+  const entry = registry.sessions[sessionId];
+  if (!entry) return false;
+  
+  Object.assign(entry, patch);
+  return commit({ section: 'sessions', action: 'update', id: sessionId, entry });
+}
+
+/**
+ * Open a session in a tab (the tab's previous session is released)
+ * @param {Object} patch - Extra fields for the session's entry (e.g. lastActive)
+ */
+export async function bindTab(tabId, sessionId, patch = {}) {
+  await initialize();
+  const previousId = registry.tabToSession[tabId];
+  const previous = registry.sessions[previousId];
+  registry.tabToSession[tabId] = sessionId;
+  
+  // A session lives in one tab: forget the tab it moved from
+  for (const [otherTabId, boundId] of Object.entries(registry.tabToSession)) {
+    if (boundId === sessionId && otherTabId !== String(tabId)) {
+      delete registry.tabToSession[otherTabId];
+    }
+  }
+  
+  const entry = registry.sessions[sessionId];
+  if (entry) {
+    Object.assign(entry, patch, { isActive: true, currentTabId: tabId });
+  }
+  
+  // Release the tab's previous session, unless it has moved to another tab since
+  const released = previous && previousId !== sessionId && (previous.currentTabId ?? tabId) === tabId;
+  if (released) {
+    Object.assign(previous, { isActive: false, currentTabId: null });
+    await commit({ section: 'sessions', action: 'update', id: previousId, entry: previous });
+  }
+  
+  return commit({ section: 'tabs', action: 'put', id: tabId, entry: sessionId });
+}
+
+/**
+ * Remove a chat session with its tab and URL mappings
+ */
+export async function removeSession(sessionId) {
+  await initialize();
+  const entry = registry.sessions[sessionId];
+  if (!entry) return false;
+  
+  delete registry.sessions[sessionId];
+  
+  for (const [tabId, id] of Object.entries(registry.tabToSession)) {
+    if (id === sessionId) delete registry.tabToSession[tabId];
+  }
+  
+  const ids = registry.urlToSessions[entry.url];
+  if (ids) {
+    const remaining = ids.filter(id => id !== sessionId);
+    if (remaining.length > 0) {
+      registry.urlToSessions[entry.url] = remaining;
+    } else {
+      delete registry.urlToSessions[entry.url];
+    }
+  }
+  
+  return commit({ section: 'sessions', action: 'remove', id: sessionId, entry });
+}
+
+// ============================================================================
+// SERP sessions and research history
+// ============================================================================
+
+/**
+ * IDs of every SERP analysis session
+ */
+export async function listSerpSessionIds() {
+  await initialize();
+  return Object.keys(registry.serpSessions);
+}
+
+/**
+ * Registry entry for a SERP session (null if unknown or not loaded yet)
+ */
+export function getSerpSession(sessionId) {
+  return registry?.serpSessions[sessionId] || null;
+}
+
+export async function putSerpSession(sessionId, entry) {
+  await initialize();
+  registry.serpSessions[sessionId] = entry;
+  return commit({ section: 'serpSessions', action: 'put', id: sessionId, entry });
+}
+
+export async function updateSerpSession(sessionId, patch) {
+  await initialize();
+  const entry = registry.serpSessions[sessionId];
+  if (!entry) return false;
+  
+  Object.assign(entry, patch);
+  return commit({ section: 'serpSessions', action: 'update', id: sessionId, entry });
+}
+
+export async function removeSerpSession(sessionId) {
+  await initialize();
+  const entry = registry.serpSessions[sessionId];
+  if (!entry) return false;
+  
+  delete registry.serpSessions[sessionId];
+  return commit({ section: 'serpSessions', action: 'remove', id: sessionId, entry });
+}
+
+/**
+ * Research history entries, newest first
+ */
+export async function listResearchEntries() {
+  await initialize();
+  return Object.entries(registry.researchHistory)
+    .map(([id, meta]) => ({ id, ...meta }))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Registry entry for a research entry (null if unknown or not loaded yet)
+ */
+export function getResearchEntry(entryId) {
+  return registry?.researchHistory[entryId] || null;
+}
+
+export async function putResearchEntry(entryId, entry) {
+  await initialize();
+  registry.researchHistory[entryId] = entry;
+  return commit({ section: 'researchHistory', action: 'put', id: entryId, entry });
+}
+
+export async function updateResearchEntry(entryId, patch) {
+  await initialize();
+  const entry = registry.researchHistory[entryId];
+  if (!entry) return false;
+  
+  Object.assign(entry, patch);
+  return commit({ section: 'researchHistory', action: 'update', id: entryId, entry });
+}
+
+export async function removeResearchEntry(entryId) {
+  await initialize();
+  const entry = registry.researchHistory[entryId];
+  if (!entry) return false;
+  
+  delete registry.researchHistory[entryId];
+  return commit({ section: 'researchHistory', action: 'remove', id: entryId, entry });
+}
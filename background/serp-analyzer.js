@@ -1,69 +1,120 @@
 /**
  * SERP Analyzer Background Service
- * Orchestrates background tab processing, content extraction, and analysis
+ * Orchestrates page loading (fetch + offscreen parsing, background tabs as a
+ * fallback), content extraction, and analysis
  */
 
-import * as storage from '../lib/storage.js';
+import * as ai from '../lib/ai.js';
+import { summarizeSections } from '../lib/map-reduce-summarizer.js';
+import { analyze, detectLanguage } from '../lib/analyzer.js';
+import { normalizeSections, normalizeExtractedContent } from '../lib/schema.js';
+import { extractPageOffscreen } from './offscreen-client.js';
+import { runScheduled } from '../lib/scheduler.js';
+import * as serpJobs from './serp-jobs.js';
+import * as serpCache from '../lib/serp-cache.js';
+
+const PARALLEL_LIMIT = 6; // Pages analyzed at once (most are fetched, not opened)
+const PER_HOST_LIMIT = 2; // Pages from one site analyzed at once
+const MAX_ATTEMPTS = 3; // Timeouts and empty extractions are retried with backoff
+const TAB_PARALLEL_LIMIT = 3; // Background tabs open at once (fallback path)
+const FETCH_TIMEOUT = 10000;
+const MAX_FETCH_BYTES = 5 * 1024 * 1024;
+const MIN_FETCHED_WORDS = 100; // Fewer usually means the page renders its content with JavaScript
+
+/**
+ * Error the scheduler should retry (timeouts, pages that came back empty)
+ */
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+/**
+ * Decode fetched HTML with the charset from the header or a <meta> tag
+ * (response.text() always assumes UTF-8)
+ */
+function decodeHtml(buffer, contentType) {
+  let charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  if (!charset) {
+    const head = new TextDecoder('latin1').decode(buffer.slice(0, 2048));
+    charset = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  }
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
 
 class SerpAnalyzer {
   constructor() {
-    this.activeAnalysis = null;
-    this.cacheInitialized = false;
-    this.CACHE_FILE = 'serp-cache.json';
-    this.CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours (instead of 1 hour)
+    this.activeJobs = new Map(); // jobId -> { job, cancelled }
+    this.openTabs = 0;
+    this.tabWaiters = [];
   }
 
   /**
-   * Initialize cache from OPFS
+   * Get cached result for URL
+   * Expired entries are revalidated with their ETag/Last-Modified first;
+   * a 304 keeps the cached analysis instead of running a new one
    */
-  async initializeCache() {
-    if (this.cacheInitialized) return;
-    
+  async getCachedResult(url) {
     try {
-      // console.log('[SERP Analyzer] Initializing cache from OPFS...');
-      const cacheData = await storage.read(this.CACHE_FILE);
-      
-      if (cacheData) {
-        // console.log('[SERP Analyzer] ✅ Loaded cache from OPFS:', Object.keys(cacheData).length, 'entries');
-      } else {
-        // console.log('[SERP Analyzer] No existing cache found, starting fresh');
+      const config = await serpCache.loadCacheConfig();
+      const cached = await serpCache.getEntry(url, config);
+      if (!cached) return null;
+
+      let cachedAt = cached.cachedAt;
+      if (!cached.fresh) {
+        if (!cached.validators || !(await this.revalidatePage(url, cached.validators))) {
+          // console.log('[SERP Analyzer] Cache expired for:', url);
+          return null;
+        }
+        // console.log('[SERP Analyzer] ✅ Revalidated (304):', url);
+        await serpCache.markRevalidated(url);
+        cachedAt = Date.now();
       }
-      
-      this.cacheInitialized = true;
+
+      // console.log('[SERP Analyzer] ✅ Cache hit for:', url, '(age:', this.getCacheAge(cachedAt), ')');
+      return {
+        ...cached.data,
+        fromCache: true,
+        cachedAt,
+        cacheAge: this.getCacheAge(cachedAt)
+      };
     } catch (error) {
-      console.error('[SERP Analyzer] Failed to initialize cache:', error);
-      this.cacheInitialized = true; // Continue anyway
+      console.error('[SERP Analyzer] Cache read error:', error);
+      return null;
     }
   }
 
   /**
-   * Get cached result for URL
+   * Conditional request with the validators of the cached copy
+   * @returns {Promise<boolean>} - true when the server answers 304 Not Modified
    */
-  async getCachedResult(url) {
-    await this.initializeCache();
-    
+  async revalidatePage(url, validators) {
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
     try {
-      const cache = await storage.read(this.CACHE_FILE) || {};
-      const cached = cache[url];
-      
-      if (cached && Date.now() - cached.cachedAt < this.CACHE_DURATION) {
-        // console.log('[SERP Analyzer] ✅ Cache hit for:', url, '(age:', this.getCacheAge(cached.cachedAt), ')');
-        return {
-          ...cached.data,
-          fromCache: true,
-          cachedAt: cached.cachedAt,
-          cacheAge: this.getCacheAge(cached.cachedAt)
-        };
-      }
-      
-      if (cached) {
-        // console.log('[SERP Analyzer] Cache expired for:', url);
-      }
-      
-      return null;
+      const response = await fetch(url, {
+        credentials: 'omit',
+        cache: 'no-store',
+        signal: controller.signal,
+        headers
+      });
+      return response.status === 304;
     } catch (error) {
-      console.error('[SERP Analyzer] Cache read error:', error);
-      return null;
+      console.warn('[SERP Analyzer] Revalidation failed:', url, error.message);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      controller.abort(); // Changed page: don't download the body twice
     }
   }
 
@@ -72,14 +123,7 @@ class SerpAnalyzer {
    */
   async saveCachedResult(url, data) {
     try {
-      const cache = await storage.read(this.CACHE_FILE) || {};
-      
-      cache[url] = {
-        data: data,
-        cachedAt: Date.now()
-      };
-      
-      await storage.write(this.CACHE_FILE, cache);
+      await serpCache.putEntry(url, data, { validators: data.validators }, await serpCache.loadCacheConfig());
       // console.log('[SERP Analyzer] ✅ Saved to cache:', url);
     } catch (error) {
       console.error('[SERP Analyzer] Cache write error:', error);
@@ -103,122 +147,26 @@ class SerpAnalyzer {
 
   /**
    * Ensure result has full extracted content (auto re-extract if needed)
-   * This handles cache migration for old entries without extractedContent
+   * Stored results are migrated to the canonical shape at startup, so only
+   * results whose sections came back empty need another extraction
    */
   async ensureFullContent(result) {
-    // Check if already has extracted content in correct format WITH actual content
-    if (result.extractedContent && 
-        result.extractedContent.sections && 
-        result.extractedContent.sections.length > 0) {
-      
-      // CRITICAL: Verify sections actually have content
-      const sectionsWithContent = result.extractedContent.sections.filter(
-        s => s.content && s.content.trim().length > 0
-      );
-      
-      if (sectionsWithContent.length > 0) {
-        // console.log('[SERP Analyzer] ✓ Full content already available for:', result.url);
-        return result;
-      } else {
-        console.warn('[SERP Analyzer] ⚠️ extractedContent exists but sections are EMPTY - forcing re-extraction');
-        // Fall through to re-extraction
-      }
+    const sections = result.extractedContent?.sections || [];
+    if (sections.some(s => s.content && s.content.trim().length > 0)) {
+      // console.log('[SERP Analyzer] ✓ Full content already available for:', result.url);
+      return result;
     }
 
-    // Check if has old format (sections at top level) - migrate it
-    if (result.sections && result.sections.length > 0) {
-      // console.log('[SERP Analyzer] 🔄 Migrating old cache format for:', result.url);
-      
-      // Check if sections actually have content
-      const sectionsWithContent = result.sections.filter(s => s.content && s.content.trim().length > 0);
-      // console.log('[SERP Analyzer] 📊 Sections analysis:', {
-      //   total: result.sections.length,
-      //   withContent: sectionsWithContent.length,
-      //   firstSectionSample: result.sections[0] ? {
-      //     heading: result.sections[0].heading,
-      //     hasContent: !!result.sections[0].content,
-      //     contentLength: result.sections[0].content?.length || 0,
-      //     contentPreview: result.sections[0].content?.substring(0, 100) || 'EMPTY'
-      //   } : null
-      // });
-      
-      // If sections have no content, we MUST re-extract
-      if (sectionsWithContent.length === 0) {
-        console.warn('[SERP Analyzer] ⚠️ Old cache has NO content - forcing re-extraction');
-        // Don't return here, fall through to re-extraction below
-      } else {
-        // Migration can proceed
-        const fullText = result.sections
-          .map(section => `${section.heading ? section.heading + ' ' : ''}${section.content || ''}`)
-          .join(' ');
-        
-        result.extractedContent = {
-          sections: result.sections,
-          fullText: fullText,
-          metadata: {
-            sectionCount: result.sections.length,
-            totalWords: fullText.split(/\s+/).filter(w => w.length > 0).length,
-            hasHeadings: result.sections.some(s => s.heading && s.heading.trim().length > 0)
-          }
-        };
-        
-        // console.log('[SERP Analyzer] ✅ Migrated:', {
-        //   sections: result.extractedContent.sections.length,
-        //   words: result.extractedContent.metadata.totalWords
-        // });
-        
-        // Update cache with migrated structure
-        await this.updateCachedResult(result.url, result);
-        
-        return result;
-      }
+    if (sections.length > 0) {
+      console.warn('[SERP Analyzer] ⚠️ extractedContent exists but sections are EMPTY - forcing re-extraction');
     }
 
-    // No content available - need to re-extract
     // console.log('[SERP Analyzer] ⟳ Re-extracting full content for:', result.url);
 
     try {
-      // Open page in background
-      const tab = await chrome.tabs.create({
-        url: result.url,
-        active: false
-      });
-
-      const tabId = tab.id;
-      // console.log('[SERP Analyzer] Opened tab for re-extraction:', tabId);
-
-      // Wait for page to load
-      const loaded = await this.waitForPageLoad(tabId, 15000);
-
-      if (!loaded) {
-        throw new Error('Page load timeout during re-extraction');
-      }
-
-      // Extract content
-      const extractedData = await this.extractPageContent(tabId);
-
-      if (!extractedData || !extractedData.sections || extractedData.sections.length === 0) {
-        throw new Error('No content extracted during re-extraction');
-      }
-
-      // Build full text
-      const fullText = extractedData.sections
-        .map(section => `${section.heading ? section.heading + ' ' : ''}${section.content}`)
-        .join(' ');
-
-      // Create extracted content structure
-      result.extractedContent = {
-        sections: extractedData.sections,
-        fullText: fullText,
-        metadata: {
-          sectionCount: extractedData.sections.length,
-          totalWords: fullText.split(/\s+/).filter(w => w.length > 0).length,
-          hasHeadings: extractedData.sections.some(s => s.heading && s.heading.trim().length > 0)
-        }
-      };
-
-      // Also update sections field for consistency
-      result.sections = extractedData.sections;
+      // Fetch (or open) the page again and extract it
+      const extractedData = await this.loadPageContent(result.url);
+      result.extractedContent = normalizeExtractedContent(extractedData.sections);
 
       // console.log('[SERP Analyzer] ✅ Content re-extracted:', {
       //   sections: result.extractedContent.sections.length,
@@ -226,35 +174,12 @@ class SerpAnalyzer {
       // });
 
       // Update cache with new extracted content
-      await this.updateCachedResult(result.url, result);
-
-      // Close tab
-      await chrome.tabs.remove(tabId);
-      // console.log('[SERP Analyzer] Closed re-extraction tab');
+      await this.updateCachedResult(result.url, { extractedContent: result.extractedContent });
 
       return result;
 
     } catch (error) {
       console.error('[SERP Analyzer] ❌ Re-extraction failed for:', result.url, error);
-      
-      // Fallback: Create minimal extractedContent from existing sections if available
-      if (result.sections && result.sections.length > 0) {
-        // console.log('[SERP Analyzer] ⚠️ Using existing sections as fallback');
-        const fullText = result.sections
-          .map(section => `${section.heading ? section.heading + ' ' : ''}${section.content}`)
-          .join(' ');
-        
-        result.extractedContent = {
-          sections: result.sections,
-          fullText: fullText,
-          metadata: {
-            sectionCount: result.sections.length,
-            totalWords: fullText.split(/\s+/).filter(w => w.length > 0).length,
-            hasHeadings: result.sections.some(s => s.heading && s.heading.trim().length > 0)
-          }
-        };
-      }
-      
       return result;
     }
   }
@@ -264,131 +189,170 @@ class SerpAnalyzer {
    */
   async updateCachedResult(url, updatedData) {
     try {
-      const cache = await storage.read(this.CACHE_FILE) || {};
-      
-      if (cache[url]) {
-        // Merge updated data with existing cache entry
-        cache[url].data = {
-          ...cache[url].data,
-          ...updatedData
-        };
-        
-        await storage.write(this.CACHE_FILE, cache);
-        // console.log('[SERP Analyzer] ✅ Updated cache for:', url);
-      }
+      // Merge updated data with existing cache entry
+      await serpCache.updateEntry(url, updatedData);
+      // console.log('[SERP Analyzer] ✅ Updated cache for:', url);
     } catch (error) {
       console.error('[SERP Analyzer] Failed to update cache:', error);
     }
   }
 
   /**
-   * Start SERP analysis (with parallel processing)
+   * Analyze search results as a new persisted job
    * @param {Array} urls - Array of {url, title, snippet, position}
    * @param {string} searchQuery - Original search query
-   * @param {number} tabId - Google search tab ID
+   * @param {number} tabId - Search results tab ID
    * @returns {Promise<Array>} Analysis results
    */
   async analyzeSearchResults(urls, searchQuery, tabId) {
-    // console.log('[SERP Analyzer] Starting PARALLEL analysis for', urls.length, 'URLs');
-    // console.log('[SERP Analyzer] Search query:', searchQuery);
+    const job = await serpJobs.createJob({ urls, searchQuery, tabId });
+    return this.runJob(job);
+  }
 
-    const results = [];
-    const PARALLEL_LIMIT = 3; // Process 3 tabs simultaneously
+  /**
+   * Whether this worker is currently running a job
+   */
+  isJobActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
 
-    this.activeAnalysis = {
-      total: urls.length,
-      processed: 0,
-      cancelled: false
+  /**
+   * Run (or resume) a SERP job (work queue: global + per-host limits, top
+   * results first, timeouts and empty extractions retried with backoff)
+   * Only pending items are queued; items that were running when the worker
+   * stopped start over. Item state is saved to OPFS as it changes.
+   * @param {Object} job - Job from serp-jobs.js
+   * @returns {Promise<Array>} Analysis results (done and failed items)
+   */
+  async runJob(job) {
+    const control = { job, cancelled: false };
+    this.activeJobs.set(job.jobId, control);
+
+    const { searchQuery, tabId } = job;
+    const total = job.items.length;
+    let processed = job.items.filter(item => item.state === 'done' || item.state === 'failed').length;
+
+    const queue = job.items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.state === 'pending' || item.state === 'running');
+    queue.forEach(({ item }) => { item.state = 'pending'; });
+    // console.log('[SERP Analyzer] Running job', job.jobId, '|', queue.length, 'of', total, 'URLs left');
+
+    const persist = () => {
+      serpJobs.saveJob(job).catch(error => {
+        console.error('[SERP Analyzer] Failed to save job:', error);
+      });
     };
 
-    // Process URLs in batches of 3
-    for (let i = 0; i < urls.length; i += PARALLEL_LIMIT) {
-      // Check if cancelled
-      if (this.activeAnalysis.cancelled) {
-        // console.log('[SERP Analyzer] Analysis cancelled');
-        break;
+    const progress = (urlData, index, itemStatus, extra = {}) => {
+      this.sendProgress(tabId, {
+        jobId: job.jobId,
+        status: 'analyzing',
+        current: processed,
+        total,
+        currentUrl: urlData.url,
+        currentTitle: urlData.title,
+        item: { index, status: itemStatus, ...extra }
+      });
+    };
+
+    await runScheduled(queue, async ({ item }, { attempt }) => {
+      const urlData = item.urlData;
+
+      // Check cache first (OPFS persistent cache)
+      if (attempt === 1) {
+        const cachedResult = await this.getCachedResult(urlData.url);
+        if (cachedResult) {
+          // console.log('[SERP Analyzer] 📦 Using cached result for:', urlData.url, '(', cachedResult.cacheAge, ')');
+          return cachedResult;
+        }
       }
 
-      const batch = urls.slice(i, i + PARALLEL_LIMIT);
-      // console.log(`[SERP Analyzer] 🚀 Processing batch ${Math.floor(i / PARALLEL_LIMIT) + 1}: ${batch.length} URLs in parallel`);
+      // Analyze this URL (live)
+      // console.log('[SERP Analyzer] 🔴 LIVE analysis for:', urlData.url, '| attempt', attempt);
+      const analysisResult = await this.analyzeSinglePage(urlData, searchQuery);
 
-      // Create promises for parallel processing
-      const batchPromises = batch.map(async (urlData) => {
+      // Add metadata
+      analysisResult.fromCache = false;
+      analysisResult.cachedAt = Date.now();
+      analysisResult.cacheAge = 'just now';
+      analysisResult.attempts = attempt;
+
+      // Save to cache (OPFS)
+      await this.saveCachedResult(urlData.url, analysisResult);
+
+      return analysisResult;
+    }, {
+      concurrency: PARALLEL_LIMIT,
+      perHostLimit: PER_HOST_LIMIT,
+      maxAttempts: MAX_ATTEMPTS,
+      priority: ({ item, index }) => item.urlData.position || index + 1,
+      hostOf: ({ item }) => {
         try {
-          // Send progress update
-          this.sendProgress(tabId, {
-            status: 'analyzing',
-            current: this.activeAnalysis.processed + 1,
-            total: urls.length,
-            currentUrl: urlData.url,
-            currentTitle: urlData.title
-          });
-
-          // Check cache first (OPFS persistent cache)
-          const cachedResult = await this.getCachedResult(urlData.url);
-          if (cachedResult) {
-            // console.log('[SERP Analyzer] 📦 Using cached result for:', urlData.url, '(', cachedResult.cacheAge, ')');
-            this.activeAnalysis.processed++;
-            return cachedResult;
-          }
-
-          // Analyze this URL (live)
-          // console.log('[SERP Analyzer] 🔴 LIVE analysis for:', urlData.url);
-          const analysisResult = await this.analyzeSinglePage(urlData, searchQuery);
-          
-          this.activeAnalysis.processed++;
-
-          if (analysisResult) {
-            // Add metadata
-            analysisResult.fromCache = false;
-            analysisResult.cachedAt = Date.now();
-            analysisResult.cacheAge = 'just now';
-            
-            // Save to cache (OPFS)
-            await this.saveCachedResult(urlData.url, analysisResult);
-            
-            return analysisResult;
-          }
-
+          return new URL(item.urlData.url).hostname;
+        } catch {
           return null;
-
-        } catch (error) {
-          console.error('[SERP Analyzer] Failed to analyze:', urlData.url, error);
-          this.activeAnalysis.processed++;
-          
-          // Return error result
-          return {
-            url: urlData.url,
-            title: urlData.title,
-            snippet: urlData.snippet,
-            position: urlData.position,
-            error: true,
-            errorMessage: error.message || 'Failed to analyze page',
-            relevanceScore: 0,
-            summary: 'Could not analyze this page.',
-            sections: [],
-            fromCache: false
-          };
         }
-      });
-
-      // Wait for all URLs in this batch to complete
-      const batchResults = await Promise.allSettled(batchPromises);
-      
-      // Collect successful results
-      batchResults.forEach(result => {
-        if (result.status === 'fulfilled' && result.value) {
-          results.push(result.value);
+      },
+      shouldRetry: (error) => error.retryable === true,
+      isCancelled: () => control.cancelled,
+      onEvent: ({ type, item: entry, attempt, delay, error, value }) => {
+        const { item, index } = entry;
+        const urlData = item.urlData;
+        item.attempts = attempt;
+
+        if (type === 'start') {
+          item.state = 'running';
+          progress(urlData, index, attempt > 1 ? 'retrying' : 'loading', { attempt });
+        } else if (type === 'retry') {
+          console.warn(`[SERP Analyzer] Retrying ${urlData.url} in ${delay}ms:`, error.message);
+          item.state = 'pending';
+          item.error = error.message;
+          progress(urlData, index, 'waiting', { attempt, delay, error: error.message });
+        } else if (type === 'done') {
+          processed++;
+          item.state = 'done';
+          item.error = null;
+          item.result = value;
+          progress(urlData, index, value.fromCache ? 'cached' : 'done', { attempt, result: value });
+        } else {
+          console.error('[SERP Analyzer] Failed to analyze:', urlData.url, error);
+          processed++;
+          item.state = 'failed';
+          item.error = error?.message || 'Failed to analyze page';
+          item.result = this.errorResult(urlData, item.error);
+          progress(urlData, index, 'failed', { attempt, error: item.error, result: item.result });
         }
-      });
+        persist();
+      }
+    });
 
-      // console.log(`[SERP Analyzer] ✅ Batch complete. Total results so far: ${results.length}/${urls.length}`);
+    this.activeJobs.delete(job.jobId);
+    if (!control.cancelled) {
+      job.status = 'complete';
     }
+    await serpJobs.saveJob(job);
 
-    this.activeAnalysis = null;
+    // console.log('[SERP Analyzer] 🎉 Job', job.jobId, job.status);
+    return serpJobs.jobResults(job);
+  }
 
-    // console.log('[SERP Analyzer] 🎉 All analysis complete. Results:', results.length);
-    return results;
+  /**
+   * Result card for a page that could not be analyzed
+   */
+  errorResult(urlData, errorMessage) {
+    return {
+      url: urlData.url,
+      title: urlData.title,
+      snippet: urlData.snippet,
+      position: urlData.position,
+      error: true,
+      errorMessage,
+      relevanceScore: 0,
+      summary: 'Could not analyze this page.',
+      sections: [],
+      fromCache: false
+    };
   }
 
   /**
@@ -397,27 +361,9 @@ class SerpAnalyzer {
   async analyzeSinglePage(urlData, searchQuery) {
     // console.log('[SERP Analyzer] Analyzing:', urlData.url);
 
-    let tabId = null;
-
     try {
-      // 1. Open tab in background
-      const tab = await chrome.tabs.create({
-        url: urlData.url,
-        active: false // Open in background
-      });
-
-      tabId = tab.id;
-      // console.log('[SERP Analyzer] Opened tab:', tabId);
-
-      // 2. Wait for page to load (with timeout)
-      const loaded = await this.waitForPageLoad(tabId, 15000); // 15 second timeout
-
-      if (!loaded) {
-        throw new Error('Page load timeout');
-      }
-
-      // 3. Extract content from the page
-      const extractedData = await this.extractPageContent(tabId);
+      // 1-3. Fetch the page (or open it in a background tab) and extract its content
+      const extractedData = await this.loadPageContent(urlData.url);
 
       if (!extractedData || !extractedData.sections || extractedData.sections.length === 0) {
         throw new Error('No content extracted from page');
@@ -426,28 +372,15 @@ class SerpAnalyzer {
       // console.log('[SERP Analyzer] Extracted', extractedData.sections.length, 'sections');
 
       // 4. Generate summary (with query context for relevance)
-      const summary = await this.generateSummary(extractedData.sections, searchQuery);
+      const { summary, summarySources } = await this.generateSummary(extractedData.sections, searchQuery);
 
       // 5. Calculate relevance score
-      const relevanceScore = this.calculateRelevance(extractedData.sections, searchQuery, summary);
+      const relevanceScore = await this.calculateRelevance(extractedData.sections, searchQuery, summary);
 
       // console.log('[SERP Analyzer] Relevance score:', relevanceScore);
 
-      // 6. Build full text from sections for BM25
-      const fullText = extractedData.sections
-        .map(section => `${section.heading ? section.heading + ' ' : ''}${section.content}`)
-        .join(' ');
-
-      // 7. Prepare extracted content for multi-page chat
-      const extractedContent = {
-        sections: extractedData.sections,
-        fullText: fullText,
-        metadata: {
-          sectionCount: extractedData.sections.length,
-          totalWords: fullText.split(/\s+/).filter(w => w.length > 0).length,
-          hasHeadings: extractedData.sections.some(s => s.heading && s.heading.trim().length > 0)
-        }
-      };
+      // 6. Prepare extracted content (with full text for BM25) for multi-page chat
+      const extractedContent = normalizeExtractedContent(extractedData.sections);
 
       // console.log('[SERP Analyzer] ✅ Extracted content prepared:', {
       //   sections: extractedContent.sections.length,
@@ -461,16 +394,102 @@ class SerpAnalyzer {
         snippet: urlData.snippet,
         position: urlData.position,
         summary: summary,
-        sections: extractedData.sections, // Keep for backward compatibility
+        summarySources: summarySources,
         relevanceScore: relevanceScore,
         timestamp: Date.now(),
         error: false,
+        loadMethod: extractedData.loadMethod, // 'fetch' | 'tab'
+        validators: extractedData.validators || null, // ETag/Last-Modified for cache revalidation
         extractedContent: extractedContent // NEW: Full content for multi-page chat
       };
 
     } catch (error) {
       console.error('[SERP Analyzer] Error analyzing page:', error);
       throw error;
+    }
+  }
+
+  /**
+   * Load a page's sections: fetch + offscreen DOMParser first, a background tab
+   * when the fetch fails or the page renders its content with JavaScript
+   * @returns {Promise<Object>} - Extraction with sections (.content = Markdown body), title and loadMethod
+   */
+  async loadPageContent(url) {
+    try {
+      const extractedData = await this.fetchPageContent(url);
+      if (extractedData.sections?.length > 0 && (extractedData.statistics?.words || 0) >= MIN_FETCHED_WORDS) {
+        return this.normalizeExtraction(extractedData, 'fetch');
+      }
+      // console.log('[SERP Analyzer] Fetched page has little static text, opening a tab:', url);
+    } catch (error) {
+      console.warn('[SERP Analyzer] Fetch failed, falling back to a tab:', url, error.message);
+    }
+
+    const extractedData = await this.withTabSlot(() => this.extractViaTab(url));
+    return this.normalizeExtraction(extractedData, 'tab');
+  }
+
+  /**
+   * Download a page and run the section extractors on it in the offscreen document
+   */
+  async fetchPageContent(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+      const response = await fetch(url, {
+        credentials: 'omit',
+        signal: controller.signal,
+        headers: { Accept: 'text/html,application/xhtml+xml' }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!/html|xml/i.test(contentType)) {
+        throw new Error(`Not an HTML page (${contentType || 'unknown type'})`);
+      }
+      if (Number(response.headers.get('content-length')) > MAX_FETCH_BYTES) {
+        throw new Error('Page too large to fetch');
+      }
+
+      const html = decodeHtml(await response.arrayBuffer(), contentType);
+      const extractedData = await extractPageOffscreen(html, response.url || url);
+
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      if (etag || lastModified) {
+        extractedData.validators = { etag, lastModified };
+      }
+      return extractedData;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Open a page in a background tab and extract it with the content script
+   */
+  async extractViaTab(url) {
+    let tabId = null;
+
+    try {
+      const tab = await chrome.tabs.create({
+        url: url,
+        active: false // Open in background
+      });
+
+      tabId = tab.id;
+      // console.log('[SERP Analyzer] Opened tab:', tabId);
+
+      const loaded = await this.waitForPageLoad(tabId, 15000); // 15 second timeout
+
+      if (!loaded) {
+        throw retryableError('Page load timeout');
+      }
+
+      return await this.extractPageContent(tabId);
 
     } finally {
       // Always close the tab
@@ -485,6 +504,40 @@ class SerpAnalyzer {
     }
   }
 
+  /**
+   * Run fn once fewer than TAB_PARALLEL_LIMIT background tabs are open
+   */
+  async withTabSlot(fn) {
+    while (this.openTabs >= TAB_PARALLEL_LIMIT) {
+      await new Promise(resolve => this.tabWaiters.push(resolve));
+    }
+
+    this.openTabs++;
+    try {
+      return await fn();
+    } finally {
+      this.openTabs--;
+      this.tabWaiters.shift()?.();
+    }
+  }
+
+  /**
+   * Give extractions from either path the analyzer's section shape
+   */
+  normalizeExtraction(extractedData, loadMethod) {
+    if (!extractedData || !extractedData.sections || extractedData.sections.length === 0) {
+      throw retryableError('No content extracted from page');
+    }
+
+    return {
+      ...extractedData,
+      title: extractedData.metadata?.title,
+      loadMethod,
+      // Content script returns sections with .text; .content is the Markdown body
+      sections: normalizeSections(extractedData.sections)
+    };
+  }
+
   /**
    * Wait for page to finish loading
    */
@@ -516,7 +569,16 @@ class SerpAnalyzer {
    */
   async extractPageContent(tabId) {
     try {
-      // Inject content script if needed
+      // Request content extraction (sections get .content in normalizeExtraction)
+      try {
+        return await chrome.tabs.sendMessage(tabId, {
+          type: 'EXTRACT_CONTENT'
+        });
+      } catch (error) {
+        if (!error.message.includes('Receiving end does not exist')) throw error;
+      }
+
+      // Content script not loaded (the manifest injects it on most pages) - inject and retry
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
         files: ['content/content-script.js']
@@ -525,24 +587,10 @@ class SerpAnalyzer {
       // Wait a bit for injection
       await new Promise(resolve => setTimeout(resolve, 500));
 
-      // Request content extraction
-      const response = await chrome.tabs.sendMessage(tabId, {
+      return await chrome.tabs.sendMessage(tabId, {
         type: 'EXTRACT_CONTENT'
       });
 
-      // CRITICAL FIX: Content script returns sections with .text field
-      // but the rest of the code expects .content field
-      // Transform text → content for consistency
-      if (response && response.sections) {
-        response.sections = response.sections.map(section => ({
-          ...section,
-          content: section.text || section.content || '', // Use text if available, fallback to content or empty
-          text: section.text // Keep original for backward compatibility
-        }));
-      }
-
-      return response;
-
     } catch (error) {
       console.error('[SERP Analyzer] Failed to extract content:', error);
       throw error;
@@ -550,58 +598,37 @@ class SerpAnalyzer {
   }
 
   /**
-   * Generate summary using Chrome Summarizer API
+   * Generate summary using the configured summarizer provider
+   * Long pages are summarized map-reduce style (chunks in parallel, then combined)
+   * @returns {Promise<Object>} - { summary, summarySources: [{ sectionIds, headings }] per chunk }
    */
   async generateSummary(sections, searchQuery = null) {
     try {
       // console.log('[SERP Analyzer] Starting summarization for', sections.length, 'sections');
       
-      // Check if Summarizer API is available (same check as summarizer-worker.js)
-      if (!('Summarizer' in self)) {
-        console.warn('[SERP Analyzer] ⚠️ Chrome Summarizer API not available, using fallback');
-        return this.createFallbackSummary(sections);
+      // Check if a summarizer is available (Chrome Summarizer or local model)
+      if (!(await ai.isSummarizerAvailable())) {
+        console.warn('[SERP Analyzer] ⚠️ No summarizer available, using fallback');
+        return { summary: this.createFallbackSummary(sections), summarySources: [] };
       }
 
-      // Combine section text (limit to avoid quota)
-      const combinedText = sections
-        .slice(0, 10) // First 10 sections
-        .map(s => `${s.heading}: ${s.text}`)
-        .join('\n\n')
-        .slice(0, 4000); // Limit to 4000 chars
-
-      // console.log('[SERP Analyzer] Combined text length:', combinedText.length, 'chars');
-      // console.log('[SERP Analyzer] Text preview:', combinedText.substring(0, 200) + '...');
-
-      // Create summarizer options
-      const summarizerOptions = {
-        type: 'key-points',  // Using 'key-points' instead of 'tl;dr' (matches summarizer-worker.js line 99)
-        format: 'plain-text',
-        length: 'long'
-      };
-
       // 🎯 Add query as shared context for query-aware summarization
-      if (searchQuery && searchQuery.trim().length > 0) {
-        summarizerOptions.sharedContext = `The user is researching: "${searchQuery}". Focus the summary on information relevant to answering this query.`;
-        // console.log('[SERP Analyzer] Using query-aware summarization with context:', searchQuery);
-      }
-
-      // Create summarizer (using global Summarizer API, same as summarizer-worker.js)
-      // console.log('[SERP Analyzer] Creating summarizer...');
-      const summarizer = await Summarizer.create(summarizerOptions);
+      const sharedContext = searchQuery && searchQuery.trim().length > 0
+        ? `The user is researching: "${searchQuery}". Focus the summary on information relevant to answering this query.`
+        : null;
 
-      // Generate summary
-      // console.log('[SERP Analyzer] Generating summary...');
-      const summary = await summarizer.summarize(combinedText);
-      
-      await summarizer.destroy();
+      const result = await summarizeSections(sections, { sharedContext, length: 'long' });
+      // console.log('[SERP Analyzer] ✅ Summary generated from', result.chunks.length, 'chunks,', result.levels, 'levels');
 
-      // console.log('[SERP Analyzer] ✅ Summary generated:', summary.substring(0, 150) + '...');
-      return summary || this.createFallbackSummary(sections);
+      return {
+        summary: result.summary || this.createFallbackSummary(sections),
+        summarySources: result.chunks.map(({ sectionIds, headings }) => ({ sectionIds, headings }))
+      };
 
     } catch (error) {
       console.error('[SERP Analyzer] ❌ Summarization failed:', error);
       console.error('[SERP Analyzer] Error stack:', error.stack);
-      return this.createFallbackSummary(sections);
+      return { summary: this.createFallbackSummary(sections), summarySources: [] };
     }
   }
 
@@ -707,18 +734,23 @@ class SerpAnalyzer {
 
   /**
    * Calculate relevance score using BM25-like algorithm
+   * Query and page are analyzed in the page's language so stems line up
    */
-  calculateRelevance(sections, searchQuery, summary) {
+  async calculateRelevance(sections, searchQuery, summary) {
     try {
-      const queryTokens = this.tokenize(searchQuery.toLowerCase());
-      
       // Combine all text
       const allText = [
         summary,
-        ...sections.map(s => `${s.heading} ${s.text}`)
-      ].join(' ').toLowerCase();
+        ...sections.map(s => `${s.heading || ''} ${s.text || s.content || ''}`)
+      ].join(' ');
+
+      const language = await detectLanguage(allText);
+      const queryTokens = this.tokenize(searchQuery, language);
+      const docTokens = this.tokenize(allText, language);
 
-      const docTokens = this.tokenize(allText);
+      if (queryTokens.length === 0) {
+        return 50; // Nothing to match (query was all stopwords)
+      }
 
       // Calculate term frequency
       const termFreq = new Map();
@@ -752,14 +784,10 @@ class SerpAnalyzer {
   }
 
   /**
-   * Simple tokenizer
+   * Tokenize with the shared analyzer
    */
-  tokenize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(token => token.length > 2);
+  tokenize(text, language) {
+    return analyze(text, language);
   }
 
   /**
@@ -771,22 +799,35 @@ class SerpAnalyzer {
         type: 'SERP_ANALYSIS_PROGRESS',
         data: progressData,
         tabId: tabId
-      });
+      }).catch(() => {}); // Sidebar closed: the job keeps running
     } catch (error) {
       console.error('[SERP Analyzer] Failed to send progress:', error);
     }
   }
 
   /**
-   * Cancel active analysis
+   * Cancel a job (or every running job when no ID is given)
+   * The cancelled status is saved, so a restarted worker won't resume it;
+   * pages already loading still finish and keep their results
+   * @returns {Promise<boolean>} Whether anything was cancelled
    */
-  cancelAnalysis() {
-    if (this.activeAnalysis) {
-      this.activeAnalysis.cancelled = true;
-      // console.log('[SERP Analyzer] Analysis cancelled by user');
-      return true;
+  async cancelAnalysis(jobId = null) {
+    const jobIds = jobId ? [jobId] : [...this.activeJobs.keys()];
+    let cancelled = false;
+
+    for (const id of jobIds) {
+      const control = this.activeJobs.get(id);
+      const job = control ? control.job : await serpJobs.loadJob(id);
+      if (!job || job.status !== 'running') continue;
+
+      if (control) control.cancelled = true;
+      job.status = 'cancelled';
+      await serpJobs.saveJob(job);
+      cancelled = true;
+      // console.log('[SERP Analyzer] Job cancelled by user:', id);
     }
-    return false;
+
+    return cancelled;
   }
 
   /**
@@ -794,7 +835,7 @@ class SerpAnalyzer {
    */
   async clearCache() {
     try {
-      await storage.deleteFile(this.CACHE_FILE);
+      await serpCache.clearCache();
       // console.log('[SERP Analyzer] ✅ Cache cleared from OPFS');
     } catch (error) {
       console.error('[SERP Analyzer] Failed to clear cache:', error);
@@ -897,7 +938,7 @@ class SerpAnalyzer {
   async clearAllCache() {
     try {
       // console.log('[SERP Analyzer] 🗑️ Clearing ALL SERP cache...');
-      await storage.write(this.CACHE_FILE, {});
+      await serpCache.clearCache();
       // console.log('[SERP Analyzer] ✅ All cache cleared - next analysis will be fresh');
       return true;
     } catch (error) {
@@ -0,0 +1,186 @@
+/**
+ * SERP Job Store - Persists SERP analyses to OPFS (serp_job_<id>.json)
+ * Every URL carries its own state (pending → running → done | failed), so a
+ * service worker that gets suspended mid-analysis can pick the job up again
+ * and a reopened sidebar can reattach to it
+ */
+
+import * as storage from '../lib/storage.js';
+import { uuid } from '../lib/utils.js';
+import { SCHEMA_VERSION } from '../lib/schema.js';
+
+const JOB_PREFIX = 'serp_job_';
+const RESUME_WINDOW = 60 * 60 * 1000; // Older running jobs are abandoned, not resumed
+const FINISHED_JOB_TTL = 24 * 60 * 60 * 1000; // Results live on in the SERP session
+
+// Writes per job, chained so snapshots land in order
+const writeChains = new Map();
+
+function jobFile(jobId) {
+  return `${JOB_PREFIX}${jobId}.json`;
+}
+
+/**
+ * Create and save a job for a list of search results
+ * @param {Object} params - { urls, searchQuery, searchUrl, tabId }
+ */
+export async function createJob({ urls, searchQuery, searchUrl, tabId }) {
+  const now = Date.now();
+  const job = {
+    schemaVersion: SCHEMA_VERSION,
+    jobId: uuid(),
+    searchQuery,
+    searchUrl: searchUrl || null,
+    tabId,
+    status: 'running', // 'running' | 'complete' | 'cancelled' | 'interrupted'
+    items: urls.map(urlData => ({
+      urlData,
+      state: 'pending', // 'pending' | 'running' | 'done' | 'failed'
+      attempts: 0,
+      error: null,
+      result: null
+    })),
+    serpSessionId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await saveJob(job);
+  return job;
+}
+
+/**
+ * Save a job snapshot (serialized per job; the latest snapshot wins)
+ */
+export function saveJob(job) {
+  job.updatedAt = Date.now();
+  const snapshot = JSON.parse(JSON.stringify(job));
+
+  const previous = writeChains.get(job.jobId) || Promise.resolve();
+  const write = previous
+    .catch(() => {})
+    .then(() => storage.write(jobFile(job.jobId), snapshot));
+  writeChains.set(job.jobId, write);
+
+  write.finally(() => {
+    if (writeChains.get(job.jobId) === write) {
+      writeChains.delete(job.jobId);
+    }
+  }).catch(() => {});
+
+  return write;
+}
+
+/**
+ * Load a job by ID
+ * @returns {Promise<Object|null>}
+ */
+export async function loadJob(jobId) {
+  try {
+    return await storage.read(jobFile(jobId));
+  } catch (error) {
+    console.warn('[SERP Jobs] Failed to load job:', jobId, error);
+    return null;
+  }
+}
+
+/**
+ * Load every saved job, newest first
+ */
+export async function listJobs() {
+  const files = (await storage.listFiles())
+    .filter(name => name.startsWith(JOB_PREFIX) && name.endsWith('.json'));
+
+  const jobs = [];
+  for (const file of files) {
+    try {
+      const job = await storage.read(file);
+      if (job?.jobId) jobs.push(job);
+    } catch (error) {
+      console.warn('[SERP Jobs] Skipping unreadable job file:', file, error);
+    }
+  }
+
+  return jobs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Latest job started from a tab
+ */
+export async function findJobForTab(tabId) {
+  const jobs = await listJobs();
+  return jobs.find(job => job.tabId === tabId) || null;
+}
+
+/**
+ * Delete a job file
+ */
+export async function deleteJob(jobId) {
+  try {
+    await storage.deleteFile(jobFile(jobId));
+  } catch (error) {
+    console.warn('[SERP Jobs] Failed to delete job:', jobId, error);
+  }
+}
+
+/**
+ * Jobs a restarted service worker should continue
+ * Running jobs that haven't moved for too long (e.g. from before a browser
+ * restart, when their tab no longer exists) are marked interrupted instead,
+ * and finished jobs past their TTL are deleted
+ * @returns {Promise<Array>}
+ */
+export async function collectResumableJobs() {
+  const now = Date.now();
+  const resumable = [];
+
+  for (const job of await listJobs()) {
+    if (job.status === 'running') {
+      if (now - job.updatedAt <= RESUME_WINDOW) {
+        resumable.push(job);
+      } else {
+        job.status = 'interrupted';
+        await saveJob(job);
+      }
+    } else if (now - job.updatedAt > FINISHED_JOB_TTL) {
+      await deleteJob(job.jobId);
+    }
+  }
+
+  return resumable;
+}
+
+/**
+ * Analysis results for the finished items of a job, in search result order
+ */
+export function jobResults(job) {
+  return job.items
+    .filter(item => item.result)
+    .map(item => item.result);
+}
+
+/**
+ * Small view of a job for the sidebar (full results only for finished items)
+ */
+export function describeJob(job) {
+  const finished = job.items.filter(item => item.state === 'done' || item.state === 'failed').length;
+  return {
+    jobId: job.jobId,
+    searchQuery: job.searchQuery,
+    tabId: job.tabId,
+    status: job.status,
+    serpSessionId: job.serpSessionId,
+    current: finished,
+    total: job.items.length,
+    items: job.items.map(({ urlData, state, attempts, error }) => ({
+      url: urlData.url,
+      title: urlData.title,
+      state,
+      attempts,
+      error
+    })),
+    results: jobResults(job),
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
@@ -4,64 +4,47 @@
  */
 
 import * as sessionManager from './session-manager.js';
+import * as registry from './registry.js';
 import { serpAnalyzer } from './serp-analyzer.js';
+import * as serpJobs from './serp-jobs.js';
+import * as serpCache from '../lib/serp-cache.js';
 import * as storage from '../lib/storage.js';
-import { uuid, timestamp } from '../lib/utils.js';
+import { collectGarbage, getLastReport } from './garbage-collector.js';
+import { loadRetentionConfig } from '../lib/retention.js';
+import { SCHEMA_VERSION, normalizeSections } from '../lib/schema.js';
 import { BM25Retriever } from '../lib/retrieval.js';
+import { MultiPageBM25 } from '../lib/multi-page-bm25.js';
+import { loadIndex, saveIndex } from '../lib/inverted-index.js';
+import { detectLanguage, sampleSections } from '../lib/analyzer.js';
+import { parseSerpOffscreen } from './offscreen-client.js';
+import { rerank, RERANK_CANDIDATES } from '../lib/reranker.js';
+import { searchWeb, loadSearchConfig } from '../lib/search-providers.js';
+import { sectionBody } from '../lib/markdown.js';
+import { selectCitationQuote, validateCitations } from '../lib/citations.js';
+import { splitClaims, verifyClaims } from '../lib/claims.js';
+import * as ai from '../lib/ai.js';
+import { createContextBudget, PRIORITY } from '../lib/context-budget.js';
 
-// Token limits for Chrome AI (conservative estimate)
-const MAX_TOTAL_TOKENS = 3500; // Leave buffer for safety
-const CHARS_PER_TOKEN = 4; // Rough estimate: 1 token ≈ 4 chars
-
-/**
- * Estimate token count from text
- */
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
-}
-
-/**
- * Calculate available tokens for context
- */
-function calculateAvailableTokens(systemPrompt, chatHistory, question, mentionedTabsCount = 0) {
-  let usedTokens = 0;
-  
-  // System prompt
-  usedTokens += estimateTokens(systemPrompt);
-  
-  // Chat history (only last 6 messages that are included in system prompt)
-  const recentMessages = chatHistory.slice(-6);
-  recentMessages.forEach(msg => {
-    usedTokens += estimateTokens(msg.content);
-  });
-  
-  // Current question
-  usedTokens += estimateTokens(question);
-  
-  // Mentioned tabs overhead (approximate)
-  usedTokens += mentionedTabsCount * 100;
-  
-  // Instructions and formatting overhead
-  usedTokens += 200;
-  
-  // Reserved for answer
-  usedTokens += 500;
-  
-  const available = MAX_TOTAL_TOKENS - usedTokens;
-  console.log(`[SW] Token budget: ${usedTokens}/${MAX_TOTAL_TOKENS} used, ${available} available for context`);
-  
-  return Math.max(available, 500);
-}
+// Research Mode: sections (across all sources) considered for an answer
+const RESEARCH_MAX_SECTIONS = 12;
+// Research Mode: sources each claim is checked against (cited ones first)
+const CLAIM_EVIDENCE_SOURCES = 4;
 
 // State
 const state = {
   initialized: false,
   activeSessions: new Map(), // tabId -> sessionId
   ports: new Map(), // tabId -> port
-  tabInfo: new Map() // tabId -> { title, url, lastActive }
+  tabInfo: new Map(), // tabId -> { title, url, lastActive }
+  retrievers: new Map() // sessionId -> BM25Retriever (backed by index_<id>.json)
 };
 
+const MAX_CACHED_RETRIEVERS = 10;
+
+// Daily retention pass (chrome.alarms survives service worker restarts)
+const GC_ALARM = 'nutshell-gc';
+const GC_PERIOD_MINUTES = 24 * 60;
+
 /**
  * Initialize service worker
  */
@@ -69,8 +52,13 @@ async function initialize() {
   if (state.initialized) return;
   
   try {
+    const { nutshellSettings } = await chrome.storage.local.get('nutshellSettings');
+    await applyStorageEngine(nutshellSettings?.storage?.engine);
     await sessionManager.initialize();
     state.initialized = true;
+    
+    // Pick up SERP analyses interrupted by a worker restart
+    resumeSerpJobs();
   } catch (error) {
     console.error('[SW] Initialization failed:', error);
   }
@@ -115,7 +103,7 @@ async function handleMessage(message, sender, sendResponse) {
         return await handleContinueSession(data.sessionId, data.tabId);
         
       case 'SAVE_SUMMARY':
-        return await handleSaveSummary(data.sessionId, data.summary, data.sectionSummaries, data.statistics);
+        return await handleSaveSummary(data.sessionId, data.summary, data.sectionSummaries, data.statistics, data.pageSummary);
         
       case 'SAVE_CHAT_MESSAGE':
         return await handleSaveChatMessage(data.sessionId, data.role, data.content, data.metadata);
@@ -148,14 +136,26 @@ async function handleMessage(message, sender, sendResponse) {
         return await handleLinkSerpToChat(data.serpSessionId, data.chatSessionId);
       
       case 'START_SERP_ANALYSIS':
-        return await handleStartSerpAnalysis(data.urls, data.searchQuery, data.tabId);
+        return await handleStartSerpAnalysis(data.urls, data.searchQuery, data.tabId, data.searchUrl);
+      
+      case 'GET_SERP_JOB':
+        return await handleGetSerpJob(data.jobId, data.tabId);
       
       case 'CANCEL_SERP_ANALYSIS':
-        return await handleCancelSerpAnalysis();
+        return await handleCancelSerpAnalysis(data?.jobId);
       
       case 'CLEAR_SERP_CACHE':
         return await handleClearSerpCache();
       
+      case 'GET_SERP_CACHE':
+        return await handleGetSerpCache(data?.includeData);
+      
+      case 'GET_SERP_CACHE_ENTRY':
+        return await handleGetSerpCacheEntry(data.url);
+      
+      case 'DELETE_SERP_CACHE_ENTRY':
+        return await handleDeleteSerpCacheEntry(data.url);
+      
       case 'COMPARE_SERP_RESULTS':
         return await handleCompareSerpResults(data.results, data.question, data.searchQuery, data.tabId);
       
@@ -168,8 +168,9 @@ async function handleMessage(message, sender, sendResponse) {
       case 'FORCE_REFRESH_SERP_RESULT':
         return await handleForceRefreshSerpResult(data.urlData, data.searchQuery);
       
+      case 'SEARCH_WEB':
       case 'RESEARCH_MODE_SEARCH':
-        return await handleResearchModeSearch(data.query, data.count);
+        return await handleSearchWeb(data.query, data.count);
       
       case 'RESEARCH_MODE_ANALYZE':
         return await handleResearchModeAnalyze(data.url, data.query);
@@ -177,6 +178,9 @@ async function handleMessage(message, sender, sendResponse) {
       case 'RESEARCH_MODE_GENERATE_ANSWER':
         return await handleResearchModeGenerateAnswer(data.query, data.sources);
       
+      case 'RESEARCH_MODE_VERIFY_CLAIMS':
+        return await handleResearchModeVerifyClaims(data.answer, data.sources);
+      
       case 'RESEARCH_MODE_CREATE_CHAT':
         return await handleResearchModeCreateChat(data.query, data.sources, data.answer);
       
@@ -191,6 +195,15 @@ async function handleMessage(message, sender, sendResponse) {
       
       case 'DELETE_RESEARCH_ENTRY':
         return await handleDeleteResearchEntry(data.entryId);
+      
+      case 'SET_PINNED':
+        return await handleSetPinned(data.section, data.id, data.pinned);
+      
+      case 'RUN_GARBAGE_COLLECTION':
+        return await handleRunGarbageCollection(data?.dryRun);
+      
+      case 'GET_GC_REPORT':
+        return await handleGetGarbageCollectionReport();
         
       default:
         console.warn('[SW] Unknown message type:', type);
@@ -403,6 +416,52 @@ async function handleSaveSections(sessionId, sections, statistics) {
   }
 }
 
+/**
+ * Label a section carries in the Q&A prompt
+ */
+function sourceLabel(number, section) {
+  const sourcePrefix = section._sourceTab ? `[${section._sourceTab}] ` : '';
+  return `[source ${number}: ${sourcePrefix}${section.heading}]`;
+}
+
+/**
+ * Get the session's BM25 retriever, synced to the given sections
+ * Kept in memory and persisted to OPFS, so only new or changed pages get tokenized
+ */
+async function getSessionRetriever(sessionId, allSections) {
+  let retriever = state.retrievers.get(sessionId);
+  
+  if (!retriever) {
+    const index = await loadIndex(sessionId);
+    retriever = new BM25Retriever([], { index });
+    
+    if (state.retrievers.size >= MAX_CACHED_RETRIEVERS) {
+      state.retrievers.delete(state.retrievers.keys().next().value);
+    }
+    state.retrievers.set(sessionId, retriever);
+  }
+  
+  // One index document per source: the page itself and each mentioned tab
+  const documents = new Map();
+  allSections.forEach(section => {
+    const docId = section._sourceTab ? `tab:${section._sourceTab}` : 'page';
+    if (!documents.has(docId)) {
+      documents.set(docId, []);
+    }
+    documents.get(docId).push(section);
+  });
+  
+  const languages = new Map();
+  for (const [docId, sections] of documents) {
+    languages.set(docId, await detectLanguage(sampleSections(sections)));
+  }
+  
+  retriever.syncDocuments(documents, languages);
+  await saveIndex(sessionId, retriever.index);
+  
+  return retriever;
+}
+
 /**
  * Handle chat message - Q&A directly in service worker (no Web Worker needed)
  */
@@ -495,8 +554,8 @@ async function handleSendChat(data) {
       mentions: mentions.length
     });
     
-    // Step 1: Initialize BM25 retriever with all sections (current + mentioned tabs)
-    const retriever = new BM25Retriever(allSections);
+    // Step 1: Get the session's BM25 retriever, synced to current + mentioned tabs' sections
+    const retriever = await getSessionRetriever(sessionId, allSections);
     
     // Step 2: Build context-aware search query
     let searchQuery = question;
@@ -532,8 +591,9 @@ async function handleSendChat(data) {
       }
     }
     
-    // Step 3: Retrieve relevant sections using BM25
-    const results = retriever.search(searchQuery, 3);
+    // Step 3: Retrieve candidates using BM25, then re-rank against the question
+    const candidates = retriever.search(searchQuery, RERANK_CANDIDATES);
+    const results = await rerank(question, candidates, { k: 3 });
     
     if (results.length === 0) {
       throw new Error('No relevant content found for this question');
@@ -552,7 +612,7 @@ CRITICAL RULES:
 2. DO NOT use external knowledge or make assumptions
 3. If the answer is not in the provided content, say "I don't have that information in the provided pages"
 4. Be concise and direct (1-2 paragraphs unless asked to elaborate)
-5. Cite sources using [Source: heading] format`;
+5. Cite sources by adding [source N] (the number of the webpage section below) after each sentence that uses it`;
     
     // Add cross-tab context info if mentions are used
     if (mentionedTabsInfo.length > 0) {
@@ -570,100 +630,88 @@ CRITICAL RULES:
       systemPrompt += `\n\nPREVIOUS PAGE CONVERSATION SUMMARY:\n${previousConversationSummary}`;
     }
     
-    // Add recent conversation history (last 3 exchanges from current page)
-    const currentPageMessages = chatHistory.filter(msg => {
-      // Only include messages from current page (after last navigation)
-      return true; // For now, include all
-    }).slice(-6); // Last 3 user + 3 assistant messages
-    
-    if (currentPageMessages.length > 0) {
-      systemPrompt += `\n\nRECENT CONVERSATION:`;
-      for (const msg of currentPageMessages) {
-        systemPrompt += `\n${msg.role === 'user' ? 'User' : 'Nutshell'}: ${msg.content}`;
-      }
+    // Step 5: Create AI session (its quota drives the context budget)
+    // Check if a language model is available (Chrome AI or local provider)
+    if (!(await ai.isAIAvailable())) {
+      throw new Error('AI not available. Enable Chrome AI (Chrome 127+) or configure a local model in Settings.');
     }
     
-    // Calculate available tokens for webpage content (dynamic sizing)
-    const availableTokens = calculateAvailableTokens(
-      systemPrompt,
-      chatHistory,
-      question,
-      mentionedTabsInfo.length
-    );
-    const availableChars = availableTokens * CHARS_PER_TOKEN;
-    
-    // Distribute available space across retrieved sections
-    const numSections = results.length;
-    const charsPerSection = Math.floor(availableChars / numSections) - 100; // 100 char overhead per section
-    const maxCharsPerSection = Math.max(charsPerSection, 400); // Minimum 400 chars per section
-    
-    console.log(`[SW] Context budget: ${availableChars} chars for ${numSections} sections = ${maxCharsPerSection} chars/section`);
-    
-    // Build user prompt with context (with dynamic truncation)
-    let userPrompt = `WEBPAGE CONTENT:\n\n`;
-    for (const result of results) {
-      const sourcePrefix = result.section._sourceTab ? `[${result.section._sourceTab}] ` : '';
-      let text = result.section.text;
-      
-      // Adaptive truncation based on available space
-      if (text.length > maxCharsPerSection) {
-        let truncated = text.substring(0, maxCharsPerSection);
-        
-        // Try to end at sentence boundary
-        const lastSentence = Math.max(
-          truncated.lastIndexOf('.'),
-          truncated.lastIndexOf('?'),
-          truncated.lastIndexOf('!')
-        );
-        
-        if (lastSentence > maxCharsPerSection * 0.7) {
-          truncated = text.substring(0, lastSentence + 1);
-        }
-        
-        text = truncated + (truncated.length < result.section.text.length ? '...' : '');
-      }
-      
-      userPrompt += `[Source: ${sourcePrefix}${result.section.heading}]\n${text}\n\n`;
+    let aiSession;
+    try {
+      aiSession = await ai.createSession({
+        systemPrompt: systemPrompt
+      });
+    } catch (error) {
+      throw new Error('AI not available: ' + error.message);
     }
     
-    userPrompt += `Question: ${question}\n\n`;
-    
     // Add specific instruction based on question type
+    let instructions;
     const questionLower = question.toLowerCase();
     if (questionLower.includes('what is') || questionLower.includes('what are')) {
-      userPrompt += `Instructions: Answer using the webpage content above. Be concise (1-2 paragraphs).\n\n`;
+      instructions = `Instructions: Answer using the webpage content above. Be concise (1-2 paragraphs).`;
     } else if (questionLower.includes('elaborate') || questionLower.includes('detail') || questionLower.includes('explain more')) {
-      userPrompt += `Instructions: Provide a detailed explanation using the webpage content above. You can use multiple paragraphs.\n\n`;
+      instructions = `Instructions: Provide a detailed explanation using the webpage content above. You can use multiple paragraphs.`;
     } else if (questionLower.includes('previous') || questionLower.includes('first') || questionLower.includes('earlier') || questionLower.includes('asked')) {
-      userPrompt += `Instructions: This question is about our conversation history. Answer based on what we discussed earlier in this chat.\n\n`;
+      instructions = `Instructions: This question is about our conversation history. Answer based on what we discussed earlier in this chat.`;
     } else {
-      userPrompt += `Instructions: Answer using the webpage content above. Be concise (1-2 paragraphs).\n\n`;
+      instructions = `Instructions: Answer using the webpage content above. Be concise (1-2 paragraphs).`;
     }
     
-    // Step 5: Call AI (streaming)
-    console.log('[SW] 🤖 Calling AI with streaming...');
-    
-    // Check if LanguageModel is available (in service workers, use LanguageModel directly)
-    if (typeof LanguageModel === 'undefined') {
-      throw new Error('Chrome AI not available. Please ensure you have Chrome 127+ with AI features enabled.');
+    // Pack sections and recent history into the window
+    // Top section and latest exchange first, then other sections, then older history
+    const recentMessages = chatHistory.slice(-6); // Last 3 user + 3 assistant messages
+    const budget = createContextBudget(aiSession);
+    const packed = await budget.pack([
+      { kind: 'prompt', text: `Question: ${question}\n\n${instructions}`, priority: PRIORITY.REQUIRED },
+      ...recentMessages.map((msg, idx) => ({
+        kind: 'history',
+        text: `${msg.role === 'user' ? 'User' : 'Nutshell'}: ${msg.content}`,
+        render: text => `${text}\n`,
+        priority: idx >= recentMessages.length - 2 ? PRIORITY.HIGH : PRIORITY.LOW
+      })),
+      ...results.map((result, idx) => ({
+        kind: 'section',
+        text: sectionBody(result.section),
+        // Numbered by rank; the number in the prompt can only be smaller
+        render: text => `${sourceLabel(idx + 1, result.section)}\n${text}\n\n`,
+        result,
+        priority: idx === 0 ? PRIORITY.HIGH : PRIORITY.NORMAL,
+        truncate: true
+      }))
+    ]);
+    
+    const includedResults = packed.items.filter(item => item.kind === 'section');
+    const includedHistory = packed.items.filter(item => item.kind === 'history');
+    
+    console.log(`[SW] Context budget: ${packed.usedTokens}/${budget.available} tokens, ${includedResults.length}/${results.length} sections, ${packed.dropped.length} items dropped`);
+    
+    // Build user prompt with context
+    let userPrompt = '';
+    if (includedHistory.length > 0) {
+      userPrompt += `RECENT CONVERSATION:\n${includedHistory.map(item => item.text).join('\n')}\n\n`;
     }
+    userPrompt += `WEBPAGE CONTENT:\n\n`;
+    includedResults.forEach(({ result, text }, idx) => {
+      userPrompt += `${sourceLabel(idx + 1, result.section)}\n${text}\n\n`;
+    });
     
-    let aiSession;
-    try {
-      // In service workers, use LanguageModel.create() directly
-      aiSession = await LanguageModel.create({
-        systemPrompt: systemPrompt
-      });
-    } catch (error) {
-      throw new Error('AI not available: ' + error.message);
-    }
+    userPrompt += `Question: ${question}\n\n${instructions}\n\n`;
     
-    // Step 6: Extract citations (before streaming)
-    const citations = results.map(result => ({
+
+    // Step 6: Call AI (streaming)
+    console.log('[SW] 🤖 Calling AI with streaming...');
+    
+    // Extract citations for the sections actually sent (before streaming)
+    const citations = includedResults.map(({ result }) => ({
       sectionId: result.section.id,
       heading: result.section.heading,
       snippet: result.section.text.substring(0, 150) + '...',
       relevanceScore: result.score,
+      rerankScore: result.rerankScore ?? null,
+      retrievalRank: result.retrievalRank ?? null,
+      anchor: result.section.anchor || null,
+      quote: selectCitationQuote(result.section, [], question),
       pageTitle: result.section._sourceTitle || currentPageTitle || 'Current Page',
       pageUrl: result.section._sourceUrl || currentPageUrl || '',
       isCurrentPage: !result.section._sourceTab, // False if from mentioned tab
@@ -707,18 +755,15 @@ CRITICAL RULES:
         console.warn('[SW] ⚠️ Input too large error detected. Retrying with reduced context...');
         
         // Retry with aggressive truncation (400 chars per section max)
+        // Same sections (and numbering) as the citations
         let retryPrompt = `WEBPAGE CONTENT:\n\n`;
-        for (const result of results) {
+        includedResults.forEach(({ result }, idx) => {
           const sourcePrefix = result.section._sourceTab ? `[${result.section._sourceTab}] ` : '';
-          let text = result.section.text;
-          
           // Much more aggressive truncation for retry
-          if (text.length > 400) {
-            text = text.substring(0, 400) + '...';
-          }
+          const text = sectionBody(result.section, { maxChars: 400 });
           
-          retryPrompt += `[Source: ${sourcePrefix}${result.section.heading}]\n${text}\n\n`;
-        }
+          retryPrompt += `[source ${idx + 1}: ${sourcePrefix}${result.section.heading}]\n${text}\n\n`;
+        });
         retryPrompt += `Question: ${question}\n\nInstructions: Answer concisely using the webpage content above.\n\n`;
         
         try {
@@ -736,6 +781,20 @@ CRITICAL RULES:
       }
     }
     
+    ai.destroySession(aiSession);
+    
+    // Check [source N] markers against the sections they point to (remap or drop bad ones)
+    const validation = validateCitations(fullAnswer, includedResults.map(({ result }) => result.section));
+    fullAnswer = validation.answer;
+    citations.forEach((citation, idx) => {
+      citation.confidence = validation.confidence[idx];
+      // Highlight the sentence the answer cited, now that the answer is known
+      citation.quote = selectCitationQuote(includedResults[idx].result.section, validation.claims[idx], question);
+    });
+    if (validation.stats.remapped + validation.stats.dropped > 0) {
+      console.log('[SW] Citation markers repaired:', validation.stats);
+    }
+    
     const responseTime = Date.now() - startTime;
     console.log('[SW] ✅ Streaming complete:', fullAnswer.length, 'chars,', chunkCount, 'chunks in', responseTime, 'ms');
     
@@ -893,7 +952,7 @@ async function handleGetTabContext(tabId) {
       // Multi-page session - get sections from all pages
       for (const page of session.content.pages) {
         if (page.extractedContent) {
-          sections = sections.concat(page.extractedContent);
+          sections = sections.concat(page.extractedContent.sections);
         }
       }
     } else if (session.content && session.content.sections) {
@@ -999,11 +1058,12 @@ async function handlePageNavigation(tabId, url, title) {
 /**
  * Handle save summary
  */
-async function handleSaveSummary(sessionId, summary, sectionSummaries, statistics) {
+async function handleSaveSummary(sessionId, summary, sectionSummaries, statistics, pageSummary = null) {
   try {
     await sessionManager.updateSessionContent(sessionId, {
       summary,
       sectionSummaries,
+      pageSummary,
       statistics
     });
     
@@ -1051,6 +1111,38 @@ function broadcastToTab(tabId, message) {
   }
 }
 
+/**
+ * Tell open extension pages (e.g. the history view) when the registry changes
+ */
+function setupRegistryListener() {
+  registry.onRegistryChange(({ section, action, id }) => {
+    chrome.runtime.sendMessage({
+      type: 'REGISTRY_CHANGED',
+      data: { section, action, id }
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Move documents to the storage engine chosen in settings
+ * (a failed switch, e.g. IndexedDB unavailable, keeps the current engine)
+ */
+async function applyStorageEngine(name = 'opfs') {
+  try {
+    await storage.useEngine(name);
+  } catch (error) {
+    console.error('[SW] Failed to switch storage engine:', name, error);
+  }
+}
+
+function setupStorageEngineListener() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.nutshellSettings) {
+      applyStorageEngine(changes.nutshellSettings.newValue?.storage?.engine);
+    }
+  });
+}
+
 /**
  * Setup message listeners
  */
@@ -1246,6 +1338,7 @@ async function handleDeleteSession(sessionId) {
     // console.log('[SW] Deleting session:', sessionId);
     
     const deleted = await sessionManager.deleteSession(sessionId);
+    state.retrievers.delete(sessionId);
     
     if (deleted) {
       // console.log('[SW] ✅ Session deleted:', sessionId);
@@ -1352,53 +1445,123 @@ async function handleLinkSerpToChat(serpSessionId, chatSessionId) {
 }
 
 /**
- * Start SERP analysis
+ * Start SERP analysis as a persisted job
+ * Returns right away; progress and the final results arrive as
+ * SERP_ANALYSIS_PROGRESS / SERP_ANALYSIS_COMPLETE broadcasts
  */
-async function handleStartSerpAnalysis(urls, searchQuery, tabId) {
+async function handleStartSerpAnalysis(urls, searchQuery, tabId, searchUrl) {
   try {
     // console.log('[SW] Starting SERP analysis for', urls.length, 'URLs');
     
-    const results = await serpAnalyzer.analyzeSearchResults(urls, searchQuery, tabId);
+    const job = await serpJobs.createJob({
+      urls,
+      searchQuery,
+      tabId,
+      searchUrl: searchUrl || `https://www.google.com/search?q=${encodeURIComponent(searchQuery)}`
+    });
+    runSerpJob(job);
+    
+    return {
+      success: true,
+      jobId: job.jobId,
+      total: urls.length
+    };
+  } catch (error) {
+    console.error('[SW] SERP analysis failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Run a SERP job to the end, auto-save its results as a SERP session and
+ * tell the sidebar (also used to resume jobs after a worker restart)
+ */
+async function runSerpJob(job) {
+  if (serpAnalyzer.isJobActive(job.jobId)) return;
+  
+  try {
+    const results = await serpAnalyzer.runJob(job);
     
-    // console.log('[SW] ✅ SERP analysis complete:', results.length, 'results');
+    // console.log('[SW] ✅ SERP job', job.status, ':', results.length, 'results');
     
     // Auto-save SERP session
-    try {
-      const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(searchQuery)}`;
-      const serpSession = await sessionManager.createSerpSession({
-        searchQuery,
-        searchUrl,
-        results
-      });
-      // console.log('[SW] 💾 Auto-saved SERP session:', serpSession.sessionId);
-      
-      return {
-        success: true,
-        results: results,
-        count: results.length,
-        serpSessionId: serpSession.sessionId // Include session ID in response
-      };
-    } catch (saveError) {
-      console.error('[SW] Failed to save SERP session:', saveError);
-      // Continue even if save fails
-      return {
-        success: true,
-        results: results,
-        count: results.length
-      };
+    if (results.length > 0) {
+      try {
+        const serpSession = await sessionManager.createSerpSession({
+          searchQuery: job.searchQuery,
+          searchUrl: job.searchUrl,
+          results
+        });
+        job.serpSessionId = serpSession.sessionId;
+        await serpJobs.saveJob(job);
+        // console.log('[SW] 💾 Auto-saved SERP session:', serpSession.sessionId);
+      } catch (saveError) {
+        console.error('[SW] Failed to save SERP session:', saveError);
+        // Continue even if save fails
+      }
     }
+    
+    notifySerpJobFinished(job, {
+      success: true,
+      results,
+      count: results.length,
+      serpSessionId: job.serpSessionId
+    });
   } catch (error) {
     console.error('[SW] SERP analysis failed:', error);
+    notifySerpJobFinished(job, { success: false, error: error.message });
+  }
+}
+
+/**
+ * Broadcast the end of a SERP job (the sidebar may be closed)
+ */
+function notifySerpJobFinished(job, data) {
+  chrome.runtime.sendMessage({
+    type: 'SERP_ANALYSIS_COMPLETE',
+    data: { jobId: job.jobId, status: job.status, ...data },
+    tabId: job.tabId
+  }).catch(() => {});
+}
+
+/**
+ * Continue SERP jobs a previous service worker instance left running
+ */
+async function resumeSerpJobs() {
+  try {
+    const jobs = await serpJobs.collectResumableJobs();
+    for (const job of jobs) {
+      console.log('[SW] Resuming SERP job', job.jobId, `(${job.searchQuery})`);
+      runSerpJob(job);
+    }
+  } catch (error) {
+    console.error('[SW] Failed to resume SERP jobs:', error);
+  }
+}
+
+/**
+ * Get a SERP job by ID, or the latest one started from a tab
+ */
+async function handleGetSerpJob(jobId, tabId) {
+  try {
+    const job = jobId ? await serpJobs.loadJob(jobId) : await serpJobs.findJobForTab(tabId);
+    
+    return {
+      success: true,
+      job: job ? serpJobs.describeJob(job) : null
+    };
+  } catch (error) {
+    console.error('[SW] Failed to get SERP job:', error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Cancel SERP analysis
+ * Cancel SERP analysis (a single job, or all running jobs)
  */
-async function handleCancelSerpAnalysis() {
+async function handleCancelSerpAnalysis(jobId) {
   try {
-    const cancelled = serpAnalyzer.cancelAnalysis();
+    const cancelled = await serpAnalyzer.cancelAnalysis(jobId);
     // console.log('[SW] SERP analysis cancelled:', cancelled);
     
     return {
@@ -1416,7 +1579,7 @@ async function handleCancelSerpAnalysis() {
  */
 async function handleClearSerpCache() {
   try {
-    serpAnalyzer.clearCache();
+    await serpAnalyzer.clearCache();
     // console.log('[SW] SERP cache cleared');
     
     return {
@@ -1428,6 +1591,47 @@ async function handleClearSerpCache() {
   }
 }
 
+/**
+ * List SERP cache entries with size and hit statistics (cache viewer)
+ */
+async function handleGetSerpCache(includeData = false) {
+  try {
+    const entries = await serpCache.listEntries(includeData);
+    const stats = await serpCache.getCacheStats();
+    
+    return { success: true, entries, stats };
+  } catch (error) {
+    console.error('[SW] Failed to list SERP cache:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get one cached SERP analysis (cache viewer details)
+ */
+async function handleGetSerpCacheEntry(url) {
+  try {
+    const entry = await serpCache.readEntry(url);
+    return { success: true, entry };
+  } catch (error) {
+    console.error('[SW] Failed to read SERP cache entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete one cached SERP analysis
+ */
+async function handleDeleteSerpCacheEntry(url) {
+  try {
+    const deleted = await serpCache.deleteEntry(url);
+    return { success: true, deleted };
+  } catch (error) {
+    console.error('[SW] Failed to delete SERP cache entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Prepare SERP results for comparison (ensure full content)
  * NOTE: Actual comparison happens in sidebar where Workers are available
@@ -1563,80 +1767,75 @@ async function handleForceRefreshSerpResult(urlData, searchQuery) {
  */
 
 /**
- * Research Mode: Perform Google Search
+ * Scrape a search results page in a temporary background tab
+ * (tab-based providers like Google, which can't be fetched and parsed)
  */
-async function handleResearchModeSearch(query, count) {
-  try {
-    // console.log('[SW] 🔍 Research Mode Search:', query, `(top ${count})`);
-    
-    // Use existing SERP extractor logic
-    // Create a temporary tab to extract search results
-    const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-    
-    // Open search page in background
-    const tab = await chrome.tabs.create({ url: searchUrl, active: false });
-    // console.log('[SW] Opened search tab:', tab.id);
-    
-    // Wait for page to load completely
-    return new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        console.warn('[SW] ⚠️ Search timed out after 15 seconds');
-        chrome.tabs.remove(tab.id).catch(() => {});
-        resolve({ success: false, error: 'Search timed out. Please try again.' });
-      }, 15000);
+async function scrapeSearchTab(searchUrl, count) {
+  const tab = await chrome.tabs.create({ url: searchUrl, active: false });
+  // console.log('[SW] Opened search tab:', tab.id);
+  
+  return new Promise((resolve, reject) => {
+    const finish = (error, results) => {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(updateHandler);
+      chrome.tabs.remove(tab.id).catch(err => {
+        console.warn('[SW] Could not close tab:', err);
+      });
+      if (error) reject(error);
+      else resolve(results);
+    };
+    
+    const timeout = setTimeout(() => {
+      console.warn('[SW] ⚠️ Search timed out after 15 seconds');
+      finish(new Error('Search timed out'));
+    }, 15000);
+    
+    // Listen for tab to complete loading
+    const updateHandler = async (tabId, changeInfo) => {
+      if (tabId !== tab.id || changeInfo.status !== 'complete') return;
+      chrome.tabs.onUpdated.removeListener(updateHandler);
       
-      // Listen for tab to complete loading
-      const updateHandler = async (tabId, changeInfo) => {
-        if (tabId === tab.id && changeInfo.status === 'complete') {
-          // console.log('[SW] Page load complete, requesting SERP extraction...');
-          chrome.tabs.onUpdated.removeListener(updateHandler);
-          
-          // Give content script a moment to initialize
-          await new Promise(r => setTimeout(r, 1000));
-          
-          try {
-            // Explicitly request SERP extraction
-            const response = await chrome.tabs.sendMessage(tab.id, {
-              type: 'EXTRACT_SERP_URLS',
-              data: { maxResults: count }
-            });
-            
-            clearTimeout(timeout);
-            
-            if (response && response.success && response.results) {
-              // console.log('[SW] ✅ SERP extraction successful:', response.results.length, 'URLs');
-              
-              // Close the temporary tab
-              chrome.tabs.remove(tab.id).catch(err => {
-                console.warn('[SW] Could not close tab:', err);
-              });
-              
-              // Format results to match expected structure
-              const formattedResults = response.results.map((result, index) => ({
-                url: result.url,
-                title: result.title || '',
-                snippet: result.snippet || '',
-                position: index + 1
-              }));
-              
-              resolve({ success: true, results: formattedResults });
-            } else {
-              throw new Error(response?.error || 'No results found');
-            }
-          } catch (error) {
-            clearTimeout(timeout);
-            console.error('[SW] ❌ SERP extraction failed:', error);
-            chrome.tabs.remove(tab.id).catch(() => {});
-            resolve({ success: false, error: `Failed to extract search results: ${error.message}` });
-          }
-        }
-      };
+      // Give content script a moment to initialize
+      await new Promise(r => setTimeout(r, 1000));
       
-      chrome.tabs.onUpdated.addListener(updateHandler);
+      try {
+        const response = await chrome.tabs.sendMessage(tab.id, {
+          type: 'EXTRACT_SERP_URLS',
+          data: { maxResults: count }
+        });
+        if (!response || !response.success || !response.results) {
+          throw new Error(response?.error || 'No results found');
+        }
+        finish(null, response.results);
+      } catch (error) {
+        finish(error);
+      }
+    };
+    
+    chrome.tabs.onUpdated.addListener(updateHandler);
+  });
+}
+
+/**
+ * Search the web with the configured provider (research mode, SERP fallback)
+ */
+async function handleSearchWeb(query, count) {
+  try {
+    // console.log('[SW] 🔍 Web search:', query, `(top ${count})`);
+    
+    const config = await loadSearchConfig();
+    const { results, provider } = await searchWeb(query, {
+      config,
+      count,
+      parseHtml: parseSerpOffscreen,
+      searchTab: scrapeSearchTab
     });
+    
+    // console.log('[SW] ✅ Search via', provider, ':', results.length, 'URLs');
+    return { success: true, results, provider };
   } catch (error) {
-    console.error('[SW] Research Mode Search failed:', error);
-    return { success: false, error: error.message };
+    console.error('[SW] ❌ Web search failed:', error);
+    return { success: false, error: `Failed to get search results: ${error.message}` };
   }
 }
 
@@ -1669,31 +1868,93 @@ async function handleResearchModeAnalyze(url, query) {
   }
 }
 
+/**
+ * Research Mode: Index all sources' extracted sections (doc ids are source_<N>, 1-based)
+ */
+async function buildResearchIndex(sources) {
+  const bm25 = new MultiPageBM25();
+  
+  for (const [index, source] of sources.entries()) {
+    const sections = normalizeSections(source.extractedContent?.sections)
+      .filter(section => section.content.trim().length > 0);
+    if (sections.length === 0) continue;
+    
+    const language = await detectLanguage(sampleSections(sections));
+    bm25.addDocument(`source_${index + 1}`, source.url, source.title, sections, language);
+  }
+  
+  return bm25;
+}
+
+/**
+ * Research Mode: Header that opens a source's excerpts in the prompt
+ */
+function researchSourceHeader(number, source) {
+  const domain = new URL(source.url).hostname.replace('www.', '');
+  return `===== SOURCE ${number}: ${source.title} (${domain}) =====`;
+}
+
+/**
+ * Research Mode: The language most of the indexed sources are written in
+ */
+function researchLanguage(bm25) {
+  const counts = new Map();
+  for (const doc of bm25.documents) {
+    counts.set(doc.language, (counts.get(doc.language) || 0) + 1);
+  }
+  let language = 'en';
+  let best = 0;
+  for (const [candidate, count] of counts) {
+    if (count > best) {
+      language = candidate;
+      best = count;
+    }
+  }
+  return language;
+}
+
+/**
+ * Research Mode: Retrieve the sections that answer the question from every source
+ * Sources are indexed whole (MultiPageBM25 over extractedContent), so details the
+ * per-page summaries dropped can still reach the answer
+ * @returns {Promise<Array>} - Re-ranked sections with sourceNumber (1-based index into sources)
+ */
+async function retrieveResearchSections(query, sources) {
+  const bm25 = await buildResearchIndex(sources);
+  if (bm25.documents.length === 0) return [];
+  
+  const candidates = bm25.search(query, RERANK_CANDIDATES * 2);
+  const results = await rerank(query, candidates, { k: RESEARCH_MAX_SECTIONS });
+  
+  return results.map(result => ({
+    ...result,
+    sourceNumber: parseInt(result.docId.replace('source_', ''), 10)
+  }));
+}
+
 /**
  * Research Mode: Generate comprehensive answer
+ * Answers from retrieved sections of all sources (cited as [source N §heading]);
+ * sources without extracted content contribute their summary
  */
 async function handleResearchModeGenerateAnswer(query, sources) {
   try {
     // console.log('[SW] 💡 Research Mode Generate Answer');
     
     // Check if AI is available
-    if (typeof LanguageModel === 'undefined') {
-      throw new Error('LanguageModel API not available. Please ensure Chrome AI is enabled.');
+    if (!(await ai.isAIAvailable())) {
+      throw new Error('No language model available. Enable Chrome AI or configure a local model in Settings.');
     }
     
-    // Prepare source data for AI
-    const sourceTexts = sources.map((source, index) => {
-      const domain = new URL(source.url).hostname.replace('www.', '');
-      return `\n\n===== SOURCE ${index + 1}: ${source.title} (${domain}) =====\n${source.summary}`;
-    }).join('\n');
+    const retrieved = await retrieveResearchSections(query, sources);
     
     const systemPrompt = `You are a research assistant. Your task is to synthesize information from multiple sources to provide a comprehensive, accurate answer.
 
 CRITICAL RULES:
 1. ONLY use information from the provided sources below
 2. DO NOT use your general knowledge or information not in the sources
-3. ALWAYS cite sources using [source N] notation (e.g., "According to [source 1]...")
-4. Use [source N] after EVERY fact or claim you make
+3. ALWAYS cite the section you used as [source N §heading] (e.g., "According to [source 1 §Installation]..."), or [source N] when the excerpt has no heading
+4. Cite after EVERY fact or claim you make
 5. If sources conflict, mention both perspectives with their citations
 6. If information is not in the sources, explicitly state "The provided sources don't mention..."
 7. Provide a structured, clear answer with:
@@ -1710,27 +1971,81 @@ Format your response using:
 - - for bullet points
 - Clear paragraphs for readability
 
-CITATION FORMAT: Always use [source 1], [source 2], etc. These will become clickable links.`;
+CITATION FORMAT: Always use [source 1 §heading], [source 2 §heading], etc. with the heading exactly as given. These will become clickable links.`;
     
-    const prompt = `Question: ${query}
-
-Here are the sources to use:
-${sourceTexts}
-
-Provide a comprehensive answer based ONLY on these sources. Remember to cite sources by their domain name.`;
+    const instructions = 'Provide a comprehensive answer based ONLY on these sources. Remember to cite the source number and section heading.';
     
-    // Use Language Model API
-    const ai = await LanguageModel.create({
+    // Use configured language model provider (its quota drives the context budget)
+    const aiSession = await ai.createSession({
       systemPrompt: systemPrompt
     });
     
-    const response = await ai.prompt(prompt);
+    let response;
+    try {
+      const retrievedSources = new Set(retrieved.map(result => result.sourceNumber));
+      
+      const budget = createContextBudget(aiSession, { sessionContext: [systemPrompt] });
+      const packed = await budget.pack([
+        { kind: 'prompt', text: `Question: ${query}\n\n${instructions}`, priority: PRIORITY.REQUIRED },
+        ...retrieved.map((result, idx) => ({
+          kind: 'section',
+          text: sectionBody(result),
+          // Counts its source's header too, in case it's the only excerpt from that source
+          render: text => `${researchSourceHeader(result.sourceNumber, sources[result.sourceNumber - 1])}\n${result.heading ? `§ ${result.heading}\n` : ''}${text}\n\n`,
+          sourceNumber: result.sourceNumber,
+          heading: result.heading,
+          priority: idx < 3 ? PRIORITY.HIGH : PRIORITY.NORMAL,
+          truncate: true
+        })),
+        // Summaries only stand in for sources nothing was retrieved from
+        ...sources.map((source, index) => ({
+          kind: 'summary',
+          text: source.summary || source.snippet || '',
+          render: text => `${researchSourceHeader(index + 1, source)}\n${text}\n\n`,
+          sourceNumber: index + 1,
+          priority: PRIORITY.LOW,
+          truncate: true
+        })).filter(item => item.text && !retrievedSources.has(item.sourceNumber))
+      ]);
+      
+      const included = packed.items.filter(item => item.kind !== 'prompt');
+      console.log(`[SW] Research context budget: ${packed.usedTokens}/${budget.available} tokens, ${included.length} excerpts from ${retrieved.length} retrieved sections`);
+      
+      // Group excerpts by source so the model sees which page each came from
+      const sourceTexts = sources.map((source, index) => {
+        const excerpts = included.filter(item => item.sourceNumber === index + 1);
+        if (excerpts.length === 0) return null;
+        
+        const body = excerpts.map(item => (item.kind === 'section' && item.heading
+          ? `§ ${item.heading}\n${item.text}`
+          : item.text)).join('\n\n');
+        return `${researchSourceHeader(index + 1, source)}\n${body}`;
+      }).filter(Boolean).join('\n\n');
+      
+      const prompt = `Question: ${query}
+
+Here are the sources to use:
+
+${sourceTexts}
+
+${instructions}`;
+      
+      response = await aiSession.prompt(prompt);
+    } finally {
+      ai.destroySession(aiSession);
+    }
     
     // console.log('[SW] ✅ Answer generated');
     
     return {
       success: true,
-      answer: response
+      answer: response,
+      sections: retrieved.map(result => ({
+        sourceNumber: result.sourceNumber,
+        heading: result.heading,
+        url: result.url,
+        score: result.rerankScore ?? result.score
+      }))
     };
   } catch (error) {
     console.error('[SW] Research Mode Generate Answer failed:', error);
@@ -1738,6 +2053,73 @@ Provide a comprehensive answer based ONLY on these sources. Remember to cite sou
   }
 }
 
+/**
+ * Research Mode: Check each claim of an answer against the sources
+ * Each claim is judged against its cited sections plus the best-matching
+ * sections of other sources, giving a claim × source agreement matrix
+ */
+async function handleResearchModeVerifyClaims(answer, sources) {
+  try {
+    const bm25 = await buildResearchIndex(sources);
+    // The answer is written from the sources, so split and compare it in their language
+    const language = researchLanguage(bm25);
+    
+    const claims = splitClaims(answer, language);
+    if (claims.length === 0) {
+      return { success: true, claims: [], method: null };
+    }
+    
+    const normalizeHeading = heading => (heading || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    
+    const findEvidence = claim => {
+      const hits = bm25.documents.length > 0 ? bm25.search(claim.text, RERANK_CANDIDATES) : [];
+      const bestBySource = new Map(); // sourceNumber -> best hit (search results are sorted)
+      for (const hit of hits) {
+        const sourceNumber = parseInt(hit.docId.replace('source_', ''), 10);
+        if (!bestBySource.has(sourceNumber)) bestBySource.set(sourceNumber, hit);
+      }
+      
+      const passages = [];
+      const citedSources = [...new Set(claim.citations.map(citation => citation.sourceNumber))];
+      
+      for (const sourceNumber of citedSources) {
+        const source = sources[sourceNumber - 1];
+        if (!source) continue;
+        
+        // The cited section when the heading matches, else the source's best match, else its summary
+        const heading = claim.citations.find(c => c.sourceNumber === sourceNumber && c.heading)?.heading;
+        const cited = heading && (source.extractedContent?.sections || []).find(section =>
+          normalizeHeading(section.heading) === normalizeHeading(heading));
+        const best = bestBySource.get(sourceNumber);
+        
+        if (cited) {
+          passages.push({ sourceNumber, heading: cited.heading, text: sectionBody(cited), cited: true });
+        } else if (best) {
+          passages.push({ sourceNumber, heading: best.heading, text: sectionBody(best), cited: true });
+        } else if (source.summary) {
+          passages.push({ sourceNumber, heading: null, text: source.summary, cited: true });
+        }
+      }
+      
+      for (const [sourceNumber, hit] of bestBySource) {
+        if (passages.length >= Math.max(CLAIM_EVIDENCE_SOURCES, citedSources.length)) break;
+        if (citedSources.includes(sourceNumber)) continue;
+        passages.push({ sourceNumber, heading: hit.heading, text: sectionBody(hit), cited: false });
+      }
+      
+      return passages;
+    };
+    
+    const result = await verifyClaims(claims, findEvidence, { language });
+    // console.log('[SW] ✅ Verified', result.claims.length, 'claims,', result.claims.filter(c => c.flagged).length, 'flagged');
+    
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('[SW] Research Mode Verify Claims failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Research Mode: Create multi-page chat from research
  */
@@ -1758,40 +2140,10 @@ async function handleResearchModeCreateChat(query, sources, answer) {
       throw new Error('No content available for chat');
     }
     
-    // Create multi-page chat session (reuse existing function logic)
-    const sessionId = uuid();
-    const now = timestamp();
-    
-    const session = {
-      sessionId: sessionId,
-      type: 'multiPageChat',
-      createdAt: now,
-      lastAccessed: now,
-      content: {
-        pages: pages,
-        searchQuery: query
-      },
-      chatHistory: [
-        { role: 'user', content: query, timestamp: now },
-        { role: 'assistant', content: answer, timestamp: now }
-      ]
-    };
-    
-    // Save session using storage
-    await storage.write(`session_${sessionId}.json`, session);
-    
-    // Update registry
-    const registry = await loadRegistry();
-    if (!registry.sessions) {
-      registry.sessions = {};
-    }
-    registry.sessions[sessionId] = {
-      type: 'multiPageChat',
-      createdAt: now,
-      pageCount: pages.length,
-      searchQuery: query
-    };
-    await saveRegistry(registry);
+    // Create the multi-page chat through the session manager, so it's in the
+    // registry (and history) like any other chat; the sidebar binds it to a tab
+    const session = await sessionManager.createMultiPageSession(null, pages, query, query, answer);
+    const sessionId = session.sessionId;
     
     // console.log('[SW] ✅ Chat session created:', sessionId);
     
@@ -1815,21 +2167,14 @@ async function handleResearchModeSaveHistory(entry) {
     
     // Use OPFS to save research history
     const filename = `research_${entry.id}.json`;
-    await storage.write(filename, entry);
+    await storage.write(filename, { ...entry, schemaVersion: SCHEMA_VERSION });
     
     // Update registry
-    const registry = await loadRegistry();
-    if (!registry.researchHistory) {
-      registry.researchHistory = {};
-    }
-    
-    registry.researchHistory[entry.id] = {
+    await registry.putResearchEntry(entry.id, {
       query: entry.query,
       timestamp: entry.timestamp,
       sourcesCount: entry.sourcesCount
-    };
-    
-    await saveRegistry(registry);
+    });
     
     // console.log('[SW] ✅ Research history saved:', entry.id);
     
@@ -1840,40 +2185,13 @@ async function handleResearchModeSaveHistory(entry) {
   }
 }
 
-/**
- * Load registry
- */
-async function loadRegistry() {
-  try {
-    const data = await storage.read('registry.json');
-    return data || { sessions: {}, serpSessions: {}, researchHistory: {} };
-  } catch (error) {
-    return { sessions: {}, serpSessions: {}, researchHistory: {} };
-  }
-}
-
-/**
- * Save registry
- */
-async function saveRegistry(registry) {
-  await storage.write('registry.json', registry);
-}
-
 /**
  * Get all research history entries
  */
 async function handleGetResearchHistory() {
   try {
-    const registry = await loadRegistry();
-    const researchHistory = registry.researchHistory || {};
-    
-    const entries = Object.entries(researchHistory).map(([id, meta]) => ({
-      id: id,
-      ...meta
-    }));
-    
-    // Sort by timestamp (newest first)
-    entries.sort((a, b) => b.timestamp - a.timestamp);
+    // Newest first
+    const entries = await registry.listResearchEntries();
     
     // console.log('[SW] ✅ Loaded research history:', entries.length, 'entries');
     
@@ -1911,14 +2229,10 @@ async function handleGetResearchEntry(entryId) {
 async function handleDeleteResearchEntry(entryId) {
   try {
     const filename = `research_${entryId}.json`;
-    await storage.delete(filename);
+    await storage.deleteFile(filename);
     
     // Update registry
-    const registry = await loadRegistry();
-    if (registry.researchHistory && registry.researchHistory[entryId]) {
-      delete registry.researchHistory[entryId];
-      await saveRegistry(registry);
-    }
+    await registry.removeResearchEntry(entryId);
     
     // console.log('[SW] ✅ Deleted research entry:', entryId);
     
@@ -1929,6 +2243,89 @@ async function handleDeleteResearchEntry(entryId) {
   }
 }
 
+/**
+ * Pin or unpin a history item (pinned items are kept by retention)
+ * @param {string} section - 'sessions' | 'serpSessions' | 'researchHistory'
+ */
+async function handleSetPinned(section, id, pinned) {
+  try {
+    const update = {
+      sessions: registry.updateSession,
+      serpSessions: registry.updateSerpSession,
+      researchHistory: registry.updateResearchEntry
+    }[section];
+    if (!update) {
+      throw new Error(`Unknown history section: ${section}`);
+    }
+    
+    if (!await update(id, { pinned: !!pinned })) {
+      throw new Error('History item not found');
+    }
+    return { success: true, pinned: !!pinned };
+  } catch (error) {
+    console.error('[SW] Set pinned failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Run a retention pass (dryRun: report what it would remove)
+ */
+async function handleRunGarbageCollection(dryRun = false) {
+  try {
+    await initialize();
+    // state.activeSessions is empty when the daily alarm wakes a fresh worker,
+    // so open sessions come from the registry's tab bindings too
+    const openTabs = await chrome.tabs.query({});
+    const report = await collectGarbage({
+      dryRun,
+      inUse: [
+        ...state.activeSessions.values(),
+        ...await registry.findSessionsInTabs(openTabs.map(tab => tab.id))
+      ]
+    });
+    return { success: true, report };
+  } catch (error) {
+    console.error('[SW] Garbage collection failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Last retention pass that deleted
+ */
+async function handleGetGarbageCollectionReport() {
+  try {
+    return { success: true, report: await getLastReport() };
+  } catch (error) {
+    console.error('[SW] Get GC report failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Schedule the daily retention pass
+ */
+function setupGarbageCollectionAlarm() {
+  chrome.alarms.get(GC_ALARM).then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create(GC_ALARM, { delayInMinutes: 10, periodInMinutes: GC_PERIOD_MINUTES });
+    }
+  });
+  
+  chrome.alarms.onAlarm.addListener(async alarm => {
+    if (alarm.name !== GC_ALARM) return;
+    
+    const { autoRun } = await loadRetentionConfig();
+    if (!autoRun) return;
+    
+    const result = await handleRunGarbageCollection(false);
+    if (result.success && result.report.failed > 0) {
+      console.warn('[SW] Retention pass left', result.report.failed, 'items behind');
+    }
+  });
+}
+
 // Initialize on install
 chrome.runtime.onInstalled.addListener(async () => {
   // console.log('[SW] Extension installed/updated');
@@ -1937,7 +2334,10 @@ chrome.runtime.onInstalled.addListener(async () => {
 
 // Setup listeners immediately
 setupListeners();
+setupRegistryListener();
+setupStorageEngineListener();
 setupNavigationListeners();
+setupGarbageCollectionAlarm();
 
 // Initialize
 initialize();
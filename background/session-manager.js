@@ -5,12 +5,10 @@
 
 import * as storage from '../lib/storage.js';
 import { uuid, timestamp, normalizeURL } from '../lib/utils.js';
-
-// Registry file
-const REGISTRY_FILE = 'registry.json';
-
-// In-memory cache
-let registry = null;
+import { deleteIndex } from '../lib/inverted-index.js';
+import * as registry from './registry.js';
+import { runMigrations } from './migrations.js';
+import { SCHEMA_VERSION, MULTI_PAGE_URL, normalizePage, normalizeSections, normalizeExtractedContent } from '../lib/schema.js';
 
 /**
  * Initialize session manager
@@ -18,8 +16,10 @@ let registry = null;
 export async function initialize() {
   try {
     await storage.initialize();
-    registry = await loadRegistry();
-    // console.log('[SessionManager] Initialized with', Object.keys(registry.sessions).length, 'sessions');
+    // Upgrade files from older versions before anything reads them
+    await runMigrations();
+    await registry.initialize();
+    // console.log('[SessionManager] Initialized with', (await registry.listSessionIds()).length, 'sessions');
     return true;
   } catch (error) {
     console.error('[SessionManager] Initialization failed:', error);
@@ -28,42 +28,18 @@ export async function initialize() {
 }
 
 /**
- * Load registry from storage
+ * Read-modify-write a session file under its storage lock, so concurrent
+ * updates (e.g. the question and the answer being saved) don't overwrite each other
+ * @param {Function} mutate - (session) => void, changes the session in place
  */
-async function loadRegistry() {
-  try {
-    const data = await storage.read(REGISTRY_FILE);
-    if (data) {
-      // ✅ Ensure all required properties exist (backwards compatibility)
-      return {
-        sessions: data.sessions || {},
-        tabToSession: data.tabToSession || {},
-        urlToSessions: data.urlToSessions || {}
-      };
+async function modifySession(sessionId, mutate) {
+  return storage.update(`session_${sessionId}.json`, session => {
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
     }
-  } catch (error) {
-    console.warn('[SessionManager] Failed to load registry:', error);
-  }
-  
-  // Return empty registry
-  return {
-    sessions: {},
-    tabToSession: {},
-    urlToSessions: {}
-  };
-}
-
-/**
- * Save registry to storage
- */
-async function saveRegistry() {
-  try {
-    await storage.write(REGISTRY_FILE, registry);
-    return true;
-  } catch (error) {
-    console.error('[SessionManager] Failed to save registry:', error);
-    return false;
-  }
+    mutate(session);
+    return session;
+  });
 }
 
 /**
@@ -76,7 +52,9 @@ export async function createSession(tabId, url, title) {
     const normalizedURL = normalizeURL(url);
     
     const session = {
+      schemaVersion: SCHEMA_VERSION,
       sessionId,
+      type: 'page',
       tabId,
       url: normalizedURL,
       currentUrl: normalizedURL,
@@ -115,9 +93,8 @@ export async function createSession(tabId, url, title) {
     // Save session
     await storage.write(`session_${sessionId}.json`, session);
     
-    // Update registry
-    registry.sessions[sessionId] = {
-      sessionId,
+    // Update registry (also maps the tab and URL to the session)
+    await registry.putSession(sessionId, {
       url: normalizedURL,
       title,
       isActive: true,
@@ -126,16 +103,7 @@ export async function createSession(tabId, url, title) {
       lastActive: now,
       messageCount: 0,
       pageCount: 1
-    };
-    
-    registry.tabToSession[tabId] = sessionId;
-    
-    if (!registry.urlToSessions[normalizedURL]) {
-      registry.urlToSessions[normalizedURL] = [];
-    }
-    registry.urlToSessions[normalizedURL].push(sessionId);
-    
-    await saveRegistry();
+    });
     
     // console.log('[SessionManager] Created session:', sessionId);
     return session;
@@ -162,19 +130,39 @@ export async function createMultiPageSession(tabId, pages, searchQuery, initialQ
     // console.log('[SessionManager] Creating multi-page session with', pages.length, 'pages');
     
     // Prepare multi-page content
-    const multiPageContent = pages.map((page, index) => ({
+    const multiPageContent = pages.map((page, index) => normalizePage({
       url: normalizeURL(page.url),
       title: page.title,
       extractedContent: page.extractedContent,
       summary: page.summary,
       pageNumber: index + 1
-    }));
+    }, index));
+    
+    // Pre-populate with the initial Q&A (an @mention conversion starts empty)
+    const chatHistory = initialQuestion && initialAnswer ? [
+      {
+        role: 'user',
+        content: initialQuestion,
+        timestamp: now,
+        pageUrl: MULTI_PAGE_URL
+      },
+      {
+        role: 'assistant',
+        content: initialAnswer,
+        timestamp: now,
+        pageUrl: MULTI_PAGE_URL,
+        metadata: {
+          fromComparison: true
+        }
+      }
+    ] : [];
     
     const session = {
+      schemaVersion: SCHEMA_VERSION,
       sessionId,
       tabId,
-      url: 'multipage://serp-analysis', // Special URL for multi-page sessions
-      currentUrl: 'multipage://serp-analysis',
+      url: MULTI_PAGE_URL, // Special URL for multi-page sessions
+      currentUrl: MULTI_PAGE_URL,
       type: 'multiPageChat', // NEW: Session type
       
       content: {
@@ -184,28 +172,11 @@ export async function createMultiPageSession(tabId, pages, searchQuery, initialQ
         pages: multiPageContent // NEW: Multi-page content
       },
       
-      chatHistory: [
-        // Pre-populate with the initial Q&A
-        {
-          role: 'user',
-          content: initialQuestion,
-          timestamp: now,
-          pageUrl: 'multipage://serp-analysis'
-        },
-        {
-          role: 'assistant',
-          content: initialAnswer,
-          timestamp: now,
-          pageUrl: 'multipage://serp-analysis',
-          metadata: {
-            fromComparison: true
-          }
-        }
-      ],
+      chatHistory,
       chatHistorySummary: null,
       
       navigationHistory: [{
-        url: 'multipage://serp-analysis',
+        url: MULTI_PAGE_URL,
         title: `Multi-Page Chat: ${searchQuery}`,
         timestamp: now,
         sectionsCount: pages.length
@@ -219,7 +190,7 @@ export async function createMultiPageSession(tabId, pages, searchQuery, initialQ
         pageCount: pages.length,
         createdAt: now,
         updatedAt: now,
-        messageCount: 2, // Initial Q&A counts as 2 messages
+        messageCount: chatHistory.length,
         isActive: true
       },
       
@@ -231,22 +202,17 @@ export async function createMultiPageSession(tabId, pages, searchQuery, initialQ
     await storage.write(`session_${sessionId}.json`, session);
     
     // Update registry
-    registry.sessions[sessionId] = {
-      sessionId,
-      url: 'multipage://serp-analysis',
+    await registry.putSession(sessionId, {
+      url: MULTI_PAGE_URL,
       title: `Multi-Page Chat: ${searchQuery}`,
       isActive: true,
       currentTabId: tabId,
       createdAt: now,
       lastActive: now,
-      messageCount: 2,
+      messageCount: chatHistory.length,
       pageCount: pages.length,
       type: 'multiPageChat'
-    };
-    
-    registry.tabToSession[tabId] = sessionId;
-    
-    await saveRegistry();
+    });
     
     // console.log('[SessionManager] ✅ Created multi-page session:', sessionId);
     return session;
@@ -277,27 +243,18 @@ export async function readSession(sessionId) {
  */
 export async function updateSession(sessionId, updates) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-    
-    // Merge updates
-    Object.assign(session, updates);
-    session.metadata.updatedAt = timestamp();
-    session.lastActive = timestamp();
-    
-    // Save
-    await storage.write(`session_${sessionId}.json`, session);
+    const session = await modifySession(sessionId, session => {
+      // Merge updates
+      Object.assign(session, updates);
+      session.metadata.updatedAt = timestamp();
+      session.lastActive = timestamp();
+    });
     
     // Update registry
-    if (registry.sessions[sessionId]) {
-      registry.sessions[sessionId].lastActive = session.lastActive;
-      if (updates.chatHistory) {
-        registry.sessions[sessionId].messageCount = updates.chatHistory.length;
-      }
-      await saveRegistry();
-    }
+    await registry.updateSession(sessionId, {
+      lastActive: session.lastActive,
+      ...(updates.chatHistory ? { messageCount: updates.chatHistory.length } : {})
+    });
     
     // console.log('[SessionManager] Updated session:', sessionId);
     return session;
@@ -311,17 +268,14 @@ export async function updateSession(sessionId, updates) {
  * Find session by tab ID
  */
 export function findSessionByTabId(tabId) {
-  if (!registry || !registry.tabToSession) return null;
-  return registry.tabToSession[tabId] || null;
+  return registry.findSessionByTab(tabId);
 }
 
 /**
  * Find sessions by URL
  */
 export function findSessionsByURL(url) {
-  if (!registry || !registry.urlToSessions) return [];
-  const normalizedURL = normalizeURL(url);
-  return registry.urlToSessions[normalizedURL] || [];
+  return registry.findSessionsByURL(normalizeURL(url));
 }
 
 /**
@@ -352,25 +306,14 @@ export async function getMostRecentSessionForURL(url) {
  */
 export async function associateSessionWithTab(sessionId, tabId) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-    
-    session.tabId = tabId;
-    session.isActive = true;
-    session.lastActive = timestamp();
-    
-    await storage.write(`session_${sessionId}.json`, session);
+    const session = await modifySession(sessionId, session => {
+      session.tabId = tabId;
+      session.isActive = true;
+      session.lastActive = timestamp();
+    });
     
     // Update registry
-    registry.tabToSession[tabId] = sessionId;
-    if (registry.sessions[sessionId]) {
-      registry.sessions[sessionId].isActive = true;
-      registry.sessions[sessionId].currentTabId = tabId;
-      registry.sessions[sessionId].lastActive = session.lastActive;
-    }
-    await saveRegistry();
+    await registry.bindTab(tabId, sessionId, { lastActive: session.lastActive });
     
     // console.log('[SessionManager] Associated session', sessionId, 'with tab', tabId);
     return session;
@@ -385,42 +328,36 @@ export async function associateSessionWithTab(sessionId, tabId) {
  */
 export async function addChatMessage(sessionId, role, content, metadata = {}) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-    
-    const message = {
-      role,
-      content,
-      timestamp: timestamp(),
-      pageUrl: session.currentUrl,
-      metadata
-    };
-    
-    session.chatHistory.push(message);
-    
-    // Ensure metadata exists (for research mode sessions created without metadata)
-    if (!session.metadata) {
-      session.metadata = {
-        title: session.title || 'Untitled Session',
-        createdAt: session.createdAt || timestamp(),
-        updatedAt: timestamp()
+    const session = await modifySession(sessionId, session => {
+      const message = {
+        role,
+        content,
+        timestamp: timestamp(),
+        pageUrl: session.currentUrl,
+        metadata
       };
-    }
-    
-    session.metadata.messageCount = session.chatHistory.length;
-    session.metadata.updatedAt = timestamp();
-    session.lastActive = timestamp();
-    
-    await storage.write(`session_${sessionId}.json`, session);
+      
+      session.chatHistory.push(message);
+      
+      // Ensure metadata exists (for research mode sessions created without metadata)
+      if (!session.metadata) {
+        session.metadata = {
+          title: session.title || 'Untitled Session',
+          createdAt: session.createdAt || timestamp(),
+          updatedAt: timestamp()
+        };
+      }
+      
+      session.metadata.messageCount = session.chatHistory.length;
+      session.metadata.updatedAt = timestamp();
+      session.lastActive = timestamp();
+    });
     
     // Update registry
-    if (registry.sessions[sessionId]) {
-      registry.sessions[sessionId].messageCount = session.chatHistory.length;
-      registry.sessions[sessionId].lastActive = session.lastActive;
-      await saveRegistry();
-    }
+    await registry.updateSession(sessionId, {
+      messageCount: session.chatHistory.length,
+      lastActive: session.lastActive
+    });
     
     return session;
   } catch (error) {
@@ -434,19 +371,16 @@ export async function addChatMessage(sessionId, role, content, metadata = {}) {
  */
 export async function updateSessionContent(sessionId, content) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error(`Session not found: ${sessionId}`);
-    }
-    
-    // Merge content
-    session.content = {
-      ...session.content,
-      ...content
-    };
-    
-    session.metadata.updatedAt = timestamp();
-    await storage.write(`session_${sessionId}.json`, session);
+    const session = await modifySession(sessionId, session => {
+      // Merge content (sections stored in the canonical section shape)
+      session.content = {
+        ...session.content,
+        ...content,
+        ...(content.sections ? { sections: normalizeSections(content.sections) } : {})
+      };
+      
+      session.metadata.updatedAt = timestamp();
+    });
     
     // console.log('[SessionManager] Updated session content:', sessionId);
     return session;
@@ -461,29 +395,12 @@ export async function updateSessionContent(sessionId, content) {
  */
 export async function deleteSession(sessionId) {
   try {
-    // Delete file
+    // Delete file (and its retrieval index)
     await storage.deleteFile(`session_${sessionId}.json`);
+    await deleteIndex(sessionId);
     
     // Update registry
-    if (registry.sessions[sessionId]) {
-      const url = registry.sessions[sessionId].url;
-      const tabId = registry.sessions[sessionId].currentTabId;
-      
-      delete registry.sessions[sessionId];
-      
-      if (tabId && registry.tabToSession[tabId] === sessionId) {
-        delete registry.tabToSession[tabId];
-      }
-      
-      if (url && registry.urlToSessions[url]) {
-        registry.urlToSessions[url] = registry.urlToSessions[url].filter(id => id !== sessionId);
-        if (registry.urlToSessions[url].length === 0) {
-          delete registry.urlToSessions[url];
-        }
-      }
-      
-      await saveRegistry();
-    }
+    await registry.removeSession(sessionId);
     
     // console.log('[SessionManager] Deleted session:', sessionId);
     return true;
@@ -498,58 +415,52 @@ export async function deleteSession(sessionId) {
  */
 export async function trackPageNavigation(sessionId, url, title, chatSummary = null) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
-    }
-    
-    const normalizedURL = normalizeURL(url);
-    const now = timestamp();
-    
-    // Save current page to recentPages with its content and chat
-    if (session.content.sections.length > 0) {
-      const pageContext = {
-        url: session.currentUrl,
-        title: session.metadata.title,
-        timestamp: session.metadata.updatedAt,
-        sections: session.content.sections,
-        chatSummary: chatSummary || session.chatHistorySummary,
-        sectionsCount: session.content.sections.length
-      };
+    const session = await modifySession(sessionId, session => {
+      const normalizedURL = normalizeURL(url);
+      const now = timestamp();
       
-      // Add to recentPages (keep last 5)
-      session.recentPages.unshift(pageContext);
-      if (session.recentPages.length > 5) {
-        session.recentPages = session.recentPages.slice(0, 5);
+      // Save current page to recentPages with its content and chat
+      if (session.content.sections.length > 0) {
+        const pageContext = {
+          url: session.currentUrl,
+          title: session.metadata.title,
+          timestamp: session.metadata.updatedAt,
+          sections: session.content.sections,
+          chatSummary: chatSummary || session.chatHistorySummary,
+          sectionsCount: session.content.sections.length
+        };
+        
+        // Add to recentPages (keep last 5)
+        session.recentPages.unshift(pageContext);
+        if (session.recentPages.length > 5) {
+          session.recentPages = session.recentPages.slice(0, 5);
+        }
+        
+        // console.log('[SessionManager] Saved page context:', session.currentUrl, 'with', pageContext.sectionsCount, 'sections');
       }
       
-      // console.log('[SessionManager] Saved page context:', session.currentUrl, 'with', pageContext.sectionsCount, 'sections');
-    }
-    
-    // Add navigation entry
-    session.navigationHistory.push({
-      url: normalizedURL,
-      title,
-      timestamp: now,
-      sectionsCount: 0 // Will be updated when content is extracted
+      // Add navigation entry
+      session.navigationHistory.push({
+        url: normalizedURL,
+        title,
+        timestamp: now,
+        sectionsCount: 0 // Will be updated when content is extracted
+      });
+      
+      // Keep last 10 navigation entries
+      if (session.navigationHistory.length > 10) {
+        session.navigationHistory = session.navigationHistory.slice(-10);
+      }
+      
+      // Update current URL
+      session.currentUrl = normalizedURL;
+      session.metadata.title = title;
+      session.metadata.updatedAt = now;
+      
+      // Clear chat summary for new page
+      session.chatHistorySummary = null;
     });
-    
-    // Keep last 10 navigation entries
-    if (session.navigationHistory.length > 10) {
-      session.navigationHistory = session.navigationHistory.slice(-10);
-    }
-    
-    // Update current URL
-    session.currentUrl = normalizedURL;
-    session.metadata.title = title;
-    session.metadata.updatedAt = now;
-    
-    // Clear chat summary for new page
-    session.chatHistorySummary = null;
-    
-    // Save session
-    await storage.write(`session_${sessionId}.json`, session);
-    
+
     // console.log('[SessionManager] Tracked navigation:', title, '(', session.recentPages.length, 'pages in context)');
     return session;
   } catch (error) {
@@ -591,15 +502,10 @@ export async function getMultiPageContext(sessionId) {
  */
 export async function saveConversationSummary(sessionId, summary) {
   try {
-    const session = await readSession(sessionId);
-    if (!session) {
-      throw new Error('Session not found');
-    }
-    
-    session.chatHistorySummary = summary;
-    session.metadata.updatedAt = timestamp();
-    
-    await storage.write(`session_${sessionId}.json`, session);
+    await modifySession(sessionId, session => {
+      session.chatHistorySummary = summary;
+      session.metadata.updatedAt = timestamp();
+    });
     
     // console.log('[SessionManager] Saved conversation summary');
     return true;
@@ -614,14 +520,22 @@ export async function saveConversationSummary(sessionId, summary) {
  */
 export async function getAllSessions() {
   try {
+    // IndexedDB engine: one indexed query, without reading section blobs
+    const listed = await storage.listDocuments('session');
+    if (listed) {
+      return listed
+        .filter(session => session.chatHistory.length > 0)
+        .map(session => ({ ...session, pinned: !!registry.getSession(session.sessionId)?.pinned }));
+    }
+    
     const sessions = [];
     
     // Get all session IDs from registry
-    for (const sessionId of Object.keys(registry.sessions)) {
+    for (const sessionId of await registry.listSessionIds()) {
       try {
         const session = await readSession(sessionId);
         if (session && session.chatHistory && session.chatHistory.length > 0) {
-          sessions.push(session);
+          sessions.push({ ...session, pinned: !!registry.getSession(sessionId)?.pinned });
         }
       } catch (error) {
         console.warn('[SessionManager] Failed to load session:', sessionId, error);
@@ -650,6 +564,7 @@ export async function createSerpSession(analysisData) {
     const now = timestamp();
     
     const serpSession = {
+      schemaVersion: SCHEMA_VERSION,
       sessionId,
       type: 'serpAnalysis', // Session type
       searchQuery: analysisData.searchQuery,
@@ -663,7 +578,7 @@ export async function createSerpSession(analysisData) {
         position: result.position,
         summary: result.summary || '',
         relevanceScore: result.relevance || 0,
-        extractedContent: result.extractedContent || null,
+        extractedContent: normalizeExtractedContent(result.extractedContent),
         cachedAt: result.cachedAt || now
       })),
       comparisonDone: false,
@@ -680,18 +595,12 @@ export async function createSerpSession(analysisData) {
     await storage.write(`serp_session_${sessionId}.json`, serpSession);
     
     // Update registry
-    if (!registry.serpSessions) {
-      registry.serpSessions = {};
-    }
-    
-    registry.serpSessions[sessionId] = {
+    await registry.putSerpSession(sessionId, {
       searchQuery: analysisData.searchQuery,
       resultCount: analysisData.results.length,
       timestamp: now,
       chatSessionId: null
-    };
-    
-    await saveRegistry();
+    });
     
     // console.log('[SessionManager] Created SERP session:', sessionId, `"${analysisData.searchQuery}"`);
     return serpSession;
@@ -701,26 +610,40 @@ export async function createSerpSession(analysisData) {
   }
 }
 
+/**
+ * Read-modify-write a SERP session file under its storage lock
+ * @param {Function} mutate - (session) => void
+ */
+async function modifySerpSession(sessionId, mutate) {
+  return storage.update(`serp_session_${sessionId}.json`, session => {
+    if (!session) {
+      throw new Error('SERP session not found');
+    }
+    mutate(session);
+    return session;
+  });
+}
+
 /**
  * Get all SERP analysis sessions
  * @returns {Array} Array of SERP sessions
  */
 export async function getSerpSessions() {
   try {
-    const sessions = [];
-    
-    // Ensure serpSessions exists in registry
-    if (!registry.serpSessions) {
-      registry.serpSessions = {};
-      await saveRegistry();
+    // IndexedDB engine: results come without their extracted content
+    const listed = await storage.listDocuments('serpSession');
+    if (listed) {
+      return listed.map(session => ({ ...session, pinned: !!registry.getSerpSession(session.sessionId)?.pinned }));
     }
     
+    const sessions = [];
+    
     // Get all SERP session IDs from registry
-    for (const sessionId of Object.keys(registry.serpSessions)) {
+    for (const sessionId of await registry.listSerpSessionIds()) {
       try {
         const session = await storage.read(`serp_session_${sessionId}.json`);
         if (session) {
-          sessions.push(session);
+          sessions.push({ ...session, pinned: !!registry.getSerpSession(sessionId)?.pinned });
         }
       } catch (error) {
         console.warn('[SessionManager] Failed to load SERP session:', sessionId, error);
@@ -745,13 +668,13 @@ export async function getSerpSessions() {
  */
 export async function getSerpSession(sessionId) {
   try {
-    const session = await storage.read(`serp_session_${sessionId}.json`);
-    if (session) {
+    const session = await storage.update(`serp_session_${sessionId}.json`, session => {
+      if (!session) return undefined;
       // Update last viewed
       session.metadata.lastViewed = timestamp();
-      await storage.write(`serp_session_${sessionId}.json`, session);
-    }
-    return session;
+      return session;
+    });
+    return session || null;
   } catch (error) {
     console.error('[SessionManager] Failed to get SERP session:', sessionId, error);
     return null;
@@ -766,17 +689,12 @@ export async function getSerpSession(sessionId) {
  */
 export async function updateSerpComparison(sessionId, question, result) {
   try {
-    const session = await getSerpSession(sessionId);
-    if (!session) {
-      throw new Error('SERP session not found');
-    }
-    
-    session.comparisonDone = true;
-    session.comparisonQuestion = question;
-    session.comparisonResult = result;
-    session.metadata.lastViewed = timestamp();
-    
-    await storage.write(`serp_session_${sessionId}.json`, session);
+    const session = await modifySerpSession(sessionId, session => {
+      session.comparisonDone = true;
+      session.comparisonQuestion = question;
+      session.comparisonResult = result;
+      session.metadata.lastViewed = timestamp();
+    });
     // console.log('[SessionManager] Updated SERP comparison:', sessionId);
     return session;
   } catch (error) {
@@ -792,19 +710,13 @@ export async function updateSerpComparison(sessionId, question, result) {
  */
 export async function linkSerpToChat(serpSessionId, chatSessionId) {
   try {
-    const session = await getSerpSession(serpSessionId);
-    if (!session) {
-      throw new Error('SERP session not found');
-    }
-    
-    session.chatSessionId = chatSessionId;
-    await storage.write(`serp_session_${serpSessionId}.json`, session);
+    await modifySerpSession(serpSessionId, session => {
+      session.chatSessionId = chatSessionId;
+      session.metadata.lastViewed = timestamp();
+    });
     
     // Update registry
-    if (registry.serpSessions[serpSessionId]) {
-      registry.serpSessions[serpSessionId].chatSessionId = chatSessionId;
-      await saveRegistry();
-    }
+    await registry.updateSerpSession(serpSessionId, { chatSessionId });
     
     // console.log('[SessionManager] Linked SERP to chat:', serpSessionId, '→', chatSessionId);
   } catch (error) {
@@ -820,13 +732,10 @@ export async function linkSerpToChat(serpSessionId, chatSessionId) {
 export async function deleteSerpSession(sessionId) {
   try {
     // Delete session file
-    await storage.remove(`serp_session_${sessionId}.json`);
+    await storage.deleteFile(`serp_session_${sessionId}.json`);
     
     // Remove from registry
-    if (registry.serpSessions && registry.serpSessions[sessionId]) {
-      delete registry.serpSessions[sessionId];
-      await saveRegistry();
-    }
+    await registry.removeSerpSession(sessionId);
     
     // console.log('[SessionManager] Deleted SERP session:', sessionId);
     return true;
@@ -1,6 +1,14 @@
-import * as storage from './lib/storage.js';
-
+// The service worker owns the cache (lib/serp-cache.js); this page asks it over messages
 let cacheData = [];
+let cacheStats = null;
+
+async function sendToBackground(type, data = {}) {
+  const response = await chrome.runtime.sendMessage({ type, data });
+  if (!response?.success) {
+    throw new Error(response?.error || `${type} failed`);
+  }
+  return response;
+}
 
 // Setup event listeners on page load
 function setupEventListeners() {
@@ -73,27 +81,12 @@ async function loadCache() {
   content.innerHTML = '<div class="loading"><div class="spinner"></div><p>Loading cache data...</p></div>';
 
   try {
-    // Read the single serp-cache.json file
-    const CACHE_FILE = 'serp-cache.json';
-    const cacheObj = await storage.read(CACHE_FILE);
-
-    // console.log('Cache file content:', cacheObj);
+    // Index records only (title, size, counts); details are loaded on demand
+    const response = await sendToBackground('GET_SERP_CACHE');
+    cacheData = response.entries;
+    cacheStats = response.stats;
 
-    // Convert cache object to array format
-    cacheData = [];
-    if (cacheObj && typeof cacheObj === 'object') {
-      for (const [url, entry] of Object.entries(cacheObj)) {
-        if (entry && entry.data) {
-          cacheData.push({
-            url: url,
-            cachedAt: entry.cachedAt,
-            ...entry.data
-          });
-        }
-      }
-    }
-
-    // console.log('Parsed cache entries:', cacheData.length);
+    // console.log('Cache entries:', cacheData.length, cacheStats);
     displayCache();
   } catch (error) {
     console.error('Failed to load cache:', error);
@@ -125,12 +118,10 @@ function displayCache() {
 
   // Calculate stats
   const totalEntries = cacheData.length;
-  const totalSize = cacheData.reduce((sum, item) => {
-    const size = JSON.stringify(item).length;
-    return sum + size;
-  }, 0);
-  const totalSections = cacheData.reduce((sum, item) => sum + (item.extractedContent?.sections?.length || 0), 0);
-  const totalWords = cacheData.reduce((sum, item) => sum + (item.extractedContent?.metadata?.totalWords || 0), 0);
+  const totalSize = cacheStats.bytes;
+  const totalSections = cacheData.reduce((sum, item) => sum + (item.sections || 0), 0);
+  const totalWords = cacheData.reduce((sum, item) => sum + (item.words || 0), 0);
+  const since = new Date(cacheStats.since).toLocaleDateString();
 
   let html = `
     <div class="stats">
@@ -150,6 +141,14 @@ function displayCache() {
         <div class="stat-value">${formatBytes(totalSize)}</div>
         <div class="stat-label">Cache Size</div>
       </div>
+      <div class="stat-card" title="Lookups since ${since}: ${cacheStats.hits} fresh hits, ${cacheStats.stale} expired (${cacheStats.revalidated} still valid after revalidation), ${cacheStats.misses} misses">
+        <div class="stat-value">${formatPercent(cacheStats.hitRate)}</div>
+        <div class="stat-label">Hit Rate (${formatPercent(cacheStats.effectiveHitRate)} with revalidation)</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${cacheStats.lookups.toLocaleString()}</div>
+        <div class="stat-label">Lookups since ${since} · ${cacheStats.evictions} evicted</div>
+      </div>
     </div>
 
     <div class="cache-list">
@@ -158,11 +157,13 @@ function displayCache() {
 
   cacheData.forEach((item, index) => {
     const date = new Date(item.cachedAt).toLocaleString();
-    const size = formatBytes(JSON.stringify(item).length);
+    const size = formatBytes(item.bytes);
     const domain = new URL(item.url).hostname;
     const title = item.title || domain;
-    const sectionsCount = item.extractedContent?.sections?.length || 0;
-    const wordsCount = item.extractedContent?.metadata?.totalWords || 0;
+    const sectionsCount = item.sections || 0;
+    const wordsCount = item.words || 0;
+    const validators = [item.validators?.etag && 'ETag', item.validators?.lastModified && 'Last-Modified']
+      .filter(Boolean).join(', ') || 'None';
     
     // Calculate cache age
     const ageMs = Date.now() - item.cachedAt;
@@ -204,6 +205,10 @@ function displayCache() {
             <span class="cache-meta-label">Timestamp</span>
             <span>${date}</span>
           </div>
+          <div class="cache-meta-item">
+            <span class="cache-meta-label">Revalidation</span>
+            <span>${validators}</span>
+          </div>
         </div>
         <div class="cache-actions">
           <button class="btn btn-secondary btn-small view-details-btn" data-index="${index}">
@@ -229,13 +234,20 @@ function displayCache() {
   content.innerHTML = html;
 }
 
-function viewDetails(index) {
+async function viewDetails(index) {
   const detailsDiv = document.getElementById(`details-${index}`);
   const item = cacheData[index];
   
   if (detailsDiv.style.display === 'none') {
     detailsDiv.style.display = 'block';
-    detailsDiv.innerHTML = formatDetailView(item);
+    detailsDiv.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+    try {
+      const { entry } = await sendToBackground('GET_SERP_CACHE_ENTRY', { url: item.url });
+      if (!entry) throw new Error('Entry is no longer cached');
+      detailsDiv.innerHTML = formatDetailView({ url: entry.url, cachedAt: entry.cachedAt, ...entry.data });
+    } catch (error) {
+      detailsDiv.innerHTML = `<div class="detail-view">❌ ${escapeHTML(error.message)}</div>`;
+    }
   } else {
     detailsDiv.style.display = 'none';
   }
@@ -324,12 +336,9 @@ async function deleteEntry(url) {
   if (!confirm(`Delete cached entry for ${domain}?`)) return;
 
   try {
-    const CACHE_FILE = 'serp-cache.json';
-    const cacheObj = await storage.read(CACHE_FILE) || {};
+    const { deleted } = await sendToBackground('DELETE_SERP_CACHE_ENTRY', { url });
     
-    if (cacheObj[url]) {
-      delete cacheObj[url];
-      await storage.write(CACHE_FILE, cacheObj);
+    if (deleted) {
       alert('✅ Cache entry deleted!');
       loadCache();
     } else {
@@ -344,8 +353,7 @@ async function clearAllCache() {
   if (!confirm('Are you sure you want to clear ALL SERP cache data? This cannot be undone.')) return;
 
   try {
-    const CACHE_FILE = 'serp-cache.json';
-    await storage.write(CACHE_FILE, {});
+    await sendToBackground('CLEAR_SERP_CACHE');
     alert('✅ All SERP cache cleared!');
     loadCache();
   } catch (error) {
@@ -353,8 +361,17 @@ async function clearAllCache() {
   }
 }
 
-function exportCache() {
-  const dataStr = JSON.stringify(cacheData, null, 2);
+async function exportCache() {
+  let entries;
+  try {
+    ({ entries } = await sendToBackground('GET_SERP_CACHE', { includeData: true }));
+  } catch (error) {
+    alert('❌ Failed to export: ' + error.message);
+    return;
+  }
+  
+  const exported = entries.map(entry => ({ url: entry.url, cachedAt: entry.cachedAt, ...entry.data }));
+  const dataStr = JSON.stringify(exported, null, 2);
   const dataBlob = new Blob([dataStr], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
   const link = document.createElement('a');
@@ -372,6 +389,10 @@ function formatBytes(bytes) {
   return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
 function escapeHTML(str) {
   const div = document.createElement('div');
   div.textContent = str;
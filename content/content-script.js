@@ -1,10 +1,21 @@
 /**
  * Content Script - Extracts content from web pages
- * Simple, clean implementation for MVP
+ * Readability-style main content detection, with a whole-page heuristic fallback
+ * Also loaded by the offscreen document to extract fetched pages (see extractContentFromDocument)
  */
 
 // console.log('[Content] Nutshell content script loaded');
 
+// Top-level bindings are var: the sidebar re-injects this file into a tab whose
+// earlier copy is gone (e.g. after an extension reload), and const/let would
+// throw "already declared" in the same isolated world
+
+// Running inside the extension (offscreen document) rather than on a web page
+var IS_EXTENSION_PAGE = window.location.protocol === 'chrome-extension:';
+
+// Document the extractors read: the page itself, or a fetched page parsed with DOMParser
+var pageDocument = document;
+
 /**
  * Extract text from element - comprehensive approach
  * Gets ALL text content including figcaption, blockquote, etc.
@@ -74,26 +85,539 @@ function extractText(element) {
 }
 
 /**
- * Extract content sections from page
+ * Main content detection (Readability-style)
+ * Scores paragraphs by text density, propagates scores to their containers,
+ * penalizes link-heavy and boilerplate containers, and picks the best one
+ */
+var MIN_PARAGRAPH_LENGTH = 25;
+var MIN_MAIN_CONTENT_LENGTH = 250; // Below this the page isn't an article - use the heuristic
+var SCORED_TAGS = 'p, pre, td, h2, h3, h4, h5, h6';
+var BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, th, dd, dt, figcaption';
+
+// Class/id weights (same idea as Readability's positive/negative lists)
+var POSITIVE_PATTERN = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose|markdown|docs?-?content/i;
+var NEGATIVE_PATTERN = /hidden|banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|gdpr|masthead|media|meta|modal|newsletter|outbrain|popup|promo|related|recommend|scroll|share|shoutbox|sidebar|skyscraper|social|sponsor|shopping|subscribe|tags|taboola|tool|widget/i;
+
+// Containers that are never content, even inside the article
+var UNLIKELY_PATTERN = /-ad-|ad-break|agegate|banner|breadcrumbs|combx|comment|community|cookie|consent|disqus|footer|gdpr|legends|menu|newsletter|outbrain|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola/i;
+var MAYBE_CANDIDATE_PATTERN = /and|article|body|column|content|main|shadow/i;
+var UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog', 'banner', 'contentinfo'];
+
+function getClassAndId(element) {
+  const className = typeof element.className === 'string' ? element.className : '';
+  return `${className} ${element.id || ''}`;
+}
+
+/**
+ * Check if an element is boilerplate (cookie banner, comments, share bar, related rail...)
+ */
+function isBoilerplate(element) {
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true' || element.getAttribute('aria-modal') === 'true') {
+    return true;
+  }
+  if (UNLIKELY_ROLES.includes(element.getAttribute('role'))) {
+    return true;
+  }
+  if (element.matches('nav, footer, dialog, form, script, style, noscript, iframe')) {
+    return true;
+  }
+  if (element.matches('body, article, main, a')) {
+    return false;
+  }
+  
+  const match = getClassAndId(element);
+  return UNLIKELY_PATTERN.test(match) && !MAYBE_CANDIDATE_PATTERN.test(match);
+}
+
+/**
+ * Check if an element is inside boilerplate (results cached per extraction)
+ */
+function isInBoilerplate(element, cache, stopAt = pageDocument.body) {
+  const path = [];
+  let node = element;
+  let result = false;
+  
+  while (node && node !== stopAt) {
+    if (cache.has(node)) {
+      result = cache.get(node);
+      break;
+    }
+    path.push(node);
+    if (isBoilerplate(node)) {
+      result = true;
+      break;
+    }
+    node = node.parentElement;
+  }
+  
+  path.forEach(el => cache.set(el, result));
+  return result;
+}
+
+function getClassWeight(element) {
+  const match = getClassAndId(element);
+  let weight = 0;
+  if (POSITIVE_PATTERN.test(match) || element.getAttribute('itemprop') === 'articleBody') weight += 25;
+  if (NEGATIVE_PATTERN.test(match)) weight -= 25;
+  return weight;
+}
+
+function getInitialScore(element) {
+  let score = getClassWeight(element);
+  
+  switch (element.tagName) {
+    case 'ARTICLE':
+    case 'MAIN':
+      score += 10;
+      break;
+    case 'DIV':
+    case 'SECTION':
+      score += 5;
+      break;
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3;
+      break;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+    case 'FORM':
+      score -= 3;
+      break;
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      score -= 5;
+      break;
+  }
+  
+  return score;
+}
+
+/**
+ * Share of an element's text that sits inside links (menus and rails are mostly links)
+ */
+function getLinkDensity(element, textLength) {
+  if (!textLength) return 0;
+  
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    const href = link.getAttribute('href');
+    const coefficient = href && href.startsWith('#') ? 0.3 : 1; // In-page anchors are often footnotes
+    linkLength += (link.textContent || '').trim().length * coefficient;
+  });
+  
+  return Math.min(linkLength / textLength, 1);
+}
+
+function getTextLength(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim().length;
+}
+
+/**
+ * Find the main content container
+ * @returns {Element|null} - Article root, or null if the page has no clear main content
+ */
+function findMainContent() {
+  const boilerplateCache = new Map();
+  const scores = new Map(); // element → content score
+  
+  // Leaf divs that hold text directly are scored like paragraphs
+  const paragraphs = [
+    ...pageDocument.body.querySelectorAll(SCORED_TAGS),
+    ...Array.from(pageDocument.body.querySelectorAll('div')).filter(div => !div.querySelector(`${BLOCK_SELECTOR}, div`))
+  ];
+  
+  for (const paragraph of paragraphs) {
+    if (isInBoilerplate(paragraph, boilerplateCache)) continue;
+    
+    const text = (paragraph.textContent || '').replace(/\s+/g, ' ').trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+    
+    // One point per paragraph, per comma, and per 100 chars (max 3)
+    const commas = (text.match(/[,，、]/g) || []).length;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    
+    // Parent gets the full score, grandparent half, great-grandparent a third
+    let ancestor = paragraph.parentElement;
+    for (let level = 0; ancestor && ancestor !== pageDocument.documentElement && level < 3; level++) {
+      if (!scores.has(ancestor)) {
+        scores.set(ancestor, getInitialScore(ancestor));
+      }
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+      ancestor = ancestor.parentElement;
+    }
+  }
+  
+  // Scale by (1 - link density): navigation-heavy containers sink
+  const ranked = Array.from(scores.entries())
+    .map(([element, score]) => {
+      const textLength = getTextLength(element);
+      return { element, textLength, score: score * (1 - getLinkDensity(element, textLength)) };
+    })
+    .sort((a, b) => b.score - a.score);
+  
+  if (ranked.length === 0) return null;
+  
+  const top = ranked[0];
+  let root = top.element;
+  
+  // Article split into several strong blocks: use the container holding them
+  const alternatives = ranked.slice(1, 5)
+    .filter(candidate => candidate.score >= top.score * 0.75)
+    .map(candidate => candidate.element);
+  if (alternatives.length >= 2) {
+    for (let parent = root.parentElement; parent && parent !== pageDocument.body; parent = parent.parentElement) {
+      if (alternatives.filter(alt => parent.contains(alt)).length >= 2) {
+        root = parent;
+        break;
+      }
+    }
+  }
+  
+  // Prefer the enclosing <article>/<main> so headings and intro paragraphs come along
+  const semantic = root.parentElement?.closest('article, [itemprop="articleBody"], main, [role="main"]');
+  if (semantic && semantic !== pageDocument.body && getTextLength(semantic) <= getTextLength(root) * 2) {
+    root = semantic;
+  }
+  
+  if (root === pageDocument.body || getTextLength(root) < MIN_MAIN_CONTENT_LENGTH) {
+    return null;
+  }
+  
+  // console.log('[Content] Main content:', root.tagName, getClassAndId(root).trim(), 'score', top.score.toFixed(1));
+  return root;
+}
+
+/**
+ * Find the article title when it sits outside the main content (e.g. in a page header)
+ */
+function findArticleTitle(root) {
+  if (root.querySelector('h1')) return null;
+  
+  const h1 = pageDocument.querySelector('h1');
+  if (h1 && !root.contains(h1) && !isInBoilerplate(h1, new Map())) {
+    return extractText(h1) || null;
+  }
+  return null;
+}
+
+/**
+ * Typed blocks - keep tables, lists and code intact instead of flattening them
+ * Each section carries blocks ({type: 'paragraph'|'list'|'table'|'code'|'blockquote'})
+ * next to its plain text; lib/markdown.js renders them for prompts
+ */
+
+/**
+ * Data table (rows of values) vs layout table (page structure)
+ */
+function isDataTable(table) {
+  const role = table.getAttribute('role');
+  if (role === 'presentation' || role === 'none') return false;
+  if (table.querySelector('table, h1, h2, h3, h4, h5, h6, pre, blockquote')) return false;
+  if (table.querySelector('th, thead, caption')) return true;
+  
+  const rows = Array.from(table.rows);
+  const maxCells = Math.max(0, ...rows.map(row => row.cells.length));
+  return rows.length >= 2 && maxCells >= 2 && getTextLength(table) / (rows.length * maxCells) < 200;
+}
+
+function extractTableBlock(table) {
+  let header = null;
+  let rows = Array.from(table.rows).map(row => {
+    const cells = [];
+    for (const cell of row.cells) {
+      cells.push(extractText(cell));
+      // Keep columns aligned under spanning cells
+      for (let i = 1; i < (cell.colSpan || 1); i++) cells.push('');
+    }
+    return cells;
+  });
+  
+  const firstRow = table.rows[0];
+  if (firstRow && (firstRow.parentElement.tagName === 'THEAD' || Array.from(firstRow.cells).every(cell => cell.tagName === 'TH'))) {
+    header = rows[0];
+    rows = rows.slice(1);
+  }
+  
+  return {
+    type: 'table',
+    caption: table.caption ? extractText(table.caption) || null : null,
+    header,
+    rows: rows.filter(row => row.some(cell => cell))
+  };
+}
+
+function collectListItems(list, depth, items) {
+  for (const item of list.children) {
+    if (item.tagName !== 'LI') continue;
+    
+    const clone = item.cloneNode(true);
+    clone.querySelectorAll('ul, ol').forEach(nested => nested.remove());
+    const text = extractText(clone);
+    if (text) items.push({ text, depth });
+    
+    item.querySelectorAll('ul, ol').forEach(nested => {
+      if (nested.parentElement.closest('li') === item) {
+        collectListItems(nested, depth + 1, items);
+      }
+    });
+  }
+  return items;
+}
+
+function extractListBlock(list) {
+  if (list.tagName === 'DL') {
+    const items = Array.from(list.querySelectorAll('dt, dd'))
+      .filter(item => item.closest('dl') === list)
+      .map(item => ({ text: extractText(item), depth: item.tagName === 'DD' ? 1 : 0 }))
+      .filter(item => item.text);
+    return { type: 'list', ordered: false, items };
+  }
+  
+  return { type: 'list', ordered: list.tagName === 'OL', items: collectListItems(list, 0, []) };
+}
+
+/**
+ * Code language from data-lang or class hints (language-js, lang-py, highlight-source-rust)
+ */
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const elements = [pre, code, pre.parentElement].filter(Boolean);
+  
+  for (const el of elements) {
+    const lang = el.getAttribute('data-lang') || el.getAttribute('data-language');
+    if (lang) return lang.toLowerCase();
+  }
+  
+  const classes = elements.map(el => (typeof el.className === 'string' ? el.className : '')).join(' ');
+  const match = classes.match(/(?:^|\s)(?:language|lang|highlight-source|brush)[-:]\s*([\w+#-]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function extractCodeBlock(pre) {
+  return {
+    type: 'code',
+    language: getCodeLanguage(pre),
+    text: (pre.textContent || '').replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '')
+  };
+}
+
+/**
+ * Plain-text form of a block (section.text - used for search and snippets)
+ */
+function blockToPlainText(block) {
+  switch (block.type) {
+    case 'list':
+      return block.items.map(item => `${'  '.repeat(item.depth)}${item.text}`).join('\n');
+    case 'table':
+      return [block.caption, block.header, ...block.rows]
+        .filter(Boolean)
+        .map(row => (Array.isArray(row) ? row.join(' | ') : row))
+        .join('\n');
+    default:
+      return block.text;
+  }
+}
+
+/**
+ * Typed block for a table, list or code element (null: layout table, read cell by cell)
+ */
+function extractStructuredBlock(element) {
+  switch (element.tagName) {
+    case 'TABLE':
+      return isDataTable(element) ? extractTableBlock(element) : null;
+    case 'UL':
+    case 'OL':
+    case 'DL':
+      return extractListBlock(element);
+    case 'PRE':
+      return extractCodeBlock(element);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check if an element sits inside one already emitted as a block
+ */
+function isInsideBlock(element, consumed, root) {
+  for (let node = element.parentElement; node && node !== root; node = node.parentElement) {
+    if (consumed.has(node)) return true;
+  }
+  return false;
+}
+
+/**
+ * Note a block's kind in its section's metadata
+ */
+function markBlockMetadata(section, block, element) {
+  if (block.type === 'code' || element.querySelector('code')) {
+    section.metadata.hasCode = true;
+  }
+  if (block.type === 'list') {
+    section.metadata.hasList = true;
+  }
+  if (block.type === 'table') {
+    section.metadata.hasTable = true;
+  }
+}
+
+/**
+ * Extract sections from the main content container
+ * Walks block elements in order, skipping boilerplate, and keeps the heading
+ * hierarchy (metadata.headingPath) so sub-sections know their parents.
+ * Tables, lists and code become typed blocks (section.blocks)
+ */
+function extractMainSections(root) {
+  const boilerplateCache = new Map();
+  const sections = [];
+  const headingStack = []; // [{ level, heading }]
+  let currentSection = null;
+  let sectionIndex = 0;
+  
+  const title = findArticleTitle(root);
+  if (title) {
+    headingStack.push({ level: 1, heading: title });
+  }
+  
+  const startSection = (heading, level, tag, element) => {
+    if (currentSection && currentSection.text.trim().length > 15) {
+      sections.push(currentSection);
+    }
+    currentSection = {
+      id: `sec_${sectionIndex++}`,
+      heading,
+      level,
+      text: '',
+      blocks: [],
+      metadata: {
+        tag,
+        hasCode: false,
+        hasList: false,
+        hasTable: false,
+        headingPath: headingStack.map(h => h.heading)
+      }
+    };
+    sectionElements.set(currentSection, { start: element, end: element });
+  };
+  
+  // Elements already emitted as a block - their descendants are skipped
+  const consumed = new Set();
+  
+  const addBlock = (block, element) => {
+    consumed.add(element);
+    const text = blockToPlainText(block);
+    if (!text || text.length < 2) return;
+    
+    if (!currentSection) {
+      startSection(title || 'Main Content', 1, 'div', element);
+    }
+    currentSection.blocks.push(block);
+    currentSection.text += text + '\n\n';
+    sectionElements.get(currentSection).end = element;
+    markBlockMetadata(currentSection, block, element);
+  };
+  
+  for (const element of root.querySelectorAll(`${BLOCK_SELECTOR}, table, ul, ol, dl, div`)) {
+    if (isInBoilerplate(element, boilerplateCache, root.parentElement)) continue;
+    if (isInsideBlock(element, consumed, root)) continue;
+    
+    if (element.matches('h1, h2, h3, h4, h5, h6')) {
+      const headingText = extractText(element);
+      if (!headingText) continue;
+      
+      const level = parseInt(element.tagName[1]);
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level, heading: headingText });
+      startSection(headingText, level, element.tagName, element);
+      continue;
+    }
+    
+    if (element.matches('table, ul, ol, dl, pre')) {
+      // Layout tables are transparent - their cells are read one by one
+      const block = extractStructuredBlock(element);
+      if (block) addBlock(block, element);
+      continue;
+    }
+    
+    // Containers (leaf-less divs, cells/items wrapping paragraphs) are read through their children
+    if (element.tagName === 'DIV' && element.querySelector(`${BLOCK_SELECTOR}, div`)) continue;
+    if (element.tagName !== 'BLOCKQUOTE' && element.querySelector('h1, h2, h3, h4, h5, h6, p, pre, table, ul, ol, dl, blockquote')) continue;
+    
+    const text = extractText(element);
+    addBlock({ type: element.tagName === 'BLOCKQUOTE' ? 'blockquote' : 'paragraph', text }, element);
+  }
+  
+  if (currentSection && currentSection.text.trim().length > 15) {
+    sections.push(currentSection);
+  }
+  
+  return sections;
+}
+
+/**
+ * Extract content sections from the whole page (heuristic fallback)
  * Handles pages with and without headings gracefully
+ * Tables, lists and code become typed blocks, as in extractMainSections()
  */
 function extractSections() {
   const sections = [];
   let currentSection = null;
   let sectionIndex = 0;
-  let orphanedContent = []; // Content without headings
+  let orphanedContent = []; // { block, element } without headings
+  const consumed = new Set(); // Elements already emitted as a block
   
   // TRULY UNIVERSAL APPROACH: Always use body, let filtering handle everything
   // This works on ANY page structure - no hardcoded selectors needed!
   // The extractText() function already filters out nav, header, footer, sidebars, etc.
-  const mainContent = document.body;
+  const mainContent = pageDocument.body;
   // console.log('[Content] Using document.body - universal filtering will handle content extraction');
   
   // Process all elements (including inline elements like span, a, b, etc.)
-  const allElements = mainContent.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, td, th, pre, blockquote, article, section, div, span, a, strong, em, b, i, q, cite, mark, small');
+  const allElements = mainContent.querySelectorAll('h1, h2, h3, h4, h5, h6, p, table, ul, ol, dl, li, td, th, pre, blockquote, article, section, div, span, a, strong, em, b, i, q, cite, mark, small');
   // console.log('[Content] Found', allElements.length, 'elements to process');
   
+  // Orphaned blocks become a section of their own
+  const orphanedSection = heading => {
+    const orphaned = orphanedContent;
+    const orphanedText = orphaned.map(({ block }) => blockToPlainText(block)).join('\n\n');
+    orphanedContent = [];
+    // Lowered from 50 to 30 chars for orphaned content
+    if (orphanedText.length <= 30) return null;
+    
+    const section = {
+      id: `sec_${sectionIndex++}`,
+      heading,
+      level: 1,
+      text: orphanedText,
+      blocks: orphaned.map(({ block }) => block),
+      metadata: {
+        tag: 'div',
+        hasCode: false,
+        hasList: false,
+        hasTable: false
+      }
+    };
+    orphaned.forEach(({ block, element }) => markBlockMetadata(section, block, element));
+    return section;
+  };
+  
   for (const element of allElements) {
+    if (isInsideBlock(element, consumed, mainContent)) continue;
+    
     // Check if it's a heading
     if (element.matches('h1, h2, h3, h4, h5, h6')) {
       // Save previous section if exists (lowered from 20 to 15 chars)
@@ -104,22 +628,8 @@ function extractSections() {
       
       // If we have orphaned content, create a section for it
       if (orphanedContent.length > 0 && !currentSection) {
-        const orphanedText = orphanedContent.join('\n\n');
-        // Lowered from 50 to 30 chars for orphaned content
-        if (orphanedText.length > 30) {
-          sections.push({
-            id: `sec_${sectionIndex++}`,
-            heading: 'Content',
-            level: 1,
-            text: orphanedText,
-            metadata: {
-              tag: 'div',
-              hasCode: false,
-              hasList: false
-            }
-          });
-        }
-        orphanedContent = [];
+        const orphaned = orphanedSection('Content');
+        if (orphaned) sections.push(orphaned);
       }
       
       // Start new section
@@ -130,22 +640,25 @@ function extractSections() {
           heading: headingText,
           level: parseInt(element.tagName[1]),
           text: '',
+          blocks: [],
           metadata: {
             tag: element.tagName,
             hasCode: false,
-            hasList: false
+            hasList: false,
+            hasTable: false
           }
         };
+        sectionElements.set(currentSection, { start: element, end: element });
       }
     }
     // Add content to current section or orphaned list
-    else if (element.matches('p, li, td, th, pre, blockquote, div, article, section, span, a, strong, em, b, i, q, cite, mark, small')) {
+    else if (element.matches('table, ul, ol, dl, p, li, td, th, pre, blockquote, div, article, section, span, a, strong, em, b, i, q, cite, mark, small')) {
       // Avoid duplicate extraction by checking if this element is nested inside a parent we're already processing
       let shouldExtract = true;
       
       // For containers (divs/article/section): only extract if they don't contain nested structural elements
       if (element.matches('div, article, section')) {
-        const hasNestedContent = element.querySelector('p, li, h1, h2, h3, h4, h5, h6, article, section');
+        const hasNestedContent = element.querySelector('p, li, h1, h2, h3, h4, h5, h6, article, section, table, pre, dl');
         if (hasNestedContent) {
           shouldExtract = false; // Container - we'll process its children
         }
@@ -160,22 +673,27 @@ function extractSections() {
         }
       }
       
+      // Data tables, lists and code are kept whole as typed blocks; layout tables are read cell by cell
+      let block = null;
+      if (element.matches('table, ul, ol, dl, pre')) {
+        block = extractText(element) ? extractStructuredBlock(element) : null;
+        if (!block) shouldExtract = false;
+        else consumed.add(element);
+      }
+      
       if (shouldExtract) {
-        const text = extractText(element);
+        block = block || { type: element.matches('blockquote') ? 'blockquote' : 'paragraph', text: extractText(element) };
+        const text = blockToPlainText(block);
         if (text && text.length > 10) {
           if (currentSection) {
             // Add to current section
+            currentSection.blocks.push(block);
             currentSection.text += text + '\n\n';
-            
-            if (element.matches('pre, code')) {
-              currentSection.metadata.hasCode = true;
-            }
-            if (element.matches('li')) {
-              currentSection.metadata.hasList = true;
-            }
+            sectionElements.get(currentSection).end = element;
+            markBlockMetadata(currentSection, block, element);
           } else {
             // No section yet, add to orphaned content
-            orphanedContent.push(text);
+            orphanedContent.push({ block, element });
           }
         }
       }
@@ -189,21 +707,8 @@ function extractSections() {
   
   // Handle remaining orphaned content
   if (orphanedContent.length > 0) {
-    const orphanedText = orphanedContent.join('\n\n');
-    // Lowered from 50 to 30 chars
-    if (orphanedText.length > 30) {
-      sections.push({
-        id: `sec_${sectionIndex++}`,
-        heading: sections.length === 0 ? 'Main Content' : 'Additional Content',
-        level: 1,
-        text: orphanedText,
-        metadata: {
-          tag: 'div',
-          hasCode: false,
-          hasList: false
-        }
-      });
-    }
+    const orphaned = orphanedSection(sections.length === 0 ? 'Main Content' : 'Additional Content');
+    if (orphaned) sections.push(orphaned);
   }
   
   // FALLBACK: If no sections found, try to extract all text as one section
@@ -215,17 +720,19 @@ function extractSections() {
     // LOWERED threshold from 50 to 20 chars to handle minimal landing pages
     if (allText && allText.length > 20) {
       // Get page title as fallback heading
-      const pageTitle = document.title || 'Page Content';
+      const pageTitle = pageDocument.title || 'Page Content';
       
       sections.push({
         id: 'sec_0',
         heading: pageTitle,
         level: 1,
         text: allText,
+        blocks: [{ type: 'paragraph', text: allText }],
         metadata: {
           tag: 'body',
           hasCode: false,
-          hasList: false
+          hasList: false,
+          hasTable: false
         }
       });
       // console.log('[Content] Created fallback section with page content');
@@ -245,6 +752,286 @@ function extractSections() {
   return sections;
 }
 
+/**
+ * Section anchors - locate a section again, even after a reload
+ * Each section records a CSS path, a text-quote selector (exact + prefix/suffix)
+ * and character offsets into the page's whitespace-normalized text
+ */
+var ANCHOR_EXACT_CHARS = 80;
+var ANCHOR_CONTEXT_CHARS = 32;
+var SKIPPED_TEXT_PARENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+// Section → { start, end } elements, filled during extraction
+var sectionElements = new WeakMap();
+
+function isWhitespace(char) {
+  return /\s/.test(char);
+}
+
+function createTextWalker(root) {
+  return pageDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (SKIPPED_TEXT_PARENTS.has(node.parentElement?.tagName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+}
+
+/**
+ * Build the page's normalized text (whitespace runs collapsed) with a map back to text nodes
+ */
+function buildTextIndex(root = pageDocument.body) {
+  const index = { text: '', nodes: [], starts: [], lengths: [], spaceBefore: [], nodeIndex: new Map() };
+  const chunks = [];
+  let length = 0;
+  let lastWasSpace = true; // No leading space
+  
+  const walker = createTextWalker(root);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const raw = node.textContent;
+    const spaceBefore = lastWasSpace;
+    let normalized = '';
+    
+    for (const char of raw) {
+      const space = isWhitespace(char);
+      if (space && lastWasSpace) continue;
+      normalized += space ? ' ' : char;
+      lastWasSpace = space;
+    }
+    
+    if (normalized.length === 0) continue;
+    index.nodeIndex.set(node, index.nodes.length);
+    index.nodes.push(node);
+    index.starts.push(length);
+    index.lengths.push(normalized.length);
+    index.spaceBefore.push(spaceBefore);
+    chunks.push(normalized);
+    length += normalized.length;
+  }
+  
+  index.text = chunks.join('');
+  return index;
+}
+
+/**
+ * Map a normalized offset back to { node, offset } in the DOM
+ */
+function locateOffset(index, offset) {
+  let lo = 0;
+  let hi = index.nodes.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (index.starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  
+  const node = index.nodes[lo];
+  const raw = node.textContent;
+  let normalized = index.starts[lo];
+  let lastWasSpace = index.spaceBefore[lo];
+  
+  for (let i = 0; i < raw.length; i++) {
+    const space = isWhitespace(raw[i]);
+    if (space && lastWasSpace) continue;
+    if (normalized === offset) return { node, offset: i };
+    normalized++;
+    lastWasSpace = space;
+  }
+  return { node, offset: raw.length };
+}
+
+/**
+ * Normalized [start, end) offsets covering elements start..end
+ */
+function getElementOffsets(index, startElement, endElement) {
+  let first = null;
+  let last = null;
+  
+  const startWalker = createTextWalker(startElement);
+  for (let node = startWalker.nextNode(); node; node = startWalker.nextNode()) {
+    if (index.nodeIndex.has(node)) {
+      first = index.nodeIndex.get(node);
+      break;
+    }
+  }
+  
+  const endWalker = createTextWalker(endElement);
+  for (let node = endWalker.nextNode(); node; node = endWalker.nextNode()) {
+    if (index.nodeIndex.has(node)) last = index.nodeIndex.get(node);
+  }
+  
+  if (first === null || last === null || last < first) return null;
+  
+  let start = index.starts[first];
+  while (index.text[start] === ' ') start++;
+  return { start, end: index.starts[last] + index.lengths[last] };
+}
+
+/**
+ * Unique-enough CSS path (stops at the closest ancestor with a unique id)
+ */
+function getCssPath(element) {
+  const parts = [];
+  
+  for (let el = element; el && el !== pageDocument.body; el = el.parentElement) {
+    if (el.id && pageDocument.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(el.id)}`);
+      return parts.join(' > ');
+    }
+    
+    let nth = 1;
+    for (let sibling = el.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.tagName === el.tagName) nth++;
+    }
+    parts.unshift(`${el.tagName.toLowerCase()}:nth-of-type(${nth})`);
+  }
+  
+  parts.unshift('body');
+  return parts.join(' > ');
+}
+
+/**
+ * Record anchors for extracted sections (and tag their first element with data-section-id)
+ */
+function attachAnchors(sections) {
+  pageDocument.querySelectorAll('[data-section-id]').forEach(el => el.removeAttribute('data-section-id'));
+  const index = buildTextIndex();
+  
+  for (const section of sections) {
+    const elements = sectionElements.get(section);
+    if (!elements) continue;
+    
+    elements.start.setAttribute('data-section-id', section.id);
+    
+    const offsets = getElementOffsets(index, elements.start, elements.end);
+    if (!offsets) continue;
+    
+    const exact = index.text.substring(offsets.start, Math.min(offsets.end, offsets.start + ANCHOR_EXACT_CHARS)).trimEnd();
+    section.anchor = {
+      cssPath: getCssPath(elements.start),
+      textQuote: {
+        exact,
+        prefix: index.text.substring(Math.max(0, offsets.start - ANCHOR_CONTEXT_CHARS), offsets.start),
+        suffix: index.text.substring(offsets.start + exact.length, offsets.start + exact.length + ANCHOR_CONTEXT_CHARS)
+      },
+      textPosition: offsets
+    };
+  }
+}
+
+/**
+ * Find a text-quote selector in the page
+ * Duplicates (repeated headings) are told apart by prefix/suffix context, then by distance to the recorded offset
+ * @returns {number} - Normalized offset, or -1
+ */
+function locateTextQuote(index, { exact, prefix = '', suffix = '' }, hint = null) {
+  if (!exact) return -1;
+  
+  const contextMatch = (a, b, fromEnd) => {
+    let matched = 0;
+    const length = Math.min(a.length, b.length);
+    while (matched < length && (fromEnd ? a[a.length - 1 - matched] === b[b.length - 1 - matched] : a[matched] === b[matched])) {
+      matched++;
+    }
+    return matched;
+  };
+  
+  let best = -1;
+  let bestScore = -Infinity;
+  let pos = index.text.indexOf(exact);
+  
+  for (let count = 0; pos !== -1 && count < 100; count++) {
+    let score = 0;
+    if (prefix) {
+      score += contextMatch(index.text.substring(Math.max(0, pos - prefix.length), pos), prefix, true) / prefix.length;
+    }
+    if (suffix) {
+      score += contextMatch(index.text.substring(pos + exact.length, pos + exact.length + suffix.length), suffix, false) / suffix.length;
+    }
+    if (hint !== null) {
+      score -= Math.min(Math.abs(pos - hint) / 10000, 0.5);
+    }
+    
+    if (score > bestScore) {
+      best = pos;
+      bestScore = score;
+    }
+    pos = index.text.indexOf(exact, pos + 1);
+  }
+  
+  return best;
+}
+
+/**
+ * Resolve an anchor to a DOM range - the cited sentence when a quote is given, else the section start
+ */
+function resolveAnchorRange(anchor, quote = null) {
+  const index = buildTextIndex();
+  if (index.nodes.length === 0) return null;
+  
+  let start = anchor.textQuote ? locateTextQuote(index, anchor.textQuote, anchor.textPosition?.start ?? null) : -1;
+  
+  // Text changed (edited page) - fall back to the CSS path if it still points at the same text
+  if (start === -1 && anchor.cssPath) {
+    const element = document.querySelector(anchor.cssPath);
+    const offsets = element ? getElementOffsets(index, element, element) : null;
+    const exactStart = (anchor.textQuote?.exact || '').substring(0, 20);
+    if (offsets && index.text.startsWith(exactStart, offsets.start)) {
+      start = offsets.start;
+    }
+  }
+  if (start === -1) return null;
+  
+  const sectionLength = anchor.textPosition ? anchor.textPosition.end - anchor.textPosition.start : anchor.textQuote.exact.length;
+  let rangeStart = start;
+  let rangeEnd = start + (anchor.textQuote?.exact.length || 0);
+  
+  if (quote) {
+    // Search the cited sentence inside the section (with some slack for page edits)
+    const normalizedQuote = quote.replace(/\s+/g, ' ').trim();
+    const limit = start + sectionLength + 500;
+    for (const candidate of [normalizedQuote, normalizedQuote.substring(0, 40)]) {
+      const pos = candidate ? index.text.indexOf(candidate, start) : -1;
+      if (pos !== -1 && pos < limit) {
+        rangeStart = pos;
+        rangeEnd = pos + (candidate === normalizedQuote ? candidate.length : findSentenceEnd(index.text, pos, limit));
+        break;
+      }
+    }
+  }
+  
+  if (rangeEnd <= rangeStart) return null;
+  
+  const startPos = locateOffset(index, rangeStart);
+  const endPos = locateOffset(index, rangeEnd - 1);
+  const range = document.createRange();
+  range.setStart(startPos.node, startPos.offset);
+  range.setEnd(endPos.node, Math.min(endPos.offset + 1, endPos.node.textContent.length));
+  return range;
+}
+
+/**
+ * Length from pos to the end of its sentence (quote prefix matched, rest of sentence unknown)
+ */
+function findSentenceEnd(text, pos, limit) {
+  const match = /[.!?。！？](\s|$)/.exec(text.substring(pos, Math.min(limit, pos + 500)));
+  return match ? match.index + 1 : Math.min(40, text.length - pos);
+}
+
+/**
+ * Highlight a range (CSS Custom Highlight API; falls back to marking the containing element)
+ */
+function highlightRange(range) {
+  const element = range.startContainer.parentElement;
+  
+  if (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set('nutshell-quote', new Highlight(range));
+    setTimeout(() => CSS.highlights.delete('nutshell-quote'), 5000);
+  } else if (element) {
+    element.classList.add('nutshell-highlight');
+    setTimeout(() => element.classList.remove('nutshell-highlight'), 3000);
+  }
+  
+  element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
 /**
  * Get page statistics
  */
@@ -267,7 +1054,17 @@ async function extractContent() {
   try {
     // console.log('[Content] Starting content extraction...');
     
-    const sections = extractSections();
+    // Main article first; whole-page heuristic when no clear main content is found
+    const mainContent = findMainContent();
+    let sections = mainContent ? extractMainSections(mainContent) : [];
+    let extractor = 'readability';
+    
+    if (sections.length === 0) {
+      sections = extractSections();
+      extractor = 'heuristic';
+    }
+    
+    attachAnchors(sections);
     const statistics = getStatistics(sections);
     
     // console.log('[Content] Extraction complete:', statistics);
@@ -277,9 +1074,10 @@ async function extractContent() {
       sections,
       statistics,
       metadata: {
-        url: window.location.href,
-        title: document.title,
-        timestamp: Date.now()
+        url: pageDocument === document ? window.location.href : pageDocument.baseURI,
+        title: pageDocument.title,
+        timestamp: Date.now(),
+        extractor
       }
     };
   } catch (error) {
@@ -291,10 +1089,24 @@ async function extractContent() {
   }
 }
 
+/**
+ * Extract content from a fetched page parsed with DOMParser (offscreen document)
+ * extractContent() doesn't await anything, so it has finished with the
+ * document by the time the swap is undone
+ */
+async function extractContentFromDocument(doc) {
+  pageDocument = doc;
+  const extraction = extractContent();
+  pageDocument = document;
+  return extraction;
+}
+
 /**
  * Highlight section on page
+ * @param {Object|null} anchor - Stored section anchor (highlights the cited sentence when quote is given)
+ * @param {string|null} quote - Cited sentence
  */
-function highlightSection(sectionId, heading) {
+function highlightSection(sectionId, heading, anchor = null, quote = null) {
   // console.log('[Content] Highlighting section:', sectionId, heading);
   
   try {
@@ -303,6 +1115,15 @@ function highlightSection(sectionId, heading) {
       el.classList.remove('nutshell-highlight');
     });
     
+    // Strategy 0: Stored anchor (text quote → offsets → CSS path) - survives reloads
+    if (anchor) {
+      const range = resolveAnchorRange(anchor, quote);
+      if (range) {
+        highlightRange(range);
+        return true;
+      }
+    }
+    
     // Strategy 1: Try to find by data-section-id if we set it during extraction
     let targetElement = document.querySelector(`[data-section-id="${sectionId}"]`);
     
@@ -378,6 +1199,10 @@ function injectHighlightCSS() {
       transition: all 0.3s ease;
     }
     
+    ::highlight(nutshell-quote) {
+      background-color: rgba(26, 115, 232, 0.25);
+    }
+    
     @keyframes nutshell-pulse {
       0%, 100% {
         background-position: 0% 50%;
@@ -392,31 +1217,33 @@ function injectHighlightCSS() {
   document.head.appendChild(style);
 }
 
-// Inject CSS when script loads
-injectHighlightCSS();
-
-/**
- * Message listener
- */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // console.log('[Content] Received message:', message.type);
-  
-  if (message.type === 'EXTRACT_CONTENT') {
-    extractContent().then(result => {
-      sendResponse(result);
-    });
-    return true; // Async response
-  }
+// The offscreen document only borrows the extractors
+if (!IS_EXTENSION_PAGE) {
+  // Inject CSS when script loads
+  injectHighlightCSS();
   
-  if (message.type === 'HIGHLIGHT_SECTION') {
-    const { sectionId, heading } = message.data;
-    const success = highlightSection(sectionId, heading);
-    sendResponse({ success });
-    return false; // Sync response
-  }
-  
-  return false;
-});
+  /**
+   * Message listener
+   */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // console.log('[Content] Received message:', message.type);
+    
+    if (message.type === 'EXTRACT_CONTENT') {
+      extractContent().then(result => {
+        sendResponse(result);
+      });
+      return true; // Async response
+    }
+    
+    if (message.type === 'HIGHLIGHT_SECTION') {
+      const { sectionId, heading, anchor, quote } = message.data;
+      const success = highlightSection(sectionId, heading, anchor, quote);
+      sendResponse({ success });
+      return false; // Sync response
+    }
+    
+    return false;
+  });
+}
 
 // console.log('[Content] ✅ Ready to extract content & highlight sections');
-
@@ -1,29 +1,149 @@
 /**
- * Google SERP URL Extractor
- * Extracts organic search result URLs from Google search results page
+ * SERP URL Extractor
+ * Extracts organic search result URLs from Google (any country domain), Bing,
+ * DuckDuckGo, Brave Search and Startpage results pages. Every engine answers
+ * EXTRACT_SERP_URLS with the same normalized { url, title, snippet, position, engine }
  */
 
+// google.com, google.de, google.co.uk, google.com.au, ...
+const GOOGLE_HOST = /^(www\.)?google\.(com?\.)?[a-z]{2,3}$/;
+
+/**
+ * Supported engines; Google keeps its own multi-strategy extractor, the
+ * others are read with a result selector and a per-result parser
+ */
+const SERP_ENGINES = [
+  {
+    id: 'google',
+    name: 'Google',
+    queryParams: ['q'],
+    matches: (loc) => GOOGLE_HOST.test(loc.hostname) && loc.pathname.startsWith('/search'),
+    extract: (maxResults) => extractGoogleResults(maxResults)
+  },
+  {
+    id: 'bing',
+    name: 'Bing',
+    queryParams: ['q'],
+    matches: (loc) => /(^|\.)bing\.com$/.test(loc.hostname) && loc.pathname.startsWith('/search'),
+    resultSelector: '#b_results > li.b_algo',
+    parseResult: (result) => {
+      const link = result.querySelector('h2 a');
+      return {
+        url: link && decodeBingUrl(link.href),
+        title: link?.textContent,
+        snippet: result.querySelector('.b_caption p, .b_lineclamp2, .b_lineclamp3')?.textContent
+      };
+    }
+  },
+  {
+    id: 'duckduckgo',
+    name: 'DuckDuckGo',
+    queryParams: ['q'],
+    matches: (loc) => /(^|\.)duckduckgo\.com$/.test(loc.hostname) && new URLSearchParams(loc.search).has('q'),
+    // Current layout, then the no-JS html.duckduckgo.com layout
+    resultSelector: 'article[data-testid="result"], .result:not(.result--ad)',
+    parseResult: (result) => {
+      const link = result.querySelector('a[data-testid="result-title-a"], a.result__a');
+      return {
+        url: link && decodeDuckDuckGoUrl(link.href),
+        title: link?.textContent,
+        snippet: result.querySelector('[data-result="snippet"], .result__snippet')?.textContent
+      };
+    }
+  },
+  {
+    id: 'brave',
+    name: 'Brave Search',
+    queryParams: ['q'],
+    matches: (loc) => loc.hostname === 'search.brave.com' && loc.pathname.startsWith('/search'),
+    resultSelector: '#results .snippet[data-type="web"]',
+    parseResult: (result) => {
+      const link = result.querySelector('a[href^="http"]');
+      return {
+        url: link?.href,
+        title: result.querySelector('.title, .snippet-title')?.textContent || link?.textContent,
+        snippet: result.querySelector('.snippet-description, .description')?.textContent
+      };
+    }
+  },
+  {
+    id: 'startpage',
+    name: 'Startpage',
+    queryParams: ['query', 'q'],
+    matches: (loc) => /(^|\.)startpage\.com$/.test(loc.hostname) && /\/(sp|do)\/search/.test(loc.pathname),
+    resultSelector: '.w-gl__result, .result',
+    parseResult: (result) => {
+      const link = result.querySelector('a.w-gl__result-title, a.result-title, a.result-link');
+      return {
+        url: link?.href,
+        title: result.querySelector('h2, h3, .wgl-title')?.textContent || link?.textContent,
+        snippet: result.querySelector('p.w-gl__description, .description')?.textContent
+      };
+    }
+  }
+];
+
+/**
+ * Find the engine for the current page (null if this isn't a results page)
+ */
+function detectSearchEngine() {
+  return SERP_ENGINES.find(engine => engine.matches(window.location)) || null;
+}
+
 /**
- * Extract search query from Google page
+ * Bing links go through /ck/a?...&u=a1<base64url target>
  */
-function extractSearchQuery() {
+function decodeBingUrl(href) {
   try {
+    const url = new URL(href, window.location.origin);
+    const encoded = url.searchParams.get('u');
+    if (!url.pathname.startsWith('/ck/') || !encoded) return url.href;
+    
+    const base64 = encoded.replace(/^a1/, '').replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * DuckDuckGo's no-JS page links go through /l/?uddg=<target>
+ */
+function decodeDuckDuckGoUrl(href) {
+  try {
+    const url = new URL(href, window.location.origin);
+    return url.searchParams.get('uddg') || url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract search query from the results page
+ */
+function extractSearchQuery(engine = detectSearchEngine()) {
+  try {
+    const queryParams = engine?.queryParams || ['q'];
+    
     // Try URL parameter first
     const urlParams = new URLSearchParams(window.location.search);
-    const query = urlParams.get('q');
-    
-    if (query) {
-      return query;
+    for (const param of queryParams) {
+      const query = urlParams.get(param);
+      if (query) {
+        return query;
+      }
     }
     
-    // Try search input field
-    const searchInput = document.querySelector('input[name="q"]');
-    if (searchInput && searchInput.value) {
-      return searchInput.value;
+    // Try search input field (Startpage searches are POSTed, so the URL has no query)
+    for (const param of queryParams) {
+      const searchInput = document.querySelector(`input[name="${param}"], textarea[name="${param}"]`);
+      if (searchInput && searchInput.value) {
+        return searchInput.value;
+      }
     }
     
-    // Try page title
-    const titleMatch = document.title.match(/^(.+?)\s*-\s*Google/);
+    // Try page title ("query - Google Search", "query at DuckDuckGo", ...)
+    const titleMatch = document.title.match(/^(.+?)\s*(?:[-–|]|\bat\b)\s*(?:Google|Bing|DuckDuckGo|Brave|Startpage)/);
     if (titleMatch) {
       return titleMatch[1];
     }
@@ -119,7 +239,7 @@ function waitForElements(selector, timeout = 5000) {
 /**
  * Extract organic search result URLs from Google SERP
  */
-async function extractSearchResultURLs(maxResults = 10) {
+async function extractGoogleResults(maxResults = 10) {
   try {
     const results = [];
     const seenUrls = new Set();
@@ -274,9 +394,10 @@ async function extractSearchResultURLs(maxResults = 10) {
       }
       // console.log('[SERP] ✅ Valid HTTP(S) URL');
       
-      // Skip Google's own URLs
-      if (href.includes('google.com') || 
-          href.includes('youtube.com') ||
+      // Skip Google's own URLs (any country domain)
+      const hrefHost = new URL(href).hostname;
+      if (GOOGLE_HOST.test(hrefHost) ||
+          hrefHost.endsWith('youtube.com') ||
           href.includes('maps.google')) {
         // console.log('[SERP] ❌ Skipping Google URL:', href);
         continue;
@@ -336,29 +457,65 @@ async function extractSearchResultURLs(maxResults = 10) {
 }
 
 /**
- * Check if current page is a Google search results page
+ * Extract organic results with an engine's result selector and parser
  */
-function isGoogleSearchPage() {
-  const hostname = window.location.hostname;
-  const pathname = window.location.pathname;
-  const search = window.location.search;
-  
-  return (
-    (hostname.includes('google.com') || hostname.includes('google.')) &&
-    (pathname === '/search' || pathname.startsWith('/search')) &&
-    search.includes('q=')
-  );
+async function extractEngineResults(engine, maxResults = 10) {
+  try {
+    const results = [];
+    const seenUrls = new Set();
+    
+    // DuckDuckGo and Brave render results client-side
+    const resultElements = await waitForElements(engine.resultSelector, 3000);
+    // console.log(`[SERP] Found ${resultElements.length} ${engine.name} result elements`);
+    
+    for (const resultElement of resultElements) {
+      if (results.length >= maxResults) break;
+      
+      const { url, title, snippet } = engine.parseResult(resultElement);
+      
+      // Skip invalid, internal and duplicate links
+      if (!url || !url.startsWith('http') || seenUrls.has(url)) continue;
+      if (new URL(url).hostname === window.location.hostname) continue;
+      
+      const cleanTitle = (title || '').replace(/\s+/g, ' ').trim();
+      if (cleanTitle.length < 3) continue;
+      
+      results.push({
+        url: url,
+        title: cleanTitle,
+        snippet: (snippet || '').replace(/\s+/g, ' ').trim(),
+        position: results.length + 1
+      });
+      seenUrls.add(url);
+    }
+    
+    // console.log('[SERP] ✅ Found', results.length, 'organic results on', engine.name);
+    return results;
+  } catch (error) {
+    console.error(`[SERP] Failed to extract ${engine.name} results:`, error);
+    return [];
+  }
+}
+
+/**
+ * Extract organic results from whichever engine this page belongs to
+ */
+async function extractSearchResultURLs(engine, maxResults = 10) {
+  const results = engine.extract
+    ? await engine.extract(maxResults)
+    : await extractEngineResults(engine, maxResults);
+  return results.map(result => ({ ...result, engine: engine.id }));
 }
 
 // Listen for messages from sidebar
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'CHECK_GOOGLE_SERP') {
-    const isSerp = isGoogleSearchPage();
-    const query = isSerp ? extractSearchQuery() : null;
+  if (message.type === 'CHECK_SERP') {
+    const engine = detectSearchEngine();
     
     sendResponse({
-      isGoogleSerp: isSerp,
-      searchQuery: query
+      isSerp: !!engine,
+      engine: engine ? { id: engine.id, name: engine.name } : null,
+      searchQuery: engine ? extractSearchQuery(engine) : null
     });
     return true;
   }
@@ -368,21 +525,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
       try {
         // console.log('[SERP] 📨 Received EXTRACT_SERP_URLS message');
-        const maxResults = message.data?.maxResults || 10;
-        // console.log('[SERP] Extracting up to', maxResults, 'results');
+        const engine = detectSearchEngine();
+        if (!engine) {
+          throw new Error('Not a supported search results page');
+        }
         
-        const results = await extractSearchResultURLs(maxResults);
-        const searchQuery = extractSearchQuery();
+        const maxResults = message.data?.maxResults || 10;
+        // console.log('[SERP] Extracting up to', maxResults, 'results from', engine.name);
         
-        // console.log('[SERP] 📤 Sending response:', {
-        //   success: true,
-        //   count: results.length,
-        //   hasQuery: !!searchQuery
-        // });
+        const results = await extractSearchResultURLs(engine, maxResults);
+        const searchQuery = extractSearchQuery(engine);
         
         sendResponse({
           success: true,
           searchQuery: searchQuery,
+          engine: { id: engine.id, name: engine.name },
           results: results,
           count: results.length
         });
@@ -401,5 +558,4 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// console.log('[SERP] Google SERP extractor loaded');
-
+// console.log('[SERP] SERP extractor loaded');
@@ -1,54 +1,359 @@
 /**
- * AI Service - Chrome Built-in AI APIs wrapper
- * Simplified for MVP
+ * AI Service - Provider layer for language model and summarizer access
+ * Chrome built-in AI (Gemini Nano) or a local OpenAI-compatible endpoint
  */
 
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+
+// Default provider settings (stored under nutshellSettings.ai)
+export const DEFAULT_AI_CONFIG = {
+  provider: 'auto', // 'auto' | 'chrome' | 'openai'
+  endpoint: 'http://localhost:11434/v1',
+  model: '',
+  apiKey: '',
+  rerank: 'off' // 'off' | 'llm' (ask the model to score retrieved sections - one extra call per question)
+};
+
+let aiConfig = null;
+let localProvider = null;
+
 /**
- * Check if Chrome AI APIs are available
+ * Normalize availability strings across Chrome versions
+ * ('readily'/'after-download'/'no' → 'available'/'downloadable'/'unavailable')
  */
-export async function isAIAvailable() {
+export function normalizeAvailability(value) {
+  switch (value) {
+    case 'readily':
+    case 'available':
+      return 'available';
+    case 'after-download':
+    case 'downloadable':
+      return 'downloadable';
+    case 'downloading':
+      return 'downloading';
+    default:
+      return 'unavailable';
+  }
+}
+
+/**
+ * Chrome built-in AI provider
+ * Works in windows, workers and the service worker (uses globalThis)
+ */
+const chromeProvider = {
+  id: 'chrome',
+  label: 'Chrome built-in AI',
+
+  languageModelAPI() {
+    if (typeof globalThis.LanguageModel !== 'undefined') return globalThis.LanguageModel;
+    if (globalThis.ai && globalThis.ai.languageModel) return globalThis.ai.languageModel;
+    return null;
+  },
+
+  summarizerAPI() {
+    if (typeof globalThis.Summarizer !== 'undefined') return globalThis.Summarizer;
+    if (globalThis.ai && globalThis.ai.summarizer) return globalThis.ai.summarizer;
+    return null;
+  },
+
+  languageDetectorAPI() {
+    if (typeof globalThis.LanguageDetector !== 'undefined') return globalThis.LanguageDetector;
+    return null;
+  },
+
+  async availability() {
+    const api = this.languageModelAPI();
+    if (!api) return 'unavailable';
+    return normalizeAvailability(await api.availability());
+  },
+
+  async createSession(options = {}) {
+    const api = this.languageModelAPI();
+    if (!api) {
+      throw new Error('Chrome AI not available. Please ensure you have Chrome 127+ with AI features enabled.');
+    }
+    return api.create(options);
+  },
+
+  async summarizerAvailability() {
+    const api = this.summarizerAPI();
+    if (!api) return 'unavailable';
+    return normalizeAvailability(await api.availability());
+  },
+
+  async createSummarizer(options = {}) {
+    const api = this.summarizerAPI();
+    if (!api) {
+      throw new Error('Chrome Summarizer API not available');
+    }
+    return api.create(options);
+  }
+};
+
+/**
+ * Set provider configuration
+ * Workers have no chrome.storage access, so the sidebar passes its config along
+ */
+export function configureAI(config = {}) {
+  aiConfig = { ...DEFAULT_AI_CONFIG, ...(config || {}) };
+  localProvider = null;
+  return aiConfig;
+}
+
+/**
+ * Get current provider configuration
+ */
+export function getAIConfig() {
+  return { ...(aiConfig || DEFAULT_AI_CONFIG) };
+}
+
+/**
+ * Load provider configuration from chrome.storage (extension pages / service worker)
+ */
+export async function loadAIConfig() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      const result = await chrome.storage.local.get('nutshellSettings');
+      return configureAI(result.nutshellSettings?.ai);
+    }
+  } catch (error) {
+    console.warn('[AI] Failed to load provider settings:', error);
+  }
+  return configureAI(aiConfig || {});
+}
+
+/**
+ * Load the configuration on first use
+ * @returns {Promise<Object>} - Current configuration
+ */
+export async function ensureConfigured() {
+  if (!aiConfig) {
+    await loadAIConfig();
+  }
+  return getAIConfig();
+}
+
+function getLocalProvider() {
+  if (!localProvider) {
+    localProvider = new OpenAICompatibleProvider(aiConfig);
+  }
+  return localProvider;
+}
+
+/**
+ * Resolve the provider used for chat sessions
+ * 'auto' prefers Chrome built-in AI, then the local endpoint
+ */
+export async function getProvider() {
+  await ensureConfigured();
+
+  if (aiConfig.provider === 'chrome') return chromeProvider;
+  if (aiConfig.provider === 'openai') return getLocalProvider();
+
+  try {
+    if (await chromeProvider.availability() !== 'unavailable') {
+      return chromeProvider;
+    }
+  } catch (error) {
+    console.warn('[AI] Chrome AI availability check failed:', error);
+  }
+
+  const local = getLocalProvider();
+  if (await local.availability() !== 'unavailable') {
+    return local;
+  }
+
+  return chromeProvider;
+}
+
+/**
+ * Resolve the provider used for summarization
+ */
+export async function getSummarizerProvider() {
+  await ensureConfigured();
+
+  if (aiConfig.provider === 'chrome') return chromeProvider;
+  if (aiConfig.provider === 'openai') return getLocalProvider();
+
   try {
-    if (typeof window.ai === 'undefined' || !window.ai.languageModel) {
-      console.warn('[AI] Language Model API not available');
-      return false;
+    if (await chromeProvider.summarizerAvailability() !== 'unavailable') {
+      return chromeProvider;
     }
-    
-    const availability = await window.ai.languageModel.availability();
-    // console.log('[AI] Model availability:', availability);
-    
-    return availability !== 'no';
+  } catch (error) {
+    console.warn('[AI] Summarizer availability check failed:', error);
+  }
+
+  const local = getLocalProvider();
+  if (await local.summarizerAvailability() !== 'unavailable') {
+    return local;
+  }
+
+  return chromeProvider;
+}
+
+/**
+ * Check if a language model is available
+ */
+export async function isAIAvailable() {
+  try {
+    const provider = await getProvider();
+    return await provider.availability() !== 'unavailable';
   } catch (error) {
     console.error('[AI] Error checking availability:', error);
     return false;
   }
 }
 
+/**
+ * Check if a summarizer is available
+ */
+export async function isSummarizerAvailable() {
+  try {
+    const provider = await getSummarizerProvider();
+    return await provider.summarizerAvailability() !== 'unavailable';
+  } catch (error) {
+    console.error('[AI] Error checking summarizer availability:', error);
+    return false;
+  }
+}
+
+/**
+ * Check a Chrome API's availability without throwing
+ */
+async function probeChromeAPI(api) {
+  if (!api) {
+    return { present: false, availability: 'unavailable' };
+  }
+  try {
+    return { present: true, availability: normalizeAvailability(await api.availability()) };
+  } catch (error) {
+    return { present: true, availability: 'unavailable', error: error.message };
+  }
+}
+
+/**
+ * Explain which path a feature will take
+ */
+function describePath(kind, chromeAvailability, localAvailability) {
+  const provider = aiConfig.provider;
+  const chromeReady = chromeAvailability !== 'unavailable';
+  const localReady = localAvailability === 'available';
+  const fallback = kind === 'summary' ? 'extractive' : 'none';
+
+  if (provider === 'chrome') {
+    return chromeReady
+      ? { path: 'chrome', reason: 'Chrome built-in AI selected in settings' }
+      : { path: fallback, reason: 'Chrome built-in AI selected but not available on this device' };
+  }
+
+  if (provider === 'openai') {
+    return localReady
+      ? { path: 'openai', reason: `Local model at ${aiConfig.endpoint}` }
+      : { path: fallback, reason: `Local model endpoint not reachable: ${aiConfig.endpoint}` };
+  }
+
+  if (chromeReady) return { path: 'chrome', reason: 'Chrome built-in AI available' };
+  if (localReady) return { path: 'openai', reason: `Chrome AI unavailable, using local model at ${aiConfig.endpoint}` };
+  return { path: fallback, reason: 'Neither Chrome AI nor a local model is available' };
+}
+
+/**
+ * Probe all AI capabilities
+ * Reports availability, quotas and which fallback path each feature will use
+ */
+export async function probeCapabilities() {
+  await ensureConfigured();
+
+  const [promptAPI, summarizer, languageDetector] = await Promise.all([
+    probeChromeAPI(chromeProvider.languageModelAPI()),
+    probeChromeAPI(chromeProvider.summarizerAPI()),
+    probeChromeAPI(chromeProvider.languageDetectorAPI())
+  ]);
+
+  // Model parameters and context size (only when the model is ready - never triggers a download)
+  const lmAPI = chromeProvider.languageModelAPI();
+  if (lmAPI && typeof lmAPI.params === 'function') {
+    try {
+      promptAPI.params = await lmAPI.params();
+    } catch (error) {
+      promptAPI.params = null;
+    }
+  }
+  if (promptAPI.availability === 'available') {
+    try {
+      const session = await lmAPI.create();
+      promptAPI.inputQuota = session.inputQuota ?? session.maxTokens ?? null;
+      destroySession(session);
+    } catch (error) {
+      promptAPI.inputQuota = null;
+    }
+  }
+
+  const local = getLocalProvider();
+  const localAvailability = await local.availability();
+
+  return {
+    checkedAt: Date.now(),
+    provider: aiConfig.provider,
+    promptAPI,
+    summarizer,
+    languageDetector,
+    localModel: {
+      endpoint: aiConfig.endpoint,
+      availability: localAvailability,
+      models: local.lastProbe?.models || []
+    },
+    chat: describePath('chat', promptAPI.availability, localAvailability),
+    summary: describePath('summary', summarizer.availability, localAvailability)
+  };
+}
+
+/**
+ * Download a Chrome on-device model
+ * @param {string} kind - 'promptAPI' | 'summarizer' | 'languageDetector'
+ * @param {Function} onProgress - Called with progress 0..1
+ */
+export async function downloadChromeModel(kind, onProgress = () => {}) {
+  const apis = {
+    promptAPI: chromeProvider.languageModelAPI(),
+    summarizer: chromeProvider.summarizerAPI(),
+    languageDetector: chromeProvider.languageDetectorAPI()
+  };
+  const api = apis[kind];
+  if (!api) {
+    throw new Error(`${kind} is not supported in this browser`);
+  }
+
+  // create() starts the download; the monitor reports progress until the model is ready
+  const instance = await api.create({
+    monitor(m) {
+      m.addEventListener('downloadprogress', (e) => {
+        onProgress(e.total ? e.loaded / e.total : e.loaded);
+      });
+    }
+  });
+  destroySession(instance);
+  onProgress(1);
+}
+
 /**
  * Create a language model session
+ * Session surface: prompt(), promptStreaming(), append(), destroy()
  */
 export async function createSession(options = {}) {
   try {
-    const availability = await window.ai.languageModel.availability();
-    
-    if (availability === 'no') {
+    const provider = await getProvider();
+    const availability = await provider.availability();
+
+    if (availability === 'unavailable') {
       throw new Error('Language Model is unavailable');
     }
-    
-    if (availability === 'after-download') {
+
+    if (availability === 'downloadable' || availability === 'downloading') {
       console.warn('[AI] Model needs to download. This may take time.');
     }
-    
-    // Always specify output language for optimal quality and safety
-    const sessionOptions = {
-      language: 'en', // Default to English
-      ...options // Allow override
-    };
-    
-    // console.log('[AI] Creating session with options:', sessionOptions);
-    const session = await window.ai.languageModel.create(sessionOptions);
-    // console.log('[AI] Session created successfully');
-    
-    return session;
+
+    return await provider.createSession(options);
   } catch (error) {
     console.error('[AI] Error creating session:', error);
     throw error;
@@ -84,7 +389,45 @@ export async function* promptStreaming(session, promptText) {
 }
 
 /**
- * Destroy session
+ * Append messages to session context
+ */
+export async function append(session, messages) {
+  try {
+    await session.append(messages);
+  } catch (error) {
+    console.error('[AI] Error appending to session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a summarizer
+ * Summarizer surface: summarize(), summarizeStreaming(), destroy()
+ */
+export async function createSummarizer(options = {}) {
+  try {
+    const provider = await getSummarizerProvider();
+    return await provider.createSummarizer(options);
+  } catch (error) {
+    console.error('[AI] Error creating summarizer:', error);
+    throw error;
+  }
+}
+
+/**
+ * One-shot summarization
+ */
+export async function summarize(text, options = {}) {
+  const summarizer = await createSummarizer(options);
+  try {
+    return await summarizer.summarize(text);
+  } finally {
+    destroySession(summarizer);
+  }
+}
+
+/**
+ * Destroy session (or summarizer)
  */
 export function destroySession(session) {
   try {
@@ -97,3 +440,11 @@ export function destroySession(session) {
   }
 }
 
+// Pick up provider changes made in settings (extension pages / service worker only)
+if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.nutshellSettings) {
+      configureAI(changes.nutshellSettings.newValue?.ai);
+    }
+  });
+}
@@ -0,0 +1,393 @@
+/**
+ * Text Analyzer - Shared tokenization for all retrievers
+ * Unicode-aware word segmentation (Intl.Segmenter), per-language stopwords
+ * and light stemmers, with the language picked via the LanguageDetector API
+ */
+
+import { hashString } from './utils.js';
+
+const DEFAULT_LANGUAGE = 'en';
+const DETECTION_SAMPLE_CHARS = 2000;
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// Fallback when Intl.Segmenter is missing: runs of letters/digits (hyphenated words kept together)
+const WORD_REGEX = /[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*/gu;
+const LATIN_REGEX = /^[\p{Script=Latin}\p{N}'’-]+$/u;
+const MARKS_REGEX = /\p{M}/gu;
+
+/**
+ * Stopwords per language (very common words that don't help with relevance)
+ */
+const STOPWORDS = {
+  en: ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as',
+    'is', 'was', 'are', 'were', 'been', 'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+    'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he',
+    'she', 'it', 'its', 'we', 'they', 'what', 'when', 'where', 'who', 'which', 'why', 'how', 'there', 'their',
+    'if', 'so', 'than', 'then', 'into', 'about', 'not', 'no', 'my', 'your', 'our'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines', 'und', 'oder',
+    'aber', 'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach', 'von', 'vom', 'zu', 'zum', 'zur', 'für',
+    'über', 'unter', 'ist', 'sind', 'war', 'waren', 'wird', 'werden', 'wurde', 'hat', 'haben', 'hatte', 'sein',
+    'es', 'er', 'sie', 'wir', 'ich', 'du', 'ihr', 'nicht', 'auch', 'als', 'wie', 'so', 'dass', 'sich', 'noch',
+    'nur', 'kann', 'können', 'was', 'wer', 'wo', 'wenn', 'dies', 'diese', 'dieser', 'dieses'],
+  fr: ['le', 'la', 'les', 'l', 'un', 'une', 'des', 'du', 'de', 'd', 'et', 'ou', 'mais', 'en', 'dans', 'sur',
+    'sous', 'par', 'pour', 'avec', 'sans', 'à', 'au', 'aux', 'est', 'sont', 'était', 'être', 'a', 'ont', 'avoir',
+    'il', 'elle', 'ils', 'elles', 'on', 'nous', 'vous', 'je', 'tu', 'ce', 'cet', 'cette', 'ces', 'se', 'sa', 'son',
+    'ses', 'qui', 'que', 'qu', 'quoi', 'ne', 'pas', 'plus', 'comme', 'c', 'y', 'leur', 'leurs'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'de', 'del', 'en', 'a', 'al',
+    'por', 'para', 'con', 'sin', 'sobre', 'es', 'son', 'era', 'fue', 'ser', 'ha', 'han', 'haber', 'está', 'están',
+    'se', 'su', 'sus', 'lo', 'le', 'les', 'que', 'qué', 'como', 'cómo', 'más', 'no', 'este', 'esta', 'estos',
+    'estas', 'ese', 'esa', 'yo', 'tú', 'él', 'ella', 'nosotros', 'ellos'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'o', 'ma', 'di', 'del', 'della', 'dei',
+    'delle', 'in', 'nel', 'nella', 'a', 'al', 'alla', 'da', 'dal', 'per', 'con', 'su', 'tra', 'fra', 'è', 'sono',
+    'era', 'essere', 'ha', 'hanno', 'avere', 'che', 'chi', 'come', 'non', 'più', 'si', 'questo', 'questa',
+    'quello', 'quella', 'io', 'tu', 'lui', 'lei', 'noi', 'voi', 'loro'],
+  pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'mas', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na',
+    'nos', 'nas', 'por', 'para', 'com', 'sem', 'é', 'são', 'foi', 'ser', 'tem', 'ter', 'está', 'se', 'seu', 'sua',
+    'que', 'como', 'mais', 'não', 'este', 'esta', 'esse', 'essa', 'eu', 'ele', 'ela', 'nós', 'eles'],
+  nl: ['de', 'het', 'een', 'en', 'of', 'maar', 'in', 'op', 'aan', 'bij', 'met', 'van', 'voor', 'naar', 'uit',
+    'over', 'is', 'zijn', 'was', 'waren', 'wordt', 'worden', 'heeft', 'hebben', 'had', 'dat', 'die', 'dit',
+    'deze', 'er', 'hij', 'zij', 'ze', 'wij', 'we', 'ik', 'je', 'niet', 'ook', 'als', 'om', 'te', 'wat', 'hoe'],
+  sv: ['och', 'i', 'att', 'det', 'som', 'en', 'ett', 'på', 'är', 'av', 'för', 'med', 'till', 'den', 'de', 'har',
+    'inte', 'om', 'var', 'jag', 'du', 'han', 'hon', 'vi', 'ni', 'men', 'eller', 'från', 'vid', 'så', 'kan'],
+  da: ['og', 'i', 'at', 'det', 'som', 'en', 'et', 'på', 'er', 'af', 'for', 'med', 'til', 'den', 'de', 'har',
+    'ikke', 'om', 'var', 'jeg', 'du', 'han', 'hun', 'vi', 'men', 'eller', 'fra', 'ved', 'så', 'kan'],
+  no: ['og', 'i', 'å', 'at', 'det', 'som', 'en', 'et', 'på', 'er', 'av', 'for', 'med', 'til', 'den', 'de', 'har',
+    'ikke', 'om', 'var', 'jeg', 'du', 'han', 'hun', 'vi', 'men', 'eller', 'fra', 'ved', 'så', 'kan'],
+  fi: ['ja', 'on', 'ei', 'se', 'että', 'hän', 'oli', 'ovat', 'olla', 'tai', 'mutta', 'kun', 'niin', 'myös',
+    'joka', 'mikä', 'kuin', 'tämä', 'nämä', 'ne', 'me', 'te', 'minä', 'sinä'],
+  pl: ['i', 'w', 'z', 'na', 'do', 'o', 'że', 'się', 'nie', 'to', 'jest', 'są', 'był', 'była', 'być', 'a', 'ale',
+    'lub', 'oraz', 'po', 'przez', 'dla', 'od', 'jak', 'co', 'ten', 'ta', 'te', 'tego', 'tym', 'jego', 'jej'],
+  ru: ['и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так', 'его',
+    'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'её', 'мне', 'было', 'вот', 'от',
+    'меня', 'еще', 'ещё', 'нет', 'о', 'из', 'ему', 'это', 'этот', 'эта', 'эти', 'для', 'или', 'при', 'есть', 'был'],
+  ja: ['の', 'に', 'は', 'を', 'た', 'が', 'で', 'て', 'と', 'し', 'れ', 'さ', 'ある', 'いる', 'も', 'する', 'から',
+    'な', 'こと', 'として', 'い', 'や', 'れる', 'など', 'ない', 'この', 'ため', 'その', 'よう', 'また', 'もの',
+    'という', 'あり', 'まで', 'られ', 'なる', 'へ', 'か', 'だ', 'これ', 'です', 'ます', 'ん'],
+  zh: ['的', '了', '是', '在', '和', '有', '我', '他', '她', '它', '这', '那', '中', '也', '就', '不', '人', '都',
+    '一', '上', '为', '们', '到', '说', '与', '而', '及', '对', '或', '被', '从', '等', '之', '以'],
+  ko: ['이', '그', '저', '것', '수', '등', '및', '를', '을', '에', '의', '가', '는', '은', '로', '으로', '와',
+    '과', '도', '에서', '하다', '있다', '그리고']
+};
+
+// User-configured extra stopwords: language → Set
+const customStopwords = new Map();
+
+/**
+ * Light stemmers - strip common inflectional endings
+ * Deliberately conservative: retrieval needs "pricing"/"prices" to meet, not linguistic precision
+ */
+function stripSuffix(word, suffixes, minStem = 3) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function stemEnglish(word) {
+  if (word.length <= 3) return word;
+
+  // Plurals
+  if (word.endsWith('ies') && word.length > 4) {
+    word = word.slice(0, -3) + 'y';
+  } else if (word.endsWith('sses')) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  // -ing / -ed (only when a vowel remains in the stem)
+  for (const suffix of ['ing', 'ed']) {
+    const stem = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && stem.length >= 3 && /[aeiouy]/.test(stem)) {
+      word = /(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(stem) ? stem.slice(0, -1) : stem;
+      break;
+    }
+  }
+
+  word = stripSuffix(word, ['ational', 'ization', 'fulness', 'ousness', 'iveness', 'ation', 'ality', 'ivity',
+    'bility', 'ness', 'ment', 'ful', 'ly']);
+
+  // Final -e (price / pricing → pric)
+  if (word.length > 4 && word.endsWith('e')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
+
+function stemGerman(word) {
+  word = word.replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u').replace(/ß/g, 'ss');
+
+  if (word.length > 5 && word.endsWith('ern')) {
+    word = word.slice(0, -3);
+  } else if (word.length > 4 && /(em|en|er|es)$/.test(word)) {
+    word = word.slice(0, -2);
+  } else if (word.length > 3 && word.endsWith('e')) {
+    word = word.slice(0, -1);
+  } else if (word.length > 3 && /[bdfghklmnrt]s$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  if (word.length > 5 && word.endsWith('est')) {
+    word = word.slice(0, -3);
+  } else if (word.length > 4 && /(er|en)$/.test(word)) {
+    word = word.slice(0, -2);
+  } else if (word.length > 5 && /[bdfghklmnt]st$/.test(word)) {
+    word = word.slice(0, -2);
+  }
+
+  return word;
+}
+
+function stemFrench(word) {
+  if (word.length > 4 && /[sx]$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+  word = stripSuffix(word, ['issement', 'ement', 'ation', 'ateur', 'atrice', 'ence', 'ance', 'euse', 'eux',
+    'ité', 'ive', 'if', 'ée', 'er', 'ez', 'é', 'e']);
+  return word;
+}
+
+function stemSpanish(word) {
+  word = stripSuffix(word, ['amente', 'mente', 'aciones', 'ación', 'idades', 'idad', 'iones', 'ión', 'es', 's']);
+  return stripSuffix(word, ['a', 'o', 'e']);
+}
+
+function stemPortuguese(word) {
+  word = stripSuffix(word, ['amente', 'mente', 'ações', 'ação', 'idades', 'idade', 'ões', 'ão', 'es', 's']);
+  return stripSuffix(word, ['a', 'o', 'e']);
+}
+
+function stemItalian(word) {
+  word = stripSuffix(word, ['amente', 'mente', 'azioni', 'azione', 'ità', 'zioni', 'zione']);
+  return stripSuffix(word, ['i', 'e', 'a', 'o']);
+}
+
+function stemDutch(word) {
+  return stripSuffix(word, ['heden', 'heid', 'ingen', 'ing', 'en', 'e', 's']);
+}
+
+function stemNordic(word) {
+  return stripSuffix(word, ['heterna', 'hetens', 'heten', 'heter', 'erne', 'arna', 'erna', 'orna', 'ande',
+    'ende', 'ene', 'et', 'en', 'ar', 'er', 'or', 'a', 'e', 's']);
+}
+
+function stemRussian(word) {
+  word = word.replace(/ё/g, 'е');
+  word = stripSuffix(word, ['остью', 'остей', 'ость', 'ости']);
+  return stripSuffix(word, ['иями', 'ями', 'ами', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'иях', 'ях', 'ах',
+    'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ов', 'ев', 'ам', 'ям', 'ом', 'ем', 'ую', 'юю',
+    'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь']);
+}
+
+function stemPolish(word) {
+  return stripSuffix(word, ['ami', 'ach', 'ów', 'om', 'ie', 'ej', 'ego', 'emu', 'ym', 'ich', 'a', 'ę', 'ą',
+    'y', 'i', 'u', 'e', 'o']);
+}
+
+const STEMMERS = {
+  en: stemEnglish,
+  de: stemGerman,
+  fr: stemFrench,
+  es: stemSpanish,
+  pt: stemPortuguese,
+  it: stemItalian,
+  nl: stemDutch,
+  sv: stemNordic,
+  da: stemNordic,
+  no: stemNordic,
+  ru: stemRussian,
+  pl: stemPolish
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(STOPWORDS);
+
+/**
+ * Normalize a BCP-47 tag to a supported base language ('pt-BR' → 'pt', 'nb' → 'no')
+ */
+export function normalizeLanguage(language) {
+  if (!language) return DEFAULT_LANGUAGE;
+  let base = String(language).toLowerCase().split(/[-_]/)[0];
+  if (base === 'nb' || base === 'nn') base = 'no';
+  return SUPPORTED_LANGUAGES.includes(base) ? base : 'und';
+}
+
+/**
+ * Add stopwords for a language (e.g. site boilerplate terms)
+ */
+export function setCustomStopwords(language, words = []) {
+  const lang = normalizeLanguage(language);
+  customStopwords.set(lang, new Set(words.map(w => w.toLowerCase())));
+  analyzers.delete(lang);
+}
+
+/**
+ * Get stopwords for a language
+ */
+export function getStopwords(language) {
+  const lang = normalizeLanguage(language);
+  return new Set([...(STOPWORDS[lang] || []), ...(customStopwords.get(lang) || [])]);
+}
+
+/**
+ * Split text into words (Unicode-aware)
+ */
+const segmenters = new Map();
+export function segmentWords(text, language = DEFAULT_LANGUAGE) {
+  if (!text) return [];
+
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    if (!segmenters.has(language)) {
+      segmenters.set(language, new Intl.Segmenter(language === 'und' ? undefined : language, { granularity: 'word' }));
+    }
+    const words = [];
+    for (const { segment, isWordLike } of segmenters.get(language).segment(text)) {
+      if (isWordLike) words.push(segment);
+    }
+    return words;
+  }
+
+  return text.match(WORD_REGEX) || [];
+}
+
+/**
+ * Analyzer for one language
+ */
+class Analyzer {
+  constructor(language) {
+    this.language = language;
+    this.stopwords = getStopwords(language);
+    this.stem = STEMMERS[language] || (word => word);
+  }
+
+  /**
+   * Tokenize text into index terms
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    const terms = [];
+    for (const word of segmentWords(text.normalize('NFKC'), this.language)) {
+      const lower = word.toLowerCase();
+      if (this.stopwords.has(lower)) continue;
+
+      let term = this.stem(lower);
+      // Fold accents on Latin words (café → cafe) - not on kana, where marks carry meaning
+      if (LATIN_REGEX.test(term)) {
+        term = term.normalize('NFD').replace(MARKS_REGEX, '');
+      }
+      if (term.length > 0) terms.push(term);
+    }
+    return terms;
+  }
+}
+
+const analyzers = new Map();
+
+/**
+ * Get (cached) analyzer for a language
+ */
+export function getAnalyzer(language) {
+  const lang = normalizeLanguage(language);
+  if (!analyzers.has(lang)) {
+    analyzers.set(lang, new Analyzer(lang));
+  }
+  return analyzers.get(lang);
+}
+
+/**
+ * Tokenize text with the analyzer for a language
+ */
+export function analyze(text, language) {
+  return getAnalyzer(language).tokenize(text);
+}
+
+/**
+ * Guess language from script and stopword hits (synchronous fallback)
+ */
+export function guessLanguage(text) {
+  if (!text) return DEFAULT_LANGUAGE;
+  const sample = text.substring(0, DETECTION_SAMPLE_CHARS);
+
+  if (/[\u3040-\u30ff]/.test(sample)) return 'ja';
+  if (/[\uac00-\ud7af]/.test(sample)) return 'ko';
+  if (/[\u4e00-\u9fff]/.test(sample)) return 'zh';
+  if (/[\u0400-\u04ff]/.test(sample)) return 'ru';
+
+  const words = (sample.toLowerCase().match(WORD_REGEX) || []).slice(0, 300);
+  let best = DEFAULT_LANGUAGE;
+  let bestHits = 0;
+  for (const lang of ['en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'fi', 'pl']) {
+    const stopwords = new Set(STOPWORDS[lang]);
+    const hits = words.filter(word => stopwords.has(word)).length;
+    if (hits > bestHits) {
+      best = lang;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Detected languages by content hash (detection runs once per text)
+const detectionCache = new Map();
+let detectorPromise = null;
+
+async function getLanguageDetector() {
+  if (typeof globalThis.LanguageDetector === 'undefined') return null;
+
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      const availability = await globalThis.LanguageDetector.availability();
+      // Never trigger a model download just to tokenize
+      if (availability !== 'available' && availability !== 'readily') return null;
+      return globalThis.LanguageDetector.create();
+    })().catch(() => null);
+  }
+  return detectorPromise;
+}
+
+/**
+ * Detect language of text
+ * Uses the LanguageDetector API when its model is ready, otherwise guessLanguage()
+ * @returns {Promise<string>} - Supported base language code (or 'und')
+ */
+export async function detectLanguage(text) {
+  if (!text) return DEFAULT_LANGUAGE;
+  const sample = text.substring(0, DETECTION_SAMPLE_CHARS);
+  const key = hashString(sample);
+
+  if (detectionCache.has(key)) {
+    return detectionCache.get(key);
+  }
+
+  let language = null;
+  try {
+    const detector = await getLanguageDetector();
+    if (detector) {
+      const [top] = await detector.detect(sample);
+      if (top && top.confidence >= MIN_DETECTION_CONFIDENCE && top.detectedLanguage !== 'und') {
+        language = normalizeLanguage(top.detectedLanguage);
+      }
+    }
+  } catch (error) {
+    // console.log('[Analyzer] Language detection failed, using heuristics:', error.message);
+  }
+
+  language = language || guessLanguage(sample);
+  detectionCache.set(key, language);
+  return language;
+}
+
+/**
+ * Sample text of sections for language detection
+ */
+export function sampleSections(sections) {
+  let sample = '';
+  for (const section of sections) {
+    sample += `${section.heading || ''} ${section.text || section.content || ''} `;
+    if (sample.length >= DETECTION_SAMPLE_CHARS) break;
+  }
+  return sample;
+}
@@ -0,0 +1,203 @@
+/**
+ * Citations - Pick the sentence a citation points at, and check answer markers
+ * The sidebar sends the cited sentence with the section anchor so the page
+ * highlights that sentence instead of the whole section. Answer markers
+ * ([source N]) are checked against the sections they point to.
+ */
+
+import { analyze } from './analyzer.js';
+
+const MIN_QUOTE_CHARS = 20;
+const MAX_QUOTE_CHARS = 300;
+export const MIN_CITATION_SUPPORT = 0.25; // Below this a marker is remapped or dropped
+
+// [source 2], [Source 2: Heading], [Section 2: "Heading"], [Source: Heading], and a
+// bare [2] only after whitespace or punctuation (not items[0]); see isCitation()
+const MARKER_REGEX = /\[(?:source|section)\s*(\d+)(?:\s*[:§][^\]]*)?\]|\[(?:source|section)\s*:\s*([^\]]+)\]|(?<=^|[\s.,;:!?)])\[(\d+)\]/gi;
+
+/**
+ * A bare [N] is only a citation when source N exists ([2024], [7] footnotes stay text)
+ */
+function isCitation(bare, sourceCount) {
+  return !bare || parseInt(bare, 10) <= sourceCount;
+}
+
+/**
+ * Split text into sentences (Intl.Segmenter when available; lines are never joined)
+ */
+export function splitSentences(text, language = 'en') {
+  const sentences = [];
+  const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(language, { granularity: 'sentence' })
+    : null;
+
+  for (const line of (text || '').split(/\n+/)) {
+    if (!line.trim()) continue;
+
+    const parts = segmenter
+      ? Array.from(segmenter.segment(line), ({ segment }) => segment)
+      : line.match(/[^.!?]+[.!?]*/g) || [line];
+
+    for (const part of parts) {
+      const sentence = part.trim();
+      if (sentence) sentences.push(sentence);
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Sentence of a section that best backs what the answer cited it for
+ * @param {Object} section - {text|content, language?}
+ * @param {Array<string>} claims - Answer sentences citing the section (validateCitations().claims)
+ * @param {string} query - The user's question, matched instead when the answer doesn't cite the section
+ * @returns {string|null} - Verbatim sentence from the section text, or null if nothing overlaps
+ */
+export function selectCitationQuote(section, claims, query = '') {
+  const language = section.language || 'en';
+  const claimTerms = (claims.length > 0 ? claims : [query])
+    .map(claim => new Set(analyze(claim, language)))
+    .filter(terms => terms.size > 0);
+  if (claimTerms.length === 0) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const sentence of splitSentences(section.text || section.content, language)) {
+    if (sentence.length < MIN_QUOTE_CHARS) continue;
+
+    const terms = new Set(analyze(sentence, language));
+    for (const wanted of claimTerms) {
+      let overlap = 0;
+      for (const term of terms) {
+        if (wanted.has(term)) overlap++;
+      }
+      // Prefer denser matches over long sentences that happen to contain the terms
+      const score = overlap / Math.sqrt(terms.size || 1);
+
+      if (overlap > 0 && score > bestScore) {
+        best = sentence;
+        bestScore = score;
+      }
+    }
+  }
+
+  if (!best) return null;
+  return best.length > MAX_QUOTE_CHARS ? best.substring(0, MAX_QUOTE_CHARS) : best;
+}
+
+function normalizeHeading(text) {
+  return (text || '').toLowerCase().replace(/["“”']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split text into sentence segments that cover it exactly (so it can be rebuilt)
+ */
+function segmentSentences(text, language) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(language, { granularity: 'sentence' });
+    return Array.from(segmenter.segment(text), ({ segment }) => segment);
+  }
+  return text.match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [text];
+}
+
+/**
+ * Validate and repair [source N] markers in an answer
+ * Each marked sentence is scored against every source by term overlap. Markers
+ * pointing to a source that doesn't exist or doesn't back the sentence are
+ * remapped to the best supporting source, or dropped when none does.
+ *
+ * @param {string} answer - Model answer
+ * @param {Array} sources - Sections in citation order ({heading, text|content}); [source N] → sources[N - 1]
+ * @param {Object} options - { language, minSupport }
+ * @returns {Object} - { answer, confidence: per source (max over kept markers, null if uncited),
+ *   claims: per source, the answer sentences citing it, markers, stats }
+ */
+export function validateCitations(answer, sources, {
+  language = 'en',
+  minSupport = MIN_CITATION_SUPPORT
+} = {}) {
+  const confidence = sources.map(() => null);
+  const claims = sources.map(() => []);
+  const stats = { kept: 0, remapped: 0, dropped: 0 };
+  if (!answer || answer.search(MARKER_REGEX) === -1) {
+    return { answer, confidence, claims, markers: [], stats };
+  }
+
+  const headingIndex = new Map(sources.map((source, idx) => [normalizeHeading(source.heading), idx]));
+  const sourceTerms = sources.map(source =>
+    new Set(analyze(`${source.heading || ''} ${source.text || source.content || ''}`, language)));
+
+  // Sentences with markers; a marker-only segment belongs to the sentence before it
+  const segments = segmentSentences(answer, language).map(raw => ({
+    raw,
+    claim: raw.replace(MARKER_REGEX, (original, number, heading, bare) => (isCitation(bare, sources.length) ? '' : original))
+      .replace(/\s+([.,;:!?])/g, '$1').trim(),
+    markers: Array.from(raw.matchAll(MARKER_REGEX)).filter(match => isCitation(match[3], sources.length))
+  }));
+  segments.forEach((segment, idx) => {
+    if (segment.markers.length > 0 && !/[\p{L}\p{N}]/u.test(segment.claim) && idx > 0) {
+      segment.claim = segments[idx - 1].claim;
+    }
+  });
+
+  const support = (segment, idx) => {
+    const terms = new Set(analyze(segment.claim, language));
+    let covered = 0;
+    for (const term of terms) {
+      if (sourceTerms[idx].has(term)) covered++;
+    }
+    return terms.size > 0 ? covered / terms.size : 0;
+  };
+
+  const markers = [];
+  let repaired = '';
+
+  for (const segment of segments) {
+    if (segment.markers.length === 0 || !segment.claim) {
+      repaired += segment.raw;
+      continue;
+    }
+
+    const scores = sources.map((source, idx) => support(segment, idx));
+    const used = new Set();
+
+    repaired += segment.raw.replace(MARKER_REGEX, (original, number, heading, bare) => {
+      if (!isCitation(bare, sources.length)) return original;
+      
+      let idx = number || bare ? parseInt(number || bare, 10) - 1 : headingIndex.get(normalizeHeading(heading)) ?? -1;
+      let action = 'kept';
+
+      if (!(idx >= 0 && idx < sources.length && scores[idx] >= minSupport)) {
+        const best = scores.reduce((bestIdx, score, i) => (score > (scores[bestIdx] ?? -1) && !used.has(i) ? i : bestIdx), -1);
+        if (best !== -1 && scores[best] >= minSupport) {
+          idx = best;
+          action = 'remapped';
+        } else {
+          action = 'dropped';
+        }
+      }
+
+      // Repeated markers for the same source in one sentence collapse into one
+      if (action !== 'dropped' && used.has(idx)) action = 'dropped';
+
+      markers.push({ original, claim: segment.claim, sourceNumber: action === 'dropped' ? null : idx + 1, confidence: action === 'dropped' ? null : scores[idx], action });
+      stats[action]++;
+      if (action === 'dropped') return '';
+
+      used.add(idx);
+      confidence[idx] = Math.max(confidence[idx] ?? 0, scores[idx]);
+      if (!claims[idx].includes(segment.claim)) claims[idx].push(segment.claim);
+      return `[source ${idx + 1}]`;
+    });
+  }
+
+  return {
+    answer: repaired.replace(/[ \t]+([.,;:!?])/g, '$1').replace(/[ \t]{2,}/g, ' '),
+    confidence,
+    claims,
+    markers,
+    stats
+  };
+}
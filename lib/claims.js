@@ -0,0 +1,196 @@
+/**
+ * Claims - Check a research answer claim by claim against its sources
+ * The answer is split into atomic claims (one sentence, with its [source N §heading]
+ * citations); each claim is judged against the best section of the cited and
+ * most relevant other sources: supports, contradicts or not mentioned.
+ */
+
+import { splitSentences } from './citations.js';
+import { analyze } from './analyzer.js';
+import { isAIAvailable, createSession, destroySession } from './ai.js';
+import { truncateToTokens } from './context-budget.js';
+
+export const STANCE = {
+  SUPPORTS: 'supports',
+  CONTRADICTS: 'contradicts',
+  NOT_MENTIONED: 'not-mentioned'
+};
+
+export const VERDICT = {
+  SUPPORTED: 'supported',       // At least one source supports, none contradicts
+  DISPUTED: 'disputed',         // Sources disagree
+  CONTRADICTED: 'contradicted', // Only contradicted
+  UNSUPPORTED: 'unsupported'    // No checked section supports it
+};
+
+export const MAX_CLAIMS = 15;
+const MIN_CLAIM_CHARS = 20;
+const EVIDENCE_TOKENS = 250; // Per passage in the judgement prompt
+const LEXICAL_SUPPORT_RATIO = 0.6; // Share of claim terms a passage must contain (no model)
+
+const CITATION_REGEX = /\[source (\d+)(?:\s*§\s*([^\]]+?))?\s*\]/gi;
+// Sentences about the sources rather than about the topic
+const META_REGEX = /\b(provided |the )?sources? (don't|do not|doesn't|does not) (mention|say|cover)/i;
+
+function parseCitations(text) {
+  return Array.from(text.matchAll(CITATION_REGEX), ([, number, heading]) => ({
+    sourceNumber: parseInt(number, 10),
+    heading: heading ? heading.trim() : null
+  }));
+}
+
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s*(?:[-*•]|\d+\.)\s+/, '')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Split an answer into atomic claims
+ * Headings, intro lines ending in ':' and statements about missing information are skipped;
+ * a citation standing alone after a sentence belongs to that sentence.
+ * @returns {Array} - [{ id, text, citations: [{ sourceNumber, heading }] }]
+ */
+export function splitClaims(answer, language = 'en') {
+  const claims = [];
+
+  for (const rawLine of (answer || '').split('\n')) {
+    if (!rawLine.trim() || /^\s*#/.test(rawLine)) continue;
+
+    for (const sentence of splitSentences(stripMarkdown(rawLine), language)) {
+      const citations = parseCitations(sentence);
+      const text = sentence.replace(CITATION_REGEX, '').replace(/\s+([.,;:!?])/g, '$1').replace(/\s+/g, ' ').trim();
+
+      if (text.replace(/[\s.,;:!?]/g, '').length === 0) {
+        // Citation-only fragment
+        claims[claims.length - 1]?.citations.push(...citations);
+        continue;
+      }
+      if (text.length < MIN_CLAIM_CHARS || text.endsWith(':') || META_REGEX.test(text)) continue;
+
+      claims.push({ id: `claim_${claims.length + 1}`, text, citations });
+    }
+  }
+
+  return claims.slice(0, MAX_CLAIMS);
+}
+
+/**
+ * Judge one claim against passages with the language model
+ * @param {string} claim - Claim text
+ * @param {Array} passages - [{ sourceNumber, heading, text }]
+ * @returns {Promise<Array<string>|null>} - Stance per passage, or null if no model / unparseable
+ */
+async function judgeWithLLM(claim, passages) {
+  const session = await createSession({
+    systemPrompt: 'You check whether passages support a claim. For each passage reply with one line "<passage number>: SUPPORTS", "<passage number>: CONTRADICTS" or "<passage number>: NOT MENTIONED". Judge only from the passage text.'
+  });
+
+  try {
+    const text = passages
+      .map((passage, idx) => `[${idx + 1}] ${passage.heading ? `(${passage.heading}) ` : ''}${truncateToTokens(passage.text.replace(/\s+/g, ' '), EVIDENCE_TOKENS)}`)
+      .join('\n\n');
+    const reply = await session.prompt(`Claim: ${claim}\n\nPassages:\n${text}\n\nJudgements:`);
+
+    const stances = new Array(passages.length).fill(null);
+    for (const [, number, label] of reply.matchAll(/\[?(\d+)\]?\s*[:=-]\s*(SUPPORTS?|CONTRADICTS?|NOT[\s_-]*MENTIONED)/gi)) {
+      const idx = parseInt(number, 10) - 1;
+      if (idx < 0 || idx >= passages.length || stances[idx]) continue;
+      stances[idx] = /^support/i.test(label) ? STANCE.SUPPORTS
+        : /^contradict/i.test(label) ? STANCE.CONTRADICTS
+          : STANCE.NOT_MENTIONED;
+    }
+
+    if (stances.every(stance => stance === null)) {
+      console.warn('[Claims] Could not parse judgements:', reply.substring(0, 200));
+      return null;
+    }
+    return stances.map(stance => stance || STANCE.NOT_MENTIONED);
+  } finally {
+    destroySession(session);
+  }
+}
+
+/**
+ * Term-overlap judgement (no model): supports or not mentioned, never contradicts
+ */
+function judgeLexically(claim, passages, language) {
+  const claimTerms = new Set(analyze(claim, language));
+  if (claimTerms.size === 0) return passages.map(() => STANCE.NOT_MENTIONED);
+
+  return passages.map(passage => {
+    const terms = new Set(analyze(`${passage.heading || ''} ${passage.text}`, language));
+    let covered = 0;
+    for (const term of claimTerms) {
+      if (terms.has(term)) covered++;
+    }
+    return covered / claimTerms.size >= LEXICAL_SUPPORT_RATIO ? STANCE.SUPPORTS : STANCE.NOT_MENTIONED;
+  });
+}
+
+/**
+ * Overall verdict from per-source stances
+ */
+export function claimVerdict(checks) {
+  const supports = checks.some(check => check.stance === STANCE.SUPPORTS);
+  const contradicts = checks.some(check => check.stance === STANCE.CONTRADICTS);
+
+  if (supports && contradicts) return VERDICT.DISPUTED;
+  if (supports) return VERDICT.SUPPORTED;
+  if (contradicts) return VERDICT.CONTRADICTED;
+  return VERDICT.UNSUPPORTED;
+}
+
+/**
+ * Verify claims against evidence
+ * @param {Array} claims - From splitClaims()
+ * @param {Function} findEvidence - (claim) => [{ sourceNumber, heading, text, cited }], one passage per source
+ * @param {Object} options - { language }
+ * @returns {Promise<Object>} - { claims: [{ ...claim, checks, verdict, flagged }], method: 'llm'|'lexical'|'mixed' }
+ */
+export async function verifyClaims(claims, findEvidence, { language = 'en' } = {}) {
+  const useModel = await isAIAvailable();
+  const methods = new Set();
+  const results = [];
+
+  // Sequential: one model session at a time
+  for (const claim of claims) {
+    const passages = findEvidence(claim);
+    let stances = null;
+
+    if (passages.length > 0 && useModel) {
+      try {
+        stances = await judgeWithLLM(claim.text, passages);
+      } catch (error) {
+        console.warn('[Claims] Model judgement failed:', error.message);
+      }
+    }
+    if (stances) {
+      methods.add('llm');
+    } else {
+      stances = judgeLexically(claim.text, passages, language);
+      if (passages.length > 0) methods.add('lexical');
+    }
+
+    const checks = passages.map((passage, idx) => ({
+      sourceNumber: passage.sourceNumber,
+      heading: passage.heading || null,
+      cited: passage.cited,
+      stance: stances[idx]
+    }));
+    const verdict = claimVerdict(checks);
+
+    results.push({
+      ...claim,
+      checks,
+      verdict,
+      // Cited sources that don't back the claim are as much a problem as no support at all
+      flagged: verdict !== VERDICT.SUPPORTED ||
+        checks.some(check => check.cited && check.stance !== STANCE.SUPPORTS)
+    });
+  }
+
+  return { claims: results, method: methods.size > 1 ? 'mixed' : [...methods][0] || 'lexical' };
+}
@@ -0,0 +1,208 @@
+/**
+ * Context Budget - Shared token budgeting for all Q&A paths
+ * Uses the model's own token counting (measureInputUsage / inputQuota) when the
+ * session exposes it, otherwise a calibrated character-based estimator
+ */
+
+// Fallback limits when the session doesn't report its quota (conservative for Gemini Nano)
+export const DEFAULT_MAX_TOKENS = 3500;
+export const DEFAULT_RESERVE_TOKENS = 500; // Reserved for the answer
+const CHARS_PER_TOKEN = 4; // Latin text: 1 token ≈ 4 chars
+const MIN_TRUNCATED_TOKENS = 75; // Don't bother including slivers of a section
+
+// Lower number = packed first
+export const PRIORITY = {
+  REQUIRED: 0, // Always included (question, instructions)
+  HIGH: 1,     // Top-ranked section, latest exchange
+  NORMAL: 2,   // Other retrieved sections
+  LOW: 3       // Older history, extras
+};
+
+// CJK / kana / hangul characters are roughly one token each
+const DENSE_SCRIPT_REGEX = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// Ratio of measured to estimated tokens, learned from measureInputUsage results
+let calibration = 1.0;
+
+function rawEstimate(text) {
+  if (!text) return 0;
+  const dense = (text.match(DENSE_SCRIPT_REGEX) || []).length;
+  return dense + (text.length - dense) / CHARS_PER_TOKEN;
+}
+
+/**
+ * Estimate token count from text (calibrated against the model when possible)
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(rawEstimate(text) * calibration);
+}
+
+/**
+ * Update the estimator from a real measurement
+ */
+function calibrate(text, measuredTokens) {
+  const estimated = rawEstimate(text);
+  if (estimated < 20 || !measuredTokens) return; // Too short to be meaningful
+  const ratio = measuredTokens / estimated;
+  calibration = Math.min(Math.max(calibration * 0.8 + ratio * 0.2, 0.5), 2.5);
+}
+
+/**
+ * Truncate text to roughly maxTokens, ending at a sentence boundary when possible
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Truncated text (with '...' when cut)
+ */
+export function truncateToTokens(text, maxTokens) {
+  const tokens = estimateTokens(text);
+  if (tokens <= maxTokens) return text;
+
+  const maxChars = Math.max(Math.floor(text.length * (maxTokens / tokens)) - 3, 0);
+  let truncated = text.substring(0, maxChars);
+
+  // Try to end at sentence boundary
+  const lastSentence = Math.max(
+    truncated.lastIndexOf('. '),
+    truncated.lastIndexOf('? '),
+    truncated.lastIndexOf('! '),
+    truncated.lastIndexOf('.\n'),
+    truncated.lastIndexOf('。')
+  );
+
+  if (lastSentence > maxChars * 0.7) {
+    truncated = text.substring(0, lastSentence + 1);
+  }
+
+  return truncated.trimEnd() + '...';
+}
+
+/**
+ * Token budget for one prompt against one session
+ */
+export class ContextBudget {
+  /**
+   * @param {Object} options - { session, maxTokens, reserveTokens, sessionContext }
+   * sessionContext: texts already in the session (system prompt, appended history),
+   * only estimated when the session doesn't report its own usage
+   */
+  constructor({ session = null, maxTokens = DEFAULT_MAX_TOKENS, reserveTokens = DEFAULT_RESERVE_TOKENS, sessionContext = [] } = {}) {
+    this.session = session;
+    this.reserveTokens = reserveTokens;
+
+    // Chrome 138+: inputQuota / inputUsage, earlier builds: maxTokens / tokensSoFar
+    const quota = session?.inputQuota ?? session?.maxTokens;
+    const usage = session?.inputUsage ?? session?.tokensSoFar;
+
+    this.quota = Number.isFinite(quota) && quota > 0 ? quota : maxTokens;
+    this.used = Number.isFinite(usage)
+      ? usage
+      : sessionContext.reduce((sum, text) => sum + estimateTokens(text), 0);
+    this.measured = typeof session?.measureInputUsage === 'function' || typeof session?.countPromptTokens === 'function';
+  }
+
+  /**
+   * Tokens still free for new input
+   */
+  get available() {
+    return Math.max(this.quota - this.used - this.reserveTokens, 0);
+  }
+
+  /**
+   * Count tokens for text - real count if the session supports it
+   */
+  async measure(text) {
+    if (!text) return 0;
+
+    if (this.measured) {
+      try {
+        const tokens = typeof this.session.measureInputUsage === 'function'
+          ? await this.session.measureInputUsage(text)
+          : await this.session.countPromptTokens(text);
+        calibrate(text, tokens);
+        return tokens;
+      } catch (error) {
+        // Fall through to estimate (e.g. session destroyed mid-measure)
+        this.measured = false;
+      }
+    }
+
+    return estimateTokens(text);
+  }
+
+  /**
+   * Pack items into the remaining window by priority
+   * Higher priority items are included whole first; an item marked truncate
+   * may be cut at a sentence boundary to fill the remaining space.
+   * Output keeps the original item order so prompts read naturally.
+   * Items are measured as they appear in the prompt: render(text) adds the
+   * labels and separators around the text (only the text is ever cut).
+   *
+   * @param {Array} items - [{ id, text, render, priority, truncate, minTokens, ...extra }]
+   * @returns {Promise<Object>} - { items, dropped, usedTokens, remainingTokens }
+   */
+  async pack(items) {
+    let remaining = this.available;
+    const rendered = (item, text) => (item.render ? item.render(text) : text);
+    const tokens = await Promise.all(items.map(item => this.measure(rendered(item, item.text))));
+
+    const order = items
+      .map((item, index) => index)
+      .sort((a, b) => (items[a].priority ?? PRIORITY.NORMAL) - (items[b].priority ?? PRIORITY.NORMAL) || a - b);
+
+    const included = new Map();
+    const dropped = [];
+
+    for (const index of order) {
+      const item = items[index];
+
+      if (tokens[index] <= remaining || item.priority === PRIORITY.REQUIRED) {
+        included.set(index, { ...item, tokens: tokens[index], truncated: false });
+        remaining -= tokens[index];
+        continue;
+      }
+
+      const minTokens = item.minTokens ?? MIN_TRUNCATED_TOKENS;
+      const overhead = item.truncate && item.render ? await this.measure(item.render('')) : 0;
+      if (item.truncate && remaining - overhead >= minTokens) {
+        // Estimates can be off - shrink until the measured size fits
+        let target = remaining - overhead;
+        let text = truncateToTokens(item.text, target);
+        let size = await this.measure(rendered(item, text));
+        for (let attempt = 0; size > remaining && attempt < 3; attempt++) {
+          target = Math.floor(target * 0.85);
+          text = truncateToTokens(item.text, target);
+          size = await this.measure(rendered(item, text));
+        }
+
+        if (size <= remaining) {
+          included.set(index, { ...item, text, tokens: size, truncated: true });
+          remaining -= size;
+          continue;
+        }
+      }
+
+      dropped.push(item);
+    }
+
+    const packed = [...included.keys()].sort((a, b) => a - b).map(index => included.get(index));
+
+    return {
+      items: packed,
+      dropped,
+      usedTokens: this.available - remaining,
+      remainingTokens: remaining
+    };
+  }
+}
+
+/**
+ * Create a budget for a session (or a summarizer)
+ * @param {Object} session - Language model session, summarizer or null
+ * @param {Object} options - { maxTokens, reserveTokens, sessionContext }
+ */
+export function createContextBudget(session = null, options = {}) {
+  return new ContextBudget({ session, ...options });
+}
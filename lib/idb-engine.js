@@ -0,0 +1,371 @@
+/**
+ * IndexedDB Engine - Optional home for chat sessions, SERP sessions and research entries
+ * A document is split into small, queryable records (sessions, messages, pages,
+ * serpResults and research stores, indexed by URL, timestamp, type and domain)
+ * and a blob with its bulky parts (sections, extracted page content), which
+ * lib/storage.js keeps in OPFS. Listings then read records only, never blobs
+ *
+ * Every record is { file, seq?, index: { ...indexed fields }, doc }, where doc
+ * is the slice of the original document it holds
+ */
+
+const DB_NAME = 'nutshell';
+const DB_VERSION = 1;
+
+// Child stores keyed [file, seq] - seq keeps the document's order
+const CHILD_STORES = ['messages', 'pages', 'serpResults'];
+
+let dbPromise = null;
+
+/**
+ * Which document a file holds (null: not a document, stays a plain OPFS file)
+ */
+export function documentKind(filename) {
+  if (!filename.endsWith('.json')) return null;
+  if (filename.startsWith('session_')) return 'session';
+  if (filename.startsWith('serp_session_')) return 'serpSession';
+  if (filename.startsWith('research_')) return 'research';
+  return null;
+}
+
+function headerStore(kind) {
+  return kind === 'research' ? 'research' : 'sessions';
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function childRange(file) {
+  return IDBKeyRange.bound([file, 0], [file, Infinity]);
+}
+
+/**
+ * Open (and create on first use) the database
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        
+        // Chat and SERP session headers (kind 'session' | 'serpSession')
+        const sessions = db.createObjectStore('sessions', { keyPath: 'file' });
+        sessions.createIndex('kind_timestamp', ['index.kind', 'index.timestamp']);
+        sessions.createIndex('url', 'index.url');
+        sessions.createIndex('domain', 'index.domain');
+        sessions.createIndex('type', 'index.type');
+        sessions.createIndex('timestamp', 'index.timestamp');
+        
+        const messages = db.createObjectStore('messages', { keyPath: ['file', 'seq'] });
+        messages.createIndex('role', 'index.role');
+        messages.createIndex('timestamp', 'index.timestamp');
+        
+        const pages = db.createObjectStore('pages', { keyPath: ['file', 'seq'] });
+        pages.createIndex('url', 'index.url');
+        pages.createIndex('domain', 'index.domain');
+        
+        const serpResults = db.createObjectStore('serpResults', { keyPath: ['file', 'seq'] });
+        serpResults.createIndex('url', 'index.url');
+        serpResults.createIndex('domain', 'index.domain');
+        serpResults.createIndex('timestamp', 'index.timestamp');
+        
+        const research = db.createObjectStore('research', { keyPath: 'file' });
+        research.createIndex('timestamp', 'index.timestamp');
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Split a document into records and a blob
+ * @returns {Object} - { header, children: { store: [records] }, blob }
+ */
+export function splitDocument(filename, doc) {
+  const kind = documentKind(filename);
+  
+  if (kind === 'session') {
+    const { chatHistory = [], recentPages = [], content = {}, ...rest } = doc;
+    const { sections = [], pages, ...contentRest } = content;
+    
+    return {
+      header: {
+        file: filename,
+        index: {
+          kind,
+          type: doc.type || 'page',
+          url: doc.url || '',
+          domain: domainOf(doc.url),
+          timestamp: doc.lastActive || 0
+        },
+        doc: { ...rest, content: { ...contentRest, ...(pages ? { pages: [] } : {}) } }
+      },
+      children: {
+        messages: chatHistory.map((message, seq) => ({
+          file: filename,
+          seq,
+          index: { role: message.role, timestamp: message.timestamp || 0 },
+          doc: message
+        })),
+        pages: (pages || []).map(({ extractedContent, ...page }, seq) => ({
+          file: filename,
+          seq,
+          index: { url: page.url, domain: domainOf(page.url) },
+          doc: page
+        }))
+      },
+      blob: { sections, recentPages, pageContents: (pages || []).map(page => page.extractedContent || null) }
+    };
+  }
+  
+  if (kind === 'serpSession') {
+    const { results = [], ...rest } = doc;
+    
+    return {
+      header: {
+        file: filename,
+        index: { kind, type: doc.type || 'serpAnalysis', url: doc.searchUrl || '', domain: domainOf(doc.searchUrl), timestamp: doc.timestamp || 0 },
+        doc: rest
+      },
+      children: {
+        serpResults: results.map(({ extractedContent, ...result }, seq) => ({
+          file: filename,
+          seq,
+          index: { url: result.url, domain: domainOf(result.url), timestamp: result.cachedAt || doc.timestamp || 0 },
+          doc: result
+        }))
+      },
+      blob: { resultContents: results.map(result => result.extractedContent || null) }
+    };
+  }
+  
+  // Research entry: the listing fields are the header, answer and sources the blob
+  const { id, query, timestamp, sourcesCount, schemaVersion, ...rest } = doc;
+  return {
+    header: {
+      file: filename,
+      index: { timestamp: timestamp || 0 },
+      doc: { id, query, timestamp, sourcesCount, schemaVersion }
+    },
+    children: {},
+    blob: rest
+  };
+}
+
+/**
+ * Rebuild a document from its records and blob (blob null: listing view without bulky parts)
+ */
+export function joinDocument(filename, { header, children }, blob = null) {
+  const kind = documentKind(filename);
+  const doc = { ...header.doc };
+  
+  if (kind === 'session') {
+    const pages = (children.pages || []).map((record, i) => ({
+      ...record.doc,
+      ...(blob ? { extractedContent: blob.pageContents?.[i] || null } : {})
+    }));
+    doc.chatHistory = (children.messages || []).map(record => record.doc);
+    doc.recentPages = blob?.recentPages || [];
+    doc.content = {
+      ...doc.content,
+      sections: blob?.sections || [],
+      ...(doc.content?.pages ? { pages } : {})
+    };
+    return doc;
+  }
+  
+  if (kind === 'serpSession') {
+    doc.results = (children.serpResults || []).map((record, i) => ({
+      ...record.doc,
+      ...(blob ? { extractedContent: blob.resultContents?.[i] || null } : {})
+    }));
+    return doc;
+  }
+  
+  return { ...doc, ...(blob || {}) };
+}
+
+/**
+ * Records of one document
+ * @returns {Promise<Object|null>} - { header, children } or null if missing
+ */
+export async function getRecords(filename) {
+  const kind = documentKind(filename);
+  const db = await openDatabase();
+  const stores = [headerStore(kind), ...(kind === 'research' ? [] : CHILD_STORES)];
+  const tx = db.transaction(stores, 'readonly');
+  
+  const header = await requestResult(tx.objectStore(headerStore(kind)).get(filename));
+  if (!header) return null;
+  
+  const children = {};
+  if (kind !== 'research') {
+    for (const store of CHILD_STORES) {
+      children[store] = await requestResult(tx.objectStore(store).getAll(childRange(filename)));
+    }
+  }
+  return { header, children };
+}
+
+export async function documentExists(filename) {
+  const store = headerStore(documentKind(filename));
+  const db = await openDatabase();
+  const key = await requestResult(db.transaction(store, 'readonly').objectStore(store).getKey(filename));
+  return key !== undefined;
+}
+
+/**
+ * Replace a document's records in one transaction
+ */
+export async function putRecords(filename, { header, children }) {
+  const kind = documentKind(filename);
+  const db = await openDatabase();
+  const stores = [headerStore(kind), ...(kind === 'research' ? [] : CHILD_STORES)];
+  const tx = db.transaction(stores, 'readwrite');
+  
+  tx.objectStore(headerStore(kind)).put(header);
+  if (kind !== 'research') {
+    for (const store of CHILD_STORES) {
+      const objectStore = tx.objectStore(store);
+      objectStore.delete(childRange(filename));
+      for (const record of children[store] || []) {
+        objectStore.put(record);
+      }
+    }
+  }
+  
+  await transactionDone(tx);
+}
+
+/**
+ * Delete a document's records
+ */
+export async function deleteRecords(filename) {
+  const kind = documentKind(filename);
+  const db = await openDatabase();
+  const stores = [headerStore(kind), ...(kind === 'research' ? [] : CHILD_STORES)];
+  const tx = db.transaction(stores, 'readwrite');
+  
+  tx.objectStore(headerStore(kind)).delete(filename);
+  if (kind !== 'research') {
+    for (const store of CHILD_STORES) {
+      tx.objectStore(store).delete(childRange(filename));
+    }
+  }
+  
+  await transactionDone(tx);
+}
+
+/**
+ * Names of every document in the database
+ */
+export async function listDocumentFiles() {
+  const db = await openDatabase();
+  const tx = db.transaction(['sessions', 'research'], 'readonly');
+  const [sessions, research] = await Promise.all([
+    requestResult(tx.objectStore('sessions').getAllKeys()),
+    requestResult(tx.objectStore('research').getAllKeys())
+  ]);
+  return [...sessions, ...research];
+}
+
+/**
+ * Records from one store through an index
+ * @param {string} store - 'sessions' | 'messages' | 'pages' | 'serpResults' | 'research'
+ * @param {Object} options - { index, value | lower/upper, direction: 'next'|'prev', limit }
+ * @returns {Promise<Array>} - Records ({ file, seq?, index, doc })
+ */
+export async function query(store, { index = null, value, lower, upper, direction = 'next', limit = Infinity } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(store, 'readonly');
+  const source = index ? tx.objectStore(store).index(index) : tx.objectStore(store);
+  
+  let range = null;
+  if (value !== undefined) {
+    range = IDBKeyRange.only(value);
+  } else if (lower !== undefined || upper !== undefined) {
+    range = lower === undefined ? IDBKeyRange.upperBound(upper)
+      : upper === undefined ? IDBKeyRange.lowerBound(lower)
+        : IDBKeyRange.bound(lower, upper);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const request = source.openCursor(range, direction);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+        return;
+      }
+      records.push(cursor.value);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Documents of a kind, newest first, without their blobs (for listings)
+ * @param {string} kind - 'session' | 'serpSession' | 'research'
+ * @param {Object} options - { url } to only list sessions started on a URL
+ */
+export async function listDocuments(kind, { url = null } = {}) {
+  const headers = kind === 'research'
+    ? await query('research', { index: 'timestamp', direction: 'prev' })
+    : url !== null
+      ? (await query('sessions', { index: 'url', value: url }))
+        .filter(header => header.index.kind === kind)
+        .sort((a, b) => b.index.timestamp - a.index.timestamp)
+      : await query('sessions', {
+        index: 'kind_timestamp',
+        lower: [kind, -Infinity],
+        upper: [kind, Infinity],
+        direction: 'prev'
+      });
+  
+  if (kind === 'research') {
+    return headers.map(header => joinDocument(header.file, { header, children: {} }));
+  }
+  
+  // One transaction for every document's child records
+  const db = await openDatabase();
+  const tx = db.transaction(CHILD_STORES, 'readonly');
+  const documents = [];
+  for (const header of headers) {
+    const children = {};
+    for (const store of CHILD_STORES) {
+      children[store] = await requestResult(tx.objectStore(store).getAll(childRange(header.file)));
+    }
+    documents.push(joinDocument(header.file, { header, children }));
+  }
+  return documents;
+}
@@ -0,0 +1,233 @@
+/**
+ * Inverted Index - Serializable, incremental term index shared by the BM25 retrievers
+ * Documents (a page, a mentioned tab) can be added or removed without
+ * re-tokenizing the rest, and the index round-trips through OPFS as JSON
+ */
+
+import * as storage from './storage.js';
+import { hashString } from './utils.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+export const INDEX_FORMAT_VERSION = 2; // 2: analyzer with stemming (v1 indexes are rebuilt)
+
+/**
+ * Fingerprint a document's sections (detects edited or re-extracted pages)
+ */
+export function fingerprintSections(sections) {
+  return hashString(
+    sections.map(s => `${s.heading || ''}\u0001${s.text || s.content || ''}`).join('\u0002')
+  );
+}
+
+export class InvertedIndex {
+  constructor() {
+    this.documents = new Map(); // docId → { fingerprint, meta, sectionKeys }
+    this.sections = new Map(); // sectionKey → { docId, sectionIdx, length, terms, meta }
+    this.postings = new Map(); // term → Map(sectionKey → tf)
+    this.totalLength = 0;
+    this.dirty = false; // Changed since last save
+  }
+
+  get sectionCount() {
+    return this.sections.size;
+  }
+
+  get avgLength() {
+    return this.sections.size > 0 ? this.totalLength / this.sections.size : 0;
+  }
+
+  /**
+   * Check if a document is indexed (and unchanged, when a fingerprint is given)
+   */
+  hasDocument(docId, fingerprint = null) {
+    const doc = this.documents.get(docId);
+    if (!doc) return false;
+    return fingerprint === null || doc.fingerprint === fingerprint;
+  }
+
+  /**
+   * Add (or replace) a document
+   * @param {string} docId - Document identifier
+   * @param {Array} sections - [{ tokens, meta }] in section order
+   * @param {Object} options - { fingerprint, meta }
+   */
+  addDocument(docId, sections, { fingerprint = null, meta = {} } = {}) {
+    this.removeDocument(docId);
+
+    const sectionKeys = sections.map((section, sectionIdx) => {
+      const key = `${docId}::${sectionIdx}`;
+      const terms = {};
+      section.tokens.forEach(token => {
+        terms[token] = (terms[token] || 0) + 1;
+      });
+
+      this.insertSection(key, {
+        docId,
+        sectionIdx,
+        length: Math.max(section.tokens.length, 1),
+        terms,
+        meta: section.meta || {}
+      });
+      return key;
+    });
+
+    this.documents.set(docId, { fingerprint, meta, sectionKeys });
+    this.dirty = true;
+  }
+
+  /**
+   * Remove a document and its postings
+   */
+  removeDocument(docId) {
+    const doc = this.documents.get(docId);
+    if (!doc) return false;
+
+    doc.sectionKeys.forEach(key => {
+      const section = this.sections.get(key);
+      if (!section) return;
+
+      Object.keys(section.terms).forEach(term => {
+        const postings = this.postings.get(term);
+        if (!postings) return;
+        postings.delete(key);
+        if (postings.size === 0) {
+          this.postings.delete(term);
+        }
+      });
+
+      this.totalLength -= section.length;
+      this.sections.delete(key);
+    });
+
+    this.documents.delete(docId);
+    this.dirty = true;
+    return true;
+  }
+
+  insertSection(key, section) {
+    this.sections.set(key, section);
+    this.totalLength += section.length;
+
+    Object.entries(section.terms).forEach(([term, tf]) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(key, tf);
+    });
+  }
+
+  /**
+   * Get postings for a term
+   * @returns {Map<string, number>} - sectionKey → term frequency
+   */
+  getPostings(term) {
+    return this.postings.get(term) || new Map();
+  }
+
+  /**
+   * Get a section record by key
+   */
+  getSection(key) {
+    return this.sections.get(key) || null;
+  }
+
+  /**
+   * Inverse document frequency: log((N - df + 0.5) / (df + 0.5) + 1)
+   */
+  idf(term) {
+    const N = this.sections.size;
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log((N - df + 0.5) / (df + 0.5) + 1);
+  }
+
+  /**
+   * Serialize (postings are rebuilt from per-section term counts on load)
+   */
+  toJSON() {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      version: INDEX_FORMAT_VERSION,
+      documents: Array.from(this.documents.entries()).map(([docId, doc]) => ({
+        docId,
+        fingerprint: doc.fingerprint,
+        meta: doc.meta,
+        sections: doc.sectionKeys.map(key => {
+          const { length, terms, meta } = this.sections.get(key);
+          return { length, terms, meta };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Restore from serialized form
+   * @returns {InvertedIndex|null} - null if the format is unknown
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== INDEX_FORMAT_VERSION || !Array.isArray(data.documents)) {
+      return null;
+    }
+
+    const index = new InvertedIndex();
+    data.documents.forEach(doc => {
+      const sectionKeys = doc.sections.map((section, sectionIdx) => {
+        const key = `${doc.docId}::${sectionIdx}`;
+        index.insertSection(key, {
+          docId: doc.docId,
+          sectionIdx,
+          length: section.length,
+          terms: section.terms,
+          meta: section.meta || {}
+        });
+        return key;
+      });
+      index.documents.set(doc.docId, { fingerprint: doc.fingerprint, meta: doc.meta || {}, sectionKeys });
+    });
+
+    return index;
+  }
+}
+
+/**
+ * Index file name for a session (stored next to session_<id>.json)
+ */
+export function indexFilename(sessionId) {
+  return `index_${sessionId}.json`;
+}
+
+/**
+ * Load a persisted index
+ * @returns {Promise<InvertedIndex|null>}
+ */
+export async function loadIndex(sessionId) {
+  try {
+    const data = await storage.read(indexFilename(sessionId));
+    return InvertedIndex.fromJSON(data);
+  } catch (error) {
+    console.warn('[Index] Failed to load index:', sessionId, error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist an index if it changed
+ */
+export async function saveIndex(sessionId, index) {
+  if (!index || !index.dirty) return false;
+
+  try {
+    await storage.write(indexFilename(sessionId), JSON.stringify(index));
+    index.dirty = false;
+    return true;
+  } catch (error) {
+    console.warn('[Index] Failed to save index:', sessionId, error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a persisted index
+ */
+export async function deleteIndex(sessionId) {
+  return storage.deleteFile(indexFilename(sessionId));
+}
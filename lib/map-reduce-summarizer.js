@@ -0,0 +1,186 @@
+/**
+ * Map-Reduce Summarizer - Page summaries for content larger than the summarizer window
+ * Sections are grouped into chunks that fit the input quota, chunks are summarized
+ * in parallel (bounded), then the chunk summaries are reduced into one page summary.
+ * Each chunk keeps the section ids/headings it covers (provenance).
+ */
+
+import { createSummarizer, destroySession } from './ai.js';
+import { createContextBudget, estimateTokens, truncateToTokens } from './context-budget.js';
+import { sectionBody } from './markdown.js';
+import { mapWithConcurrency } from './utils.js';
+
+export const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_CHUNK_TOKENS = 3000; // When the summarizer doesn't report its quota
+const MAX_REDUCE_LEVELS = 3;
+
+/**
+ * Group consecutive sections into chunks of at most maxTokens
+ * Sections larger than a chunk are split into several parts
+ * @returns {Array} - [{ text, sectionIds, headings }]
+ */
+export function chunkSections(sections, maxTokens = DEFAULT_CHUNK_TOKENS) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text) chunks.push(current);
+    current = null;
+  };
+
+  const add = (section, text) => {
+    const tokens = estimateTokens(text);
+    if (current && current.tokens + tokens > maxTokens) flush();
+    if (!current) current = { text: '', tokens: 0, sectionIds: [], headings: [] };
+
+    current.text += (current.text ? '\n\n' : '') + text;
+    current.tokens += tokens;
+    if (!current.sectionIds.includes(section.id)) {
+      current.sectionIds.push(section.id);
+      if (section.heading) current.headings.push(section.heading);
+    }
+  };
+
+  for (const section of sections) {
+    const heading = section.heading ? `## ${section.heading}\n` : '';
+    let body = sectionBody(section);
+    if (!body.trim()) continue;
+
+    // Oversized section: cut into sentence-bounded parts
+    while (estimateTokens(heading + body) > maxTokens) {
+      const part = truncateToTokens(body, maxTokens - estimateTokens(heading)).replace(/\.\.\.$/, '');
+      if (!part) break;
+      add(section, heading + part);
+      body = body.substring(part.length).trimStart();
+    }
+    if (body.trim()) add(section, heading + body);
+  }
+  flush();
+
+  return chunks.map(({ text, sectionIds, headings }) => ({ text, sectionIds, headings }));
+}
+
+/**
+ * Summarize one text with a fresh summarizer
+ */
+async function summarizeText(text, options) {
+  const summarizer = await createSummarizer(options);
+  try {
+    return (await summarizer.summarize(text)) || '';
+  } finally {
+    destroySession(summarizer);
+  }
+}
+
+/**
+ * Input tokens a summarizer created with these options accepts
+ */
+async function getChunkTokens(options) {
+  const summarizer = await createSummarizer(options);
+  try {
+    const budget = createContextBudget(summarizer, {
+      maxTokens: DEFAULT_CHUNK_TOKENS,
+      reserveTokens: 0,
+      sessionContext: [options.sharedContext || '']
+    });
+    // Headroom for estimate error (chunks are sized with the estimator)
+    return Math.max(Math.floor(budget.available * 0.9), 200);
+  } finally {
+    destroySession(summarizer);
+  }
+}
+
+/**
+ * Reduce partial summaries into one summary
+ * Partials are regrouped and summarized again until they fit one window
+ * @param {Array} partials - [{ id, heading, text }] in page order
+ * @param {Object} options - { sharedContext, length, concurrency, chunkTokens }
+ * @returns {Promise<Object>} - { summary, levels }
+ */
+export async function reduceSummaries(partials, {
+  sharedContext = null,
+  length = 'long',
+  concurrency = DEFAULT_CONCURRENCY,
+  chunkTokens = null
+} = {}) {
+  const base = { format: 'plain-text', ...(sharedContext ? { sharedContext } : {}) };
+  chunkTokens = chunkTokens || await getChunkTokens({ ...base, type: 'key-points', length });
+  let levels = 0;
+
+  while (partials.length > 1 && levels < MAX_REDUCE_LEVELS) {
+    const groups = chunkSections(partials, chunkTokens);
+    if (groups.length === 1) break;
+
+    levels++;
+    partials = await mapWithConcurrency(groups, concurrency, async (group, index) => ({
+      id: `reduce_${levels}_${index}`,
+      heading: group.headings.join(' / '),
+      text: await summarizeText(group.text, { ...base, type: 'key-points', length: 'medium' })
+    }));
+  }
+
+  const reduceInput = truncateToTokens(
+    partials.map(partial => (partial.heading ? `## ${partial.heading}\n${partial.text}` : partial.text)).join('\n\n'),
+    chunkTokens
+  );
+  const summary = await summarizeText(reduceInput, { ...base, type: 'key-points', length });
+
+  return { summary, levels: levels + 1 };
+}
+
+/**
+ * Summarize a page of any length
+ * @param {Array} sections - Page sections ({id, heading, text|content, blocks?})
+ * @param {Object} options - { sharedContext, length, concurrency, onChunkSummary(chunk, done, total) }
+ * @returns {Promise<Object>} - { summary, chunks: [{ index, sectionIds, headings, summary, failed? }], levels }
+ */
+export async function summarizeSections(sections, {
+  sharedContext = null,
+  length = 'long',
+  concurrency = DEFAULT_CONCURRENCY,
+  onChunkSummary = null
+} = {}) {
+  const base = { format: 'plain-text', ...(sharedContext ? { sharedContext } : {}) };
+  const chunkTokens = await getChunkTokens({ ...base, type: 'key-points', length });
+  const chunks = chunkSections(sections, chunkTokens);
+
+  if (chunks.length === 0) {
+    return { summary: '', chunks: [], levels: 0 };
+  }
+
+  // Fits in one window - no reduce step needed
+  if (chunks.length === 1) {
+    const summary = await summarizeText(chunks[0].text, { ...base, type: 'key-points', length });
+    const { sectionIds, headings } = chunks[0];
+    return { summary, chunks: [{ index: 0, sectionIds, headings, summary }], levels: 1 };
+  }
+
+  // Map: summarize chunks in parallel
+  // console.log(`[MapReduce] Summarizing ${chunks.length} chunks (concurrency ${concurrency})`);
+  let done = 0;
+  const chunkSummaries = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+    const { sectionIds, headings } = chunk;
+    let result;
+    try {
+      const summary = await summarizeText(chunk.text, { ...base, type: 'key-points', length: 'medium' });
+      result = { index, sectionIds, headings, summary };
+    } catch (error) {
+      console.warn('[MapReduce] Chunk summary failed:', index, error.message);
+      result = { index, sectionIds, headings, summary: truncateToTokens(chunk.text, 150), failed: true };
+    }
+    onChunkSummary?.(result, ++done, chunks.length);
+    return result;
+  });
+
+  // Reduce: chunk summaries labelled with the headings they cover
+  const { summary, levels } = await reduceSummaries(
+    chunkSummaries.map(chunk => ({
+      id: `chunk_${chunk.index}`,
+      heading: chunk.headings.length > 0 ? chunk.headings.slice(0, 3).join(' / ') : `Part ${chunk.index + 1}`,
+      text: chunk.summary
+    })),
+    { sharedContext, length, concurrency, chunkTokens }
+  );
+
+  return { summary, chunks: chunkSummaries, levels: levels + 1 };
+}
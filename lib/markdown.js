@@ -0,0 +1,119 @@
+/**
+ * Markdown - Renders typed section blocks as Markdown
+ * The content script stores tables, lists and code as blocks (section.blocks);
+ * prompts and the summary view use this to keep their structure
+ */
+
+function escapeCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function tableToMarkdown(block) {
+  const rows = block.rows || [];
+  // Markdown tables need a header row - use the first row when the page has none
+  const header = block.header || rows[0];
+  const body = block.header ? rows : rows.slice(1);
+  if (!header) return '';
+
+  const width = Math.max(header.length, ...body.map(row => row.length));
+  const renderRow = row => `| ${Array.from({ length: width }, (_, i) => escapeCell(row[i])).join(' | ')} |`;
+
+  const lines = [
+    renderRow(header),
+    `| ${new Array(width).fill('---').join(' | ')} |`,
+    ...body.map(renderRow)
+  ];
+  if (block.caption) {
+    lines.unshift(`Table: ${block.caption}`);
+  }
+  return lines.join('\n');
+}
+
+function listToMarkdown(block) {
+  let number = 0;
+  return block.items
+    .map(item => {
+      const depth = item.depth || 0;
+      const marker = block.ordered && depth === 0 ? `${++number}.` : '-';
+      return `${'  '.repeat(depth)}${marker} ${item.text}`;
+    })
+    .join('\n');
+}
+
+function codeToMarkdown(block) {
+  const fence = block.text.includes('```') ? '~~~' : '```';
+  return `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+}
+
+/**
+ * Render one block as Markdown
+ */
+export function blockToMarkdown(block) {
+  switch (block.type) {
+    case 'table':
+      return tableToMarkdown(block);
+    case 'list':
+      return listToMarkdown(block);
+    case 'code':
+      return codeToMarkdown(block);
+    case 'blockquote':
+      return block.text.split('\n').map(line => `> ${line}`).join('\n');
+    default:
+      return block.text || '';
+  }
+}
+
+/**
+ * Render a block cut to maxChars (code keeps its closing fence)
+ */
+function truncatedBlockToMarkdown(block, markdown, maxChars) {
+  if (block.type === 'code') {
+    const fences = codeToMarkdown({ ...block, text: '' }).length;
+    const text = block.text.substring(0, Math.max(0, maxChars - fences)).trimEnd();
+    return codeToMarkdown({ ...block, text });
+  }
+  return markdown.substring(0, maxChars).trimEnd();
+}
+
+/**
+ * Render blocks as Markdown
+ * @param {Array} blocks - Section blocks
+ * @param {Object} options - { maxChars: stop before the block that would exceed this }
+ */
+export function blocksToMarkdown(blocks, { maxChars = Infinity } = {}) {
+  const parts = [];
+  let length = 0;
+
+  for (const block of blocks) {
+    const markdown = blockToMarkdown(block);
+    if (!markdown) continue;
+
+    if (length + markdown.length > maxChars) {
+      // Always return something, even if the first block alone is too long
+      if (parts.length === 0) {
+        parts.push(truncatedBlockToMarkdown(block, markdown, maxChars));
+      }
+      parts.push('...');
+      break;
+    }
+
+    parts.push(markdown);
+    length += markdown.length + 2;
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Section body as Markdown (falls back to plain text for sections without blocks)
+ * @param {Object} section - {text|content, blocks?}
+ * @param {Object} options - { maxChars }
+ */
+export function sectionBody(section, { maxChars = Infinity } = {}) {
+  if (Array.isArray(section.blocks) && section.blocks.length > 0) {
+    return blocksToMarkdown(section.blocks, { maxChars });
+  }
+
+  const text = section.text || section.content || '';
+  return text.length > maxChars ? text.substring(0, maxChars) + '...' : text;
+}
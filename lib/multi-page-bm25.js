@@ -4,124 +4,125 @@
  * Each section is tracked with its source URL for citations
  */
 
+import { InvertedIndex, fingerprintSections } from './inverted-index.js';
+import { analyze, guessLanguage, sampleSections } from './analyzer.js';
+
 export class MultiPageBM25 {
-  constructor() {
+  /**
+   * @param {InvertedIndex} index - Previously persisted index (optional)
+   */
+  constructor(index = null) {
     this.documents = []; // Array of { id, url, title, sections }
-    this.invertedIndex = new Map(); // term -> [{ docId, sectionIdx, freq }]
-    this.docLengths = new Map(); // sectionId -> length in tokens
-    this.avgDocLength = 0;
-    this.totalSections = 0;
+    this.index = index || new InvertedIndex();
     
     // BM25 parameters
     this.k1 = 1.5; // Term frequency saturation parameter
     this.b = 0.75; // Length normalization parameter
   }
 
+  get totalSections() {
+    return this.index.sectionCount;
+  }
+
+  get avgDocLength() {
+    return this.index.avgLength;
+  }
+
   /**
    * Add a document to the index
+   * Re-uses the persisted postings when the document is unchanged
    * @param {string} docId - Unique document identifier
    * @param {string} url - Source URL for citations
    * @param {string} title - Page title
    * @param {Array} sections - Array of {heading, content}
+   * @param {string} language - Detected language (guessed from the text if omitted)
    */
-  addDocument(docId, url, title, sections) {
+  addDocument(docId, url, title, sections, language = null) {
     // console.log(`[Multi-Page BM25] Indexing document: ${docId} (${sections.length} sections)`);
     
+    this.documents = this.documents.filter(d => d.id !== docId);
+    language = language || guessLanguage(sampleSections(sections));
     this.documents.push({ 
       id: docId, 
       url, 
       title,
-      sections 
+      sections,
+      language
     });
 
-    // Index each section separately
-    sections.forEach((section, sectionIdx) => {
-      // Use '::' as separator to avoid conflicts with docId that might contain '_'
-      const sectionId = `${docId}::${sectionIdx}`;
-      const text = `${section.heading || ''} ${section.content}`.toLowerCase();
-      const tokens = this.tokenize(text);
-      
-      // Store section length
-      this.docLengths.set(sectionId, tokens.length);
-      this.totalSections++;
-
-      // Build term frequency map for this section
-      const termFreq = new Map();
-      tokens.forEach(token => {
-        termFreq.set(token, (termFreq.get(token) || 0) + 1);
-      });
-
-      // Add to inverted index
-      termFreq.forEach((freq, term) => {
-        if (!this.invertedIndex.has(term)) {
-          this.invertedIndex.set(term, []);
-        }
-        this.invertedIndex.get(term).push({
-          docId,
-          sectionIdx,
-          freq
-        });
-      });
-    });
+    const fingerprint = `${fingerprintSections(sections)}:${language}`;
+    if (this.index.hasDocument(docId, fingerprint)) {
+      return;
+    }
 
-    // Update average document length
-    this.calculateAvgDocLength();
+    // Index each section separately
+    this.index.addDocument(
+      docId,
+      sections.map(section => ({
+        tokens: this.tokenize(`${section.heading || ''} ${section.content}`, language)
+      })),
+      { fingerprint, meta: { url, title, language } }
+    );
     
-    // console.log(`[Multi-Page BM25] ✅ Indexed ${docId}: ${sections.length} sections, ${this.invertedIndex.size} unique terms`);
+    // console.log(`[Multi-Page BM25] ✅ Indexed ${docId}: ${sections.length} sections, ${this.index.postings.size} unique terms`);
   }
 
   /**
-   * Calculate average document length across all sections
+   * Remove a document from the index
+   * @param {string} docId - Document identifier
    */
-  calculateAvgDocLength() {
-    if (this.docLengths.size === 0) {
-      this.avgDocLength = 0;
-      return;
-    }
+  removeDocument(docId) {
+    this.documents = this.documents.filter(d => d.id !== docId);
+    this.index.removeDocument(docId);
+  }
 
-    let totalLength = 0;
-    this.docLengths.forEach(length => {
-      totalLength += length;
-    });
-    
-    this.avgDocLength = totalLength / this.docLengths.size;
+  /**
+   * Drop indexed documents that are no longer part of the chat
+   * @param {Set<string>} docIds - Documents to keep
+   */
+  retainDocuments(docIds) {
+    for (const docId of Array.from(this.index.documents.keys())) {
+      if (!docIds.has(docId)) {
+        this.removeDocument(docId);
+      }
+    }
   }
 
   /**
    * Search across all documents
    * @param {string} query - Search query
    * @param {number} topK - Number of top results to return
-   * @returns {Array} - Array of {content, heading, score, url, docId, domain}
+   * @returns {Array} - Array of {content, heading, blocks, score, url, docId, domain}
    */
   search(query, topK = 5) {
     // console.log(`[Multi-Page BM25] Searching for: "${query}"`);
     
-    const queryTokens = this.tokenize(query.toLowerCase());
+    // Analyze the query once per document language (stems must match what was indexed)
+    const languages = new Set(this.documents.map(doc => doc.language));
+    const queryTokens = [...new Set([...languages].flatMap(language => this.tokenize(query, language)))];
     // console.log(`[Multi-Page BM25] Query tokens:`, queryTokens);
     
-    const scores = new Map(); // sectionId -> score
+    const scores = new Map(); // sectionKey -> score
+    const avgDocLength = this.index.avgLength;
 
     // Calculate BM25 score for each section
     queryTokens.forEach(queryTerm => {
-      if (!this.invertedIndex.has(queryTerm)) {
+      const postings = this.index.getPostings(queryTerm);
+      if (postings.size === 0) {
         return; // Term not in any document
       }
 
-      const postings = this.invertedIndex.get(queryTerm);
-      const idf = this.calculateIDF(postings.length);
+      const idf = this.calculateIDF(postings.size);
 
-      postings.forEach(posting => {
-        // Use '::' separator to match indexing format
-        const sectionId = `${posting.docId}::${posting.sectionIdx}`;
-        const docLength = this.docLengths.get(sectionId) || 1;
-        const termFreq = posting.freq;
+      postings.forEach((termFreq, sectionKey) => {
+        const docLength = this.index.getSection(sectionKey).length;
 
         // BM25 formula
         const numerator = termFreq * (this.k1 + 1);
-        const denominator = termFreq + this.k1 * (1 - this.b + this.b * (docLength / this.avgDocLength));
+        const denominator = termFreq + this.k1 * (1 - this.b + this.b * (docLength / avgDocLength));
         const score = idf * (numerator / denominator);
 
-        scores.set(sectionId, (scores.get(sectionId) || 0) + score);
+        scores.set(sectionKey, (scores.get(sectionKey) || 0) + score);
       });
     });
 
@@ -131,9 +132,8 @@ export class MultiPageBM25 {
     const results = Array.from(scores.entries())
       .sort((a, b) => b[1] - a[1]) // Sort by score descending
       .slice(0, topK)
-      .map(([sectionId, score]) => {
-        // Split by '::' separator
-        const [docId, sectionIdx] = sectionId.split('::');
+      .map(([sectionKey, score]) => {
+        const { docId, sectionIdx } = this.index.getSection(sectionKey);
         const doc = this.documents.find(d => d.id === docId);
         
         // Defensive check: ensure doc exists
@@ -142,7 +142,7 @@ export class MultiPageBM25 {
           return null;
         }
         
-        const section = doc.sections[parseInt(sectionIdx)];
+        const section = doc.sections[sectionIdx];
         
         // Defensive check: ensure section exists
         if (!section) {
@@ -162,6 +162,7 @@ export class MultiPageBM25 {
         return {
           content: section.content || '',  // Defensive: default to empty string
           heading: section.heading || '',
+          blocks: section.blocks,
           score: score.toFixed(4),
           url: doc.url,
           docId: docId,
@@ -192,34 +193,13 @@ export class MultiPageBM25 {
   }
 
   /**
-   * Tokenize text into terms
+   * Tokenize text into terms (shared analyzer: segmentation, stopwords, stemming)
    * @param {string} text - Text to tokenize
+   * @param {string} language - Language of the text
    * @returns {Array} - Array of tokens
    */
-  tokenize(text) {
-    // Lowercase, split on non-word characters, filter empty and stop words
-    const tokens = text
-      .toLowerCase()
-      .split(/\W+/)
-      .filter(token => token.length > 0 && !this.isStopWord(token));
-    
-    return tokens;
-  }
-
-  /**
-   * Check if word is a stop word (common words to ignore)
-   * @param {string} word - Word to check
-   * @returns {boolean}
-   */
-  isStopWord(word) {
-    const stopWords = new Set([
-      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
-      'has', 'he', 'in', 'is', 'it', 'its', 'of', 'on', 'that', 'the',
-      'to', 'was', 'will', 'with', 'the', 'this', 'but', 'they', 'have',
-      'had', 'what', 'when', 'where', 'who', 'which', 'why', 'how'
-    ]);
-    
-    return stopWords.has(word);
+  tokenize(text, language = 'en') {
+    return analyze(text, language);
   }
 
   /**
@@ -230,7 +210,7 @@ export class MultiPageBM25 {
     return {
       totalDocuments: this.documents.length,
       totalSections: this.totalSections,
-      uniqueTerms: this.invertedIndex.size,
+      uniqueTerms: this.index.postings.size,
       avgDocLength: this.avgDocLength.toFixed(2)
     };
   }
@@ -240,10 +220,7 @@ export class MultiPageBM25 {
    */
   clear() {
     this.documents = [];
-    this.invertedIndex.clear();
-    this.docLengths.clear();
-    this.avgDocLength = 0;
-    this.totalSections = 0;
+    this.index = new InvertedIndex();
     // console.log('[Multi-Page BM25] Index cleared');
   }
 }
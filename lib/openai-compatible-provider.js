@@ -0,0 +1,436 @@
+/**
+ * OpenAI-Compatible Provider - Local LLM backend
+ * Talks to a local /v1/chat/completions endpoint (llama.cpp, Ollama, LM Studio...)
+ * and exposes the same session surface as Chrome's LanguageModel
+ */
+
+import { estimateTokens } from './context-budget.js';
+
+const AVAILABILITY_TTL = 30 * 1000; // Re-probe the endpoint at most every 30s
+const PROBE_TIMEOUT = 2000;
+
+/**
+ * Normalize prompt input into chat messages
+ * Accepts a string, a single {role, content} message or an array of messages
+ */
+function toMessages(input) {
+  if (input === null || input === undefined) return [];
+
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+
+  if (Array.isArray(input)) {
+    return input.flatMap(item => toMessages(item));
+  }
+
+  return [{
+    role: input.role || 'user',
+    content: typeof input.content === 'string' ? input.content : String(input.content ?? '')
+  }];
+}
+
+/**
+ * Build summarizer instructions matching the Chrome Summarizer options
+ */
+function buildSummarizerPrompt(options = {}) {
+  const bulletCounts = { short: 3, medium: 5, long: 7 };
+  const sentenceCounts = { short: 1, medium: 3, long: 5 };
+  const length = options.length || 'medium';
+
+  let instruction;
+  switch (options.type) {
+    case 'tl;dr':
+    case 'tldr':
+      instruction = `Write a TL;DR of the text in at most ${sentenceCounts[length] || 3} sentences.`;
+      break;
+    case 'teaser':
+      instruction = `Write an intriguing teaser of the text in at most ${sentenceCounts[length] || 3} sentences.`;
+      break;
+    case 'headline':
+      instruction = 'Write a single headline that captures the main point of the text.';
+      break;
+    case 'key-points':
+    default:
+      instruction = `Summarize the text as a list of at most ${bulletCounts[length] || 5} key points, one per line, each starting with "- ".`;
+  }
+
+  let systemPrompt = `You are a summarization engine. ${instruction} Use ONLY information from the text. Do not add commentary.`;
+
+  if (options.format === 'plain-text') {
+    systemPrompt += ' Output plain text without markdown emphasis or headings.';
+  }
+
+  if (options.sharedContext) {
+    systemPrompt += `\n\nContext: ${options.sharedContext}`;
+  }
+
+  return systemPrompt;
+}
+
+/**
+ * Chat session backed by an OpenAI-compatible endpoint
+ * Keeps the conversation client-side, like LanguageModel keeps it in the model context
+ */
+class OpenAICompatibleSession {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.options = options;
+    this.messages = [];
+    this.destroyed = false;
+    this.controllers = new Set();
+
+    if (options.systemPrompt) {
+      this.messages.push({ role: 'system', content: options.systemPrompt });
+    }
+
+    if (Array.isArray(options.initialPrompts)) {
+      this.messages.push(...toMessages(options.initialPrompts));
+    }
+  }
+
+  /**
+   * Context window size (configured - OpenAI-compatible servers don't report it)
+   */
+  get inputQuota() {
+    return this.provider.contextWindow;
+  }
+
+  /**
+   * Tokens used by the conversation so far (estimated)
+   */
+  get inputUsage() {
+    return this.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+  }
+
+  /**
+   * Prompt (non-streaming) - question and answer are kept in the session
+   */
+  async prompt(input) {
+    this.assertActive();
+
+    const newMessages = toMessages(input);
+    const controller = this.track(new AbortController());
+
+    try {
+      const answer = await this.provider.complete(
+        [...this.messages, ...newMessages],
+        this.options,
+        controller.signal
+      );
+      this.messages.push(...newMessages, { role: 'assistant', content: answer });
+      return answer;
+    } finally {
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Streaming prompt - yields text deltas like LanguageModel.promptStreaming
+   */
+  async *promptStreaming(input) {
+    this.assertActive();
+
+    const newMessages = toMessages(input);
+    const controller = this.track(new AbortController());
+    let answer = '';
+
+    try {
+      const stream = this.provider.completeStreaming(
+        [...this.messages, ...newMessages],
+        this.options,
+        controller.signal
+      );
+
+      for await (const delta of stream) {
+        answer += delta;
+        yield delta;
+      }
+
+      this.messages.push(...newMessages, { role: 'assistant', content: answer });
+    } finally {
+      this.controllers.delete(controller);
+    }
+  }
+
+  /**
+   * Append messages to the context without generating a response
+   */
+  async append(input) {
+    this.assertActive();
+    this.messages.push(...toMessages(input));
+  }
+
+  /**
+   * Destroy session and abort in-flight requests
+   */
+  destroy() {
+    this.destroyed = true;
+    this.controllers.forEach(controller => controller.abort());
+    this.controllers.clear();
+    this.messages = [];
+  }
+
+  track(controller) {
+    this.controllers.add(controller);
+    return controller;
+  }
+
+  assertActive() {
+    if (this.destroyed) {
+      throw new Error('Session has been destroyed');
+    }
+  }
+}
+
+/**
+ * Summarizer backed by an OpenAI-compatible endpoint
+ * Mirrors Summarizer.summarize / summarizeStreaming
+ */
+class OpenAICompatibleSummarizer {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.options = options;
+    this.systemPrompt = buildSummarizerPrompt(options);
+  }
+
+  buildMessages(text, summarizeOptions = {}) {
+    let content = `TEXT:\n${text}`;
+    if (summarizeOptions.context) {
+      content = `Additional context: ${summarizeOptions.context}\n\n${content}`;
+    }
+    return [
+      { role: 'system', content: this.systemPrompt },
+      { role: 'user', content }
+    ];
+  }
+
+  async summarize(text, summarizeOptions = {}) {
+    const answer = await this.provider.complete(this.buildMessages(text, summarizeOptions), this.options);
+    return answer.trim();
+  }
+
+  async *summarizeStreaming(text, summarizeOptions = {}) {
+    yield* this.provider.completeStreaming(this.buildMessages(text, summarizeOptions), this.options);
+  }
+
+  destroy() {
+    // Stateless - nothing to release
+  }
+}
+
+/**
+ * OpenAI-compatible provider
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - { endpoint, model, apiKey, timeoutMs, contextWindow }
+   */
+  constructor(config = {}) {
+    this.id = 'openai';
+    this.label = 'Local model (OpenAI-compatible)';
+    this.endpoint = (config.endpoint || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = config.model || '';
+    this.apiKey = config.apiKey || '';
+    this.timeoutMs = config.timeoutMs || 120000;
+    this.contextWindow = config.contextWindow || 4096;
+
+    this.lastProbe = null; // { availability, checkedAt, models }
+  }
+
+  /**
+   * Request headers (API key is optional for local servers)
+   */
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Check if the endpoint is reachable
+   * @returns {Promise<string>} - 'available' | 'unavailable'
+   */
+  async availability() {
+    if (this.lastProbe && Date.now() - this.lastProbe.checkedAt < AVAILABILITY_TTL) {
+      return this.lastProbe.availability;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+
+    try {
+      const response = await fetch(`${this.endpoint}/models`, {
+        headers: this.headers(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json().catch(() => ({}));
+      const models = Array.isArray(data.data) ? data.data.map(m => m.id) : [];
+
+      this.lastProbe = { availability: 'available', checkedAt: Date.now(), models };
+    } catch (error) {
+      // console.log('[LocalLLM] Endpoint not reachable:', this.endpoint, error.message);
+      this.lastProbe = { availability: 'unavailable', checkedAt: Date.now(), models: [] };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return this.lastProbe.availability;
+  }
+
+  /**
+   * Resolve model name (first model served by the endpoint if none configured)
+   */
+  async resolveModel() {
+    if (this.model) return this.model;
+
+    if (!this.lastProbe || this.lastProbe.models.length === 0) {
+      this.lastProbe = null;
+      await this.availability();
+    }
+
+    return this.lastProbe?.models[0] || 'default';
+  }
+
+  /**
+   * Build request body from session options
+   */
+  async buildBody(messages, options, stream) {
+    const body = {
+      model: await this.resolveModel(),
+      messages,
+      stream
+    };
+
+    if (typeof options.temperature === 'number') {
+      body.temperature = options.temperature;
+    }
+    if (typeof options.topK === 'number') {
+      body.top_k = options.topK;
+    }
+
+    return body;
+  }
+
+  /**
+   * POST /chat/completions with timeout and caller abort
+   */
+  async request(body, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const response = await fetch(`${this.endpoint}/chat/completions`, {
+        method: 'POST',
+        headers: this.headers(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Local model request failed (${response.status}): ${detail.substring(0, 300)}`);
+      }
+
+      return { response, cleanup: () => { clearTimeout(timer); signal?.removeEventListener('abort', onAbort); } };
+    } catch (error) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      throw error;
+    }
+  }
+
+  /**
+   * Non-streaming completion
+   */
+  async complete(messages, options = {}, signal = null) {
+    const { response, cleanup } = await this.request(await this.buildBody(messages, options, false), signal);
+
+    try {
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    } finally {
+      cleanup();
+    }
+  }
+
+  /**
+   * Streaming completion (Server-Sent Events)
+   * Yields text deltas
+   */
+  async *completeStreaming(messages, options = {}, signal = null) {
+    const { response, cleanup } = await this.request(await this.buildBody(messages, options, true), signal);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep incomplete line for next chunk
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          try {
+            const data = JSON.parse(payload);
+            const delta = data.choices?.[0]?.delta?.content;
+            if (delta) {
+              yield delta;
+            }
+          } catch (e) {
+            // Ignore keep-alive or malformed lines
+          }
+        }
+      }
+    } finally {
+      cleanup();
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Create a chat session
+   */
+  async createSession(options = {}) {
+    if (await this.availability() === 'unavailable') {
+      throw new Error(`Local model endpoint not reachable: ${this.endpoint}`);
+    }
+    return new OpenAICompatibleSession(this, options);
+  }
+
+  /**
+   * Summarizer availability (same as the chat endpoint)
+   */
+  async summarizerAvailability() {
+    return this.availability();
+  }
+
+  /**
+   * Create a summarizer
+   */
+  async createSummarizer(options = {}) {
+    if (await this.availability() === 'unavailable') {
+      throw new Error(`Local model endpoint not reachable: ${this.endpoint}`);
+    }
+    return new OpenAICompatibleSummarizer(this, options);
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Re-ranker - Second-stage scoring of retrieved sections against the question
+ * Lexical retrieval picks ~20 candidates; when enabled in settings, one cheap
+ * Prompt API relevance judgement reorders them before the final k
+ */
+
+import { ensureConfigured, isAIAvailable, createSession } from './ai.js';
+import { truncateToTokens } from './context-budget.js';
+
+export const RERANK_CANDIDATES = 20;
+const LLM_PASSAGE_TOKENS = 80; // Per passage in the judgement prompt
+
+function candidateText(candidate) {
+  const section = candidate.section || candidate;
+  const body = section.text || section.content || '';
+  return section.heading ? `${section.heading}\n${body}` : body;
+}
+
+/**
+ * Score passages with one Prompt API call (0-10 per passage)
+ * @returns {Promise<Array<number>|null>} - Relevance 0-1 per text, or null if unavailable
+ */
+export async function scoreWithLLM(query, texts) {
+  if (!(await isAIAvailable())) return null;
+
+  const session = await createSession({
+    systemPrompt: 'You rate how well passages answer a question. Reply only with lines of the form "<passage number>: <score 0-10>", one per passage.'
+  });
+
+  try {
+    const passages = texts
+      .map((text, idx) => `[${idx + 1}] ${truncateToTokens((text || '').replace(/\s+/g, ' '), LLM_PASSAGE_TOKENS)}`)
+      .join('\n\n');
+    const reply = await session.prompt(`Question: ${query}\n\nPassages:\n${passages}\n\nScores:`);
+
+    const scores = new Array(texts.length).fill(null);
+    for (const [, number, score] of reply.matchAll(/\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/g)) {
+      const idx = parseInt(number, 10) - 1;
+      if (idx >= 0 && idx < texts.length && scores[idx] === null) {
+        scores[idx] = Math.min(parseFloat(score), 10) / 10;
+      }
+    }
+
+    if (scores.every(score => score === null)) {
+      console.warn('[Rerank] Could not parse relevance scores:', reply.substring(0, 200));
+      return null;
+    }
+    return scores.map(score => score ?? 0);
+  } finally {
+    session.destroy?.();
+  }
+}
+
+/**
+ * Re-rank retrieval candidates and keep the best k
+ * Candidates keep their fields; rerankScore (0-1) and rerankMethod are added.
+ * Off by default: the judgement is one more model call per question.
+ * On failure (or method 'off') the first k candidates are returned unchanged.
+ *
+ * @param {string} query - The user's question
+ * @param {Array} candidates - Retrieval results, best first ({section} or {heading, content})
+ * @param {Object} options - { k, method: 'llm'|'off' (default: settings), getText }
+ */
+export async function rerank(query, candidates, {
+  k = 3,
+  method = null,
+  getText = candidateText
+} = {}) {
+  method = method || (await ensureConfigured()).rerank;
+
+  if (method !== 'llm' || candidates.length <= 1) {
+    return candidates.slice(0, k);
+  }
+
+  const texts = candidates.map(getText);
+  let scores = null;
+
+  try {
+    scores = await scoreWithLLM(query, texts);
+  } catch (error) {
+    console.warn('[Rerank] Re-ranking failed, keeping retrieval order:', error.message);
+    scores = null;
+  }
+
+  if (!scores) {
+    return candidates.slice(0, k);
+  }
+
+  const results = candidates
+    .map((candidate, idx) => ({ ...candidate, rerankScore: scores[idx], rerankMethod: method, retrievalRank: idx + 1 }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank)
+    .slice(0, k);
+
+  // console.log('[Rerank]', method, results.map(r => `#${r.retrievalRank} → ${r.rerankScore.toFixed(2)}`));
+  return results;
+}
@@ -0,0 +1,75 @@
+/**
+ * Retention Policy - Which history items the garbage collector removes
+ * Settings and the pure selection logic; background/garbage-collector.js
+ * gathers the items and deletes what planRetention() picks
+ */
+
+// Default retention settings (stored under nutshellSettings.retention)
+// A limit of 0 means no limit, so nothing is pruned until the user sets one
+export const DEFAULT_RETENTION_CONFIG = {
+  maxAgeDays: 0,     // Remove items not used for this many days
+  maxCount: 0,       // Keep at most this many items (newest first)
+  maxMegabytes: 0,   // Keep the newest items that fit in this much storage
+  keepPinned: true,  // Pinned items are never removed and don't count towards limits
+  autoRun: true      // Run a collection pass once a day
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load retention settings from chrome.storage
+ */
+export async function loadRetentionConfig() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      const result = await chrome.storage.local.get('nutshellSettings');
+      return { ...DEFAULT_RETENTION_CONFIG, ...(result.nutshellSettings?.retention || {}) };
+    }
+  } catch (error) {
+    console.warn('[Retention] Failed to load retention settings:', error);
+  }
+  return { ...DEFAULT_RETENTION_CONFIG };
+}
+
+/**
+ * Pick the items to remove
+ * Rules apply in order: age, then count, then size, each to what the
+ * previous rule kept. Pinned and in-use items are always kept
+ * @param {Array} items - { id, lastActive, bytes, pinned, inUse }
+ * @param {Object} config - Retention settings
+ * @returns {Array} - Items to remove, each with reason 'age' | 'count' | 'size'
+ */
+export function planRetention(items, config = DEFAULT_RETENTION_CONFIG, now = Date.now()) {
+  const candidates = items
+    .filter(item => !item.inUse && !(config.keepPinned && item.pinned))
+    .sort((a, b) => b.lastActive - a.lastActive);
+  
+  const removed = [];
+  const maxAge = config.maxAgeDays * DAY;
+  const maxBytes = config.maxMegabytes * 1024 * 1024;
+  let count = 0;
+  let bytes = 0;
+  let full = false;
+  
+  for (const item of candidates) {
+    let reason = null;
+    if (maxAge > 0 && now - item.lastActive > maxAge) {
+      reason = 'age';
+    } else if (config.maxCount > 0 && count >= config.maxCount) {
+      reason = 'count';
+    } else if (maxBytes > 0 && (full || bytes + item.bytes > maxBytes)) {
+      // Older items don't squeeze in behind one that didn't fit
+      reason = 'size';
+      full = true;
+    }
+    
+    if (reason) {
+      removed.push({ ...item, reason });
+    } else {
+      count++;
+      bytes += item.bytes;
+    }
+  }
+  
+  return removed;
+}
@@ -3,149 +3,154 @@
  * Universal implementation that works across any content type
  */
 
+import { InvertedIndex, fingerprintSections } from './inverted-index.js';
+import { analyze, guessLanguage, sampleSections } from './analyzer.js';
+
 /**
  * BM25 Retriever Class
  * Implements standard BM25 with intelligent heading-based boosting
+ * Backed by an incremental InvertedIndex - each page (or mentioned tab) is one document
  */
 export class BM25Retriever {
-  constructor(sections) {
-    this.sections = sections || [];
+  /**
+   * @param {Array} sections - Sections of a single page
+   * @param {Object} options - { index: previously persisted InvertedIndex, docId }
+   */
+  constructor(sections, { index = null, docId = 'page' } = {}) {
     this.k1 = 1.5; // Term frequency saturation parameter
     this.b = 0.75; // Length normalization parameter
-    this.index = null;
-    this.avgDocLength = 0;
+    this.index = index || new InvertedIndex();
+    this.documentSections = new Map(); // docId → sections
+    this.sections = [];
     
-    if (sections.length > 0) {
-      this.buildIndex();
+    if (sections && sections.length > 0) {
+      this.addDocument(docId, sections);
     }
   }
   
   /**
-   * Tokenize text into terms
+   * Tokenize text into terms (shared analyzer: segmentation, stopwords, stemming)
+   */
+  tokenize(text, language = 'en') {
+    return analyze(text, language);
+  }
+  
+  /**
+   * Tokenize a section for indexing
+   * Strategy: Boost headings by including them multiple times in the token pool
    */
-  tokenize(text) {
-    if (!text) return [];
+  tokenizeSection(section, idx, language) {
+    const heading = section.heading || '';
+    const text = section.text || '';
     
-    // Basic stopwords (very common words that don't help with relevance)
-    const stopwords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-      'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
-      'be', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-      'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that',
-      'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they'
-    ]);
+    // Repeat heading tokens to give them more weight (3x)
+    // This naturally boosts sections where query matches the heading
+    // If heading is empty, headingTokens will be empty array (no boost)
+    const headingTokens = this.tokenize(heading, language);
+    const textTokens = this.tokenize(text, language);
+    const combinedTokens = [
+      ...headingTokens,
+      ...headingTokens,
+      ...headingTokens,
+      ...textTokens
+    ];
     
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, ' ') // Keep hyphens for compound words
-      .split(/\s+/)
-      .filter(term => {
-        // Keep terms that are:
-        // - Not stopwords, OR
-        // - Longer than 2 characters (like "ai", "ml"), OR
-        // - All caps acronyms
-        return term.length > 0 && (!stopwords.has(term) || term.length === 2 || term === term.toUpperCase());
-      });
+    // Ensure we have at least some tokens (from text if not from heading)
+    if (combinedTokens.length === 0) {
+      console.warn(`[Retrieval] Section ${idx} has no tokens (empty heading and text):`, section.id);
+    }
+    
+    return {
+      tokens: combinedTokens,
+      meta: { heading, headingTokens, position: idx }
+    };
   }
   
   /**
-   * Build inverted index and calculate IDF
+   * Add (or refresh) a document
+   * Skips tokenization when the index already holds an identical copy
+   * @param {Object} options - { language: detected language (guessed from the text if omitted) }
    */
-  buildIndex() {
-    // console.log('[Retrieval] Building BM25 index for', this.sections.length, 'sections');
+  addDocument(docId, sections, { language = null } = {}) {
+    language = language || guessLanguage(sampleSections(sections));
+    const fingerprint = `${fingerprintSections(sections)}:${language}`;
     
-    // Tokenize all documents
-    // Strategy: Boost headings by including them multiple times in the token pool
-    const tokenizedDocs = this.sections.map((section, idx) => {
-      const heading = section.heading || '';
-      const text = section.text || '';
-      
-      // Repeat heading tokens to give them more weight (3x)
-      // This naturally boosts sections where query matches the heading
-      // If heading is empty, headingTokens will be empty array (no boost)
-      const headingTokens = this.tokenize(heading);
-      const textTokens = this.tokenize(text);
-      const combinedTokens = [
-        ...headingTokens,
-        ...headingTokens,
-        ...headingTokens,
-        ...textTokens
-      ];
-      
-      // Ensure we have at least some tokens (from text if not from heading)
-      if (combinedTokens.length === 0) {
-        console.warn(`[Retrieval] Section ${idx} has no tokens (empty heading and text):`, section.id);
-      }
-      
-      return {
-        id: section.id,
-        tokens: combinedTokens,
-        length: Math.max(combinedTokens.length, 1), // Ensure length is at least 1 to avoid division by zero
-        heading,
-        headingTokens,
-        position: idx
-      };
-    });
+    if (!this.index.hasDocument(docId, fingerprint)) {
+      // console.log('[Retrieval] Indexing document', docId, 'as', language, 'with', sections.length, 'sections');
+      this.index.addDocument(
+        docId,
+        sections.map((section, idx) => this.tokenizeSection(section, idx, language)),
+        { fingerprint, meta: { language } }
+      );
+    }
     
-    // Calculate average document length
-    const totalLength = tokenizedDocs.reduce((sum, doc) => sum + doc.length, 0);
-    this.avgDocLength = totalLength / tokenizedDocs.length;
+    this.documentSections.set(docId, sections);
+    this.refreshSections();
+  }
+  
+  /**
+   * Remove a document (e.g. a mentioned tab no longer in the question)
+   */
+  removeDocument(docId) {
+    this.index.removeDocument(docId);
+    this.documentSections.delete(docId);
+    this.refreshSections();
+  }
+  
+  /**
+   * Make the index match a set of documents
+   * Unchanged documents are reused, changed ones re-indexed, missing ones removed
+   * @param {Map<string, Array>} documents - docId → sections
+   * @param {Map<string, string>} languages - docId → detected language (optional)
+   */
+  syncDocuments(documents, languages = new Map()) {
+    for (const docId of Array.from(this.index.documents.keys())) {
+      if (!documents.has(docId)) {
+        this.index.removeDocument(docId);
+        this.documentSections.delete(docId);
+      }
+    }
     
-    // Build inverted index: term -> list of (docId, frequency)
-    const index = {};
-    tokenizedDocs.forEach((doc, docIdx) => {
-      const termFreq = {};
-      
-      // Count term frequencies in this document
-      doc.tokens.forEach(term => {
-        termFreq[term] = (termFreq[term] || 0) + 1;
-      });
-      
-      // Add to inverted index
-      Object.keys(termFreq).forEach(term => {
-        if (!index[term]) {
-          index[term] = [];
-        }
-        index[term].push({
-          docIdx,
-          docId: doc.id,
-          tf: termFreq[term],
-          docLength: doc.length,
-          heading: doc.heading,
-          headingTokens: doc.headingTokens,
-          position: doc.position
-        });
-      });
+    documents.forEach((sections, docId) => {
+      this.addDocument(docId, sections, { language: languages.get(docId) });
     });
+  }
+  
+  refreshSections() {
+    this.sections = Array.from(this.documentSections.values()).flat();
+  }
+  
+  /**
+   * Tokenize a query for every language in the index
+   * Query language can't be detected reliably from a few words, so the query is
+   * analyzed like each document was - every document sees its own stemmed forms
+   */
+  tokenizeQuery(query) {
+    const languages = new Set(
+      Array.from(this.documentSections.keys()).map(docId => this.index.documents.get(docId)?.meta?.language || 'en')
+    );
     
-    // Calculate IDF for each term
-    const N = this.sections.length;
-    Object.keys(index).forEach(term => {
-      const df = index[term].length; // Document frequency
-      index[term].idf = Math.log((N - df + 0.5) / (df + 0.5) + 1);
+    const terms = new Set();
+    languages.forEach(language => {
+      this.tokenize(query, language).forEach(term => terms.add(term));
     });
-    
-    this.index = index;
-    this.tokenizedDocs = tokenizedDocs;
-    // console.log('[Retrieval] Index built with', Object.keys(index).length, 'unique terms');
+    return Array.from(terms);
   }
   
   /**
    * Calculate BM25 score for a document given query terms
    */
-  calculateBM25(queryTerms, docIdx, docLength, termFreqs) {
+  calculateBM25(queryTerms, docLength, termFreqs) {
     let score = 0;
+    const avgDocLength = this.index.avgLength;
     
     queryTerms.forEach(term => {
-      const termData = this.index[term];
-      if (!termData) return; // Term not in index
-      
-      const idf = termData.idf;
       const tf = termFreqs[term] || 0;
       
       if (tf > 0) {
+        const idf = this.index.idf(term);
         const numerator = tf * (this.k1 + 1);
-        const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / this.avgDocLength));
+        const denominator = tf + this.k1 * (1 - this.b + this.b * (docLength / avgDocLength));
         score += idf * (numerator / denominator);
       }
     });
@@ -228,12 +233,12 @@ export class BM25Retriever {
    * @returns {Array} - Top k sections with scores
    */
   search(query, k = 3) {
-    if (!this.index || this.sections.length === 0) {
+    if (this.sections.length === 0) {
       console.warn('[Retrieval] Index not built or no sections available');
       return [];
     }
     
-    const queryTerms = this.tokenize(query);
+    const queryTerms = this.tokenizeQuery(query);
     // console.log('[Retrieval] Searching for:', query);
     // console.log('[Retrieval] Query terms:', queryTerms.join(', '));
     
@@ -245,23 +250,23 @@ export class BM25Retriever {
     const relevantDocs = new Map();
     
     queryTerms.forEach(term => {
-      const termData = this.index[term];
-      if (termData) {
-        termData.forEach(posting => {
-          if (!relevantDocs.has(posting.docIdx)) {
-            relevantDocs.set(posting.docIdx, {
-              docIdx: posting.docIdx,
-              docId: posting.docId,
-              docLength: posting.docLength,
-              heading: posting.heading,
-              headingTokens: posting.headingTokens,
-              position: posting.position,
-              termFreqs: {}
-            });
-          }
-          relevantDocs.get(posting.docIdx).termFreqs[term] = posting.tf;
-        });
-      }
+      this.index.getPostings(term).forEach((tf, key) => {
+        if (!relevantDocs.has(key)) {
+          const record = this.index.getSection(key);
+          const section = this.documentSections.get(record.docId)?.[record.sectionIdx];
+          if (!section) return; // Indexed but not attached to this retriever
+          
+          relevantDocs.set(key, {
+            section,
+            docLength: record.length,
+            heading: record.meta.heading,
+            headingTokens: record.meta.headingTokens || [],
+            position: record.meta.position,
+            termFreqs: {}
+          });
+        }
+        relevantDocs.get(key).termFreqs[term] = tf;
+      });
     });
     
     if (relevantDocs.size === 0) {
@@ -274,7 +279,7 @@ export class BM25Retriever {
     // Calculate final scores using BM25 + intelligent boosting
     const scoredDocs = Array.from(relevantDocs.values()).map(doc => {
       // Base BM25 score (CONTENT is the primary factor)
-      let score = this.calculateBM25(queryTerms, doc.docIdx, doc.docLength, doc.termFreqs);
+      let score = this.calculateBM25(queryTerms, doc.docLength, doc.termFreqs);
       
       // Calculate boosting factors
       const headingSimilarity = this.calculateHeadingSimilarity(
@@ -310,10 +315,8 @@ export class BM25Retriever {
         score *= 1.2; // Small boost for specific headings
       }
       
-      const section = this.sections[doc.docIdx];
-      
       return {
-        section,
+        section: doc.section,
         score,
         headingSimilarity,
         position: doc.position
@@ -338,11 +341,8 @@ export class BM25Retriever {
   /**
    * Update retriever with new sections
    */
-  updateSections(sections) {
-    this.sections = sections;
-    if (sections.length > 0) {
-      this.buildIndex();
-    }
+  updateSections(sections, docId = 'page', language = null) {
+    this.addDocument(docId, sections, { language });
   }
 }
 
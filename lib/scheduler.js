@@ -0,0 +1,152 @@
+/**
+ * Work-Queue Scheduler - Runs async jobs with a global concurrency limit,
+ * per-host limits, priorities and retries with exponential backoff
+ * A slow job only holds its own slot, so the rest of the queue keeps moving
+ */
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 6,
+  perHostLimit: 2,
+  maxAttempts: 3,
+  baseDelay: 1000, // First retry waits ~1s, then ~2s, ~4s...
+  maxDelay: 8000
+};
+
+/**
+ * Backoff before the next attempt (with ±25% jitter so retries don't line up)
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay } = DEFAULT_SCHEDULER_OPTIONS) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Run worker(item) for every item
+ * @param {Array} items - Work items
+ * @param {Function} worker - (item, { index, attempt }) => Promise
+ * @param {Object} options
+ * @param {Function} options.priority - (item, index) => number, lower runs first (default: input order)
+ * @param {Function} options.hostOf - (item) => host key for the per-host limit
+ * @param {Function} options.shouldRetry - (error, item) => boolean
+ * @param {Function} options.isCancelled - () => boolean, stops starting new jobs
+ * @param {Function} options.onEvent - ({ type: 'start'|'retry'|'done'|'failed', index, item, attempt, delay, error, value })
+ * @returns {Promise<Array>} - Promise.allSettled-style outcomes in input order
+ *   (jobs never started because of cancellation are rejected with error.cancelled)
+ */
+export function runScheduled(items, worker, options = {}) {
+  const {
+    concurrency,
+    perHostLimit,
+    maxAttempts,
+    baseDelay,
+    maxDelay
+  } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  const {
+    priority = (item, index) => index,
+    hostOf = () => null,
+    shouldRetry = () => false,
+    isCancelled = () => false,
+    onEvent = () => {}
+  } = options;
+
+  const outcomes = new Array(items.length);
+  const hostCounts = new Map();
+  const queue = items.map((item, index) => ({
+    item,
+    index,
+    attempt: 0,
+    readyAt: 0,
+    priority: priority(item, index),
+    host: hostOf(item)
+  }));
+  let running = 0;
+  let timer = null;
+
+  // A throwing listener must not leave a job's slot or outcome unsettled
+  const emit = (event) => {
+    try {
+      onEvent(event);
+    } catch (error) {
+      console.warn('[Scheduler] onEvent failed:', error);
+    }
+  };
+
+  const enqueue = (job) => {
+    const position = queue.findIndex(queued => queued.priority > job.priority);
+    queue.splice(position === -1 ? queue.length : position, 0, job);
+  };
+  queue.sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+  return new Promise(resolve => {
+    const pump = () => {
+      clearTimeout(timer);
+      timer = null;
+
+      if (isCancelled()) {
+        for (const job of queue.splice(0)) {
+          const error = new Error('Cancelled');
+          error.cancelled = true;
+          outcomes[job.index] = { status: 'rejected', reason: error };
+        }
+      }
+
+      const now = Date.now();
+      for (let i = 0; i < queue.length && running < concurrency;) {
+        const job = queue[i];
+        const hostCount = hostCounts.get(job.host) || 0;
+        if (job.readyAt > now || (job.host !== null && hostCount >= perHostLimit)) {
+          i++;
+          continue;
+        }
+        queue.splice(i, 1);
+        start(job);
+      }
+
+      if (queue.length === 0 && running === 0) {
+        resolve(outcomes);
+        return;
+      }
+
+      // Wake up for the next backed-off job if nothing running will do it sooner
+      const nextReady = Math.min(...queue.map(job => job.readyAt).filter(readyAt => readyAt > now));
+      if (Number.isFinite(nextReady) && running < concurrency) {
+        timer = setTimeout(pump, nextReady - now);
+      }
+    };
+
+    const start = (job) => {
+      running++;
+      hostCounts.set(job.host, (hostCounts.get(job.host) || 0) + 1);
+      job.attempt++;
+      const { item, index, attempt } = job;
+      emit({ type: 'start', index, item, attempt });
+
+      Promise.resolve()
+        .then(() => worker(item, { index, attempt }))
+        .then(
+          value => {
+            outcomes[index] = { status: 'fulfilled', value };
+            emit({ type: 'done', index, item, attempt, value });
+          },
+          error => {
+            if (attempt < maxAttempts && !isCancelled() && shouldRetry(error, item)) {
+              const delay = backoffDelay(attempt, { baseDelay, maxDelay });
+              job.readyAt = Date.now() + delay;
+              enqueue(job);
+              emit({ type: 'retry', index, item, attempt, delay, error });
+            } else {
+              outcomes[index] = { status: 'rejected', reason: error };
+              emit({ type: 'failed', index, item, attempt, error });
+            }
+          }
+        )
+        .finally(() => {
+          running--;
+          hostCounts.set(job.host, hostCounts.get(job.host) - 1);
+          pump();
+        });
+    };
+
+    pump();
+  });
+}
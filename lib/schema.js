@@ -0,0 +1,87 @@
+/**
+ * Storage Schema - Version stamp and canonical shapes of persisted files
+ * Every JSON file in OPFS carries schemaVersion; files written before it
+ * existed count as version 1. background/migrations.js upgrades old files,
+ * and the helpers below give new data the same shape as migrated data
+ */
+
+import { sectionBody } from './markdown.js';
+
+// 2: canonical sessions (metadata, lastActive), sections with text + content,
+//    pages and SERP results with an extractedContent object
+export const SCHEMA_VERSION = 2;
+
+// Pseudo URL of multi-page chat sessions
+export const MULTI_PAGE_URL = 'multipage://serp-analysis';
+
+/**
+ * Canonical section: { id, heading, level, text, content, blocks?, metadata? }
+ * text is the plain text (retrieval, snippets), content the body shown to the
+ * model (Markdown when the section has blocks, else the plain text)
+ */
+export function normalizeSection(section, index = 0) {
+  const text = section.text ?? section.content ?? '';
+  return {
+    ...section,
+    id: section.id || `sec_${index}`,
+    heading: section.heading || '',
+    level: section.level || 2,
+    text,
+    content: section.content || sectionBody({ ...section, text })
+  };
+}
+
+export function normalizeSections(sections) {
+  return (sections || []).map((section, index) => normalizeSection(section, index));
+}
+
+/**
+ * Canonical extracted content: { sections, fullText, metadata }
+ * Accepts the object form or a bare array of sections
+ */
+export function normalizeExtractedContent(extracted) {
+  if (!extracted) return null;
+
+  const source = Array.isArray(extracted) ? { sections: extracted } : extracted;
+  const sections = normalizeSections(source.sections);
+  const fullText = source.fullText || sections
+    .map(section => `${section.heading ? section.heading + ' ' : ''}${section.content}`)
+    .join(' ');
+
+  return {
+    ...source,
+    sections,
+    fullText,
+    metadata: {
+      sectionCount: sections.length,
+      totalWords: fullText.split(/\s+/).filter(w => w.length > 0).length,
+      hasHeadings: sections.some(s => s.heading && s.heading.trim().length > 0),
+      ...source.metadata
+    }
+  };
+}
+
+/**
+ * Canonical page of a multi-page session: { url, title, extractedContent, summary, pageNumber }
+ */
+export function normalizePage(page, index = 0) {
+  return {
+    ...page,
+    title: page.title || page.url,
+    extractedContent: normalizeExtractedContent(page.extractedContent || page.sections),
+    summary: page.summary || null,
+    pageNumber: page.pageNumber || index + 1
+  };
+}
+
+/**
+ * Canonical SERP analysis result: sections only under extractedContent
+ * (results used to carry a top-level copy as well)
+ */
+export function normalizeResult(result) {
+  if (!result || typeof result !== 'object') return result;
+
+  const { sections, ...rest } = result;
+  const extractedContent = normalizeExtractedContent(result.extractedContent || sections);
+  return extractedContent ? { ...rest, extractedContent } : rest;
+}
@@ -0,0 +1,338 @@
+/**
+ * Search Providers - Pluggable web search backends for research mode and SERP analysis
+ * Each adapter turns a query into normalized { url, title, snippet, position, provider }
+ * results. HTML adapters only build the request and parse a Document, so the
+ * service worker fetches and the offscreen document (which has DOMParser) parses
+ */
+
+// Default search settings (stored under nutshellSettings.search)
+export const DEFAULT_SEARCH_CONFIG = {
+  provider: 'auto', // 'auto' | 'duckduckgo' | 'bing' | 'brave' | 'searxng' | 'google' | 'local'
+  searxngUrl: '',
+  localUrls: [] // [{ url, title }] loaded from a file in settings
+};
+
+// Providers tried in order by 'auto' (Google last: background tab, CAPTCHAs)
+export const AUTO_PROVIDER_ORDER = ['duckduckgo', 'bing', 'brave', 'google'];
+export const MAX_LOCAL_URLS = 1000;
+
+/**
+ * Load search settings from chrome.storage (extension pages / service worker)
+ */
+export async function loadSearchConfig() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      const result = await chrome.storage.local.get('nutshellSettings');
+      return { ...DEFAULT_SEARCH_CONFIG, ...(result.nutshellSettings?.search || {}) };
+    }
+  } catch (error) {
+    console.warn('[Search] Failed to load search settings:', error);
+  }
+  return { ...DEFAULT_SEARCH_CONFIG };
+}
+
+/**
+ * Keep only http(s) links, drop duplicates and number the results
+ */
+function normalizeResults(results, providerId, count = Infinity) {
+  const seen = new Set();
+  const normalized = [];
+
+  for (const result of results) {
+    if (!result?.url || !/^https?:\/\//i.test(result.url)) continue;
+    if (seen.has(result.url)) continue;
+    seen.add(result.url);
+
+    normalized.push({
+      url: result.url,
+      title: (result.title || '').replace(/\s+/g, ' ').trim(),
+      snippet: (result.snippet || '').replace(/\s+/g, ' ').trim(),
+      position: normalized.length + 1,
+      provider: providerId
+    });
+    if (normalized.length >= count) break;
+  }
+
+  return normalized;
+}
+
+function textOf(element) {
+  return element?.textContent || '';
+}
+
+/**
+ * DuckDuckGo links go through //duckduckgo.com/l/?uddg=<target>
+ */
+function decodeDuckDuckGoUrl(href) {
+  try {
+    const url = new URL(href, 'https://html.duckduckgo.com');
+    return url.searchParams.get('uddg') || url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bing links go through /ck/a?...&u=a1<base64url target>
+ */
+function decodeBingUrl(href) {
+  try {
+    const url = new URL(href, 'https://www.bing.com');
+    const encoded = url.searchParams.get('u');
+    if (!url.pathname.startsWith('/ck/') || !encoded) return url.href;
+
+    const base64 = encoded.replace(/^a1/, '').replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+    return atob(padded);
+  } catch {
+    return null;
+  }
+}
+
+export const SEARCH_PROVIDERS = {
+  duckduckgo: {
+    id: 'duckduckgo',
+    label: 'DuckDuckGo',
+    kind: 'html',
+    buildUrl: (query) => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`,
+    parse(doc) {
+      return Array.from(doc.querySelectorAll('.result'))
+        .filter(result => !result.classList.contains('result--ad'))
+        .map(result => {
+          const link = result.querySelector('a.result__a');
+          return {
+            url: link && decodeDuckDuckGoUrl(link.getAttribute('href')),
+            title: textOf(link),
+            snippet: textOf(result.querySelector('.result__snippet'))
+          };
+        });
+    }
+  },
+
+  bing: {
+    id: 'bing',
+    label: 'Bing',
+    kind: 'html',
+    buildUrl: (query) => `https://www.bing.com/search?q=${encodeURIComponent(query)}`,
+    parse(doc) {
+      return Array.from(doc.querySelectorAll('#b_results > li.b_algo')).map(result => {
+        const link = result.querySelector('h2 a');
+        return {
+          url: link && decodeBingUrl(link.getAttribute('href')),
+          title: textOf(link),
+          snippet: textOf(result.querySelector('.b_caption p, .b_lineclamp2, .b_lineclamp3'))
+        };
+      });
+    }
+  },
+
+  brave: {
+    id: 'brave',
+    label: 'Brave Search',
+    kind: 'html',
+    buildUrl: (query) => `https://search.brave.com/search?q=${encodeURIComponent(query)}&source=web`,
+    parse(doc) {
+      return Array.from(doc.querySelectorAll('#results .snippet[data-type="web"]')).map(result => {
+        const link = result.querySelector('a[href^="http"]');
+        return {
+          url: link?.getAttribute('href'),
+          title: textOf(result.querySelector('.title, .snippet-title')) || textOf(link),
+          snippet: textOf(result.querySelector('.snippet-description, .description'))
+        };
+      });
+    }
+  },
+
+  searxng: {
+    id: 'searxng',
+    label: 'SearXNG',
+    kind: 'json',
+    buildUrl(query, config) {
+      const base = (config.searxngUrl || '').trim().replace(/\/+$/, '');
+      if (!base) throw new Error('No SearXNG instance URL configured');
+      return `${base}/search?q=${encodeURIComponent(query)}&format=json`;
+    },
+    parseJSON(data) {
+      return (data?.results || []).map(result => ({
+        url: result.url,
+        title: result.title,
+        snippet: result.content
+      }));
+    },
+    // Instances with the JSON format disabled still serve the HTML page
+    buildHtmlUrl(query, config) {
+      return this.buildUrl(query, config).replace(/&format=json$/, '');
+    },
+    parse(doc) {
+      return Array.from(doc.querySelectorAll('article.result')).map(result => {
+        const link = result.querySelector('h3 a') || result.querySelector('a.url_header, a[href^="http"]');
+        return {
+          url: link?.getAttribute('href'),
+          title: textOf(link),
+          snippet: textOf(result.querySelector('.content'))
+        };
+      });
+    }
+  },
+
+  google: {
+    id: 'google',
+    label: 'Google (background tab)',
+    kind: 'tab',
+    buildUrl: (query) => `https://www.google.com/search?q=${encodeURIComponent(query)}`
+  },
+
+  local: {
+    id: 'local',
+    label: 'Local URL list',
+    kind: 'local'
+  }
+};
+
+/**
+ * Parse a search results page with the given provider's adapter
+ * Runs wherever a Document is available (offscreen document, extension pages)
+ */
+export function parseSearchResults(providerId, doc, count) {
+  const provider = SEARCH_PROVIDERS[providerId];
+  if (!provider?.parse) {
+    throw new Error(`Provider ${providerId} has no HTML parser`);
+  }
+  return normalizeResults(provider.parse(doc), providerId, count);
+}
+
+/**
+ * Parse a local URL list: a JSON array (strings or { url, title }) or one
+ * URL per line with an optional title after it; '#' starts a comment
+ */
+export function parseLocalUrlList(text) {
+  const trimmed = (text || '').trim();
+  let entries = [];
+
+  if (trimmed.startsWith('[')) {
+    entries = JSON.parse(trimmed).map(item =>
+      typeof item === 'string' ? { url: item, title: '' } : { url: item?.url, title: item?.title || '' }
+    );
+  } else {
+    entries = trimmed.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const [url, ...title] = line.split(/\s+/);
+        return { url, title: title.join(' ') };
+      });
+  }
+
+  return normalizeResults(entries, 'local', MAX_LOCAL_URLS)
+    .map(({ url, title }) => ({ url, title }));
+}
+
+function safeDecode(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch {
+    return url;
+  }
+}
+
+function queryTerms(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+/**
+ * Rank the local URL list by how many query terms appear in each title/URL
+ * (file order breaks ties, so an unmatched query returns the list's head)
+ */
+export function searchLocalUrls(query, entries, count) {
+  const terms = new Set(queryTerms(query));
+
+  const scored = (entries || []).map((entry, index) => {
+    const words = new Set(queryTerms(`${entry.title || ''} ${safeDecode(entry.url || '')}`));
+    let score = 0;
+    for (const term of terms) {
+      if (words.has(term)) score++;
+    }
+    return { entry, score, index };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+  return normalizeResults(scored.map(({ entry }) => ({ ...entry, snippet: '' })), 'local', count);
+}
+
+/**
+ * Providers to try for a configuration, in order
+ */
+export function providerChain(config = DEFAULT_SEARCH_CONFIG) {
+  const provider = config.provider || DEFAULT_SEARCH_CONFIG.provider;
+  if (provider === 'auto') {
+    return config.searxngUrl ? ['searxng', ...AUTO_PROVIDER_ORDER] : [...AUTO_PROVIDER_ORDER];
+  }
+  if (!SEARCH_PROVIDERS[provider]) {
+    throw new Error(`Unknown search provider: ${provider}`);
+  }
+  return [provider];
+}
+
+/**
+ * Run a single provider
+ * @param {Function} options.parseHtml - (providerId, html, count) => results (offscreen DOMParser)
+ * @param {Function} options.searchTab - (url, count) => raw results scraped from a tab
+ */
+async function runProvider(providerId, query, { config, count, parseHtml, searchTab }) {
+  const provider = SEARCH_PROVIDERS[providerId];
+
+  switch (provider.kind) {
+    case 'local':
+      return searchLocalUrls(query, config.localUrls, count);
+
+    case 'tab':
+      if (!searchTab) throw new Error(`${provider.label} needs a browser tab`);
+      return normalizeResults(await searchTab(provider.buildUrl(query, config), count), providerId, count);
+
+    case 'json': {
+      const response = await fetch(provider.buildUrl(query, config), {
+        credentials: 'omit',
+        headers: { Accept: 'application/json' }
+      });
+      if (response.ok) {
+        return normalizeResults(provider.parseJSON(await response.json()), providerId, count);
+      }
+      if (!provider.buildHtmlUrl) throw new Error(`${provider.label} returned HTTP ${response.status}`);
+
+      const htmlResponse = await fetch(provider.buildHtmlUrl(query, config), { credentials: 'omit' });
+      if (!htmlResponse.ok) throw new Error(`${provider.label} returned HTTP ${htmlResponse.status}`);
+      return parseHtml(providerId, await htmlResponse.text(), count);
+    }
+
+    default: {
+      const response = await fetch(provider.buildUrl(query, config), { credentials: 'omit' });
+      if (!response.ok) throw new Error(`${provider.label} returned HTTP ${response.status}`);
+      return parseHtml(providerId, await response.text(), count);
+    }
+  }
+}
+
+/**
+ * Search the web with the configured provider(s)
+ * An empty page usually means a CAPTCHA or layout change, so 'auto' moves on
+ * to the next provider instead of returning nothing
+ * @returns {Promise<Object>} - { results, provider, errors }
+ */
+export async function searchWeb(query, { config = DEFAULT_SEARCH_CONFIG, count = 10, parseHtml, searchTab } = {}) {
+  const errors = [];
+
+  for (const providerId of providerChain(config)) {
+    try {
+      const results = await runProvider(providerId, query, { config, count, parseHtml, searchTab });
+      if (results.length > 0) {
+        return { results, provider: providerId, errors };
+      }
+      errors.push(`${SEARCH_PROVIDERS[providerId].label}: no results`);
+    } catch (error) {
+      console.warn(`[Search] ${providerId} failed:`, error.message);
+      errors.push(`${SEARCH_PROVIDERS[providerId].label}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No search results (${errors.join('; ')})`);
+}
@@ -0,0 +1,430 @@
+/**
+ * SERP Cache - Analysis results cached per URL in OPFS
+ * One file per entry (serp-cache_<key>.json) plus a small index with the LRU
+ * order, sizes, validators and hit statistics, so a lookup never reads or
+ * rewrites the whole cache. Index changes go through one queue, so parallel
+ * analyses can't drop each other's entries.
+ */
+
+import * as storage from './storage.js';
+import { hashString } from './utils.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+// Default cache settings (stored under nutshellSettings.cache)
+export const DEFAULT_CACHE_CONFIG = {
+  ttlHours: 24,
+  maxMegabytes: 50,
+  maxEntries: 500,
+  domainTtl: {} // { 'news.example.com': 1 } - hours, also applies to subdomains
+};
+
+const INDEX_FILE = 'serp-cache-index.json';
+const ENTRY_PREFIX = 'serp-cache_';
+const LEGACY_CACHE_FILE = 'serp-cache.json'; // Single-file cache (before the index)
+const STATS_SAVE_DELAY = 2000; // Lookups only change access times/counters
+
+let index = null;
+let queue = Promise.resolve();
+let statsTimer = null;
+
+function emptyStats() {
+  return { hits: 0, misses: 0, stale: 0, revalidated: 0, evictions: 0, since: Date.now() };
+}
+
+function entryFile(key) {
+  return `${ENTRY_PREFIX}${key}.json`;
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Run index work one task at a time
+ */
+function serialize(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Load cache settings from chrome.storage
+ */
+export async function loadCacheConfig() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      const result = await chrome.storage.local.get('nutshellSettings');
+      return { ...DEFAULT_CACHE_CONFIG, ...(result.nutshellSettings?.cache || {}) };
+    }
+  } catch (error) {
+    console.warn('[SERP Cache] Failed to load cache settings:', error);
+  }
+  return { ...DEFAULT_CACHE_CONFIG };
+}
+
+/**
+ * Parse per-site lifetimes: one "domain hours" pair per line ('#' comments)
+ * @returns {Object} - { domain: hours }
+ */
+export function parseDomainTtl(text) {
+  const domainTtl = {};
+  for (const line of (text || '').split(/\r?\n/)) {
+    const [domain, hours] = line.replace(/#.*/, '').trim().split(/\s+/);
+    const value = Number(hours);
+    if (domain && Number.isFinite(value) && value >= 0) {
+      domainTtl[domain.toLowerCase().replace(/^www\./, '')] = value;
+    }
+  }
+  return domainTtl;
+}
+
+/**
+ * Format per-site lifetimes for the settings textarea
+ */
+export function formatDomainTtl(domainTtl = {}) {
+  return Object.entries(domainTtl).map(([domain, hours]) => `${domain} ${hours}`).join('\n');
+}
+
+/**
+ * Lifetime for a URL: the longest matching domain rule, else the default
+ * @returns {number} - Milliseconds
+ */
+export function ttlFor(url, config = DEFAULT_CACHE_CONFIG) {
+  const host = domainOf(url);
+  let best = null;
+
+  for (const [domain, hours] of Object.entries(config.domainTtl || {})) {
+    if ((host === domain || host.endsWith(`.${domain}`)) && (!best || domain.length > best.domain.length)) {
+      best = { domain, hours };
+    }
+  }
+
+  return (best ? best.hours : config.ttlHours) * 60 * 60 * 1000;
+}
+
+/**
+ * Load the index (once per context), importing the legacy single-file cache
+ * and deleting entry files the index no longer knows about
+ */
+async function loadIndex() {
+  if (index) return index;
+
+  const saved = await storage.read(INDEX_FILE).catch(() => null);
+  index = {
+    schemaVersion: SCHEMA_VERSION,
+    entries: saved?.entries || {}, // url -> { key, domain, title, sections, words, bytes, cachedAt, lastAccess, validators }
+    stats: { ...emptyStats(), ...(saved?.stats || {}) }
+  };
+
+  if (!saved) {
+    await importLegacyCache();
+  }
+
+  try {
+    const known = new Set(Object.values(index.entries).map(entry => entryFile(entry.key)));
+    const orphans = (await storage.listFiles())
+      .filter(name => name.startsWith(ENTRY_PREFIX) && !known.has(name));
+    for (const name of orphans) {
+      await storage.deleteFile(name);
+    }
+  } catch (error) {
+    console.warn('[SERP Cache] Orphan cleanup failed:', error);
+  }
+
+  return index;
+}
+
+/**
+ * Move entries from serp-cache.json into per-entry files
+ */
+async function importLegacyCache() {
+  try {
+    const legacy = await storage.read(LEGACY_CACHE_FILE);
+    if (legacy && typeof legacy === 'object') {
+      for (const [url, entry] of Object.entries(legacy)) {
+        if (entry?.data) {
+          await writeEntry(url, entry.data, { cachedAt: entry.cachedAt });
+        }
+      }
+      await evict(await loadCacheConfig());
+      // console.log('[SERP Cache] Imported', Object.keys(legacy).length, 'legacy entries');
+    }
+    if (legacy !== null) {
+      await storage.deleteFile(LEGACY_CACHE_FILE);
+    }
+    await saveIndex();
+  } catch (error) {
+    console.warn('[SERP Cache] Legacy cache import failed:', error);
+  }
+}
+
+async function saveIndex() {
+  clearTimeout(statsTimer);
+  statsTimer = null;
+  await storage.write(INDEX_FILE, index);
+}
+
+/**
+ * Save access times/counters a little later (a suspended worker only loses stats)
+ */
+function scheduleIndexSave() {
+  if (statsTimer) return;
+  statsTimer = setTimeout(() => {
+    statsTimer = null;
+    serialize(saveIndex).catch(error => console.warn('[SERP Cache] Index save failed:', error));
+  }, STATS_SAVE_DELAY);
+}
+
+/**
+ * Key for a URL's entry file (FNV hash, suffixed on the rare collision)
+ */
+function keyFor(url) {
+  if (index.entries[url]) return index.entries[url].key;
+
+  const taken = new Set(Object.values(index.entries).map(entry => entry.key));
+  const base = hashString(url);
+  let key = base;
+  for (let n = 2; taken.has(key); n++) {
+    key = `${base}-${n}`;
+  }
+  return key;
+}
+
+/**
+ * Write an entry file and its index record (index saved by the caller)
+ */
+async function writeEntry(url, data, { cachedAt = Date.now(), validators = null } = {}) {
+  const key = keyFor(url);
+  const record = { schemaVersion: SCHEMA_VERSION, url, data, cachedAt, validators };
+  await storage.write(entryFile(key), record);
+
+  index.entries[url] = {
+    key,
+    domain: domainOf(url),
+    title: data.title || '',
+    sections: data.extractedContent?.sections?.length || data.sections?.length || 0,
+    words: data.extractedContent?.metadata?.totalWords || 0,
+    bytes: JSON.stringify(record).length,
+    cachedAt,
+    lastAccess: Date.now(),
+    validators
+  };
+}
+
+async function removeEntry(url) {
+  const entry = index.entries[url];
+  if (!entry) return;
+  delete index.entries[url];
+  await storage.deleteFile(entryFile(entry.key)).catch(() => {});
+}
+
+/**
+ * Drop least recently used entries until the cache fits its limits
+ */
+async function evict(config) {
+  const maxBytes = config.maxMegabytes * 1024 * 1024;
+  const entries = Object.entries(index.entries).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  let count = entries.length;
+  let bytes = entries.reduce((sum, [, entry]) => sum + entry.bytes, 0);
+
+  for (const [url, entry] of entries) {
+    if (count <= config.maxEntries && bytes <= maxBytes) break;
+    await removeEntry(url);
+    count--;
+    bytes -= entry.bytes;
+    index.stats.evictions++;
+  }
+}
+
+/**
+ * Look up a URL
+ * @returns {Promise<Object|null>} - { data, cachedAt, validators, fresh } or null;
+ *   a stale entry still comes back (fresh: false) so it can be revalidated
+ */
+export function getEntry(url, config = DEFAULT_CACHE_CONFIG) {
+  return serialize(async () => {
+    await loadIndex();
+    const entry = index.entries[url];
+
+    if (!entry) {
+      index.stats.misses++;
+      scheduleIndexSave();
+      return null;
+    }
+
+    const record = await storage.read(entryFile(entry.key)).catch(() => null);
+    if (!record || record.url !== url) {
+      // File removed behind the index's back
+      delete index.entries[url];
+      index.stats.misses++;
+      await saveIndex();
+      return null;
+    }
+
+    const fresh = Date.now() - entry.cachedAt < ttlFor(url, config);
+    index.stats[fresh ? 'hits' : 'stale']++;
+    entry.lastAccess = Date.now();
+    scheduleIndexSave();
+
+    return { data: record.data, cachedAt: entry.cachedAt, validators: entry.validators, fresh };
+  });
+}
+
+/**
+ * Read a cached result without counting a lookup (cache viewer)
+ */
+export function readEntry(url) {
+  return serialize(async () => {
+    await loadIndex();
+    const entry = index.entries[url];
+    if (!entry) return null;
+
+    const record = await storage.read(entryFile(entry.key)).catch(() => null);
+    return record ? { url, ...entry, data: record.data } : null;
+  });
+}
+
+/**
+ * Store a result for a URL (replacing any previous one) and evict as needed
+ * @param {Object} options - { validators: { etag, lastModified } }
+ */
+export function putEntry(url, data, options = {}, config = DEFAULT_CACHE_CONFIG) {
+  return serialize(async () => {
+    await loadIndex();
+    await writeEntry(url, data, { validators: options.validators || null });
+    await evict(config);
+    await saveIndex();
+  });
+}
+
+/**
+ * Merge fields into a cached result (keeps its age)
+ */
+export function updateEntry(url, patch) {
+  return serialize(async () => {
+    await loadIndex();
+    const entry = index.entries[url];
+    if (!entry) return false;
+
+    const record = await storage.read(entryFile(entry.key)).catch(() => null);
+    if (!record) return false;
+
+    await writeEntry(url, { ...record.data, ...patch }, { cachedAt: entry.cachedAt, validators: entry.validators });
+    await saveIndex();
+    return true;
+  });
+}
+
+/**
+ * The page hasn't changed (HTTP 304): restart the entry's lifetime
+ */
+export function markRevalidated(url) {
+  return serialize(async () => {
+    await loadIndex();
+    const entry = index.entries[url];
+    if (!entry) return;
+
+    entry.cachedAt = Date.now();
+    entry.lastAccess = Date.now();
+    index.stats.revalidated++;
+    await saveIndex();
+  });
+}
+
+/**
+ * Delete one URL's entry
+ */
+export function deleteEntry(url) {
+  return serialize(async () => {
+    await loadIndex();
+    const existed = !!index.entries[url];
+    await removeEntry(url);
+    await saveIndex();
+    return existed;
+  });
+}
+
+/**
+ * Delete every entry and reset the statistics
+ */
+export function clearCache() {
+  return serialize(async () => {
+    await loadIndex();
+    for (const url of Object.keys(index.entries)) {
+      await removeEntry(url);
+    }
+    index.stats = emptyStats();
+    await saveIndex();
+  });
+}
+
+/**
+ * Delete entries past their lifetime (dryRun: only report them)
+ * Stale entries are otherwise kept so they can be revalidated on the next lookup
+ * @returns {Promise<Array>} - { url, bytes, cachedAt } of each expired entry
+ */
+export function pruneExpired(config = DEFAULT_CACHE_CONFIG, { dryRun = false } = {}) {
+  return serialize(async () => {
+    await loadIndex();
+    const now = Date.now();
+    const expired = Object.entries(index.entries)
+      .filter(([url, entry]) => now - entry.cachedAt > ttlFor(url, config))
+      .map(([url, entry]) => ({ url, bytes: entry.bytes, cachedAt: entry.cachedAt }));
+
+    if (!dryRun && expired.length > 0) {
+      for (const { url } of expired) {
+        await removeEntry(url);
+      }
+      await saveIndex();
+    }
+    return expired;
+  });
+}
+
+/**
+ * Index records, most recently used first
+ * @param {boolean} includeData - Also read each entry's cached result
+ */
+export function listEntries(includeData = false) {
+  return serialize(async () => {
+    await loadIndex();
+    const entries = Object.entries(index.entries)
+      .map(([url, entry]) => ({ url, ...entry }))
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+
+    if (includeData) {
+      for (const entry of entries) {
+        const record = await storage.read(entryFile(entry.key)).catch(() => null);
+        entry.data = record?.data || null;
+      }
+    }
+    return entries;
+  });
+}
+
+/**
+ * Size and hit statistics
+ */
+export function getCacheStats() {
+  return serialize(async () => {
+    await loadIndex();
+    const entries = Object.values(index.entries);
+    const { hits, misses, stale, revalidated } = index.stats;
+    const lookups = hits + misses + stale;
+
+    return {
+      ...index.stats,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      lookups,
+      hitRate: lookups > 0 ? hits / lookups : 0,
+      // Stale entries a 304 let us reuse count as served from cache
+      effectiveHitRate: lookups > 0 ? (hits + revalidated) / lookups : 0
+    };
+  });
+}
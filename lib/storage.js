@@ -1,11 +1,33 @@
 /**
  * Storage Service - OPFS (Origin Private File System)
  * Atomic file operations for session persistence
+ * Writes go to <name>.tmp and are then moved over the file, so a crash never
+ * leaves a half-written file. Writes, deletes and update() hold a per-file lock
+ * (Web Locks, shared by the service worker and extension pages).
+ *
+ * With the 'indexeddb' engine, session, SERP session and research documents
+ * live in IndexedDB records (lib/idb-engine.js) plus a blob_<name> OPFS file
+ * for their bulky parts; every other file stays in OPFS. Callers use the same
+ * filenames either way.
  */
 
+import * as idb from './idb-engine.js';
+
 let root = null;
 let isInitialized = false;
 
+const TEMP_SUFFIX = '.tmp';
+const BLOB_PREFIX = 'blob_';
+const ENGINE_FILE = 'storage-engine.json';
+const ENGINES = ['opfs', 'indexeddb'];
+
+// Where documents live; persisted in ENGINE_FILE, changed by useEngine()
+let engine = 'opfs';
+let switching = null;
+
+// Fallback when navigator.locks is missing: per-file promise chains (this context only)
+const lockChains = new Map();
+
 /**
  * Initialize OPFS
  */
@@ -15,6 +37,9 @@ export async function initialize() {
   try {
     root = await navigator.storage.getDirectory();
     isInitialized = true;
+    await recoverTempFiles();
+    const marker = await readOpfs(ENGINE_FILE, true).catch(() => null);
+    engine = ENGINES.includes(marker?.engine) ? marker.engine : 'opfs';
     // console.log('[Storage] OPFS initialized');
     return true;
   } catch (error) {
@@ -24,18 +49,189 @@ export async function initialize() {
 }
 
 /**
- * Write data to file
+ * Run fn while holding the lock for a file
+ * Not re-entrant: fn must not call write/deleteFile/update on the same file
  */
-export async function write(filename, data) {
-  if (!isInitialized) await initialize();
-  
+export function withFileLock(filename, fn) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(`nutshell-storage:${filename}`, () => fn());
+  }
+
+  const previous = lockChains.get(filename) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  lockChains.set(filename, tail);
+  tail.then(() => {
+    if (lockChains.get(filename) === tail) lockChains.delete(filename);
+  });
+  return run;
+}
+
+/**
+ * Finish or discard temp files left by a write that was interrupted
+ * A temp file is only complete once its writable was closed; if the target
+ * is gone (crash between remove and move) a non-empty temp file replaces it
+ */
+async function recoverTempFiles() {
   try {
+    const temps = [];
+    for await (const entry of root.values()) {
+      if (entry.kind === 'file' && entry.name.endsWith(TEMP_SUFFIX)) {
+        temps.push(entry.name);
+      }
+    }
+
+    for (const tempName of temps) {
+      const filename = tempName.slice(0, -TEMP_SUFFIX.length);
+      await withFileLock(filename, async () => {
+        let tempHandle;
+        try {
+          tempHandle = await root.getFileHandle(tempName);
+        } catch {
+          return; // Another context already handled it
+        }
+        const targetExists = await existsOpfs(filename);
+        const tempSize = (await tempHandle.getFile()).size;
+        if (!targetExists && tempSize > 0 && typeof tempHandle.move === 'function') {
+          await tempHandle.move(filename);
+          console.warn('[Storage] Recovered interrupted write:', filename);
+        } else {
+          await root.removeEntry(tempName);
+        }
+      });
+    }
+  } catch (error) {
+    console.warn('[Storage] Temp file recovery failed:', error);
+  }
+}
+
+function serialize(data) {
+  return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+}
+
+/**
+ * Write to <name>.tmp, then move it over the file (caller holds the lock)
+ */
+async function writeAtomic(filename, data) {
+  const content = serialize(data);
+  const tempName = filename + TEMP_SUFFIX;
+  const tempHandle = await root.getFileHandle(tempName, { create: true });
+
+  if (typeof tempHandle.move !== 'function') {
+    // No move(): createWritable() still only replaces the file on close()
+    await root.removeEntry(tempName);
     const fileHandle = await root.getFileHandle(filename, { create: true });
     const writable = await fileHandle.createWritable();
-    
-    const content = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
     await writable.write(content);
     await writable.close();
+    return;
+  }
+
+  const writable = await tempHandle.createWritable();
+  await writable.write(content);
+  await writable.close();
+
+  try {
+    await tempHandle.move(filename);
+  } catch (error) {
+    // Browsers that refuse to move onto an existing file
+    if (error.name !== 'InvalidModificationError' && error.name !== 'NoModificationAllowedError') throw error;
+    await root.removeEntry(filename);
+    await tempHandle.move(filename);
+  }
+}
+
+async function readOpfs(filename, parseJSON) {
+  try {
+    const fileHandle = await root.getFileHandle(filename);
+    const file = await fileHandle.getFile();
+    const content = await file.text();
+    return parseJSON ? JSON.parse(content) : content;
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function removeOpfs(filename) {
+  try {
+    await root.removeEntry(filename);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') throw error;
+  }
+}
+
+function inIndexedDB(filename, via) {
+  return via === 'indexeddb' && idb.documentKind(filename) !== null;
+}
+
+/**
+ * Engine-routed file operations (caller holds the lock)
+ * The blob is written before the records, so records never point at a blob
+ * that isn't there yet
+ */
+async function readUnlocked(filename, parseJSON, via = engine) {
+  if (!inIndexedDB(filename, via)) return readOpfs(filename, parseJSON);
+
+  const records = await idb.getRecords(filename);
+  if (!records) return null;
+  const blob = await readOpfs(BLOB_PREFIX + filename, true);
+  const doc = idb.joinDocument(filename, records, blob || {});
+  return parseJSON ? doc : serialize(doc);
+}
+
+async function writeUnlocked(filename, data, via = engine) {
+  if (!inIndexedDB(filename, via)) return writeAtomic(filename, data);
+
+  const doc = typeof data === 'string' ? JSON.parse(data) : data;
+  const { blob, ...records } = idb.splitDocument(filename, doc);
+  await writeAtomic(BLOB_PREFIX + filename, blob);
+  await idb.putRecords(filename, records);
+}
+
+async function deleteUnlocked(filename, via = engine) {
+  if (!inIndexedDB(filename, via)) return removeOpfs(filename);
+
+  await idb.deleteRecords(filename);
+  await removeOpfs(BLOB_PREFIX + filename);
+}
+
+/**
+ * Wait for an engine switch in progress (see useEngine)
+ */
+async function ready() {
+  if (!isInitialized) await initialize();
+  if (switching) await switching;
+}
+
+/**
+ * Run an engine-routed operation under the file's lock
+ * A switch that started after ready() may have moved the file already, so
+ * the operation gives the lock back, waits for the switch and tries again
+ */
+async function withRoutedLock(filename, fn) {
+  while (true) {
+    await ready();
+    let switched = false;
+    const result = await withFileLock(filename, () => {
+      if (switching) {
+        switched = true;
+        return undefined;
+      }
+      return fn();
+    });
+    if (!switched) return result;
+  }
+}
+
+/**
+ * Write data to file
+ */
+export async function write(filename, data) {
+  try {
+    await withRoutedLock(filename, () => writeUnlocked(filename, data));
     
     // console.log('[Storage] Written:', filename);
     return true;
@@ -45,24 +241,43 @@ export async function write(filename, data) {
   }
 }
 
+/**
+ * Read-modify-write a file under its lock
+ * fn receives the current content (null if missing) and returns the new
+ * content; returning undefined leaves the file untouched
+ * @returns {Promise<*>} - The value fn returned
+ */
+export async function update(filename, fn, { parseJSON = true } = {}) {
+  try {
+    return await withRoutedLock(filename, async () => {
+      const current = await readUnlocked(filename, parseJSON);
+      const next = await fn(current);
+      if (next !== undefined) {
+        await writeUnlocked(filename, next);
+      }
+      return next;
+    });
+  } catch (error) {
+    console.error('[Storage] Update failed:', filename, error);
+    throw error;
+  }
+}
+
 /**
  * Read data from file
  */
 export async function read(filename, parseJSON = true) {
-  if (!isInitialized) await initialize();
+  await ready();
   
   try {
-    const fileHandle = await root.getFileHandle(filename);
-    const file = await fileHandle.getFile();
-    const content = await file.text();
-    
+    // OPFS writes replace the file in one step; IndexedDB documents are written
+    // as a blob and then records, so they're read under the lock
+    const content = inIndexedDB(filename, engine)
+      ? await withRoutedLock(filename, () => readUnlocked(filename, parseJSON))
+      : await readUnlocked(filename, parseJSON);
     // console.log('[Storage] Read:', filename);
-    return parseJSON ? JSON.parse(content) : content;
+    return content;
   } catch (error) {
-    if (error.name === 'NotFoundError') {
-      // console.log('[Storage] File not found:', filename);
-      return null;
-    }
     console.error('[Storage] Read failed:', filename, error);
     throw error;
   }
@@ -72,10 +287,8 @@ export async function read(filename, parseJSON = true) {
  * Delete file
  */
 export async function deleteFile(filename) {
-  if (!isInitialized) await initialize();
-  
   try {
-    await root.removeEntry(filename);
+    await withRoutedLock(filename, () => deleteUnlocked(filename));
     // console.log('[Storage] Deleted:', filename);
     return true;
   } catch (error) {
@@ -92,8 +305,15 @@ export async function deleteFile(filename) {
  * Check if file exists
  */
 export async function exists(filename) {
-  if (!isInitialized) await initialize();
+  await ready();
   
+  if (inIndexedDB(filename, engine)) {
+    return idb.documentExists(filename);
+  }
+  return existsOpfs(filename);
+}
+
+async function existsOpfs(filename) {
   try {
     await root.getFileHandle(filename);
     return true;
@@ -105,18 +325,43 @@ export async function exists(filename) {
   }
 }
 
+/**
+ * Bytes a file takes (a document's records and blob with the IndexedDB engine)
+ * @returns {Promise<number>} - 0 if the file doesn't exist
+ */
+export async function sizeOf(filename) {
+  await ready();
+  
+  if (inIndexedDB(filename, engine)) {
+    const records = await idb.getRecords(filename);
+    if (!records) return 0;
+    return JSON.stringify(records).length + await sizeOfOpfs(BLOB_PREFIX + filename);
+  }
+  return sizeOfOpfs(filename);
+}
+
+async function sizeOfOpfs(filename) {
+  try {
+    const fileHandle = await root.getFileHandle(filename);
+    return (await fileHandle.getFile()).size;
+  } catch (error) {
+    if (error.name === 'NotFoundError') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
 /**
  * List all files
  */
 export async function listFiles() {
-  if (!isInitialized) await initialize();
+  await ready();
   
   try {
-    const files = [];
-    for await (const entry of root.values()) {
-      if (entry.kind === 'file') {
-        files.push(entry.name);
-      }
+    const files = await listOpfsFiles();
+    if (engine === 'indexeddb') {
+      files.push(...await idb.listDocumentFiles());
     }
     // console.log('[Storage] Found', files.length, 'files');
     return files;
@@ -126,6 +371,97 @@ export async function listFiles() {
   }
 }
 
+/**
+ * OPFS files callers see (no temp files, blobs or the engine marker)
+ */
+async function listOpfsFiles() {
+  const files = [];
+  for await (const entry of root.values()) {
+    if (entry.kind === 'file' &&
+        !entry.name.endsWith(TEMP_SUFFIX) &&
+        !entry.name.startsWith(BLOB_PREFIX) &&
+        entry.name !== ENGINE_FILE) {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Current storage engine ('opfs' | 'indexeddb')
+ */
+export async function getEngine() {
+  if (!isInitialized) await initialize();
+  return engine;
+}
+
+/**
+ * Switch the storage engine, moving every document to it
+ * Reads and writes wait until the move is done. A document is written to the
+ * new engine before it is removed from the old one, so an interrupted switch
+ * leaves copies behind but loses nothing; the next call finishes the move
+ */
+export async function useEngine(name) {
+  if (!ENGINES.includes(name)) {
+    throw new Error(`Unknown storage engine: ${name}`);
+  }
+
+  // Claimed before the first await, so writes queue behind it from here on
+  const previous = switching;
+  const current = (async () => {
+    if (previous) await previous;
+    if (!isInitialized) await initialize();
+    if (name !== engine) await moveDocuments(engine, name);
+  })().finally(() => {
+    if (switching === current) switching = null;
+  });
+  switching = current;
+  await current;
+  return engine;
+}
+
+async function moveDocuments(from, to) {
+  const files = from === 'indexeddb'
+    ? await idb.listDocumentFiles()
+    : (await listOpfsFiles()).filter(filename => idb.documentKind(filename) !== null);
+
+  for (const filename of files) {
+    await withFileLock(filename, async () => {
+      const doc = await readUnlocked(filename, true, from);
+      if (doc === null) return;
+      await writeUnlocked(filename, doc, to);
+      await deleteUnlocked(filename, from);
+    });
+  }
+
+  await withFileLock(ENGINE_FILE, () => writeAtomic(ENGINE_FILE, { engine: to, switchedAt: Date.now() }));
+  engine = to;
+  // console.log('[Storage] Switched engine:', from, '→', to, `(${files.length} documents)`);
+}
+
+/**
+ * Listing view of documents from the IndexedDB indexes, newest first:
+ * sessions with their messages but without sections or page content
+ * @param {string} kind - 'session' | 'serpSession' | 'research'
+ * @param {Object} options - { url } to only list sessions started on a URL
+ * @returns {Promise<Array|null>} - null with the OPFS engine (no indexes)
+ */
+export async function listDocuments(kind, options = {}) {
+  await ready();
+  if (engine !== 'indexeddb') return null;
+  return idb.listDocuments(kind, options);
+}
+
+/**
+ * Query an IndexedDB store through an index (see idb-engine query())
+ * @returns {Promise<Array|null>} - null with the OPFS engine
+ */
+export async function query(store, options = {}) {
+  await ready();
+  if (engine !== 'indexeddb') return null;
+  return idb.query(store, options);
+}
+
 /**
  * Clear all data (dangerous!)
  */
@@ -0,0 +1,47 @@
+/**
+ * Offscreen Document - DOM work the service worker can't do itself
+ * Service workers have no DOMParser, so fetched search result pages and
+ * web pages are parsed here
+ * (offscreen.html also loads content-script.js for its section extractors)
+ */
+
+import { parseSearchResults } from '../lib/search-providers.js';
+
+/**
+ * Handle messages addressed to the offscreen document
+ */
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'PARSE_SERP': {
+      const { provider, html, count } = message.data;
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      return { success: true, results: parseSearchResults(provider, doc, count) };
+    }
+    case 'EXTRACT_PAGE': {
+      const { html, url } = message.data;
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      // Resolve relative links against the page, not the offscreen document
+      if (!doc.querySelector('base[href]')) {
+        const base = doc.createElement('base');
+        base.href = url;
+        doc.head.prepend(base);
+      }
+      return extractContentFromDocument(doc);
+    }
+    default:
+      return { success: false, error: `Unknown offscreen message: ${message.type}` };
+  }
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Ignore broadcasts meant for the sidebar / service worker
+  if (message?.target !== 'offscreen') return false;
+
+  handleMessage(message)
+    .then(sendResponse)
+    .catch(error => {
+      console.error('[Offscreen] Message handler error:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // Async response
+});
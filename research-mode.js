@@ -14,7 +14,9 @@ const state = {
   researchHistory: [],
   isResearching: false,
   analyzedSources: [],
+  sources: [], // Sources the current answer cites ([source N] → sources[N - 1])
   comprehensiveAnswer: '',
+  claimCheck: null,
   resumableSession: null
 };
 
@@ -53,6 +55,9 @@ const elements = {
   // Answer
   answerSection: document.getElementById('answerSection'),
   answerContent: document.getElementById('answerContent'),
+  claimsSection: document.getElementById('claimsSection'),
+  claimsStatus: document.getElementById('claimsStatus'),
+  claimsMatrix: document.getElementById('claimsMatrix'),
   sourcesCount: document.getElementById('sourcesCount'),
   copyAnswerBtn: document.getElementById('copyAnswerBtn'),
   exportAnswerBtn: document.getElementById('exportAnswerBtn'),
@@ -201,11 +206,11 @@ async function startResearch(query, resultsCount) {
 }
 
 async function runResearchPipeline(query, resultsCount) {
-  // Phase 1: Search Google
-  updateProgress('🔍 Searching Google...', '', 10);
+  // Phase 1: Search the web (provider chosen in settings)
+  updateProgress('🔍 Searching the web...', '', 10);
   await sleep(500);
   
-  const searchResults = await performGoogleSearch(query, resultsCount);
+  const searchResults = await performWebSearch(query, resultsCount);
   if (!searchResults || searchResults.length === 0) {
     throw new Error('No search results found');
   }
@@ -236,6 +241,7 @@ async function runResearchPipeline(query, resultsCount) {
   
   const answer = await generateComprehensiveAnswer(query, analyzedResults);
   state.comprehensiveAnswer = answer;
+  state.sources = analyzedResults;
   
   updateProgress('✅ Research complete!', '', 100);
   await sleep(500);
@@ -243,6 +249,9 @@ async function runResearchPipeline(query, resultsCount) {
   // Show answer
   showAnswer(answer, analyzedResults);
   
+  // Phase 4: Check the answer's claims against the sources
+  state.claimCheck = await verifyAnswerClaims(answer, analyzedResults);
+  
   // Save to history
   await saveResearchToHistory();
   
@@ -253,11 +262,11 @@ async function runResearchPipeline(query, resultsCount) {
 }
 
 // ============================================
-// GOOGLE SEARCH
+// WEB SEARCH
 // ============================================
 
-async function performGoogleSearch(query, count) {
-  // console.log('[Research Mode] Performing Google search:', query);
+async function performWebSearch(query, count) {
+  // console.log('[Research Mode] Performing web search:', query);
   
   try {
     // Send message to service worker to perform search
@@ -269,7 +278,7 @@ async function performGoogleSearch(query, count) {
     // console.log('[Research Mode] Search response:', response);
     
     if (response && response.success && response.results) {
-      // console.log('[Research Mode] ✅ Search complete:', response.results.length, 'results');
+      // console.log('[Research Mode] ✅ Search complete:', response.results.length, 'results via', response.provider);
       return response.results;
     } else {
       const errorMsg = response?.error || 'Search failed. Please try again.';
@@ -514,12 +523,18 @@ function formatMarkdown(text) {
   // Code blocks: `code`
   html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
   
-  // Citations: [source 1] or [Source 1] → clickable links
-  html = html.replace(/\[source (\d+)\]/gi, (match, num) => {
+  // Citations: [source 1] or [source 1 §Heading] → clickable links
+  // Section citations open the page scrolled to the heading (text fragment)
+  html = html.replace(/\[source (\d+)(?:\s*§\s*([^\]]+?))?\s*\]/gi, (match, num, heading) => {
     const sourceIndex = parseInt(num) - 1;
     if (state.sources && state.sources[sourceIndex]) {
       const source = state.sources[sourceIndex];
       const domain = new URL(source.url).hostname.replace('www.', '');
+      if (heading) {
+        const href = `${source.url.split('#')[0]}#:~:text=${encodeURIComponent(heading)}`;
+        const label = heading.replace(/"/g, '&quot;');
+        return `<a href="${href}" target="_blank" class="source-citation" data-source="${num}" title="${source.title} — ${label}">[${domain} §${heading}]</a>`;
+      }
       return `<a href="${source.url}" target="_blank" class="source-citation" data-source="${num}" title="${source.title}">[${domain}]</a>`;
     }
     return match;
@@ -539,6 +554,105 @@ function formatMarkdown(text) {
   return html;
 }
 
+// ============================================
+// CLAIM CHECK
+// ============================================
+
+const STANCE_LABELS = {
+  'supports': { icon: '✓', label: 'Supports' },
+  'contradicts': { icon: '✗', label: 'Contradicts' },
+  'not-mentioned': { icon: '–', label: 'Not mentioned' }
+};
+
+const VERDICT_LABELS = {
+  supported: 'Supported',
+  disputed: 'Disputed',
+  contradicted: 'Contradicted',
+  unsupported: 'Unsupported'
+};
+
+async function verifyAnswerClaims(answer, sources) {
+  elements.claimsSection.classList.remove('hidden');
+  elements.claimsStatus.textContent = 'Checking claims against sources...';
+  elements.claimsMatrix.innerHTML = '';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RESEARCH_MODE_VERIFY_CLAIMS',
+      data: { answer, sources }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Claim check failed');
+    }
+    
+    renderClaimsMatrix(response);
+    return { claims: response.claims, method: response.method };
+  } catch (error) {
+    console.error('[Research Mode] Claim check error:', error);
+    elements.claimsStatus.textContent = 'Claim check unavailable';
+    return null;
+  }
+}
+
+function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+function renderClaimsMatrix({ claims, method }) {
+  if (!claims || claims.length === 0) {
+    elements.claimsStatus.textContent = 'No checkable claims found';
+    return;
+  }
+  
+  const flagged = claims.filter(claim => claim.flagged).length;
+  const methodNote = method === 'lexical' ? ' (keyword match - no language model)' : '';
+  elements.claimsStatus.textContent = flagged > 0
+    ? `⚠️ ${flagged} of ${claims.length} claims need review${methodNote}`
+    : `✅ All ${claims.length} claims supported${methodNote}`;
+  
+  // Columns: only the sources some claim was checked against
+  const sourceNumbers = [...new Set(claims.flatMap(claim => claim.checks.map(check => check.sourceNumber)))]
+    .sort((a, b) => a - b);
+  
+  const headerCells = sourceNumbers.map(number => {
+    const source = state.sources[number - 1];
+    const domain = source ? new URL(source.url).hostname.replace('www.', '') : '';
+    return `<th title="${escapeHTML(source?.title || '')}">S${number}<span class="claims-source-domain">${escapeHTML(domain)}</span></th>`;
+  }).join('');
+  
+  const rows = claims.map(claim => {
+    const cells = sourceNumbers.map(number => {
+      const check = claim.checks.find(c => c.sourceNumber === number);
+      if (!check) return '<td class="claim-cell unchecked"></td>';
+      
+      const { icon, label } = STANCE_LABELS[check.stance] || STANCE_LABELS['not-mentioned'];
+      const title = `${label}${check.heading ? ` — §${check.heading}` : ''}${check.cited ? ' (cited)' : ''}`;
+      return `<td class="claim-cell ${check.stance}${check.cited ? ' cited' : ''}" title="${escapeHTML(title)}">${icon}</td>`;
+    }).join('');
+    
+    return `
+      <tr class="${claim.flagged ? 'claim-flagged' : ''}">
+        <td class="claim-text">${escapeHTML(claim.text)}</td>
+        ${cells}
+        <td class="claim-verdict ${claim.verdict}">${VERDICT_LABELS[claim.verdict] || claim.verdict}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  elements.claimsMatrix.innerHTML = `
+    <table class="claims-table">
+      <thead>
+        <tr><th>Claim</th>${headerCells}<th>Verdict</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="claims-legend">✓ supports · ✗ contradicts · – not mentioned · outlined cells are the sources the answer cited</p>
+  `;
+}
+
 function addSourcesSection() {
   if (!state.sources || state.sources.length === 0) return;
   
@@ -594,7 +708,10 @@ function handleBackToSearch() {
   
   state.currentResearch = null;
   state.analyzedSources = [];
+  state.sources = [];
   state.comprehensiveAnswer = '';
+  state.claimCheck = null;
+  elements.claimsSection.classList.add('hidden');
 }
 
 async function handleCopyAnswer() {
@@ -788,6 +905,7 @@ async function saveResearchToHistory() {
       timestamp: Date.now(),
       sourcesCount: state.analyzedSources.length,
       answer: state.comprehensiveAnswer,
+      claimCheck: state.claimCheck,
       sources: state.analyzedSources
     };
     
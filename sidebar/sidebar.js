@@ -6,6 +6,10 @@
 import { ChatView } from './views/chat-view.js';
 import { HistoryView } from './views/history-view.js';
 import { SerpView } from './views/serp-view.js';
+import { DEFAULT_AI_CONFIG, configureAI, getAIConfig, isAIAvailable, createSession, probeCapabilities, downloadChromeModel } from '../lib/ai.js';
+import { DEFAULT_SEARCH_CONFIG, parseLocalUrlList } from '../lib/search-providers.js';
+import { DEFAULT_CACHE_CONFIG, parseDomainTtl, formatDomainTtl } from '../lib/serp-cache.js';
+import { DEFAULT_RETENTION_CONFIG } from '../lib/retention.js';
 
 // State
 const state = {
@@ -35,11 +39,19 @@ const state = {
   pendingQuestionTabId: null,  // Track which tab asked the current question
   
   // SERP analysis state
-  isGoogleSerp: false,
+  isSerp: false,
+  serpEngine: null, // { id, name } of the results page's search engine
   searchQuery: null,
-  serpResults: null
+  serpResults: null,
+  
+  // Search settings (URL list comes from a file, so it isn't read back from the form)
+  localSearchUrls: []
 };
 
+// SERP analysis jobs being waited on (jobId -> finish callback)
+const serpJobWaiters = new Map();
+const SERP_JOB_POLL_INTERVAL = 15000;
+
 // Tab-specific state cache (preserves state when switching tabs)
 const tabStateCache = new Map();
 
@@ -74,12 +86,36 @@ const elements = {
   settingsBackBtn: document.getElementById('settingsBackBtn'),
   enableRecapCheckbox: document.getElementById('enableRecapCheckbox'),
   recapTimerInput: document.getElementById('recapTimerInput'),
+  aiProviderSelect: document.getElementById('aiProviderSelect'),
+  aiEndpointInput: document.getElementById('aiEndpointInput'),
+  aiModelInput: document.getElementById('aiModelInput'),
+  aiApiKeyInput: document.getElementById('aiApiKeyInput'),
+  aiRerankSelect: document.getElementById('aiRerankSelect'),
+  aiDiagnostics: document.getElementById('aiDiagnostics'),
+  aiRecheckBtn: document.getElementById('aiRecheckBtn'),
+  searchProviderSelect: document.getElementById('searchProviderSelect'),
+  searxngUrlInput: document.getElementById('searxngUrlInput'),
+  localUrlsInput: document.getElementById('localUrlsInput'),
+  localUrlsStatus: document.getElementById('localUrlsStatus'),
   openCacheViewerBtn: document.getElementById('openCacheViewerBtn'),
+  cacheTtlInput: document.getElementById('cacheTtlInput'),
+  cacheSizeInput: document.getElementById('cacheSizeInput'),
+  cacheDomainTtlInput: document.getElementById('cacheDomainTtlInput'),
+  storageEngineSelect: document.getElementById('storageEngineSelect'),
+  retentionMaxAgeInput: document.getElementById('retentionMaxAgeInput'),
+  retentionMaxCountInput: document.getElementById('retentionMaxCountInput'),
+  retentionMaxSizeInput: document.getElementById('retentionMaxSizeInput'),
+  retentionKeepPinnedCheckbox: document.getElementById('retentionKeepPinnedCheckbox'),
+  retentionAutoRunCheckbox: document.getElementById('retentionAutoRunCheckbox'),
+  gcReport: document.getElementById('gcReport'),
+  gcPreviewBtn: document.getElementById('gcPreviewBtn'),
+  gcRunBtn: document.getElementById('gcRunBtn'),
   
   // SERP elements
   serpAnalysisSection: document.getElementById('serpAnalysisSection'),
   serpCountInput: document.getElementById('serpCountInput'),
   analyzeSerpBtn: document.getElementById('analyzeSerpBtn'),
+  serpEngineTitle: document.getElementById('serpEngineTitle'),
   
   // Content areas
   summaryContent: document.getElementById('summaryContent'),
@@ -128,17 +164,47 @@ async function toggleTheme() {
   }
 }
 
+// Search engines whose results pages serp-extractor.js can read (mirrors its SERP_ENGINES)
+const SERP_ENGINE_URLS = [
+  { id: 'google', name: 'Google', pattern: /^https?:\/\/(www\.)?google\.(com?\.)?[a-z]{2,3}\/search/ },
+  { id: 'bing', name: 'Bing', pattern: /^https?:\/\/([a-z]+\.)?bing\.com\/search/ },
+  { id: 'duckduckgo', name: 'DuckDuckGo', pattern: /^https?:\/\/(html\.)?duckduckgo\.com\/.*[?&]q=/ },
+  { id: 'brave', name: 'Brave Search', pattern: /^https?:\/\/search\.brave\.com\/search/ },
+  { id: 'startpage', name: 'Startpage', pattern: /^https?:\/\/(www\.)?startpage\.com\/(sp|do)\/search/ }
+];
+
+/**
+ * Find the search engine a URL's results page belongs to
+ */
+function detectSerpEngine(url) {
+  const engine = url ? SERP_ENGINE_URLS.find(({ pattern }) => pattern.test(url)) : null;
+  return engine ? { id: engine.id, name: engine.name } : null;
+}
+
 /**
- * Check if current page is Google SERP
+ * Show the SERP section with the detected engine's name
  */
-async function checkGoogleSerp() {
+function showSerpSection(engine) {
+  if (!elements.serpAnalysisSection) return;
+  elements.serpAnalysisSection.classList.remove('hidden');
+  if (elements.serpEngineTitle) {
+    elements.serpEngineTitle.textContent = `${engine?.name || 'Search'} Results Detected`;
+  }
+}
+
+/**
+ * Check if current page is a search engine results page
+ */
+async function checkSerpPage() {
   try {
-    // console.log('[Sidebar] checkGoogleSerp called | URL:', state.currentUrl);
-    
-    // First, check if the URL is a Google search page
-    if (!state.currentUrl || !state.currentUrl.includes('google.com/search')) {
-      // console.log('[Sidebar] Not a Google search URL');
-      state.isGoogleSerp = false;
+    // console.log('[Sidebar] checkSerpPage called | URL:', state.currentUrl);
+    
+    // First, check if the URL is a supported search results page
+    const urlEngine = detectSerpEngine(state.currentUrl);
+    if (!urlEngine) {
+      // console.log('[Sidebar] Not a search results URL');
+      state.isSerp = false;
+      state.serpEngine = null;
       if (elements.serpAnalysisSection) {
         elements.serpAnalysisSection.classList.add('hidden');
       }
@@ -164,7 +230,7 @@ async function checkGoogleSerp() {
       return;
     }
     
-    // console.log('[Sidebar] ✅ Google search URL detected, checking content script...');
+    // console.log('[Sidebar] ✅', urlEngine.name, 'results URL detected, checking content script...');
     // console.log('[Sidebar] TabId:', state.tabId);
     
     // Get tab info to ensure it's fully loaded
@@ -188,7 +254,7 @@ async function checkGoogleSerp() {
       try {
         // Try to send message to content script
         response = await chrome.tabs.sendMessage(state.tabId, {
-          type: 'CHECK_GOOGLE_SERP'
+          type: 'CHECK_SERP'
         });
         // console.log('[Sidebar] ✅ Content script responded:', response);
         break; // Success!
@@ -202,7 +268,7 @@ async function checkGoogleSerp() {
           try {
             await chrome.scripting.executeScript({
               target: { tabId: state.tabId },
-              files: ['content/google-serp-extractor.js']
+              files: ['content/serp-extractor.js']
             });
             // console.log('[Sidebar] ✅ Content script injected');
             
@@ -221,25 +287,27 @@ async function checkGoogleSerp() {
       }
     }
     
-    state.isGoogleSerp = response?.isGoogleSerp || false;
+    state.isSerp = response?.isSerp || false;
+    state.serpEngine = response?.engine || null;
     state.searchQuery = response?.searchQuery || null;
     
-    /*console.log('[Sidebar] 🔍 Google SERP check result:', {
-      isGoogleSerp: state.isGoogleSerp,
+    /*console.log('[Sidebar] 🔍 SERP check result:', {
+      isSerp: state.isSerp,
+      engine: state.serpEngine,
       searchQuery: state.searchQuery
     });*/
     
     // Show/hide SERP analysis section and quick actions
     const quickActions = document.getElementById('quickActions');
     
-    if (state.isGoogleSerp && elements.serpAnalysisSection) {
-      elements.serpAnalysisSection.classList.remove('hidden');
+    if (state.isSerp && elements.serpAnalysisSection) {
+      showSerpSection(state.serpEngine);
       // console.log('[Sidebar] ✅ SERP analysis section shown');
       
-      // Hide quick actions on Google SERP (no summarize/ask for search pages)
+      // Hide quick actions on SERPs (no summarize/ask for search pages)
       if (quickActions) {
         quickActions.classList.add('hidden');
-        // console.log('[Sidebar] ⚠️ Quick actions hidden (Google SERP)');
+        // console.log('[Sidebar] ⚠️ Quick actions hidden (SERP)');
       }
     } else {
       if (elements.serpAnalysisSection) {
@@ -254,15 +322,17 @@ async function checkGoogleSerp() {
       }
     }
   } catch (error) {
-    console.error('[Sidebar] checkGoogleSerp error:', error);
+    console.error('[Sidebar] checkSerpPage error:', error);
     
-    // CRITICAL: Even if content script fails, if URL is Google search, show SERP section
-    if (state.currentUrl && state.currentUrl.includes('google.com/search')) {
-      // console.log('[Sidebar] ⚠️ Content script failed BUT URL is Google search - showing SERP section anyway');
-      state.isGoogleSerp = true;
+    // CRITICAL: Even if content script fails, if URL is a results page, show SERP section
+    const urlEngine = detectSerpEngine(state.currentUrl);
+    if (urlEngine) {
+      // console.log('[Sidebar] ⚠️ Content script failed BUT URL is a results page - showing SERP section anyway');
+      state.isSerp = true;
+      state.serpEngine = urlEngine;
       
       if (elements.serpAnalysisSection) {
-        elements.serpAnalysisSection.classList.remove('hidden');
+        showSerpSection(urlEngine);
         // console.log('[Sidebar] ✅ SERP analysis section shown (fallback)');
       }
       
@@ -273,7 +343,7 @@ async function checkGoogleSerp() {
       }
     } else {
       // console.log('[Sidebar] Treating as non-SERP page due to error');
-      state.isGoogleSerp = false;
+      state.isSerp = false;
       if (elements.serpAnalysisSection) {
         elements.serpAnalysisSection.classList.add('hidden');
       }
@@ -286,6 +356,52 @@ async function checkGoogleSerp() {
   }
 }
 
+/**
+ * Get the results to analyze: scraped from the open results page, or (when the
+ * layout changed or a CAPTCHA is showing) fetched from the search provider
+ */
+async function extractSerpResults(count) {
+  let extractResponse = null;
+  try {
+    extractResponse = await chrome.tabs.sendMessage(state.tabId, {
+      type: 'EXTRACT_SERP_URLS',
+      data: { maxResults: count }
+    });
+  } catch (error) {
+    console.warn('[Sidebar] SERP extraction failed:', error.message);
+  }
+  
+  // console.log('[Sidebar] Extract response:', extractResponse);
+  
+  if (extractResponse?.success && extractResponse.results?.length > 0) {
+    return extractResponse;
+  }
+  
+  let searchQuery = extractResponse?.searchQuery || state.searchQuery;
+  if (!searchQuery) {
+    try {
+      searchQuery = new URL(state.currentUrl).searchParams.get('q');
+    } catch {
+      searchQuery = null;
+    }
+  }
+  if (!searchQuery) {
+    throw new Error('Failed to extract search results. Try reloading the search page.');
+  }
+  
+  showLoading('Page results unavailable...', 'Searching with your search provider instead');
+  const searchResponse = await chrome.runtime.sendMessage({
+    type: 'SEARCH_WEB',
+    data: { query: searchQuery, count }
+  });
+  
+  if (!searchResponse?.success || !searchResponse.results?.length) {
+    throw new Error(searchResponse?.error || `No search results found. The page returned ${extractResponse?.count || 0} results.`);
+  }
+  
+  return { success: true, results: searchResponse.results, searchQuery, provider: searchResponse.provider };
+}
+
 /**
  * Handle SERP analysis button click
  */
@@ -304,21 +420,8 @@ async function handleAnalyzeSerp() {
     
     showLoading('Extracting search results...', 'Please wait...');
     
-    // Extract SERP URLs
-    const extractResponse = await chrome.tabs.sendMessage(state.tabId, {
-      type: 'EXTRACT_SERP_URLS',
-      data: { maxResults: count }
-    });
-    
-    // console.log('[Sidebar] Extract response:', extractResponse);
-    
-    if (!extractResponse || !extractResponse.success) {
-      throw new Error('Failed to extract search results. Try reloading the Google search page.');
-    }
-    
-    if (!extractResponse.results || extractResponse.results.length === 0) {
-      throw new Error(`No search results found. The page returned ${extractResponse.count || 0} results. Try reloading the page or checking the browser console for details.`);
-    }
+    // Extract SERP URLs from the page, falling back to the configured search provider
+    const extractResponse = await extractSerpResults(count);
     
     // console.log('[Sidebar] Extracted', extractResponse.results.length, 'SERP URLs');
     // console.log('[Sidebar] Results:', extractResponse.results);
@@ -326,20 +429,27 @@ async function handleAnalyzeSerp() {
     // Show extracted URLs in loading view
     showLoadingWithUrls('Starting analysis...', extractResponse.results);
     
-    // Start analysis in background
-    const analysisResponse = await chrome.runtime.sendMessage({
+    // Start analysis in background (persisted job, survives service worker restarts)
+    const startResponse = await chrome.runtime.sendMessage({
       type: 'START_SERP_ANALYSIS',
       data: {
         urls: extractResponse.results,
         searchQuery: extractResponse.searchQuery,
+        searchUrl: state.currentUrl,
         tabId: state.tabId
       }
     });
     
+    if (!startResponse || !startResponse.success) {
+      throw new Error(startResponse?.error || 'Analysis failed');
+    }
+    
+    const analysisResponse = await waitForSerpJob(startResponse.jobId);
+    
     hideLoading();
     
-    if (!analysisResponse || !analysisResponse.success) {
-      throw new Error(analysisResponse?.error || 'Analysis failed');
+    if (!analysisResponse.success) {
+      throw new Error(analysisResponse.error || 'Analysis failed');
     }
     
     // console.log('[Sidebar] Analysis complete:', analysisResponse.results.length, 'results');
@@ -356,6 +466,95 @@ async function handleAnalyzeSerp() {
   }
 }
 
+/**
+ * Wait for a SERP analysis job to finish
+ * Resolves on the SERP_ANALYSIS_COMPLETE broadcast; polling GET_SERP_JOB also
+ * wakes a suspended service worker (which resumes the job) and catches a
+ * broadcast missed during a restart
+ * @returns {Promise<Object>} - { success, status, results, serpSessionId, error }
+ */
+function waitForSerpJob(jobId) {
+  return new Promise(resolve => {
+    const finish = (response) => {
+      clearInterval(poll);
+      serpJobWaiters.delete(jobId);
+      resolve(response);
+    };
+    
+    const poll = setInterval(async () => {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'GET_SERP_JOB',
+          data: { jobId }
+        });
+        const job = response?.job;
+        if (!job) {
+          finish({ success: false, error: 'The analysis job was lost' });
+        } else if (job.status !== 'running') {
+          finish({
+            success: true,
+            status: job.status,
+            results: job.results,
+            serpSessionId: job.serpSessionId
+          });
+        }
+      } catch (error) {
+        console.warn('[Sidebar] SERP job poll failed:', error.message);
+      }
+    }, SERP_JOB_POLL_INTERVAL);
+    
+    serpJobWaiters.set(jobId, finish);
+  });
+}
+
+/**
+ * Reattach the SERP view to an analysis still running for this tab
+ * (e.g. the sidebar was closed while it ran)
+ */
+async function reattachSerpJob() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_SERP_JOB',
+      data: { tabId: state.tabId }
+    });
+    const job = response?.job;
+    if (!job || job.status !== 'running' || serpJobWaiters.has(job.jobId)) return;
+    
+    // console.log('[Sidebar] Reattaching to SERP job:', job.jobId, `${job.current}/${job.total}`);
+    state.searchQuery = job.searchQuery;
+    state.serpResults = job.results;
+    showSerpView();
+    state.serpView.attachJob(job);
+    
+    const finished = await waitForSerpJob(job.jobId);
+    state.serpView.detachJob();
+    
+    if (!finished.success) {
+      showError('Analysis Failed', finished.error);
+      return;
+    }
+    
+    state.serpResults = finished.results;
+    state.serpView.setResults(state.serpResults);
+  } catch (error) {
+    console.error('[Sidebar] Failed to reattach to SERP job:', error);
+  }
+}
+
+/**
+ * Cancel the SERP job the view is following
+ */
+async function handleCancelSerpJob(jobId) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'CANCEL_SERP_ANALYSIS',
+      data: { jobId }
+    });
+  } catch (error) {
+    console.error('[Sidebar] Failed to cancel SERP job:', error);
+  }
+}
+
 /**
  * Show SERP view with results
  */
@@ -367,14 +566,15 @@ function showSerpView() {
     state.serpView = new SerpView(elements.serpView, {
       onBack: async () => {
         showView('home');
-        await checkGoogleSerp();
+        await checkSerpPage();
       },
       onAskQuestion: handleSerpAskQuestion,
       onOpenUrl: handleSerpOpenUrl,
       onReAnalyze: handleAnalyzeSerp,
       onCompare: handleSerpCompare,
       onRefresh: handleSerpRefresh,
-      onDiveDeeper: handleDiveDeeper
+      onDiveDeeper: handleDiveDeeper,
+      onCancelJob: handleCancelSerpJob
     });
   }
   
@@ -393,7 +593,7 @@ async function handleSerpAskQuestion(result) {
   // console.log('[Sidebar] Ask question about SERP result:', result.url);
   
   // Set sections from this result
-  state.sections = result.sections;
+  state.sections = result.extractedContent?.sections || [];
   
   // Save to session
   if (state.sessionId) {
@@ -489,7 +689,7 @@ async function handleSerpCompare(question, results, searchQuery) {
     const initRequestId = `init_${Date.now()}`;
     worker.postMessage({
       type: 'INITIALIZE',
-      data: { pages },
+      data: { pages, aiConfig: getAIConfig() },
       requestId: initRequestId
     });
     
@@ -611,7 +811,7 @@ async function handleDiveDeeper(data) {
             // Refresh home view UI
             await refreshPreviousSessionNotice();
             updateViewSummaryButton();
-            await checkGoogleSerp();
+            await checkSerpPage();
           }
         },
         onCitationClick: handleCitationClick,
@@ -746,7 +946,7 @@ async function initialize() {
               showView('home');
               await refreshPreviousSessionNotice();
               updateViewSummaryButton();
-              await checkGoogleSerp();
+              await checkSerpPage();
             },
             onCitationClick: handleCitationClick,
             onNewChat: handleNewChat,
@@ -793,8 +993,11 @@ async function initialize() {
     // Listen for tab changes and navigation
     setupTabListeners();
     
-    // Check if Google SERP
-    await checkGoogleSerp();
+    // Check if search results page
+    await checkSerpPage();
+    
+    // Pick up a SERP analysis still running for this tab
+    reattachSerpJob();
     
     // ✅ CRITICAL: Update View Summary button after everything is initialized
     // This ensures the button is updated even if it wasn't ready during getSession()
@@ -808,7 +1011,7 @@ async function initialize() {
     //   sessionId: state.sessionId,
     //   tabId: state.tabId,
     //   url: state.currentUrl,
-    //   isGoogleSerp: state.isGoogleSerp
+    //   isSerp: state.isSerp
     // });
   } catch (error) {
     console.error('[Sidebar] Initialization failed:', error);
@@ -912,8 +1115,8 @@ async function reloadForTab(tabId) {
       }
     }
     
-    // Check if current page is Google SERP (for SERP analysis section)
-    await checkGoogleSerp();
+    // Check if current page is a SERP (for SERP analysis section)
+    await checkSerpPage();
     
     // Check if session recap should be shown
     await checkSessionRecap();
@@ -999,7 +1202,8 @@ async function handleNavigation(tab) {
     state.qnaReady = false;
     
     // Clear SERP state when navigating (fix for issue #2)
-    state.isGoogleSerp = false;
+    state.isSerp = false;
+    state.serpEngine = null;
     state.searchQuery = null;
     state.serpResults = null;
     
@@ -1035,7 +1239,7 @@ async function handleNavigation(tab) {
           showPreviousSessionNotice(response.previousSession);
         }
         // CRITICAL: Check SERP status and update button visibility
-        await checkGoogleSerp();
+        await checkSerpPage();
       }
       
       // If user was in chat, show navigation notice and stay in chat
@@ -1122,7 +1326,7 @@ async function handleNavigation(tab) {
   
   // CRITICAL: Check if current page is Google SERP (for SERP analysis section)
   // This runs regardless of success/failure to ensure UI is always correct
-  await checkGoogleSerp();
+  await checkSerpPage();
 }
 
 /**
@@ -1166,7 +1370,8 @@ function saveTabState(tabId) {
     // Save summary state (prevents overlapping summaries)
     isSummarizing: state.isSummarizing && state.summaryTabId === tabId,  // Only if summarizing THIS tab
     // Save SERP analysis state
-    isGoogleSerp: state.isGoogleSerp,
+    isSerp: state.isSerp,
+    serpEngine: state.serpEngine,
     searchQuery: state.searchQuery,
     serpResults: state.serpResults
   };
@@ -1265,7 +1470,7 @@ async function restoreTabState(cachedState) {
           // Refresh home view UI
           await refreshPreviousSessionNotice();
           updateViewSummaryButton();
-          await checkGoogleSerp();
+          await checkSerpPage();
         }
       },
       onCitationClick: handleCitationClick,
@@ -1381,7 +1586,8 @@ async function restoreTabState(cachedState) {
   } else if (cachedState.currentView === 'serp' && cachedState.serpResults) {
     // Restore SERP analysis view
     // console.log('[Sidebar] Restoring SERP view with', cachedState.serpResults.length, 'results');
-    state.isGoogleSerp = cachedState.isGoogleSerp || false;
+    state.isSerp = cachedState.isSerp || false;
+    state.serpEngine = cachedState.serpEngine || null;
     state.searchQuery = cachedState.searchQuery || '';
     state.serpResults = cachedState.serpResults || [];
     
@@ -1404,8 +1610,8 @@ async function restoreTabState(cachedState) {
   updateViewSummaryButton();
   console.log('[Sidebar] ✅ Final updateViewSummaryButton() called after full restore');
   
-  // CRITICAL: Check Google SERP status to show/hide SERP analysis section
-  await checkGoogleSerp();
+  // CRITICAL: Check SERP status to show/hide SERP analysis section
+  await checkSerpPage();
   
   console.log('[Sidebar] ✅ Tab state fully restored | view:', state.currentView, '| hasSummary:', !!state.summary);
 }
@@ -1422,7 +1628,8 @@ function clearState() {
   state.qnaReady = false;
   
   // Clear SERP state (fix for issue #2)
-  state.isGoogleSerp = false;
+  state.isSerp = false;
+  state.serpEngine = null;
   state.searchQuery = null;
   state.serpResults = null;
   
@@ -1489,7 +1696,7 @@ function setupEventListeners() {
   elements.backToHomeBtn.addEventListener('click', async () => {
     showView('home');
     updateViewSummaryButton();
-    await checkGoogleSerp();
+    await checkSerpPage();
   });
   elements.chatFromSummaryBtn.addEventListener('click', handleAskQuestion); // Use same handler
   elements.continueChatBtn.addEventListener('click', handleContinueChat);
@@ -1503,7 +1710,7 @@ function setupEventListeners() {
       // Refresh home view UI
       await refreshPreviousSessionNotice();
       updateViewSummaryButton();
-      await checkGoogleSerp();
+      await checkSerpPage();
     });
   }
   if (elements.enableRecapCheckbox) {
@@ -1512,9 +1719,32 @@ function setupEventListeners() {
   if (elements.recapTimerInput) {
     elements.recapTimerInput.addEventListener('change', handleSettingsChange);
   }
+  [elements.aiProviderSelect, elements.aiEndpointInput, elements.aiModelInput, elements.aiApiKeyInput, elements.aiRerankSelect]
+    .filter(Boolean)
+    .forEach(el => el.addEventListener('change', handleSettingsChange));
+  [elements.searchProviderSelect, elements.searxngUrlInput]
+    .filter(Boolean)
+    .forEach(el => el.addEventListener('change', handleSettingsChange));
+  [elements.cacheTtlInput, elements.cacheSizeInput, elements.cacheDomainTtlInput, elements.storageEngineSelect]
+    .filter(Boolean)
+    .forEach(el => el.addEventListener('change', handleSettingsChange));
+  [elements.retentionMaxAgeInput, elements.retentionMaxCountInput, elements.retentionMaxSizeInput,
+    elements.retentionKeepPinnedCheckbox, elements.retentionAutoRunCheckbox]
+    .filter(Boolean)
+    .forEach(el => el.addEventListener('change', handleSettingsChange));
+  if (elements.localUrlsInput) {
+    elements.localUrlsInput.addEventListener('change', handleLocalUrlsFile);
+  }
+  if (elements.aiRecheckBtn) {
+    elements.aiRecheckBtn.addEventListener('click', refreshAIDiagnostics);
+  }
   if (elements.openCacheViewerBtn) {
     elements.openCacheViewerBtn.addEventListener('click', handleOpenCacheViewer);
   }
+  if (elements.gcPreviewBtn) {
+    elements.gcPreviewBtn.addEventListener('click', () => handleGarbageCollection(true));
+    elements.gcRunBtn.addEventListener('click', () => handleGarbageCollection(false));
+  }
   
   // SERP analysis listener
   if (elements.analyzeSerpBtn) {
@@ -1874,7 +2104,7 @@ async function handleAskQuestion() {
           // Refresh home view UI
           await refreshPreviousSessionNotice();
           updateViewSummaryButton();
-          await checkGoogleSerp();
+          await checkSerpPage();
         }
       },
       onCitationClick: handleCitationClick,
@@ -1996,7 +2226,7 @@ async function handleNewChat() {
             // Refresh home view UI
             await refreshPreviousSessionNotice();
             updateViewSummaryButton();
-            await checkGoogleSerp();
+            await checkSerpPage();
           }
         },
         onCitationClick: handleCitationClick,
@@ -2137,9 +2367,9 @@ async function generateSessionOverview() {
       return;
     }
     
-    // Check if LanguageModel API is available
-    if (typeof LanguageModel === 'undefined') {
-      throw new Error('LanguageModel API not available');
+    // Check if a language model is available
+    if (!(await isAIAvailable())) {
+      throw new Error('Language model not available');
     }
     
     // Create AI session for overview generation
@@ -2155,7 +2385,7 @@ RULES:
 - NO markdown formatting, just plain text
 - Example: "You asked about X and learned that Y."`;
 
-    const aiSession = await LanguageModel.create({
+    const aiSession = await createSession({
       systemPrompt,
       temperature: 0.3,
       topK: 3
@@ -2210,7 +2440,7 @@ function handleShowHistory() {
           showView('chat');
         } else {
           showView('home');
-          await checkGoogleSerp();
+          await checkSerpPage();
         }
       },
       onSessionClick: handleHistorySessionClick,
@@ -2307,7 +2537,7 @@ async function handleHistorySessionClick(sessionId) {
             // Refresh home view UI
             await refreshPreviousSessionNotice();
             updateViewSummaryButton();
-            await checkGoogleSerp();
+            await checkSerpPage();
           }
         },
         onCitationClick: handleCitationClick,
@@ -2402,7 +2632,7 @@ async function handleViewSerpSession(sessionId) {
       // console.log('[Sidebar] Loaded SERP session:', session.searchQuery, '| Results:', session.results.length);
       
       // Restore SERP view state
-      state.isGoogleSerp = true;
+      state.isSerp = true;
       state.searchQuery = session.searchQuery;
       state.serpResults = session.results;
       state.serpSessionId = sessionId; // Track which session is being viewed
@@ -2595,7 +2825,7 @@ async function handleViewResearchEntry(entryId) {
       // console.log('[Sidebar] Loaded research entry:', entry.query, '| Sources:', entry.sourcesCount);
       
       // Display in a research results view (reuse SERP view structure)
-      state.isGoogleSerp = true;
+      state.isSerp = true;
       state.searchQuery = entry.query;
       state.serpResults = entry.sources || [];
       
@@ -2758,6 +2988,149 @@ async function handleShowSettings() {
   
   // Show settings view
   showView('settings');
+  
+  // Probe AI capabilities in the background
+  refreshAIDiagnostics();
+  showLastGarbageCollection();
+}
+
+/**
+ * Show the report of the last clean-up that deleted
+ */
+async function showLastGarbageCollection() {
+  if (!elements.gcReport) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_GC_REPORT' });
+    if (response?.success && response.report) {
+      renderGarbageCollectionReport(response.report);
+    }
+  } catch (error) {
+    console.warn('[Sidebar] Failed to load clean-up report:', error);
+  }
+}
+
+/**
+ * Preview (dryRun) or run a clean-up with the saved retention settings
+ */
+async function handleGarbageCollection(dryRun) {
+  if (!dryRun && !confirm('Remove everything the retention settings expire?\n\nThis cannot be undone.')) {
+    return;
+  }
+  
+  elements.gcPreviewBtn.disabled = true;
+  elements.gcRunBtn.disabled = true;
+  elements.gcReport.innerHTML = `<p class="setting-hint">${dryRun ? 'Checking...' : 'Cleaning up...'}</p>`;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'RUN_GARBAGE_COLLECTION',
+      data: { dryRun }
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response');
+    }
+    renderGarbageCollectionReport(response.report);
+  } catch (error) {
+    console.error('[Sidebar] Clean-up failed:', error);
+    elements.gcReport.innerHTML = `<p class="setting-hint">Clean-up failed: ${escapeHTML(error.message)}</p>`;
+  } finally {
+    elements.gcPreviewBtn.disabled = false;
+    elements.gcRunBtn.disabled = false;
+  }
+}
+
+/**
+ * Render a clean-up report (what was or would be removed)
+ */
+function renderGarbageCollectionReport(report) {
+  const megabytes = bytes => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  const kindLabels = { session: 'Chat', serpSession: 'Search', research: 'Research' };
+  const reasonLabels = { age: 'unused too long', count: 'over item limit', size: 'over size limit' };
+  const verb = report.dryRun ? 'would remove' : 'removed';
+  const when = report.dryRun ? 'Preview' : `Last clean-up ${new Date(report.ranAt).toLocaleString()}`;
+  
+  const itemRows = report.items.slice(0, 20).map(item =>
+    `<li>${kindLabels[item.kind]}: ${escapeHTML(item.title || item.id)} (${reasonLabels[item.reason]})${item.failed ? ' - failed' : ''}</li>`
+  ).join('');
+  const more = report.items.length > 20 ? `<li>…and ${report.items.length - 20} more</li>` : '';
+  const usage = report.usage ? ` Storage in use: ${megabytes(report.usage.usage)} (${report.usage.usagePercent}% of quota).` : '';
+  
+  elements.gcReport.innerHTML = `
+    <p class="setting-hint">${when}: ${verb} ${report.items.length} history items,
+      ${report.orphans.length} orphaned files and ${report.cacheEntries.length} expired cache entries
+      (${megabytes(report.freedBytes)}). ${report.keptItems} items kept.${usage}</p>
+    ${itemRows ? `<ul>${itemRows}${more}</ul>` : ''}
+    ${report.failed > 0 ? `<p class="setting-hint">${report.failed} could not be removed and will be retried</p>` : ''}
+  `;
+}
+
+/**
+ * Probe AI capabilities and render the diagnostics panel
+ */
+async function refreshAIDiagnostics() {
+  if (!elements.aiDiagnostics) return;
+  
+  elements.aiDiagnostics.innerHTML = '<p class="setting-hint">Checking...</p>';
+  
+  try {
+    const report = await probeCapabilities();
+    renderAIDiagnostics(report);
+  } catch (error) {
+    console.error('[Sidebar] AI capability probe failed:', error);
+    elements.aiDiagnostics.innerHTML = `<p class="setting-hint">Probe failed: ${escapeHTML(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render capability report
+ */
+function renderAIDiagnostics(report) {
+  const pathLabels = {
+    chrome: 'Chrome built-in AI',
+    openai: 'Local model',
+    extractive: 'Extractive fallback (no AI)',
+    none: 'Unavailable'
+  };
+  
+  const row = (label, info, downloadKind = null) => {
+    const status = info.present === false ? 'not supported' : info.availability;
+    const cssClass = info.availability === 'available' ? 'available' : info.availability === 'unavailable' ? 'unavailable' : '';
+    const downloadBtn = downloadKind && info.availability === 'downloadable'
+      ? `<button class="diag-download-btn" data-kind="${downloadKind}">Download</button>`
+      : '';
+    return `<div class="diag-row"><span>${label}</span><span class="diag-status ${cssClass}">${escapeHTML(status)}</span>${downloadBtn}</div>`;
+  };
+  
+  const quota = report.promptAPI.inputQuota ? `${report.promptAPI.inputQuota.toLocaleString()} tokens` : 'unknown';
+  const localLabel = report.localModel.models.length > 0
+    ? `Local model (${report.localModel.models.length} served)`
+    : 'Local model';
+  
+  elements.aiDiagnostics.innerHTML = `
+    ${row('Prompt API', report.promptAPI, 'promptAPI')}
+    ${row('Summarizer API', report.summarizer, 'summarizer')}
+    ${row('Language Detector', report.languageDetector, 'languageDetector')}
+    ${row(localLabel, report.localModel)}
+    <div class="diag-row"><span>Context size</span><span class="diag-status">${quota}</span></div>
+    <p class="diag-path"><strong>Chat:</strong> ${pathLabels[report.chat.path]} - ${escapeHTML(report.chat.reason)}</p>
+    <p class="diag-path"><strong>Summaries:</strong> ${pathLabels[report.summary.path]} - ${escapeHTML(report.summary.reason)}</p>
+  `;
+  
+  elements.aiDiagnostics.querySelectorAll('.diag-download-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        await downloadChromeModel(btn.dataset.kind, (progress) => {
+          btn.textContent = `${Math.round(progress * 100)}%`;
+        });
+        await refreshAIDiagnostics();
+      } catch (error) {
+        console.error('[Sidebar] Model download failed:', error);
+        btn.textContent = 'Failed';
+      }
+    });
+  });
 }
 
 /**
@@ -2776,13 +3149,53 @@ function handleOpenCacheViewer() {
 async function handleSettingsChange() {
   const settings = {
     enableRecap: elements.enableRecapCheckbox.checked,
-    recapTimerMinutes: parseInt(elements.recapTimerInput.value, 10) || 5
+    recapTimerMinutes: parseInt(elements.recapTimerInput.value, 10) || 5,
+    ai: {
+      provider: elements.aiProviderSelect?.value || DEFAULT_AI_CONFIG.provider,
+      endpoint: elements.aiEndpointInput?.value.trim() || DEFAULT_AI_CONFIG.endpoint,
+      model: elements.aiModelInput?.value.trim() || '',
+      apiKey: elements.aiApiKeyInput?.value.trim() || '',
+      rerank: elements.aiRerankSelect?.value || DEFAULT_AI_CONFIG.rerank
+    },
+    search: {
+      provider: elements.searchProviderSelect?.value || DEFAULT_SEARCH_CONFIG.provider,
+      searxngUrl: elements.searxngUrlInput?.value.trim() || '',
+      localUrls: state.localSearchUrls
+    },
+    cache: {
+      ...DEFAULT_CACHE_CONFIG,
+      ttlHours: Math.min(720, Math.max(1, parseInt(elements.cacheTtlInput?.value, 10) || DEFAULT_CACHE_CONFIG.ttlHours)),
+      maxMegabytes: Math.min(500, Math.max(5, parseInt(elements.cacheSizeInput?.value, 10) || DEFAULT_CACHE_CONFIG.maxMegabytes)),
+      domainTtl: parseDomainTtl(elements.cacheDomainTtlInput?.value)
+    },
+    storage: {
+      // The service worker moves existing data when this changes
+      engine: elements.storageEngineSelect?.value || 'opfs'
+    },
+    retention: {
+      maxAgeDays: Math.min(3650, Math.max(0, parseInt(elements.retentionMaxAgeInput?.value, 10) || 0)),
+      maxCount: Math.min(100000, Math.max(0, parseInt(elements.retentionMaxCountInput?.value, 10) || 0)),
+      maxMegabytes: Math.min(10000, Math.max(0, parseInt(elements.retentionMaxSizeInput?.value, 10) || 0)),
+      keepPinned: elements.retentionKeepPinnedCheckbox?.checked ?? DEFAULT_RETENTION_CONFIG.keepPinned,
+      autoRun: elements.retentionAutoRunCheckbox?.checked ?? DEFAULT_RETENTION_CONFIG.autoRun
+    }
   };
   
   // Validate timer
   if (settings.recapTimerMinutes < 1) settings.recapTimerMinutes = 1;
   if (settings.recapTimerMinutes > 60) settings.recapTimerMinutes = 60;
   elements.recapTimerInput.value = settings.recapTimerMinutes;
+  if (elements.cacheTtlInput) {
+    elements.cacheTtlInput.value = settings.cache.ttlHours;
+    elements.cacheSizeInput.value = settings.cache.maxMegabytes;
+  }
+  if (elements.retentionMaxAgeInput) {
+    elements.retentionMaxAgeInput.value = settings.retention.maxAgeDays;
+    elements.retentionMaxCountInput.value = settings.retention.maxCount;
+    elements.retentionMaxSizeInput.value = settings.retention.maxMegabytes;
+  }
+  
+  configureAI(settings.ai);
   
   // Save to chrome.storage.local
   try {
@@ -2803,6 +3216,7 @@ async function loadSettings() {
       enableRecap: true,
       recapTimerMinutes: 5
     };
+    settings.ai = configureAI(settings.ai);
     
     // Apply to UI
     if (elements.enableRecapCheckbox) {
@@ -2811,15 +3225,89 @@ async function loadSettings() {
     if (elements.recapTimerInput) {
       elements.recapTimerInput.value = settings.recapTimerMinutes;
     }
+    if (elements.aiProviderSelect) {
+      elements.aiProviderSelect.value = settings.ai.provider;
+      elements.aiEndpointInput.value = settings.ai.endpoint;
+      elements.aiModelInput.value = settings.ai.model;
+      elements.aiApiKeyInput.value = settings.ai.apiKey;
+    }
+    if (elements.aiRerankSelect) {
+      elements.aiRerankSelect.value = settings.ai.rerank;
+    }
+    
+    settings.search = { ...DEFAULT_SEARCH_CONFIG, ...(settings.search || {}) };
+    state.localSearchUrls = settings.search.localUrls || [];
+    if (elements.searchProviderSelect) {
+      elements.searchProviderSelect.value = settings.search.provider;
+      elements.searxngUrlInput.value = settings.search.searxngUrl;
+    }
+    updateLocalUrlsStatus();
+    
+    settings.cache = { ...DEFAULT_CACHE_CONFIG, ...(settings.cache || {}) };
+    if (elements.cacheTtlInput) {
+      elements.cacheTtlInput.value = settings.cache.ttlHours;
+      elements.cacheSizeInput.value = settings.cache.maxMegabytes;
+      elements.cacheDomainTtlInput.value = formatDomainTtl(settings.cache.domainTtl);
+    }
+    
+    settings.storage = { engine: 'opfs', ...(settings.storage || {}) };
+    if (elements.storageEngineSelect) {
+      elements.storageEngineSelect.value = settings.storage.engine;
+    }
+    
+    settings.retention = { ...DEFAULT_RETENTION_CONFIG, ...(settings.retention || {}) };
+    if (elements.retentionMaxAgeInput) {
+      elements.retentionMaxAgeInput.value = settings.retention.maxAgeDays;
+      elements.retentionMaxCountInput.value = settings.retention.maxCount;
+      elements.retentionMaxSizeInput.value = settings.retention.maxMegabytes;
+      elements.retentionKeepPinnedCheckbox.checked = settings.retention.keepPinned;
+      elements.retentionAutoRunCheckbox.checked = settings.retention.autoRun;
+    }
     
     // console.log('[Sidebar] Settings loaded:', settings);
     return settings;
   } catch (error) {
     console.error('[Sidebar] Failed to load settings:', error);
-    return { enableRecap: true, recapTimerMinutes: 5 };
+    return { enableRecap: true, recapTimerMinutes: 5, ai: configureAI(), search: { ...DEFAULT_SEARCH_CONFIG }, cache: { ...DEFAULT_CACHE_CONFIG }, storage: { engine: 'opfs' }, retention: { ...DEFAULT_RETENTION_CONFIG } };
   }
 }
 
+/**
+ * Load the local search URL list from the chosen file
+ */
+async function handleLocalUrlsFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+  
+  try {
+    const urls = parseLocalUrlList(await file.text());
+    if (urls.length === 0) {
+      throw new Error('No http(s) URLs found in the file');
+    }
+    state.localSearchUrls = urls;
+    updateLocalUrlsStatus(file.name);
+    await handleSettingsChange();
+  } catch (error) {
+    console.error('[Sidebar] Failed to load URL list:', error);
+    if (elements.localUrlsStatus) {
+      elements.localUrlsStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+    }
+  } finally {
+    event.target.value = '';
+  }
+}
+
+/**
+ * Show how many local search URLs are loaded
+ */
+function updateLocalUrlsStatus(fileName = null) {
+  if (!elements.localUrlsStatus) return;
+  const count = state.localSearchUrls.length;
+  elements.localUrlsStatus.textContent = count > 0
+    ? `${count} URL${count === 1 ? '' : 's'} loaded${fileName ? ` from ${fileName}` : ''}`
+    : 'One URL per line (optional title after it) or a JSON array';
+}
+
 /**
  * Update activity timestamp for current tab
  */
@@ -2954,7 +3442,8 @@ async function initializeQnA(conversationSummary = null) {
       pageTitle: pageTitle,
       multiPageContext: multiPageContext,
       conversationSummary: conversationSummary, // Pass flow summary for AI context
-      chatHistory: chatHistory // ✅ NEW: Pass chat history to load into session
+      chatHistory: chatHistory, // ✅ NEW: Pass chat history to load into session
+      aiConfig: getAIConfig() // Workers can't read chrome.storage
     }
   });
 }
@@ -3053,14 +3542,17 @@ async function handleChatQuestion(question, mentions = []) {
         }
         
         // Prepare current page data with proper extractedContent format
-        const extractedContent = currentPageSections.map(section => ({
-          id: section.id,
-          heading: section.heading,
-          text: section.text,
-          level: section.level || 2
-        }));
+        const extractedContent = {
+          sections: currentPageSections.map(section => ({
+            id: section.id,
+            heading: section.heading,
+            text: section.text,
+            blocks: section.blocks,
+            level: section.level || 2
+          }))
+        };
         
-        console.log('[Sidebar] Current page extractedContent:', extractedContent.length, 'sections');
+        console.log('[Sidebar] Current page extractedContent:', extractedContent.sections.length, 'sections');
         
         const currentPageData = {
           url: state.currentUrl,
@@ -3133,12 +3625,15 @@ async function handleChatQuestion(question, mentions = []) {
           
           if (!alreadyIncluded && mentionedTab.sections) {
             // Convert sections to extractedContent format
-            const extractedContent = mentionedTab.sections.map(section => ({
-              id: section.id,
-              heading: section.heading,
-              text: section.text,
-              level: section.level || 2
-            }));
+            const extractedContent = {
+              sections: mentionedTab.sections.map(section => ({
+                id: section.id,
+                heading: section.heading,
+                text: section.text,
+                blocks: section.blocks,
+                level: section.level || 2
+              }))
+            };
             
             pages.push({
               url: mentionedTab.url,
@@ -3155,7 +3650,7 @@ async function handleChatQuestion(question, mentions = []) {
       const initRequestId = `init_${Date.now()}`;
       worker.postMessage({
         type: 'INITIALIZE',
-        data: { pages },
+        data: { pages, aiConfig: getAIConfig(), sessionId: state.sessionId },
         requestId: initRequestId
       });
       
@@ -3425,7 +3920,7 @@ async function handleChatQuestion(question, mentions = []) {
 /**
  * Handle citation click
  */
-async function handleCitationClick(sectionId) {
+async function handleCitationClick(sectionId, citation = null) {
   // console.log('[Sidebar] Citation clicked:', sectionId);
   
   // Find the section
@@ -3435,15 +3930,20 @@ async function handleCitationClick(sectionId) {
     return;
   }
   
+  // Anchor + cited sentence let the page highlight the exact range (also after a reload)
+  const highlightMessage = {
+    type: 'HIGHLIGHT_SECTION',
+    data: {
+      sectionId,
+      heading: section.heading,
+      anchor: citation?.anchor || section.anchor || null,
+      quote: citation?.quote || null
+    }
+  };
+  
   try {
     // Try to send message to content script
-    await chrome.tabs.sendMessage(state.tabId, {
-      type: 'HIGHLIGHT_SECTION',
-      data: {
-        sectionId,
-        heading: section.heading
-      }
-    });
+    await chrome.tabs.sendMessage(state.tabId, highlightMessage);
     // console.log('[Sidebar] ✅ Highlight request sent');
   } catch (error) {
     // If content script not loaded, inject it and retry
@@ -3461,13 +3961,7 @@ async function handleCitationClick(sectionId) {
         await new Promise(resolve => setTimeout(resolve, 300));
         
         // Retry highlight
-        await chrome.tabs.sendMessage(state.tabId, {
-          type: 'HIGHLIGHT_SECTION',
-          data: {
-            sectionId,
-            heading: section.heading
-          }
-        });
+        await chrome.tabs.sendMessage(state.tabId, highlightMessage);
         
         // console.log('[Sidebar] ✅ Content script injected and highlight request sent');
       } catch (retryError) {
@@ -3505,6 +3999,10 @@ function handleSummarizerMessage(event) {
       updateSectionSummary(data);
       break;
       
+    case 'PAGE_SUMMARY':
+      updatePageSummary(data.pageSummary);
+      break;
+      
     case 'COMPLETE':
       handleSummaryComplete(data);
       // Clear summarizing state
@@ -3710,6 +4208,11 @@ function displaySectionsForSummary(sections) {
       <h2>Page Summary</h2>
     </div>
     <div class="summary-content" id="summaryContent">
+      <div class="summary-section page-summary hidden" id="pageSummary">
+        <h3 class="section-heading">Overview</h3>
+        <div class="section-summary-content"></div>
+        <div class="page-summary-sources"></div>
+      </div>
       <div class="summary-sections" id="summarySections">
         ${sections.map(section => `
           <div class="summary-section" data-section-id="${section.id}">
@@ -3729,6 +4232,62 @@ function displaySectionsForSummary(sections) {
   });
 }
 
+/**
+ * Render a Markdown table (rows of already-escaped "| a | b |" lines) as HTML
+ */
+function renderMarkdownTable(rows) {
+  const splitRow = row => row.replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+  const isSeparator = row => splitRow(row).every(cell => /^:?-{3,}:?$/.test(cell));
+  
+  let header = null;
+  let body = rows;
+  if (rows.length > 1 && isSeparator(rows[1])) {
+    header = splitRow(rows[0]);
+    body = rows.slice(2);
+  }
+  
+  return `<table class="summary-table">${
+    header ? `<thead><tr>${header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>` : ''
+  }<tbody>${
+    body.map(row => `<tr>${splitRow(row).map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')
+  }</tbody></table>`;
+}
+
+/**
+ * Replace fenced code and tables with placeholders so line/emphasis formatting skips them
+ * @returns {string} - Text with <nsblockN> placeholders (HTML collected in blocks)
+ */
+function extractMarkdownBlocks(text, blocks) {
+  const lines = text.split('\n');
+  const output = [];
+  
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    const fence = trimmed.match(/^(```|~~~)/);
+    
+    if (fence) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre class="summary-code"><code>${code.join('\n')}</code></pre>`);
+      output.push(`<nsblock${blocks.length - 1}>`);
+    } else if (trimmed.startsWith('|')) {
+      const rows = [];
+      for (; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+        rows.push(lines[i].trim());
+      }
+      i--;
+      blocks.push(renderMarkdownTable(rows));
+      output.push(`<nsblock${blocks.length - 1}>`);
+    } else {
+      output.push(lines[i]);
+    }
+  }
+  
+  return output.join('\n');
+}
+
 /**
  * Format summary text with markdown-like syntax
  */
@@ -3741,6 +4300,10 @@ function formatSummaryText(text) {
     
     // Convert markdown-like syntax to HTML (order matters!)
     
+    // 0. Set aside code blocks and tables (page content rendered by lib/markdown.js)
+    const blocks = [];
+    formatted = extractMarkdownBlocks(formatted, blocks);
+    
     // 1. Convert bold before italic (to avoid conflicts)
     formatted = formatted.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>'); // **bold**
     
@@ -3802,6 +4365,9 @@ function formatSummaryText(text) {
     // 4. Convert line breaks (but not within HTML tags)
     formatted = formatted.replace(/\n(?!<)/g, '<br>\n'); // newlines (not before HTML tags)
     
+    // 5. Put code blocks and tables back
+    formatted = formatted.replace(/<nsblock(\d+)>/g, (match, index) => blocks[index]);
+    
     // Safety check: if formatting somehow produced empty result, return original escaped text
     if (!formatted || formatted.trim().length === 0) {
       return escapeHTML(text);
@@ -3846,11 +4412,11 @@ function updateSectionSummary(data) {
   if (!contentEl) return;
   
   if (failed) {
-    // Show fallback with warning (fallback is plain text, so just escape it)
+    // Show fallback with warning (original content - Markdown when the page had tables/lists/code)
     contentEl.innerHTML = `
       <div class="summary-fallback">
         <div class="fallback-warning">Summarization failed${error ? `: ${error}` : ''}. Showing original content:</div>
-        <div class="fallback-text">${escapeHTML(summary)}</div>
+        <div class="fallback-text">${formatSummaryText(summary)}</div>
       </div>
     `;
   } else {
@@ -3870,6 +4436,7 @@ async function handleSummaryComplete(data) {
   // Save summaries to state and session
   state.summary = {
     sectionSummaries: data.sectionSummaries,
+    pageSummary: data.pageSummary || null,
     statistics: data.statistics
   };
   
@@ -3879,6 +4446,7 @@ async function handleSummaryComplete(data) {
       data: {
         sessionId: state.sessionId,
         sectionSummaries: data.sectionSummaries,
+        pageSummary: data.pageSummary || null,
         statistics: data.statistics
       }
     });
@@ -3918,10 +4486,30 @@ function handleViewSummary() {
       totalSections: state.summary.sectionSummaries.length
     });
   });
+  updatePageSummary(state.summary.pageSummary);
   
   showView('summary');
 }
 
+/**
+ * Show the page-level summary above the section cards
+ * @param {Object|null} pageSummary - { summary, sectionIds, headings }
+ */
+function updatePageSummary(pageSummary) {
+  const pageSummaryEl = document.getElementById('pageSummary');
+  if (!pageSummaryEl || !pageSummary?.summary) return;
+  
+  pageSummaryEl.querySelector('.section-summary-content').innerHTML =
+    `<div class="section-summary">${formatSummaryText(pageSummary.summary)}</div>`;
+  
+  // Provenance: the sections the overview was built from
+  const headings = pageSummary.headings || [];
+  pageSummaryEl.querySelector('.page-summary-sources').textContent =
+    headings.length > 0 ? `From ${headings.length} sections: ${headings.join(' · ')}` : '';
+  
+  pageSummaryEl.classList.remove('hidden');
+}
+
 /**
  * Update View Summary button visibility
  */
@@ -4070,7 +4658,8 @@ async function handleSummarize() {
     state.summarizerWorker.postMessage({
       type: 'SUMMARIZE',
       data: {
-        sections: state.sections
+        sections: state.sections,
+        aiConfig: getAIConfig()
       }
     });
     
@@ -4163,14 +4752,14 @@ function restoreNormalHomeUI() {
       </div>
     </div>
     
-    <!-- SERP Analysis Section (shown only on Google search pages) -->
+    <!-- SERP Analysis Section (shown only on search results pages) -->
     <div id="serpAnalysisSection" class="serp-analysis-section hidden">
       <div class="serp-section-header">
         <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
           <circle cx="11" cy="11" r="8" stroke="currentColor" stroke-width="2"/>
           <path d="M21 21l-4.35-4.35" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
         </svg>
-        <h3>Google Search Detected</h3>
+        <h3 id="serpEngineTitle">Search Results Detected</h3>
       </div>
       <p class="serp-section-desc">Analyze and compare top search results</p>
       <div class="serp-analyze-controls">
@@ -4248,6 +4837,7 @@ function restoreNormalHomeUI() {
   elements.serpAnalysisSection = document.getElementById('serpAnalysisSection');
   elements.analyzeSerpBtn = document.getElementById('analyzeSerpBtn');
   elements.serpCountInput = document.getElementById('serpCountInput');
+  elements.serpEngineTitle = document.getElementById('serpEngineTitle');
   
   // Update visibility based on current URL
   updateQuickActionsVisibility();
@@ -4449,6 +5039,25 @@ function handleBackgroundMessage(message, sender, sendResponse) {
       }, 100);
       break;
     
+    case 'SERP_ANALYSIS_PROGRESS':
+      // Per-URL progress from the SERP analysis queue
+      if (message.tabId === state.tabId) {
+        updateLoadingUrlStatus(message.data);
+        state.serpView?.updateJobProgress(message.data);
+      }
+      break;
+    
+    case 'SERP_ANALYSIS_COMPLETE':
+      serpJobWaiters.get(message.data?.jobId)?.(message.data);
+      break;
+    
+    case 'REGISTRY_CHANGED':
+      // Keep the open history list in sync (chats, searches, research)
+      if (state.historyView && elements.historyView.classList.contains('active')) {
+        state.historyView.handleRegistryChange(message.data);
+      }
+      break;
+    
     case 'SWITCH_TO_CHAT_VIEW':
       // Switch to chat view (from research mode)
       // console.log('[Sidebar] SWITCH_TO_CHAT_VIEW:', message.data);
@@ -4541,6 +5150,7 @@ function showLoadingWithUrls(text, urls) {
   urls.forEach((result, index) => {
     const urlItem = document.createElement('div');
     urlItem.className = 'loading-url-item';
+    urlItem.dataset.index = index;
     urlItem.innerHTML = `
       <div class="url-number">${index + 1}</div>
       <div class="url-details">
@@ -4564,6 +5174,40 @@ function showLoadingWithUrls(text, urls) {
   state.isLoading = true;
 }
 
+/**
+ * Update one URL's row in the SERP loading list
+ * @param {Object} progress - { current, total, item: { index, status, attempt, delay, error } }
+ */
+function updateLoadingUrlStatus(progress) {
+  const urlList = elements.loadingView.querySelector('.loading-url-list');
+  if (!urlList || !progress?.item) return;
+  
+  elements.loadingSubtext.textContent = `${progress.current}/${progress.total} pages analyzed`;
+  
+  const statusEl = urlList.querySelector(`.loading-url-item[data-index="${progress.item.index}"] .url-status`);
+  if (!statusEl) return;
+  
+  const { status, attempt, delay, error } = progress.item;
+  switch (status) {
+    case 'done':
+    case 'cached':
+      statusEl.innerHTML = '<span class="status-icon done">✓</span>';
+      statusEl.title = status === 'cached' ? 'From cache' : 'Analyzed';
+      break;
+    case 'failed':
+      statusEl.innerHTML = '<span class="status-icon failed">✕</span>';
+      statusEl.title = error || 'Failed';
+      break;
+    case 'waiting':
+      statusEl.innerHTML = '<span class="status-icon waiting">↻</span>';
+      statusEl.title = `Attempt ${attempt} failed (${error}), retrying in ${Math.ceil(delay / 1000)}s`;
+      break;
+    default:
+      statusEl.innerHTML = '<div class="status-spinner"></div>';
+      statusEl.title = attempt > 1 ? `Attempt ${attempt}` : '';
+  }
+}
+
 /**
  * Hide loading state
  */
@@ -4632,16 +5276,11 @@ function escapeHTML(text) {
 }
 
 /**
- * Generate AI FLOW summary of conversation using LanguageModel API
+ * Generate AI FLOW summary of conversation using the configured language model
  * Traces the user's exploration journey through questions
  */
 async function generateConversationSummary(messages) {
   try {
-    // Check if LanguageModel API is available
-    if (typeof LanguageModel === 'undefined') {
-      throw new Error('LanguageModel API not available');
-    }
-    
     // Build conversation text - ONLY extract user questions (prevent AI hallucination)
     const userQuestions = messages
       .filter(msg => msg.role === 'user')
@@ -4649,13 +5288,12 @@ async function generateConversationSummary(messages) {
       .join(' → ');
     
     // Check availability
-    const availability = await LanguageModel.availability();
-    if (availability === 'unavailable') {
-      throw new Error('LanguageModel unavailable');
+    if (!(await isAIAvailable())) {
+      throw new Error('Language model unavailable');
     }
     
     // Create session with simple keyword extraction instructions
-    const session = await LanguageModel.create({
+    const session = await createSession({
       systemPrompt: `You extract topic keywords from questions. Output ONLY plain text.
 
 RULES:
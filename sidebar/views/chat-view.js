@@ -415,6 +415,7 @@ export class ChatView {
       formattedContent = formattedContent.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
       formattedContent = formattedContent.replace(/\*([^*]+)\*/g, '<em>$1</em>');
       formattedContent = formattedContent.replace(/\n/g, '<br>');
+      formattedContent = this.renderInlineCitations(formattedContent, citations);
       
       messageEl.innerHTML = `
         <div class="message-avatar">
@@ -443,11 +444,18 @@ export class ChatView {
                     badgeClass = 'citation-other-page';
                   }
                   
+                  const confidence = this.getConfidenceLevel(cite.confidence);
+                  if (confidence) {
+                    tooltipText += ` · ${Math.round(cite.confidence * 100)}% match with the answer`;
+                  }
+                  
                   return `
                     <button class="citation-badge ${badgeClass}" 
                             data-section-id="${cite.sectionId}" 
+                            data-citation-index="${idx}" 
                             title="${tooltipText}">
                       ${idx + 1}. ${this.escapeHTML(cite.heading)}${pageLabel}
+                      ${confidence ? `<span class="citation-confidence confidence-${confidence}">${Math.round(cite.confidence * 100)}%</span>` : ''}
                     </button>
                   `;
                 }).join('')}
@@ -464,11 +472,11 @@ export class ChatView {
       
       // Add citation click listeners
       setTimeout(() => {
-        messageEl.querySelectorAll('.citation-badge').forEach(badge => {
+        messageEl.querySelectorAll('.citation-badge, .inline-citation').forEach(badge => {
           badge.addEventListener('click', () => {
             const sectionId = badge.dataset.sectionId;
             if (this.callbacks.onCitationClick) {
-              this.callbacks.onCitationClick(sectionId);
+              this.callbacks.onCitationClick(sectionId, citations[badge.dataset.citationIndex]);
             }
           });
         });
@@ -484,6 +492,31 @@ export class ChatView {
     return messageEl;
   }
   
+  /**
+   * Confidence bucket for a citation (null when it wasn't checked or cited)
+   */
+  getConfidenceLevel(confidence) {
+    if (typeof confidence !== 'number') return null;
+    if (confidence >= 0.6) return 'high';
+    if (confidence >= 0.4) return 'medium';
+    return 'low';
+  }
+  
+  /**
+   * Turn [source N] markers into clickable citation chips (markers without a citation are removed)
+   */
+  renderInlineCitations(html, citations) {
+    return html.replace(/\s*\[source (\d+)\]/gi, (match, number) => {
+      const idx = parseInt(number, 10) - 1;
+      const cite = citations[idx];
+      if (!cite) return '';
+      
+      const confidence = this.getConfidenceLevel(cite.confidence);
+      const title = `${this.escapeHTML(cite.heading)}${confidence ? ` · ${Math.round(cite.confidence * 100)}% match` : ''}`;
+      return `<button class="inline-citation${confidence ? ` confidence-${confidence}` : ''}" data-section-id="${cite.sectionId}" data-citation-index="${idx}" title="${title}">${idx + 1}</button>`;
+    });
+  }
+  
   /**
    * Add thinking/loading message
    */
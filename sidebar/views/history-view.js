@@ -173,6 +173,15 @@ export class HistoryView {
         return;
       }
       
+      // Handle pin button clicks (outside the card, like delete)
+      const pinBtn = e.target.closest('.session-pin-btn');
+      if (pinBtn) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handleTogglePin('sessions', pinBtn.dataset.sessionId);
+        return;
+      }
+      
       // Handle delete button clicks (now outside the card)
       const deleteBtn = e.target.closest('.session-delete-btn');
       if (deleteBtn) {
@@ -296,6 +305,49 @@ export class HistoryView {
     }
   }
   
+  /**
+   * Reload the list a registry change belongs to
+   * @param {Object} change - { section, action, id } from REGISTRY_CHANGED
+   */
+  handleRegistryChange(change) {
+    switch (change?.section) {
+      case 'sessions':
+        this.loadSessions();
+        break;
+      case 'serpSessions':
+        this.loadSerpSessions();
+        break;
+      case 'researchHistory':
+        this.loadResearchSessions();
+        break;
+    }
+  }
+  
+  /**
+   * Pin or unpin a history item (the list reloads on the registry change)
+   * @param {string} section - 'sessions' | 'serpSessions' | 'researchHistory'
+   */
+  async handleTogglePin(section, id) {
+    const item = section === 'sessions' ? this.sessions.find(s => s.sessionId === id)
+      : section === 'serpSessions' ? this.serpSessions.find(s => s.sessionId === id)
+        : this.researchSessions.find(e => e.id === id);
+    if (!item) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_PINNED',
+        data: { section, id, pinned: !item.pinned }
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response');
+      }
+    } catch (error) {
+      console.error('[HistoryView] Failed to pin item:', error);
+      alert('Failed to pin. Please try again.');
+    }
+  }
+  
   /**
    * Handle delete
    */
@@ -459,6 +511,11 @@ export class HistoryView {
             <div class="session-time">${timestamp}</div>
           </div>
         </div>
+        <button class="session-pin-btn${session.pinned ? ' pinned' : ''}" data-session-id="${session.sessionId}" title="${session.pinned ? 'Unpin' : 'Pin (never removed by clean-up)'}">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+            <path d="M9 3H15M10 3V9L6 14H18L14 9V3M12 14V21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
         <button class="session-delete-btn" data-session-id="${session.sessionId}" title="Delete conversation">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
             <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -551,6 +608,11 @@ export class HistoryView {
               <path d="M21 15C21 15.5304 20.7893 16.0391 20.4142 16.4142C20.0391 16.7893 19.5304 17 19 17H7L3 21V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H19C19.5304 3 20.0391 3.21071 20.4142 3.58579C20.7893 3.96086 21 4.46957 21 5V15Z" stroke="currentColor" stroke-width="2"/>
             </svg>
           </button>
+          <button class="serp-action-btn pin-btn${session.pinned ? ' pinned' : ''}" data-session-id="${session.sessionId}" data-action="pin" title="${session.pinned ? 'Unpin' : 'Pin (never removed by clean-up)'}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+              <path d="M9 3H15M10 3V9L6 14H18L14 9V3M12 14V21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
           <button class="serp-action-btn delete-btn" data-session-id="${session.sessionId}" data-action="delete" title="Delete">
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
               <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -682,6 +744,11 @@ export class HistoryView {
               <path d="M21 15C21 15.5304 20.7893 16.0391 20.4142 16.4142C20.0391 16.7893 19.5304 17 19 17H7L3 21V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H19C19.5304 3 20.0391 3.21071 20.4142 3.58579C20.7893 3.96086 21 4.46957 21 5V15Z" stroke="currentColor" stroke-width="2"/>
             </svg>
           </button>
+          <button class="serp-action-btn pin-btn${entry.pinned ? ' pinned' : ''}" data-entry-id="${entry.id}" data-action="pin" title="${entry.pinned ? 'Unpin' : 'Pin (never removed by clean-up)'}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+              <path d="M9 3H15M10 3V9L6 14H18L14 9V3M12 14V21" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>
           <button class="serp-action-btn delete-btn" data-entry-id="${entry.id}" data-action="delete" title="Delete">
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
               <path d="M3 6H5H21" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -901,7 +968,7 @@ export class HistoryView {
   }
   
   /**
-   * Handle SERP action (view, chat, delete)
+   * Handle SERP action (view, chat, pin, delete)
    */
   handleSerpAction(sessionId, action) {
     // console.log('[HistoryView] SERP action:', action, sessionId);
@@ -910,6 +977,8 @@ export class HistoryView {
       this.callbacks.onViewSerpSession(sessionId);
     } else if (action === 'chat' && this.callbacks.onChatWithSerpSession) {
       this.callbacks.onChatWithSerpSession(sessionId);
+    } else if (action === 'pin') {
+      this.handleTogglePin('serpSessions', sessionId);
     } else if (action === 'delete') {
       this.handleDeleteSerpSession(sessionId);
     }
@@ -950,7 +1019,7 @@ export class HistoryView {
   }
   
   /**
-   * Handle research action (view, chat, delete)
+   * Handle research action (view, chat, pin, delete)
    */
   handleResearchAction(entryId, action) {
     // console.log('[HistoryView] Research action:', action, entryId);
@@ -959,6 +1028,8 @@ export class HistoryView {
       this.callbacks.onViewResearchEntry(entryId);
     } else if (action === 'chat' && this.callbacks.onChatWithResearchEntry) {
       this.callbacks.onChatWithResearchEntry(entryId);
+    } else if (action === 'pin') {
+      this.handleTogglePin('researchHistory', entryId);
     } else if (action === 'delete') {
       this.handleDeleteResearchEntry(entryId);
     }
@@ -13,7 +13,8 @@ export class SerpView {
       onReAnalyze: callbacks.onReAnalyze || (() => {}),
       onCompare: callbacks.onCompare || (() => {}),
       onRefresh: callbacks.onRefresh || (() => {}),
-      onDiveDeeper: callbacks.onDiveDeeper || (() => {})
+      onDiveDeeper: callbacks.onDiveDeeper || (() => {}),
+      onCancelJob: callbacks.onCancelJob || (() => {})
     };
     
     // State for "Dive Deeper" functionality
@@ -24,6 +25,7 @@ export class SerpView {
     this.searchQuery = '';
     this.sortBy = 'relevance'; // relevance, position, title
     this.isResearchMode = false; // Flag to hide relevance in Research Mode
+    this.jobId = null; // Background analysis job this view is following
     
     this.render();
     this.setupEventListeners();
@@ -67,6 +69,13 @@ export class SerpView {
           </button>
         </div>
 
+        <!-- Running analysis job (after reopening the sidebar) -->
+        <div class="serp-job-progress hidden" id="serpJobProgress">
+          <div class="status-spinner"></div>
+          <span class="serp-job-progress-text" id="serpJobProgressText"></span>
+          <button class="secondary-btn" id="serpJobCancelBtn">Cancel</button>
+        </div>
+
         <!-- Ask Quick Questions Section (Accordion) -->
         <div class="serp-accordion">
           <button class="accordion-header" id="compareAccordionHeader">
@@ -159,6 +168,9 @@ export class SerpView {
       empty: this.container.querySelector('#serpEmpty'),
       loading: this.container.querySelector('#serpLoading'),
       loadingText: this.container.querySelector('#serpLoadingText'),
+      jobProgress: this.container.querySelector('#serpJobProgress'),
+      jobProgressText: this.container.querySelector('#serpJobProgressText'),
+      jobCancelBtn: this.container.querySelector('#serpJobCancelBtn'),
       compareInput: this.container.querySelector('#serpCompareInput'),
       compareBtn: this.container.querySelector('#serpCompareBtn'),
       compareResult: this.container.querySelector('#serpCompareResult'),
@@ -194,6 +206,14 @@ export class SerpView {
       this.callbacks.onReAnalyze();
     });
 
+    // Cancel running job button
+    this.elements.jobCancelBtn.addEventListener('click', () => {
+      if (!this.jobId) return;
+      this.elements.jobCancelBtn.disabled = true;
+      this.elements.jobProgressText.textContent = 'Cancelling...';
+      this.callbacks.onCancelJob(this.jobId);
+    });
+
     // Compare button
     this.elements.compareBtn.addEventListener('click', () => {
       this.handleCompareClick();
@@ -530,6 +550,52 @@ export class SerpView {
     this.showLoading(text);
   }
 
+  /**
+   * Follow a running analysis job: show the pages finished so far and
+   * add the rest as they complete
+   * @param {Object} job - Job summary from GET_SERP_JOB
+   */
+  attachJob(job) {
+    this.jobId = job.jobId;
+    this.elements.jobCancelBtn.disabled = false;
+    this.elements.jobProgress.classList.remove('hidden');
+    this.setJobProgressText(job.current, job.total);
+    this.setResults(job.results || []);
+  }
+
+  /**
+   * Apply a SERP_ANALYSIS_PROGRESS update for the attached job
+   */
+  updateJobProgress(progress) {
+    if (!this.jobId || progress?.jobId !== this.jobId) return;
+
+    if (!this.elements.jobCancelBtn.disabled) {
+      this.setJobProgressText(progress.current, progress.total);
+    }
+
+    const result = progress.item?.result;
+    if (result) {
+      const results = this.results.filter(existing => existing.url !== result.url);
+      results.push(result);
+      this.setResults(results);
+    }
+  }
+
+  /**
+   * Stop following the job (finished or cancelled)
+   */
+  detachJob() {
+    this.jobId = null;
+    this.elements.jobProgress.classList.add('hidden');
+  }
+
+  /**
+   * Update the job progress line
+   */
+  setJobProgressText(current, total) {
+    this.elements.jobProgressText.textContent = `Analyzing pages... ${current}/${total} done`;
+  }
+
   /**
    * Clear view
    */
@@ -0,0 +1,71 @@
+/**
+ * In-memory stand-in for the OPFS root directory, installed as
+ * navigator.storage so lib/storage.js runs unchanged under Node
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+
+export const files = new Map();
+
+function notFound(name) {
+  const error = new Error(`${name} not found`);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+function fileHandle(name) {
+  return {
+    kind: 'file',
+    name,
+    async getFile() {
+      const content = files.get(this.name) ?? '';
+      return { size: content.length, text: async () => content };
+    },
+    async createWritable() {
+      let buffer = '';
+      return {
+        write: async chunk => { buffer += chunk; },
+        close: async () => { files.set(name, buffer); }
+      };
+    },
+    async move(newName) {
+      files.set(newName, files.get(this.name));
+      files.delete(this.name);
+      this.name = newName;
+    }
+  };
+}
+
+const root = {
+  async getFileHandle(name, { create = false } = {}) {
+    if (!files.has(name)) {
+      if (!create) throw notFound(name);
+      files.set(name, '');
+    }
+    return fileHandle(name);
+  },
+  async removeEntry(name) {
+    if (!files.delete(name)) throw notFound(name);
+  },
+  async *values() {
+    for (const name of [...files.keys()]) yield fileHandle(name);
+  }
+};
+
+Object.defineProperty(globalThis, 'navigator', {
+  value: { storage: { getDirectory: async () => root, estimate: async () => ({ usage: 0, quota: 1 }) } },
+  configurable: true
+});
+
+/**
+ * Load every file of a fixture directory into the fake root
+ */
+export function loadFixtures(directory) {
+  for (const name of readdirSync(directory)) {
+    files.set(name, readFileSync(new URL(name, directory), 'utf8'));
+  }
+}
+
+export function readJSON(name) {
+  return files.has(name) ? JSON.parse(files.get(name)) : null;
+}
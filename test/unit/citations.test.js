@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCitations, selectCitationQuote, splitSentences } from '../../lib/citations.js';
+
+const sources = [
+  { heading: 'Arrays', text: 'JavaScript arrays are zero-indexed, so the first element of an array is read with index zero.' },
+  { heading: 'Objects', text: 'Objects map string keys to values and are created with curly braces.' }
+];
+
+describe('validateCitations', () => {
+  it('keeps a marker that the cited source supports', () => {
+    const { answer, stats } = validateCitations('JavaScript arrays are zero-indexed [source 1].', sources);
+    assert.equal(answer, 'JavaScript arrays are zero-indexed [source 1].');
+    assert.deepEqual(stats, { kept: 1, remapped: 0, dropped: 0 });
+  });
+
+  it('remaps a marker to the source that backs the sentence', () => {
+    const { answer, stats } = validateCitations('Objects map string keys to values [source 1].', sources);
+    assert.equal(answer, 'Objects map string keys to values [source 2].');
+    assert.equal(stats.remapped, 1);
+  });
+
+  it('drops markers no source supports', () => {
+    const { answer, stats } = validateCitations('Penguins live in Antarctica [source 2].', sources);
+    assert.equal(answer, 'Penguins live in Antarctica.');
+    assert.equal(stats.dropped, 1);
+  });
+
+  it('accepts the heading and Section forms', () => {
+    const { answer } = validateCitations('Objects are created with curly braces [Section 2: "Objects"].', sources);
+    assert.equal(answer, 'Objects are created with curly braces [source 2].');
+  });
+
+  it('leaves array indexing alone', () => {
+    const text = 'Use items[0] to read the first element of JavaScript arrays [source 1].';
+    const { answer, markers } = validateCitations(text, sources);
+    assert.equal(answer, text);
+    assert.deepEqual(markers.map(marker => marker.original), ['[source 1]']);
+  });
+
+  it('only treats a bare [N] as a citation when source N exists', () => {
+    const { answer, markers } = validateCitations('Arrays are zero-indexed [1]. This changed in [2024].', sources);
+    assert.equal(answer, 'Arrays are zero-indexed [source 1]. This changed in [2024].');
+    assert.equal(markers.length, 1);
+  });
+
+  it('collects the sentences citing each source', () => {
+    const { claims } = validateCitations('Arrays start at zero [source 1]. Objects use curly braces [source 2].', sources);
+    assert.deepEqual(claims, [['Arrays start at zero.'], ['Objects use curly braces.']]);
+  });
+});
+
+describe('selectCitationQuote', () => {
+  const section = {
+    text: 'Pricing starts at ten dollars per month for individuals. Teams pay twenty dollars per seat each month. '
+      + 'How much does it cost to cancel? Cancelling is free at any time.'
+  };
+
+  it('picks the sentence backing the cited claim, not the one echoing the question', () => {
+    const quote = selectCitationQuote(section, ['Teams are billed twenty dollars for every seat'], 'How much does it cost?');
+    assert.equal(quote, 'Teams pay twenty dollars per seat each month.');
+  });
+
+  it('falls back to the question when the answer does not cite the section', () => {
+    assert.equal(selectCitationQuote(section, [], 'Is cancelling free?'), 'Cancelling is free at any time.');
+  });
+});
+
+describe('splitSentences', () => {
+  it('never joins lines', () => {
+    assert.deepEqual(splitSentences('First line\nSecond one. Third.'), ['First line', 'Second one.', 'Third.']);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextBudget, PRIORITY, estimateTokens } from '../../lib/context-budget.js';
+
+const words = count => Array.from({ length: count }, (_, i) => `Sentence ${i} has words.`).join(' ');
+
+describe('ContextBudget.pack', () => {
+  it('counts the label an item is rendered with', async () => {
+    const budget = new ContextBudget({ maxTokens: 100, reserveTokens: 0 });
+    const label = '[source 1: A rather long section heading]\n';
+    const text = 'x'.repeat(360); // 90 tokens: fits alone, not with its label
+
+    const packed = await budget.pack([
+      { kind: 'section', text, render: body => `${label}${body}\n\n` }
+    ]);
+
+    assert.deepEqual(packed.items, []);
+    assert.equal(packed.dropped.length, 1);
+  });
+
+  it('cuts a truncatable item so the rendered item fits', async () => {
+    const budget = new ContextBudget({ maxTokens: 200, reserveTokens: 0 });
+    const render = body => `[source 1: Pricing]\n${body}\n\n`;
+
+    const packed = await budget.pack([
+      { kind: 'prompt', text: 'Question: how much does it cost?', priority: PRIORITY.REQUIRED },
+      { kind: 'section', text: words(60), render, truncate: true }
+    ]);
+
+    const section = packed.items.find(item => item.kind === 'section');
+    assert.equal(section.truncated, true);
+    assert.equal(section.tokens, estimateTokens(render(section.text)));
+    assert.ok(packed.usedTokens <= budget.available, `${packed.usedTokens} > ${budget.available}`);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { blocksToMarkdown } from '../../lib/markdown.js';
+
+describe('blocksToMarkdown', () => {
+  it('stops before the block that would exceed maxChars', () => {
+    const blocks = [
+      { type: 'paragraph', text: 'Install the package first.' },
+      { type: 'list', ordered: true, items: [{ text: 'Download' }, { text: 'Run the installer' }] }
+    ];
+    assert.equal(blocksToMarkdown(blocks, { maxChars: 40 }), 'Install the package first.\n\n...');
+  });
+
+  it('closes the fence of a code block cut short', () => {
+    const code = Array.from({ length: 20 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const markdown = blocksToMarkdown([{ type: 'code', language: 'js', text: code }], { maxChars: 80 });
+
+    const [body, ellipsis] = markdown.split('\n\n');
+    assert.equal(ellipsis, '...');
+    assert.ok(body.startsWith('```js\nconst value0 = 0;'));
+    assert.ok(body.endsWith('\n```'), body);
+    assert.ok(body.length <= 80, `${body.length} chars`);
+  });
+});
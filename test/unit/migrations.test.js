@@ -0,0 +1,144 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { files, loadFixtures, readJSON } from '../helpers/fake-opfs.js';
+import { sessionV2, resultsV2, runMigrations } from '../../background/migrations.js';
+import { SCHEMA_VERSION, MULTI_PAGE_URL } from '../../lib/schema.js';
+
+const FIXTURES = new URL('../fixtures/v1/', import.meta.url);
+const fixture = name => JSON.parse(readFileSync(new URL(name, FIXTURES), 'utf8'));
+
+function assertCanonicalSection(section) {
+  assert.equal(typeof section.id, 'string');
+  assert.equal(typeof section.heading, 'string');
+  assert.equal(typeof section.level, 'number');
+  assert.equal(typeof section.text, 'string');
+  assert.ok(section.content, 'section has content');
+}
+
+function assertCanonicalExtracted(extracted) {
+  assert.ok(Array.isArray(extracted.sections));
+  extracted.sections.forEach(assertCanonicalSection);
+  assert.equal(typeof extracted.fullText, 'string');
+  assert.equal(extracted.metadata.sectionCount, extracted.sections.length);
+}
+
+function assertCanonicalResult(result) {
+  assert.equal(result.sections, undefined, 'no top-level sections');
+  if (!result.error) assertCanonicalExtracted(result.extractedContent);
+}
+
+function assertCanonicalSession(session) {
+  assert.ok(['page', 'multiPageChat'].includes(session.type));
+  assert.equal(typeof session.sessionId, 'string');
+  assert.ok(session.url);
+  assert.equal(session.currentUrl, session.currentUrl || session.url);
+  session.content.sections.forEach(assertCanonicalSection);
+  assert.ok(session.chatHistory.every(message => message.content != null));
+  assert.equal(session.metadata.messageCount, session.chatHistory.length);
+  assert.equal(typeof session.metadata.title, 'string');
+  assert.equal(typeof session.metadata.createdAt, 'number');
+  assert.equal(typeof session.metadata.updatedAt, 'number');
+  assert.equal(typeof session.lastActive, 'number');
+  assert.equal(session.createdAt, undefined);
+  assert.equal(session.lastAccessed, undefined);
+  if (session.type === 'multiPageChat') {
+    assert.equal(session.metadata.pageCount, session.content.pages.length);
+    session.content.pages.forEach(page => assertCanonicalExtracted(page.extractedContent));
+  }
+}
+
+describe('sessionV2', () => {
+  it('canonicalizes a single-page session', () => {
+    const session = sessionV2(fixture('session_single.json'), 'session_single.json');
+    assertCanonicalSession(session);
+    assert.equal(session.type, 'page');
+    assert.equal(session.content.summary, 'A summary');
+    assert.equal(session.recentPages[0].sections[0].text, 'only content');
+  });
+
+  it('gives research-mode chats metadata from createdAt/lastAccessed', () => {
+    const session = sessionV2(fixture('session_research.json'), 'session_research.json');
+    assertCanonicalSession(session);
+    assert.equal(session.url, MULTI_PAGE_URL);
+    assert.equal(session.metadata.createdAt, 10);
+    assert.equal(session.lastActive, 20);
+    assert.equal(session.metadata.searchQuery, 'best laptops');
+    assert.equal(session.content.searchQuery, undefined);
+    assert.equal(session.content.pages[1].title, 'https://p.com/2');
+  });
+
+  it('drops the null Q&A pair of @mention conversions', () => {
+    const session = sessionV2(fixture('session_mention.json'), 'session_mention.json');
+    assertCanonicalSession(session);
+    assert.deepEqual(session.chatHistory.map(message => message.content), ['real question']);
+  });
+});
+
+describe('resultsV2', () => {
+  it('moves SERP result sections under extractedContent', () => {
+    const session = resultsV2('results')(fixture('serp_session_serp1.json'));
+    session.results.forEach(assertCanonicalResult);
+    assert.equal(session.results[0].extractedContent.sections[0].heading, 'H');
+  });
+
+  it('does the same for research sources', () => {
+    const entry = resultsV2('sources')(fixture('research_r1.json'));
+    entry.sources.forEach(assertCanonicalResult);
+    assert.equal(entry.answer, 'Because [source 1].');
+  });
+});
+
+describe('runMigrations', () => {
+  let counts;
+
+  before(async () => {
+    loadFixtures(FIXTURES);
+    counts = await runMigrations();
+  });
+
+  it('migrates every v1 file and deletes the stale index', () => {
+    assert.deepEqual(counts, { migrated: 8, deleted: 1, failed: 0 });
+    assert.equal(files.has('index_single.json'), false);
+
+    for (const name of ['session_single.json', 'session_research.json', 'session_mention.json']) {
+      const session = readJSON(name);
+      assert.equal(session.schemaVersion, SCHEMA_VERSION);
+      assertCanonicalSession(session);
+    }
+    readJSON('serp_session_serp1.json').results.forEach(assertCanonicalResult);
+    readJSON('research_r1.json').sources.forEach(assertCanonicalResult);
+    assertCanonicalResult(readJSON('serp-cache_abc123.json').data);
+
+    const job = readJSON('serp_job_job1.json');
+    assertCanonicalResult(job.items[0].result);
+    assert.equal(job.items[1].result, null);
+    assert.equal(readJSON('registry.json').schemaVersion, SCHEMA_VERSION);
+  });
+
+  it('registers sessions the registry lost', () => {
+    const { sessions } = readJSON('registry.json');
+    assert.deepEqual(Object.keys(sessions).sort(), ['mention', 'research', 'single']);
+    assert.equal(sessions.research.type, 'multiPageChat');
+    assert.equal(sessions.research.messageCount, 2);
+    assert.equal(sessions.research.lastActive, 20);
+  });
+
+  it('writes the marker and is a no-op the second time', async () => {
+    assert.equal(readJSON('schema.json').schemaVersion, SCHEMA_VERSION);
+
+    const before = new Map(files);
+    files.set('session_late.json', JSON.stringify({ sessionId: 'late' }));
+    assert.deepEqual(await runMigrations(), { migrated: 0, deleted: 0, failed: 0 });
+    assert.deepEqual(readJSON('session_late.json'), { sessionId: 'late' });
+
+    files.delete('session_late.json');
+    assert.deepEqual(new Map(files), before);
+  });
+
+  it('leaves current files alone when the marker is missing', async () => {
+    files.delete('schema.json');
+    assert.deepEqual(await runMigrations(), { migrated: 0, deleted: 0, failed: 0 });
+    assert.equal(readJSON('schema.json').schemaVersion, SCHEMA_VERSION);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJSON } from '../helpers/fake-opfs.js';
+import * as registry from '../../background/registry.js';
+
+describe('bindTab', () => {
+  it("releases the tab's previous session", async () => {
+    await registry.putSession('first', { url: 'https://example.com/a', isActive: true, currentTabId: 7 });
+    await registry.putSession('second', { url: 'https://example.com/b', isActive: false, currentTabId: null });
+
+    const changes = [];
+    const stop = registry.onRegistryChange(change => changes.push(change));
+    await registry.bindTab(7, 'second', { lastActive: 50 });
+    stop();
+
+    assert.equal(registry.findSessionByTab(7), 'second');
+    assert.deepEqual(
+      [registry.getSession('first').isActive, registry.getSession('first').currentTabId],
+      [false, null]
+    );
+    assert.deepEqual(
+      [registry.getSession('second').isActive, registry.getSession('second').currentTabId, registry.getSession('second').lastActive],
+      [true, 7, 50]
+    );
+    assert.deepEqual(changes.map(change => `${change.section}:${change.id}`), ['sessions:first', 'tabs:7']);
+    assert.equal((await readJSON('registry.json')).sessions.first.isActive, false);
+  });
+
+  it('unbinds the tab a session moved away from', async () => {
+    await registry.putSession('moved', { url: 'https://example.com/c', isActive: true, currentTabId: 8 });
+    await registry.bindTab(9, 'moved');
+
+    assert.equal(registry.findSessionByTab(8), null);
+    assert.equal(registry.findSessionByTab(9), 'moved');
+    assert.equal((await readJSON('registry.json')).tabToSession['8'], undefined);
+
+    // Opening another session in tab 8 leaves the moved one alone
+    await registry.putSession('other', { url: 'https://example.com/d' });
+    await registry.bindTab(8, 'other');
+    assert.deepEqual(
+      [registry.getSession('moved').isActive, registry.getSession('moved').currentTabId],
+      [true, 9]
+    );
+  });
+});
+
+describe('findSessionsInTabs', () => {
+  it('finds sessions by tab mapping and by their entry', async () => {
+    await registry.putSession('mapped', { url: 'https://example.com/e' });
+    await registry.bindTab(21, 'mapped');
+    await registry.putSession('entry-only', { url: 'https://example.com/f', currentTabId: 22 });
+    await registry.putSession('closed', { url: 'https://example.com/g', currentTabId: 23 });
+
+    const inUse = await registry.findSessionsInTabs([21, 22]);
+    assert.deepEqual(inUse.sort(), ['entry-only', 'mapped']);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureAI } from '../../lib/ai.js';
+import { rerank } from '../../lib/reranker.js';
+
+const candidates = [
+  { heading: 'Install', content: 'Run the installer.' },
+  { heading: 'Configure', content: 'Edit the settings file.' },
+  { heading: 'Uninstall', content: 'Remove the app.' }
+];
+
+// Chrome's Prompt API, replying with fixed relevance scores
+function fakeLanguageModel(reply, availability = 'available') {
+  return {
+    availability: async () => availability,
+    create: async () => ({ prompt: async () => reply, destroy() {} })
+  };
+}
+
+describe('rerank', () => {
+  beforeEach(() => {
+    configureAI({ provider: 'chrome' });
+  });
+
+  afterEach(() => {
+    delete globalThis.LanguageModel;
+  });
+
+  it('keeps retrieval order by default', async () => {
+    globalThis.LanguageModel = fakeLanguageModel('1: 2\n2: 9\n3: 5');
+    const results = await rerank('how to configure', candidates, { k: 2 });
+    assert.deepEqual(results, candidates.slice(0, 2));
+  });
+
+  it("reorders by the model's judgement when 'llm' is chosen", async () => {
+    globalThis.LanguageModel = fakeLanguageModel('1: 2\n2: 9\n3: 5');
+    const results = await rerank('how to configure', candidates, { k: 2, method: 'llm' });
+    assert.deepEqual(results.map(r => r.heading), ['Configure', 'Uninstall']);
+    assert.equal(results[0].rerankMethod, 'llm');
+    assert.equal(results[0].retrievalRank, 2);
+  });
+
+  it('keeps retrieval order when no model is available', async () => {
+    globalThis.LanguageModel = fakeLanguageModel('', 'unavailable');
+    const results = await rerank('how to configure', candidates, { k: 2, method: 'llm' });
+    assert.deepEqual(results, candidates.slice(0, 2));
+  });
+});
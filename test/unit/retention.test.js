@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planRetention, DEFAULT_RETENTION_CONFIG } from '../../lib/retention.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const NOW = 100 * DAY;
+
+// Item last used daysAgo days before NOW
+function item(id, daysAgo, { bytes = MB, pinned = false, inUse = false } = {}) {
+  return { id, lastActive: NOW - daysAgo * DAY, bytes, pinned, inUse };
+}
+
+function plan(items, config) {
+  return planRetention(items, { ...DEFAULT_RETENTION_CONFIG, ...config }, NOW)
+    .map(({ id, reason }) => `${id}:${reason}`);
+}
+
+describe('planRetention', () => {
+  it('removes nothing with the default settings', () => {
+    assert.deepEqual(plan([item('a', 400), item('b', 1)], {}), []);
+  });
+
+  it('applies age, then count, then size, each to what the previous rule kept', () => {
+    const items = [
+      item('new', 1),
+      item('mid', 2, { bytes: 0.5 * MB }),
+      item('old', 3, { bytes: 0.2 * MB }),
+      item('big', 4, { bytes: 5 * MB }),
+      item('ancient', 40, { bytes: 0 })
+    ];
+    // 'old' would also break the size limit, but the count rule comes first
+    assert.deepEqual(
+      plan(items, { maxAgeDays: 30, maxCount: 2, maxMegabytes: 1.6 }),
+      ['old:count', 'big:count', 'ancient:age']
+    );
+    assert.deepEqual(
+      plan(items, { maxAgeDays: 30, maxCount: 3, maxMegabytes: 1.6 }),
+      ['old:size', 'big:size', 'ancient:age']
+    );
+  });
+
+  it('does not let an older item squeeze in behind one that did not fit', () => {
+    const items = [item('a', 1), item('big', 2, { bytes: 5 * MB }), item('small', 3, { bytes: 0.5 * MB })];
+    assert.deepEqual(plan(items, { maxMegabytes: 2 }), ['big:size', 'small:size']);
+  });
+
+  it('keeps pinned and in-use items without counting them towards the limits', () => {
+    const items = [
+      item('pinned', 1, { bytes: 10 * MB, pinned: true }),
+      item('open', 2, { bytes: 10 * MB, inUse: true }),
+      item('a', 3),
+      item('b', 4),
+      item('stale', 90, { pinned: true })
+    ];
+    assert.deepEqual(plan(items, { maxAgeDays: 30, maxCount: 1, maxMegabytes: 1 }), ['b:count']);
+  });
+
+  it('removes pinned items too when keepPinned is off', () => {
+    assert.deepEqual(plan([item('a', 1), item('pinned', 2, { pinned: true })], { maxCount: 1, keepPinned: false }), ['pinned:count']);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runScheduled } from '../../lib/scheduler.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runScheduled', () => {
+  it('keeps each host under the per-host limit', async () => {
+    const items = ['a', 'a', 'a', 'a', 'b', 'b'].map((host, idx) => ({ host, idx }));
+    const running = new Map();
+    const peak = new Map();
+
+    const outcomes = await runScheduled(items, async ({ host, idx }) => {
+      running.set(host, (running.get(host) || 0) + 1);
+      peak.set(host, Math.max(peak.get(host) || 0, running.get(host)));
+      await sleep(5);
+      running.set(host, running.get(host) - 1);
+      return idx;
+    }, { concurrency: 6, perHostLimit: 2, hostOf: item => item.host });
+
+    assert.equal(peak.get('a'), 2);
+    assert.equal(peak.get('b'), 2);
+    assert.deepEqual(outcomes.map(outcome => outcome.value), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('starts jobs by priority, then input order', async () => {
+    const started = [];
+    await runScheduled(['low', 'high', 'mid', 'high-2'], async item => {
+      started.push(item);
+    }, {
+      concurrency: 1,
+      priority: item => (item.startsWith('high') ? 0 : item === 'mid' ? 1 : 2)
+    });
+
+    assert.deepEqual(started, ['high', 'high-2', 'mid', 'low']);
+  });
+
+  it('retries failed jobs with growing backoff', async () => {
+    const events = [];
+    const outcomes = await runScheduled(['flaky', 'broken'], async (item, { attempt }) => {
+      if (item === 'broken' || attempt < 3) throw new Error(`${item} failed`);
+      return attempt;
+    }, {
+      maxAttempts: 3,
+      baseDelay: 8,
+      maxDelay: 100,
+      shouldRetry: error => error.message.startsWith('flaky'),
+      onEvent: event => events.push(event)
+    });
+
+    assert.deepEqual(outcomes[0], { status: 'fulfilled', value: 3 });
+    assert.equal(outcomes[1].status, 'rejected');
+    assert.equal(outcomes[1].reason.message, 'broken failed');
+
+    const retries = events.filter(event => event.type === 'retry');
+    assert.deepEqual(retries.map(event => [event.item, event.attempt]), [['flaky', 1], ['flaky', 2]]);
+    // ±25% jitter around 8ms, then 16ms
+    assert.ok(retries[0].delay >= 6 && retries[0].delay <= 10, `first delay ${retries[0].delay}`);
+    assert.ok(retries[1].delay >= 12 && retries[1].delay <= 20, `second delay ${retries[1].delay}`);
+  });
+
+  it('rejects jobs not started before cancellation with error.cancelled', async () => {
+    let cancelled = false;
+    const outcomes = await runScheduled([1, 2, 3], async item => {
+      cancelled = true;
+      return item;
+    }, { concurrency: 1, isCancelled: () => cancelled });
+
+    assert.deepEqual(outcomes[0], { status: 'fulfilled', value: 1 });
+    for (const outcome of outcomes.slice(1)) {
+      assert.equal(outcome.status, 'rejected');
+      assert.equal(outcome.reason.cancelled, true);
+    }
+  });
+
+  it('settles every job when onEvent throws', async () => {
+    const outcomes = await runScheduled(['ok', 'bad'], async item => {
+      if (item === 'bad') throw new Error('bad');
+      return item;
+    }, {
+      onEvent: () => {
+        throw new Error('listener failed');
+      }
+    });
+
+    assert.deepEqual(outcomes.map(outcome => outcome.status), ['fulfilled', 'rejected']);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { files, readJSON } from '../helpers/fake-opfs.js';
+import * as storage from '../../lib/storage.js';
+
+describe('initialize', () => {
+  before(async () => {
+    // Left behind by writes that were interrupted before the first start
+    files.set('session_moved.json.tmp', JSON.stringify({ id: 'moved' }));
+    files.set('session_kept.json', JSON.stringify({ id: 'kept', version: 1 }));
+    files.set('session_kept.json.tmp', JSON.stringify({ id: 'kept', version: 2 }));
+    files.set('session_empty.json.tmp', '');
+    await storage.initialize();
+  });
+
+  it('promotes a complete temp file whose target is missing', () => {
+    assert.deepEqual(readJSON('session_moved.json'), { id: 'moved' });
+    assert.equal(files.has('session_moved.json.tmp'), false);
+  });
+
+  it('discards a temp file when the target still exists', () => {
+    assert.deepEqual(readJSON('session_kept.json'), { id: 'kept', version: 1 });
+    assert.equal(files.has('session_kept.json.tmp'), false);
+  });
+
+  it('discards an empty temp file', () => {
+    assert.equal(files.has('session_empty.json'), false);
+    assert.equal(files.has('session_empty.json.tmp'), false);
+  });
+});
+
+describe('update', () => {
+  it('loses no write when updates to one file overlap', async () => {
+    await storage.write('counter.json', { count: 0, seen: [] });
+
+    await Promise.all(Array.from({ length: 10 }, (_, idx) =>
+      storage.update('counter.json', async data => {
+        await new Promise(resolve => setTimeout(resolve, 10 - idx));
+        return { count: data.count + 1, seen: [...data.seen, idx] };
+      })
+    ));
+
+    const data = readJSON('counter.json');
+    assert.equal(data.count, 10);
+    assert.deepEqual(data.seen, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('leaves the file untouched when fn returns undefined', async () => {
+    await storage.write('settings.json', { theme: 'dark' });
+    const original = files.get('settings.json');
+
+    const result = await storage.update('settings.json', () => undefined);
+
+    assert.equal(result, undefined);
+    assert.equal(files.get('settings.json'), original);
+    assert.equal(files.has('settings.json.tmp'), false);
+  });
+});
@@ -4,47 +4,12 @@
  */
 
 import { MultiPageBM25 } from '../lib/multi-page-bm25.js';
-
-// Token limits for Chrome AI (conservative estimate)
-const MAX_TOTAL_TOKENS = 3500; // Leave buffer for safety
-const CHARS_PER_TOKEN = 4; // Rough estimate: 1 token ≈ 4 chars
-
-/**
- * Estimate token count from text
- */
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
-}
-
-/**
- * Calculate available tokens for context
- */
-function calculateAvailableTokens(systemPrompt, conversationHistory, question) {
-  let usedTokens = 0;
-  
-  // System prompt
-  usedTokens += estimateTokens(systemPrompt);
-  
-  // Conversation history
-  conversationHistory.forEach(msg => {
-    usedTokens += estimateTokens(msg.content);
-  });
-  
-  // Current question
-  usedTokens += estimateTokens(question);
-  
-  // Instructions and formatting overhead
-  usedTokens += 250;
-  
-  // Reserved for answer
-  usedTokens += 500;
-  
-  const available = MAX_TOTAL_TOKENS - usedTokens;
-  console.log(`[Multi-Page QnA] Token budget: ${usedTokens}/${MAX_TOTAL_TOKENS} used, ${available} available for context`);
-  
-  return Math.max(available, 500);
-}
+import { loadIndex, saveIndex } from '../lib/inverted-index.js';
+import { rerank, RERANK_CANDIDATES } from '../lib/reranker.js';
+import { detectLanguage, sampleSections } from '../lib/analyzer.js';
+import { configureAI, isAIAvailable, createSession } from '../lib/ai.js';
+import { createContextBudget, PRIORITY } from '../lib/context-budget.js';
+import { normalizeSections } from '../lib/schema.js';
 
 class MultiPageQnAWorker {
   constructor() {
@@ -52,18 +17,25 @@ class MultiPageQnAWorker {
     this.pages = [];
     this.isInitialized = false;
     this.aiSession = null; // Persistent AI session
+    this.systemPrompt = '';
     this.sessionMessagesAppended = []; // Track appended messages
   }
 
   /**
    * Initialize with multiple pages
    * @param {Array} pages - Array of {url, title, extractedContent}
+   * @param {Object} aiConfig - Provider settings from the sidebar
+   * @param {string} sessionId - Chat session (enables the persisted index)
    */
-  async initialize(pages) {
+  async initialize(pages, aiConfig = null, sessionId = null) {
     // console.log('[Multi-Page QnA] 🚀 Initializing with', pages.length, 'pages');
 
+    configureAI(aiConfig);
     this.pages = pages;
-    this.bm25 = new MultiPageBM25();
+    
+    // Reuse the session's persisted index - only new or changed pages get tokenized
+    const savedIndex = sessionId ? await loadIndex(sessionId) : null;
+    this.bm25 = new MultiPageBM25(savedIndex);
     
     // Reset session tracking
     this.sessionMessagesAppended = [];
@@ -79,8 +51,8 @@ class MultiPageQnAWorker {
     }
 
     // Index all pages
-    pages.forEach((page, index) => {
-      const docId = `page_${index}`;
+    for (const [index, page] of pages.entries()) {
+      const docId = page.url || `page_${index}`;
       
       // console.log(`[Multi-Page QnA] 📄 Page ${index}:`, {
       //   url: page.url,
@@ -91,10 +63,11 @@ class MultiPageQnAWorker {
       
       if (!page.extractedContent || !page.extractedContent.sections) {
         console.warn('[Multi-Page QnA] ⚠️ Page missing extractedContent:', page.url);
-        return;
+        continue;
       }
 
-      const sections = page.extractedContent.sections;
+      // Mentioned tabs arrive straight from the content script (text only)
+      const sections = normalizeSections(page.extractedContent.sections);
       // console.log(`[Multi-Page QnA] 📄 Page ${index} sections:`, sections.length);
       
       // Log first section as sample
@@ -111,9 +84,16 @@ class MultiPageQnAWorker {
         docId,
         page.url,
         page.title,
-        sections
+        sections,
+        await detectLanguage(sampleSections(sections))
       );
-    });
+    }
+
+    // Drop pages that are no longer part of this chat, then persist changes
+    this.bm25.retainDocuments(new Set(this.bm25.documents.map(d => d.id)));
+    if (sessionId) {
+      await saveIndex(sessionId, this.bm25.index);
+    }
 
     const stats = this.bm25.getStats();
     // console.log('[Multi-Page QnA] ✅ Initialized with stats:', stats);
@@ -129,14 +109,8 @@ class MultiPageQnAWorker {
    * Initialize AI session (called during initialize)
    */
   async initializeAISession() {
-    if (typeof LanguageModel === 'undefined') {
-      console.warn('[Multi-Page QnA] ⚠️ LanguageModel API not available');
-      return;
-    }
-
     try {
-      const availability = await LanguageModel.availability();
-      if (availability === 'unavailable') {
+      if (!(await isAIAvailable())) {
         console.warn('[Multi-Page QnA] ⚠️ AI unavailable');
         return;
       }
@@ -159,7 +133,8 @@ BAD Answer Format:
 
 Answer STRICTLY from the sources below.`;
 
-      this.aiSession = await LanguageModel.create({
+      this.systemPrompt = systemPrompt;
+      this.aiSession = await createSession({
         systemPrompt: systemPrompt
       });
 
@@ -170,6 +145,37 @@ Answer STRICTLY from the sources below.`;
     }
   }
 
+  /**
+   * Pack retrieved sections into the remaining context window
+   * Top-ranked section first; the last one that fits is cut at a sentence boundary
+   * @returns {Promise<string>} - Formatted sources block
+   */
+  async packSources(question, retrievedSections) {
+    const budget = createContextBudget(this.aiSession, {
+      sessionContext: [this.systemPrompt, ...this.sessionMessagesAppended.map(msg => msg.content)]
+    });
+
+    const packed = await budget.pack([
+      { kind: 'prompt', text: `Question: ${question}\n\nAnswer (cite domain names):`, priority: PRIORITY.REQUIRED },
+      ...retrievedSections.map((section, idx) => ({
+        kind: 'section',
+        text: section.content,
+        render: text => `[Source: ${section.domain}]\n${section.heading ? `## ${section.heading}\n` : ''}${text}\n\n---\n\n`,
+        section,
+        priority: idx === 0 ? PRIORITY.HIGH : PRIORITY.NORMAL,
+        truncate: true
+      }))
+    ]);
+
+    const included = packed.items.filter(item => item.kind === 'section');
+    console.log(`[Multi-Page QnA] Context budget: ${packed.usedTokens}/${budget.available} tokens, ${included.length}/${retrievedSections.length} sections`);
+
+    return included.map(({ section, text }) => {
+      const heading = section.heading ? `## ${section.heading}\n` : '';
+      return `[Source: ${section.domain}]\n${heading}${text}`;
+    }).join('\n\n---\n\n');
+  }
+
   /**
    * Answer a question using BM25 retrieval + AI
    * @param {string} question - User's question
@@ -183,8 +189,9 @@ Answer STRICTLY from the sources below.`;
     // console.log('[Multi-Page QnA] 📝 Question:', question);
 
     try {
-      // Step 1: BM25 retrieval across all pages
-      const retrievedSections = this.bm25.search(question, 5);
+      // Step 1: BM25 retrieval across all pages, re-ranked against the question
+      const candidates = this.bm25.search(question, RERANK_CANDIDATES);
+      const retrievedSections = await rerank(question, candidates, { k: 5 });
 
       // console.log('[Multi-Page QnA] 📚 Retrieved', retrievedSections.length, 'sections:');
       // retrievedSections.forEach((s, i) => {
@@ -203,56 +210,8 @@ Answer STRICTLY from the sources below.`;
         };
       }
 
-      // Step 2: Build context with URL citations and dynamic sizing
-      // Use actual system prompt for accurate token estimation
-      const systemPromptText = `You are Nutshell, an offline AI assistant that answers ONLY from provided webpage sources.
-
-CRITICAL RULES:
-1. You are OFFLINE - answer ONLY from provided sources
-2. Answer DIRECTLY and naturally - cite sources by domain name
-3. Be CONCISE - 1-2 short paragraphs (unless user asks to elaborate)
-4. DO NOT use external knowledge or training data
-5. If sources lack information, say: "The provided sources don't contain that information."
-6. Write naturally as if YOU know the answer, while citing sources
-
-Answer STRICTLY from the sources below.`;
-
-      const availableTokens = calculateAvailableTokens(
-        systemPromptText,
-        this.sessionMessagesAppended,
-        question
-      );
-      const availableChars = availableTokens * CHARS_PER_TOKEN;
-      
-      // Distribute chars across sections
-      const numSections = retrievedSections.length;
-      const charsPerSection = Math.floor(availableChars / numSections) - 100; // Overhead
-      const maxCharsPerSection = Math.max(charsPerSection, 400);
-      
-      console.log(`[Multi-Page QnA] Context budget: ${availableChars} chars for ${numSections} sections = ${maxCharsPerSection} chars/section`);
-      
-      const context = retrievedSections.map((section, idx) => {
-        const heading = section.heading ? `## ${section.heading}\n` : '';
-        let content = section.content;
-        
-        // Adaptive truncation
-        if (content.length > maxCharsPerSection) {
-          let truncated = content.substring(0, maxCharsPerSection);
-          const lastSentence = Math.max(
-            truncated.lastIndexOf('.'),
-            truncated.lastIndexOf('?'),
-            truncated.lastIndexOf('!')
-          );
-          
-          if (lastSentence > maxCharsPerSection * 0.7) {
-            truncated = content.substring(0, lastSentence + 1);
-          }
-          
-          content = truncated + (truncated.length < section.content.length ? '...' : '');
-        }
-        
-        return `[Source: ${section.domain}]\n${heading}${content}`;
-      }).join('\n\n---\n\n');
+      // Step 2: Pack sources into the session's remaining context window
+      const context = await this.packSources(question, retrievedSections);
 
       // Step 3: Prepare AI prompt
       const fullPrompt = `===== SOURCES =====
@@ -348,6 +307,7 @@ Answer concisely using the sources above:`;
           domain: s.domain,
           heading: s.heading,
           score: s.score,
+          rerankScore: s.rerankScore ?? null,
           url: s.url
         }))
       };
@@ -425,8 +385,9 @@ Answer concisely using the sources above:`;
         }
       }
       
-      // Step 1: BM25 retrieval with enhanced query
-      const retrievedSections = this.bm25.search(searchQuery, 5);
+      // Step 1: BM25 retrieval with enhanced query, re-ranked against the question
+      const candidates = this.bm25.search(searchQuery, RERANK_CANDIDATES);
+      const retrievedSections = await rerank(question, candidates, { k: 5 });
 
       // console.log('[Multi-Page QnA] 📚 Retrieved (streaming)', retrievedSections.length, 'sections');
       // retrievedSections.forEach((s, i) => {
@@ -446,56 +407,8 @@ Answer concisely using the sources above:`;
         };
       }
 
-      // Step 2: Build context with dynamic sizing
-      // Use actual system prompt for accurate token estimation
-      const systemPromptText = `You are Nutshell, an offline AI assistant that answers ONLY from provided webpage sources.
-
-CRITICAL RULES:
-1. You are OFFLINE - answer ONLY from provided sources
-2. Answer DIRECTLY and naturally - cite sources by domain name (e.g., "According to example.com, ...")
-3. Be CONCISE - 1-2 short paragraphs (unless user asks to elaborate)
-4. DO NOT use external knowledge or training data
-5. If sources lack information, say: "The provided sources don't contain that information."
-6. Write naturally as if YOU know the answer, while citing sources
-
-Answer STRICTLY from the sources below.`;
-
-      const availableTokens = calculateAvailableTokens(
-        systemPromptText,
-        this.sessionMessagesAppended,
-        question
-      );
-      const availableChars = availableTokens * CHARS_PER_TOKEN;
-      
-      // Distribute chars across sections
-      const numSections = retrievedSections.length;
-      const charsPerSection = Math.floor(availableChars / numSections) - 100;
-      const maxCharsPerSection = Math.max(charsPerSection, 400);
-      
-      console.log(`[Multi-Page QnA] Context budget: ${availableChars} chars for ${numSections} sections = ${maxCharsPerSection} chars/section`);
-      
-      const context = retrievedSections.map((section) => {
-        const heading = section.heading ? `## ${section.heading}\n` : '';
-        let content = section.content;
-        
-        // Adaptive truncation
-        if (content.length > maxCharsPerSection) {
-          let truncated = content.substring(0, maxCharsPerSection);
-          const lastSentence = Math.max(
-            truncated.lastIndexOf('.'),
-            truncated.lastIndexOf('?'),
-            truncated.lastIndexOf('!')
-          );
-          
-          if (lastSentence > maxCharsPerSection * 0.7) {
-            truncated = content.substring(0, lastSentence + 1);
-          }
-          
-          content = truncated + (truncated.length < section.content.length ? '...' : '');
-        }
-        
-        return `[Source: ${section.domain}]\n${heading}${content}`;
-      }).join('\n\n---\n\n');
+      // Step 2: Pack sources into the session's remaining context window
+      const context = await this.packSources(question, retrievedSections);
 
       // Step 3: Prepare prompt
       const systemPromptInstruction = `You are Nutshell, an offline AI assistant that answers ONLY from provided webpage sources.
@@ -631,6 +544,7 @@ Answer concisely using the sources above:`;
           heading: s.heading,
           domain: s.domain,
           score: s.score,
+          rerankScore: s.rerankScore ?? null,
           url: s.url,
           pageTitle: s.pageTitle || s.domain
         }))
@@ -678,6 +592,7 @@ Answer concisely using the sources above:`;
         heading: s.heading,
         domain: s.domain,
         score: s.score,
+        rerankScore: s.rerankScore ?? null,
         url: s.url,
         pageTitle: s.pageTitle || s.domain
       }))
@@ -694,7 +609,7 @@ self.addEventListener('message', async (event) => {
 
   try {
     if (type === 'INITIALIZE') {
-      await worker.initialize(data.pages);
+      await worker.initialize(data.pages, data.aiConfig, data.sessionId);
       self.postMessage({ 
         type: 'INITIALIZED', 
         success: true,
@@ -1,11 +1,18 @@
 /**
  * Q&A Worker - Question Answering with BM25 RAG
- * Uses BM25 retrieval + Chrome AI Language Model
+ * Uses BM25 retrieval + the configured language model provider
  */
 
 import { BM25Retriever } from '../lib/retrieval.js';
+import { rerank, RERANK_CANDIDATES } from '../lib/reranker.js';
+import { sectionBody } from '../lib/markdown.js';
+import { selectCitationQuote, validateCitations } from '../lib/citations.js';
+import { detectLanguage, sampleSections } from '../lib/analyzer.js';
+import { configureAI, isAIAvailable, createSession } from '../lib/ai.js';
+import { createContextBudget, PRIORITY } from '../lib/context-budget.js';
 
 let retriever = null;
+let pageDocuments = new Map(); // docId → sections for the current page (+ recent pages)
 let aiSession = null;
 let conversationHistory = [];
 let currentPageUrl = null;
@@ -14,62 +21,6 @@ let multiPageContext = null;  // Stores context from multiple pages
 let previousConversationSummary = null;  // Flow summary from previous page
 let sessionMessagesAppended = []; // Track what we've already appended to session
 
-// Token limits for Chrome AI (conservative estimate)
-const MAX_TOTAL_TOKENS = 3500; // Leave buffer for safety
-const CHARS_PER_TOKEN = 4; // Rough estimate: 1 token ≈ 4 chars
-
-/**
- * Estimate token count from text
- * @param {string} text - Text to estimate
- * @returns {number} Estimated tokens
- */
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / CHARS_PER_TOKEN);
-}
-
-/**
- * Calculate available tokens for context
- * @param {string} systemPrompt - System prompt text
- * @param {Array} conversationHistory - Chat history
- * @param {string} question - User question
- * @param {Array} mentionedTabs - Mentioned tabs data
- * @returns {number} Available tokens for webpage context
- */
-function calculateAvailableTokens(systemPrompt, conversationHistory, question, mentionedTabs = []) {
-  let usedTokens = 0;
-  
-  // System prompt
-  usedTokens += estimateTokens(systemPrompt);
-  
-  // Conversation history
-  conversationHistory.forEach(msg => {
-    usedTokens += estimateTokens(msg.content);
-  });
-  
-  // Current question
-  usedTokens += estimateTokens(question);
-  
-  // Mentioned tabs context
-  mentionedTabs.forEach(tab => {
-    if (tab.chatSummary) {
-      usedTokens += estimateTokens(tab.chatSummary);
-    }
-    usedTokens += estimateTokens(tab.pageTitle) + 50; // Header overhead
-  });
-  
-  // Instructions and formatting (estimated overhead)
-  usedTokens += 200;
-  
-  // Reserved for answer (need space for AI response)
-  usedTokens += 500;
-  
-  const available = MAX_TOTAL_TOKENS - usedTokens;
-  console.log(`[QnAWorker] Token budget: ${usedTokens}/${MAX_TOTAL_TOKENS} used, ${available} available for context`);
-  
-  return Math.max(available, 500); // Minimum 500 tokens for context
-}
-
 /**
  * Initialize worker
  */
@@ -101,11 +52,25 @@ self.addEventListener('message', async (event) => {
   }
 });
 
+/**
+ * Detect the language of each index document (selects stemmer and stopwords)
+ */
+async function detectDocumentLanguages(documents) {
+  const languages = new Map();
+  for (const [docId, sections] of documents) {
+    languages.set(docId, await detectLanguage(sampleSections(sections)));
+  }
+  return languages;
+}
+
 /**
  * Initialize with sections and optional conversation context
  */
 async function handleInit(data) {
-  const { sections, pageUrl, pageTitle, multiPageContext: mpContext, conversationSummary, chatHistory } = data;
+  const { sections, pageUrl, pageTitle, multiPageContext: mpContext, conversationSummary, chatHistory, aiConfig } = data;
+  
+  // Workers can't read chrome.storage - use provider settings passed by the sidebar
+  configureAI(aiConfig);
   
   // console.log('[QnAWorker] Initializing with', sections.length, 'sections');
   if (conversationSummary) {
@@ -129,18 +94,16 @@ async function handleInit(data) {
     aiSession = null;
   }
   
-  // Prepare all sections with page source info
-  const allSections = [];
+  // Prepare sections with page source info - one index document per page
+  pageDocuments = new Map();
   
   // Add current page sections
-  sections.forEach(section => {
-    allSections.push({
-      ...section,
-      pageUrl: currentPageUrl,
-      pageTitle: currentPageTitle,
-      isCurrentPage: true
-    });
-  });
+  pageDocuments.set('page', sections.map(section => ({
+    ...section,
+    pageUrl: currentPageUrl,
+    pageTitle: currentPageTitle,
+    isCurrentPage: true
+  })));
   
   // Add recent pages' sections if multi-page context available
   if (multiPageContext && multiPageContext.recentPages) {
@@ -148,34 +111,29 @@ async function handleInit(data) {
     
     multiPageContext.recentPages.forEach((page, pageIndex) => {
       if (page.sections && page.sections.length > 0) {
-        page.sections.forEach(section => {
-          allSections.push({
-            ...section,
-            pageUrl: page.url,
-            pageTitle: page.title,
-            isCurrentPage: false,
-            pageIndex: pageIndex + 1 // 1-indexed for UI
-          });
-        });
+        pageDocuments.set(`page:${page.url}`, page.sections.map(section => ({
+          ...section,
+          pageUrl: page.url,
+          pageTitle: page.title,
+          isCurrentPage: false,
+          pageIndex: pageIndex + 1 // 1-indexed for UI
+        })));
       }
     });
   }
   
-  // console.log('[QnAWorker] Total sections across all pages:', allSections.length);
-  
-  // Create BM25 retriever with all sections
-  retriever = new BM25Retriever(allSections);
+  // Create BM25 retriever over an incremental index
+  retriever = new BM25Retriever([]);
+  retriever.syncDocuments(pageDocuments, await detectDocumentLanguages(pageDocuments));
   // console.log('[QnAWorker] ✅ BM25 retriever ready (multi-page context:', multiPageContext ? 'enabled' : 'disabled', ')');
   
-  // Check if AI session is available (using global LanguageModel)
-  const hasAI = typeof LanguageModel !== 'undefined';
+  // Check if AI session is available (Chrome AI or local provider)
+  const hasAI = await isAIAvailable();
   
   if (hasAI) {
     try {
-      const availability = await LanguageModel.availability();
-      if (availability !== 'unavailable') {
-        // Build system prompt with optional conversation context
-        let systemPrompt = `You are Nutshell, an offline AI assistant that answers from the current webpage content and our conversation history.
+      // Build system prompt with optional conversation context
+      let systemPrompt = `You are Nutshell, an offline AI assistant that answers from the current webpage content and our conversation history.
 
 CRITICAL RULES:
 1. You are OFFLINE - answer from provided webpage content AND our conversation history
@@ -185,7 +143,7 @@ CRITICAL RULES:
 5. Be CONCISE - 1-2 short paragraphs (unless user asks to elaborate)
 6. If information isn't available in either source, say: "I don't have that information in our conversation or the current webpage."
 7. Write naturally as if YOU know the answer
-8. DO NOT mention section numbers in the answer
+8. Add [source N] after each sentence that uses webpage section N (never write "Section N says")
 
 GOOD Answer Format:
 "Artificial intelligence (AI) is the capability of machines to perform tasks requiring human intelligence, such as learning, reasoning, and problem-solving. It enables systems to perceive, understand, and act on information."
@@ -198,72 +156,71 @@ CONVERSATION CONTEXT:
 - When user asks "what was my first question" or "what did we discuss", refer to the conversation history
 - The conversation history is automatically available to you`;
 
-        systemPrompt += `\n\nWrite naturally and directly.`;
-        
-        aiSession = await LanguageModel.create({
-          systemPrompt: systemPrompt,
-          outputLanguage: 'en'
+      systemPrompt += `\n\nWrite naturally and directly.`;
+      
+      aiSession = await createSession({
+        systemPrompt: systemPrompt,
+        outputLanguage: 'en'
+      });
+      
+      // If we have conversation summary from previous page, append it as assistant message
+      if (previousConversationSummary && previousConversationSummary.trim().length > 0) {
+        await aiSession.append({
+          role: 'assistant',
+          content: `[Previous page conversation summary]\n${previousConversationSummary}`
         });
+        sessionMessagesAppended.push({
+          role: 'assistant',
+          content: previousConversationSummary,
+          type: 'summary'
+        });
+        // console.log('[QnAWorker] ✅ Appended previous conversation summary to session');
+      }
+      
+      // ✅ Load chat history into session if resuming from history
+      if (chatHistory && Array.isArray(chatHistory) && chatHistory.length > 0) {
+        // console.log('[QnAWorker] Loading', chatHistory.length, 'messages from history');
         
-        // If we have conversation summary from previous page, append it as assistant message
-        if (previousConversationSummary && previousConversationSummary.trim().length > 0) {
-          await aiSession.append({
-            role: 'assistant',
-            content: `[Previous page conversation summary]\n${previousConversationSummary}`
-          });
-          sessionMessagesAppended.push({
-            role: 'assistant',
-            content: previousConversationSummary,
-            type: 'summary'
-          });
-          // console.log('[QnAWorker] ✅ Appended previous conversation summary to session');
-        }
-        
-        // ✅ Load chat history into session if resuming from history
-        if (chatHistory && Array.isArray(chatHistory) && chatHistory.length > 0) {
-          // console.log('[QnAWorker] Loading', chatHistory.length, 'messages from history');
-          
-          for (const msg of chatHistory) {
-            // Only append user and nutshell messages (skip system, navigation, etc.)
-            if (msg.role === 'user' || msg.role === 'nutshell') {
-              try {
-                // ✅ Ensure content is a string, not an object
-                let messageContent = msg.content;
-                
-                // If content is an object, try to extract text
-                if (typeof messageContent === 'object' && messageContent !== null) {
-                  if (messageContent.text) {
-                    messageContent = messageContent.text;
-                  } else if (messageContent.content) {
-                    messageContent = messageContent.content;
-                  } else {
-                    messageContent = JSON.stringify(messageContent);
-                  }
+        for (const msg of chatHistory) {
+          // Only append user and nutshell messages (skip system, navigation, etc.)
+          if (msg.role === 'user' || msg.role === 'nutshell') {
+            try {
+              // ✅ Ensure content is a string, not an object
+              let messageContent = msg.content;
+              
+              // If content is an object, try to extract text
+              if (typeof messageContent === 'object' && messageContent !== null) {
+                if (messageContent.text) {
+                  messageContent = messageContent.text;
+                } else if (messageContent.content) {
+                  messageContent = messageContent.content;
+                } else {
+                  messageContent = JSON.stringify(messageContent);
                 }
-                
-                // Ensure it's a string
-                messageContent = String(messageContent);
-                const appendRole = msg.role === 'user' ? 'user' : 'assistant';
-                
-                await aiSession.append({
-                  role: appendRole,
-                  content: messageContent
-                });
-                
-                sessionMessagesAppended.push({
-                  role: appendRole,
-                  content: messageContent,
-                  type: 'history'
-                });
-              } catch (appendError) {
-                console.warn('[QnAWorker] Failed to append message:', appendError);
               }
+              
+              // Ensure it's a string
+              messageContent = String(messageContent);
+              const appendRole = msg.role === 'user' ? 'user' : 'assistant';
+              
+              await aiSession.append({
+                role: appendRole,
+                content: messageContent
+              });
+              
+              sessionMessagesAppended.push({
+                role: appendRole,
+                content: messageContent,
+                type: 'history'
+              });
+            } catch (appendError) {
+              console.warn('[QnAWorker] Failed to append message:', appendError);
             }
           }
         }
-        
-        // console.log('[QnAWorker] ✅ AI session created with proper session management');
       }
+      
+      // console.log('[QnAWorker] ✅ AI session created with proper session management');
     } catch (error) {
       console.warn('[QnAWorker] Could not create AI session:', error);
       aiSession = null;
@@ -350,41 +307,28 @@ async function handleAsk(data) {
     }
   }
   
-  // Step 0: Add mentioned tabs' sections to retriever (temporarily)
-  let tempRetriever = retriever;
+  // Step 0: Add mentioned tabs' sections to the index (incrementally)
+  // Tabs mentioned in an earlier question but not this one are removed again
+  const documents = new Map(pageDocuments);
   if (mentionedTabs.length > 0) {
     console.log('[QnAWorker] 🔗 Cross-tab chat detected:', mentionedTabs.length, 'mentioned tabs');
     
-    // Create a temporary retriever with current + mentioned tabs' sections
-    const currentSections = retriever.sections || [];
-    const allSections = [...currentSections]; // Current page sections
-    
-    console.log('[QnAWorker] Current page sections:', currentSections.length);
-    
     mentionedTabs.forEach((tab, idx) => {
       console.log(`[QnAWorker] Tab ${idx + 1}:`, tab.pageTitle, '- Sections:', tab.sections?.length || 0);
       
       if (tab.sections && tab.sections.length > 0) {
-        tab.sections.forEach(section => {
-          allSections.push({
-            ...section,
-            pageUrl: tab.url,
-            pageTitle: tab.pageTitle,
-            isCurrentPage: false,
-            isMentionedTab: true,
-            mentionedTabDomain: tab.domain
-          });
-        });
+        documents.set(`tab:${tab.url}`, tab.sections.map(section => ({
+          ...section,
+          pageUrl: tab.url,
+          pageTitle: tab.pageTitle,
+          isCurrentPage: false,
+          isMentionedTab: true,
+          mentionedTabDomain: tab.domain
+        })));
       }
     });
-    
-    console.log('[QnAWorker] Total sections (current + mentioned):', allSections.length);
-    
-    // Create new retriever with all sections
-    tempRetriever = new BM25Retriever(allSections);
-    
-    console.log('[QnAWorker] ✅ Temporary retriever created with', allSections.length, 'sections');
   }
+  retriever.syncDocuments(documents, await detectDocumentLanguages(documents));
   
   // Step 1: Retrieve relevant sections
   postMessage({
@@ -460,9 +404,10 @@ async function handleAsk(data) {
     }
   }
   
-  // Use BM25 retrieval (with mentioned tabs if any)
+  // Use BM25 retrieval (with mentioned tabs if any), then re-rank candidates against the question
   // console.log('[QnAWorker] 🔍 Using BM25 retrieval');
-  const results = tempRetriever.search(searchQuery, 3);
+  const candidates = retriever.search(searchQuery, RERANK_CANDIDATES);
+  const results = await rerank(question, candidates, { k: 3 });
   
   if (results.length === 0) {
     postMessage({
@@ -483,7 +428,7 @@ async function handleAsk(data) {
   });
   // console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   
-  // Get the actual system prompt for accurate token estimation
+  // System prompt already in the session (estimated only if the session doesn't report usage)
   const systemPrompt = `You are Nutshell, an offline AI assistant that answers from the current webpage content and our conversation history.
 
 CRITICAL RULES:
@@ -494,7 +439,7 @@ CRITICAL RULES:
 5. Be CONCISE - 1-2 short paragraphs (unless user asks to elaborate)
 6. If information isn't available in either source, say: "I don't have that information in our conversation or the current webpage."
 7. Write naturally as if YOU know the answer
-8. DO NOT mention section numbers in the answer
+8. Add [source N] after each sentence that uses webpage section N (never write "Section N says")
 
 CONVERSATION CONTEXT:
 - You have access to our full conversation history through session.append()
@@ -503,43 +448,45 @@ CONVERSATION CONTEXT:
 
 Write naturally and directly.`;
 
-  const availableTokens = calculateAvailableTokens(
-    systemPrompt,
-    sessionMessagesAppended,
-    question,
-    mentionedTabs
-  );
-  const availableChars = availableTokens * CHARS_PER_TOKEN;
-  
-  // Distribute available chars across sections
-  const numSections = results.length;
-  const charsPerSection = Math.floor(availableChars / numSections) - 50; // 50 char overhead per section
-  const maxCharsPerSection = Math.max(charsPerSection, 300); // Minimum 300 chars per section
-  
-  console.log(`[QnAWorker] Context budget: ${availableChars} chars for ${numSections} sections = ${maxCharsPerSection} chars/section`);
-  
-  const context = results.map((result, idx) => {
-    const section = result.section;
+  // Pack sections and mentioned tabs' summaries into the remaining window
+  // Top section first, then other sections, then mentioned tabs
+  let includedResults = results.map(result => ({ result, text: sectionBody(result.section) }));
+  let includedTabs = mentionedTabs;
+  if (aiSession) {
+    const budget = createContextBudget(aiSession, {
+      sessionContext: [systemPrompt, ...sessionMessagesAppended.map(msg => msg.content)]
+    });
+    const packed = await budget.pack([
+      { kind: 'prompt', text: `Question: ${question}\n\nInstructions: Answer using the webpage content above.`, priority: PRIORITY.REQUIRED },
+      ...results.map((result, idx) => ({
+        kind: 'section',
+        text: sectionBody(result.section),
+        render: text => `[source ${idx + 1}: "${result.section.heading}"]\n${text}\n\n`,
+        result,
+        priority: idx === 0 ? PRIORITY.HIGH : PRIORITY.NORMAL,
+        truncate: true
+      })),
+      ...mentionedTabs.map((tab, idx) => ({
+        kind: 'tab',
+        text: `${tab.pageTitle} (${tab.domain})\n${tab.chatSummary || ''}`,
+        render: text => `Tab ${idx + 1}: Recent conversation:\n${text}\n\n`,
+        tab,
+        priority: PRIORITY.LOW,
+        truncate: true
+      }))
+    ]);
     
-    // Adaptive truncation based on available space
-    let text = section.text;
-    if (text.length > maxCharsPerSection) {
-      // Smart truncation: Try to end at sentence boundary
-      let truncated = text.substring(0, maxCharsPerSection);
-      const lastPeriod = truncated.lastIndexOf('.');
-      const lastQuestion = truncated.lastIndexOf('?');
-      const lastExclaim = truncated.lastIndexOf('!');
-      const lastSentence = Math.max(lastPeriod, lastQuestion, lastExclaim);
-      
-      if (lastSentence > maxCharsPerSection * 0.7) {
-        // Good sentence boundary found
-        truncated = text.substring(0, lastSentence + 1);
-      }
-      
-      text = truncated + (truncated.length < section.text.length ? '...' : '');
-    }
+    includedResults = packed.items.filter(item => item.kind === 'section');
+    includedTabs = packed.items.filter(item => item.kind === 'tab').map(item => ({
+      ...item.tab,
+      chatSummary: item.truncated ? item.text.split('\n').slice(1).join('\n') : item.tab.chatSummary
+    }));
     
-    return `[Section ${idx + 1}: "${section.heading}"]\n${text}`;
+    console.log(`[QnAWorker] Context budget: ${packed.usedTokens}/${budget.available} tokens, ${includedResults.length}/${results.length} sections, ${packed.dropped.length} items dropped`);
+  }
+  
+  const context = includedResults.map(({ result, text }, idx) => {
+    return `[source ${idx + 1}: "${result.section.heading}"]\n${text}`;
   }).join('\n\n');
   
   // Step 3: Build prompt
@@ -558,11 +505,11 @@ Write naturally and directly.`;
     let prompt = `Current webpage content (use this to answer the question):\n\n${context}\n\n`;
     
     // Add mentioned tabs' chat summaries if available
-    if (mentionedTabs.length > 0) {
+    if (includedTabs.length > 0) {
       prompt += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
       prompt += `CONTEXT FROM MENTIONED TABS:\n\n`;
       
-      mentionedTabs.forEach((tab, idx) => {
+      includedTabs.forEach((tab, idx) => {
         prompt += `Tab ${idx + 1}: ${tab.pageTitle} (${tab.domain})\n`;
         if (tab.chatSummary) {
           prompt += `Recent conversation:\n${tab.chatSummary}\n\n`;
@@ -636,13 +583,12 @@ Write naturally and directly.`;
         console.warn('[QnAWorker] ⚠️ Input too long error detected. Retrying with reduced context...');
         
         // Retry with much more aggressive truncation
-        const reducedContext = results.map((result, idx) => {
+        // Same sections (and numbering) as the citations
+        const reducedContext = includedResults.map(({ result }, idx) => {
           const section = result.section;
           // Use only first 400 chars per section
-          const text = section.text.length > 400
-            ? section.text.substring(0, 400) + '...'
-            : section.text;
-          return `[Section ${idx + 1}: "${section.heading}"]\n${text}`;
+          const text = sectionBody(section, { maxChars: 400 });
+          return `[source ${idx + 1}: "${section.heading}"]\n${text}`;
         }).join('\n\n');
         
         // Rebuild prompt with reduced context
@@ -685,12 +631,24 @@ Write naturally and directly.`;
     responseTime = 0;
   }
   
+  // Check [source N] markers against the sections they point to (remap or drop bad ones)
+  const validation = validateCitations(answer, includedResults.map(({ result }) => result.section));
+  answer = validation.answer;
+  if (validation.stats.remapped + validation.stats.dropped > 0) {
+    console.log('[QnAWorker] Citation markers repaired:', validation.stats);
+  }
+  
   // Step 5: Extract citations (with page source info for multi-page context and mentioned tabs)
-  const citations = results.map(result => ({
+  const citations = includedResults.map(({ result }, idx) => ({
     sectionId: result.section.id,
     heading: result.section.heading,
     snippet: result.section.text.substring(0, 150) + '...',
     relevanceScore: result.score,
+    rerankScore: result.rerankScore ?? null,
+    retrievalRank: result.retrievalRank ?? null,
+    anchor: result.section.anchor || null,
+    quote: selectCitationQuote(result.section, validation.claims[idx], question),
+    confidence: validation.confidence[idx],
     pageTitle: result.section.pageTitle || 'Current Page',
     pageUrl: result.section.pageUrl || currentPageUrl,
     isCurrentPage: result.section.isCurrentPage !== false, // Default to true if not specified
@@ -734,8 +692,13 @@ function handleReset() {
     }
   }
   
-  // Create new session (using global LanguageModel)
-  if (typeof LanguageModel !== 'undefined') {
+  // Create new session (through the provider layer)
+  isAIAvailable().then(hasAI => {
+    if (!hasAI) {
+      postMessage({ type: 'READY' });
+      return;
+    }
+    
     // Build system prompt
     let systemPrompt = `You are Nutshell, an offline AI assistant that answers ONLY from the current webpage content.
 
@@ -748,7 +711,7 @@ CRITICAL RULES:
 
     systemPrompt += `\n\nWrite naturally and directly.`;
     
-    LanguageModel.create({
+    return createSession({
       systemPrompt: systemPrompt,
       outputLanguage: 'en'
     }).then(async (session) => {
@@ -778,9 +741,7 @@ CRITICAL RULES:
       aiSession = null;
       postMessage({ type: 'READY' });
     });
-  } else {
-    postMessage({ type: 'READY' });
-  }
+  });
 }
 
 // console.log('[QnAWorker] 🚀 Worker initialized');
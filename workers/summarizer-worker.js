@@ -1,8 +1,16 @@
 /**
  * Summarizer Worker - Parallel Section Summarization
- * Uses Chrome Summarizer API
+ * Uses the configured summarizer provider (Chrome Summarizer API or local model)
+ * Section summaries (map) are reduced into a page-level summary at the end
  */
 
+import { configureAI, isSummarizerAvailable, createSummarizer } from '../lib/ai.js';
+import { sectionBody } from '../lib/markdown.js';
+import { reduceSummaries } from '../lib/map-reduce-summarizer.js';
+import { mapWithConcurrency } from '../lib/utils.js';
+
+const SECTION_CONCURRENCY = 2; // Sections summarized at once (streamed into their own cards)
+
 let sections = [];
 let summarizers = [];
 let sectionSummaries = [];
@@ -42,6 +50,9 @@ self.addEventListener('message', async (event) => {
 async function handleSummarize(data) {
   sections = data.sections;
   
+  // Workers can't read chrome.storage - use provider settings passed by the sidebar
+  configureAI(data.aiConfig);
+  
   if (!sections || sections.length === 0) {
     throw new Error('No sections provided');
   }
@@ -58,16 +69,14 @@ async function handleSummarize(data) {
     }))
   });
   
-  // Check if Summarizer API is available
-  if (!('Summarizer' in self)) {
-    console.warn('[SummarizerWorker] Chrome Summarizer API not available, using fallback');
+  // Check if a summarizer is available
+  if (!(await isSummarizerAvailable())) {
+    console.warn('[SummarizerWorker] No summarizer available, using fallback');
     
     // Send fallback for each section
     for (let i = 0; i < sections.length; i++) {
       const section = sections[i];
-      const fallbackText = section.text.length > 500 
-        ? section.text.substring(0, 500) + '...' 
-        : section.text;
+      const fallbackText = sectionBody(section, { maxChars: 500 });
       
       postMessage({
         type: 'SECTION_SUMMARY',
@@ -78,7 +87,7 @@ async function handleSummarize(data) {
         summary: fallbackText,
         originalLength: section.text.length,
         failed: true,
-        error: 'Summarizer API not available'
+        error: 'Summarizer not available'
       });
     }
     
@@ -86,105 +95,20 @@ async function handleSummarize(data) {
     return;
   }
   
-  // Step 2: Process sections one by one (top to bottom)
-  sectionSummaries = [];
+  // Step 2: Summarize sections, a few at a time (top to bottom)
+  sectionSummaries = await mapWithConcurrency(sections, SECTION_CONCURRENCY, summarizeSection);
   
-  for (let i = 0; i < sections.length; i++) {
-    const section = sections[i];
-    
-    try {
-      // Create summarizer for this section
-      const summarizer = await Summarizer.create({
-        type: 'key-points',
-        format: 'plain-text',
-        length: 'short'
-      });
-      
-      // Prepare text: heading + content
-      const textToSummarize = `${section.heading}\n\n${section.text}`;
-      
-      // Use streaming API for real-time display
-      const stream = summarizer.summarizeStreaming(textToSummarize);
-      let fullSummary = '';
-      
-      for await (const chunk of stream) {
-        // Chrome API sends DELTA chunks (word by word), NOT full text!
-        // We need to APPEND each chunk to build the full summary
-        if (chunk && chunk.length > 0) {
-          fullSummary += chunk; // ✅ APPEND each delta chunk!
-          
-          // Send accumulated text so far
-          postMessage({
-            type: 'SECTION_SUMMARY_CHUNK',
-            sectionIndex: i,
-            totalSections: sections.length,
-            id: section.id,
-            heading: section.heading,
-            chunk: fullSummary, // Send accumulated text
-            isComplete: false
-          });
-        }
-      }
-      
-      // Cleanup
-      summarizer.destroy();
-      
-      // Send final complete message
-      const sectionSummary = {
-        id: section.id,
-        heading: section.heading,
-        summary: fullSummary || 'Summary unavailable',
-        originalLength: section.text.length,
-        failed: false
-      };
-      
-      sectionSummaries.push(sectionSummary);
-      
-      postMessage({
-        type: 'SECTION_SUMMARY',
-        sectionIndex: i,
-        totalSections: sections.length,
-        ...sectionSummary,
-        isComplete: true
-      });
-      
-      // console.log(`[SummarizerWorker] ✅ Summarized section ${i + 1}/${sections.length}: ${section.heading}`);
-      
-    } catch (error) {
-      console.error('[SummarizerWorker] Failed to summarize section:', section.heading, error);
-      
-      // Fallback: use original text (truncated if too long)
-      const fallbackText = section.text.length > 500 
-        ? section.text.substring(0, 500) + '...' 
-        : section.text;
-      
-      const sectionSummary = {
-        id: section.id,
-        heading: section.heading,
-        summary: fallbackText,
-        originalLength: section.text.length,
-        failed: true,
-        error: error.message
-      };
-      
-      sectionSummaries.push(sectionSummary);
-      
-      // Send fallback
-      postMessage({
-        type: 'SECTION_SUMMARY',
-        sectionIndex: i,
-        totalSections: sections.length,
-        ...sectionSummary
-      });
-      
-      // console.log(`[SummarizerWorker] ⚠️ Used fallback for section ${i + 1}/${sections.length}: ${section.heading}`);
-    }
+  // Step 3: Reduce section summaries into one page summary (with the sections it covers)
+  const pageSummary = await summarizePage(sectionSummaries);
+  if (pageSummary) {
+    postMessage({ type: 'PAGE_SUMMARY', pageSummary });
   }
   
-  // Step 3: Send complete signal
+  // Step 4: Send complete signal
   postMessage({
     type: 'COMPLETE',
     sectionSummaries,
+    pageSummary,
     statistics: {
       totalSections: sections.length,
       summarizedSections: sectionSummaries.filter(s => !s.failed).length,
@@ -201,6 +125,121 @@ async function handleSummarize(data) {
   // });
 }
 
+/**
+ * Summarize one section, streaming it into its card
+ */
+async function summarizeSection(section, i) {
+  try {
+    // Create summarizer for this section
+    const summarizer = await createSummarizer({
+      type: 'key-points',
+      format: 'plain-text',
+      length: 'short'
+    });
+    summarizers.push(summarizer);
+    
+    // Prepare text: heading + content
+    const textToSummarize = `${section.heading}\n\n${sectionBody(section)}`;
+    
+    // Use streaming API for real-time display
+    const stream = summarizer.summarizeStreaming(textToSummarize);
+    let fullSummary = '';
+    
+    for await (const chunk of stream) {
+      // Chrome API sends DELTA chunks (word by word), NOT full text!
+      // We need to APPEND each chunk to build the full summary
+      if (chunk && chunk.length > 0) {
+        fullSummary += chunk; // ✅ APPEND each delta chunk!
+        
+        // Send accumulated text so far
+        postMessage({
+          type: 'SECTION_SUMMARY_CHUNK',
+          sectionIndex: i,
+          totalSections: sections.length,
+          id: section.id,
+          heading: section.heading,
+          chunk: fullSummary, // Send accumulated text
+          isComplete: false
+        });
+      }
+    }
+    
+    // Cleanup
+    summarizer.destroy();
+    summarizers = summarizers.filter(s => s !== summarizer);
+    
+    // Send final complete message
+    const sectionSummary = {
+      id: section.id,
+      heading: section.heading,
+      summary: fullSummary || 'Summary unavailable',
+      originalLength: section.text.length,
+      failed: false
+    };
+    
+    postMessage({
+      type: 'SECTION_SUMMARY',
+      sectionIndex: i,
+      totalSections: sections.length,
+      ...sectionSummary,
+      isComplete: true
+    });
+    
+    // console.log(`[SummarizerWorker] ✅ Summarized section ${i + 1}/${sections.length}: ${section.heading}`);
+    return sectionSummary;
+    
+  } catch (error) {
+    console.error('[SummarizerWorker] Failed to summarize section:', section.heading, error);
+    
+    // Fallback: use original text (truncated if too long)
+    const fallbackText = sectionBody(section, { maxChars: 500 });
+    
+    const sectionSummary = {
+      id: section.id,
+      heading: section.heading,
+      summary: fallbackText,
+      originalLength: section.text.length,
+      failed: true,
+      error: error.message
+    };
+    
+    // Send fallback
+    postMessage({
+      type: 'SECTION_SUMMARY',
+      sectionIndex: i,
+      totalSections: sections.length,
+      ...sectionSummary
+    });
+    
+    // console.log(`[SummarizerWorker] ⚠️ Used fallback for section ${i + 1}/${sections.length}: ${section.heading}`);
+    return sectionSummary;
+  }
+}
+
+/**
+ * Reduce section summaries into a page summary
+ * @returns {Promise<Object|null>} - { summary, sectionIds, headings } or null when there's nothing to combine
+ */
+async function summarizePage(summaries) {
+  const usable = summaries.filter(s => !s.failed && s.summary);
+  if (usable.length < 2) return null;
+  
+  try {
+    const { summary } = await reduceSummaries(
+      usable.map(s => ({ id: s.id, heading: s.heading, text: s.summary })),
+      { length: 'medium' }
+    );
+    
+    return {
+      summary,
+      sectionIds: usable.map(s => s.id),
+      headings: usable.map(s => s.heading)
+    };
+  } catch (error) {
+    console.error('[SummarizerWorker] Failed to build page summary:', error);
+    return null;
+  }
+}
 
 /**
  * Create fallback summary (when AI API not available)